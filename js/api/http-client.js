@@ -0,0 +1,337 @@
+import { CONFIG } from "../utils/constants.js";
+
+/**
+ * Shared HTTP layer for the Redmine, Jira and Tempo clients:
+ * timeouts, retries with exponential backoff, Retry-After handling
+ * and a concurrency limit per host.
+ */
+
+// Methods that are safe to repeat after a timeout or a 5xx response
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+
+// Statuses that mean the request was not processed, so any method can be retried
+const NOT_PROCESSED_STATUSES = [429, 503];
+
+// Methods that only read data and are sent even in dry-run mode
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Receives requests skipped in dry-run mode, set per extension context
+let dryRunRecorder = null;
+
+/**
+ * Request error with the HTTP status and response body
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - {status, body, retryable, url, method}
+   */
+  constructor(message, { status = 0, body = "", retryable = false, url, method } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.body = body;
+    this.retryable = retryable;
+    this.url = url;
+    this.method = method;
+  }
+}
+
+/**
+ * Per-host state: running requests, waiting requests and a 429 cool-down
+ */
+const hosts = new Map();
+
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, { active: 0, queue: [], blockedUntil: 0 });
+  }
+  return hosts.get(host);
+}
+
+function getHostLimit(host) {
+  return (
+    CONFIG.HTTP.HOST_CONCURRENCY[host] || CONFIG.HTTP.MAX_CONCURRENT_PER_HOST
+  );
+}
+
+/**
+ * Set the function that receives requests skipped in dry-run mode
+ * @param {Function|null} recorder - (request) => void
+ */
+export function setDryRunRecorder(recorder) {
+  dryRunRecorder = recorder;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for a free slot for the host
+ * @param {string} host - Host name
+ */
+async function acquireSlot(host) {
+  const state = getHostState(host);
+
+  if (state.active >= getHostLimit(host)) {
+    await new Promise((resolve) => state.queue.push(resolve));
+  }
+  state.active++;
+
+  // Respect a Retry-After received by another request to the same host
+  const wait = state.blockedUntil - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+}
+
+/**
+ * Release a slot and wake up the next waiting request
+ * @param {string} host - Host name
+ */
+function releaseSlot(host) {
+  const state = getHostState(host);
+  state.active--;
+
+  const next = state.queue.shift();
+  if (next) next();
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms or null
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempt - Retry attempt, starting at 0
+ * @param {Object} options - {baseDelayMs, maxDelayMs}
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const delay = baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, delay + Math.random() * baseDelayMs);
+}
+
+/**
+ * Check whether a failed request may be repeated
+ * @param {string} method - HTTP method
+ * @param {number} status - HTTP status, 0 for network errors and timeouts
+ * @returns {boolean} Whether the request is retryable
+ */
+function isRetryable(method, status) {
+  if (NOT_PROCESSED_STATUSES.includes(status)) return true;
+  if (!IDEMPOTENT_METHODS.includes(method)) return false;
+  return status === 0 || CONFIG.HTTP.RETRY_STATUSES.includes(status);
+}
+
+/**
+ * Default error message, kept as "HTTP <status>: <body>"
+ */
+function defaultErrorMessage(status, statusText, body) {
+  return `HTTP ${status}: ${body || statusText}`;
+}
+
+/**
+ * Parse a successful response
+ * @param {Response} response - Fetch response
+ * @param {Object} request - {url, method} kept on the parse error
+ * @returns {Promise<any>} JSON, text or null for empty responses
+ * @throws {HttpError} When a JSON response cannot be parsed
+ */
+async function parseResponse(response, { url, method }) {
+  if (response.status === 204) return null;
+
+  const contentType = response.headers.get("content-type");
+  if (contentType && contentType.includes("application/json")) {
+    const text = await response.text();
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      // The server has processed the request, so repeating it is not safe
+      throw new HttpError(`Invalid JSON response: ${parseError.message}`, {
+        status: response.status,
+        body: text,
+        retryable: false,
+        url,
+        method,
+      });
+    }
+  }
+  return await response.text();
+}
+
+/**
+ * Make a single fetch with a timeout
+ * @returns {Promise<Response>} Fetch response
+ */
+async function fetchWithTimeout(url, requestOptions, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...requestOptions, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Make an HTTP request with timeout, retries and per-host concurrency limit
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {Object|string} options.body - Request body, objects are sent as JSON
+ * @param {number} options.timeoutMs - Timeout per attempt
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {Function} options.formatError - (status, statusText, body) => message
+ * @param {boolean} options.dryRun - Do not send writes, return {dryRun, request} instead
+ * @param {string} options.service - Service name shown in the dry-run preview
+ * @returns {Promise<any>} Parsed response
+ * @throws {HttpError} When the request fails after all retries
+ */
+export async function httpRequest(url, options = {}) {
+  const {
+    method = "GET",
+    headers = {},
+    body = null,
+    timeoutMs = CONFIG.HTTP.TIMEOUT_MS,
+    retries = CONFIG.HTTP.MAX_RETRIES,
+    baseDelayMs = CONFIG.HTTP.BASE_DELAY_MS,
+    maxDelayMs = CONFIG.HTTP.MAX_DELAY_MS,
+    formatError = defaultErrorMessage,
+    dryRun = false,
+    service = null,
+  } = options;
+
+  const requestOptions = { method, headers };
+  if (body !== null && body !== undefined) {
+    requestOptions.body = typeof body === "string" ? body : JSON.stringify(body);
+  }
+
+  if (dryRun && !READ_METHODS.includes(method)) {
+    return planRequest({ service, method, url, body });
+  }
+
+  const host = new URL(url).host;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let retryAfter = null;
+
+    await acquireSlot(host);
+    try {
+      const response = await fetchWithTimeout(url, requestOptions, timeoutMs);
+
+      if (response.ok) {
+        return await parseResponse(response, { url, method });
+      }
+
+      const errorBody = await response.text();
+      retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+
+      error = new HttpError(
+        formatError(response.status, response.statusText, errorBody),
+        {
+          status: response.status,
+          body: errorBody,
+          retryable: isRetryable(method, response.status),
+          url,
+          method,
+        }
+      );
+    } catch (fetchError) {
+      if (fetchError instanceof HttpError) throw fetchError;
+
+      const timedOut = fetchError.name === "AbortError";
+      error = new HttpError(
+        timedOut
+          ? `Request timed out after ${timeoutMs}ms`
+          : `Network error: ${fetchError.message}`,
+        { status: 0, retryable: isRetryable(method, 0), url, method }
+      );
+    } finally {
+      releaseSlot(host);
+    }
+
+    if (!error.retryable || attempt >= retries) {
+      throw error;
+    }
+
+    const delay = Math.min(
+      retryAfter ?? getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }),
+      CONFIG.HTTP.MAX_RETRY_AFTER_MS
+    );
+
+    // Rate limited: hold back every request to this host, not just this one
+    if (error.status === 429) {
+      const state = getHostState(host);
+      state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delay);
+    }
+
+    console.warn(
+      `⏳ ${method} ${url} failed (${error.status || error.message}), retry ${
+        attempt + 1
+      }/${retries} in ${Math.round(delay)}ms`
+    );
+    await sleep(delay);
+  }
+}
+
+/**
+ * Record a write that is not sent in dry-run mode
+ * @param {Object} request - {service, method, url, body}
+ * @returns {Object} {dryRun: true, request}
+ */
+function planRequest({ service, method, url, body }) {
+  const request = {
+    service,
+    method,
+    url,
+    body,
+    plannedAt: new Date().toISOString(),
+  };
+
+  console.log(`🧪 Dry run: ${method} ${url} not sent`, request.body);
+  dryRunRecorder?.(request);
+
+  return { dryRun: true, request };
+}
+
+/**
+ * Build the failed result returned by API functions
+ * @param {Error} error - Caught error
+ * @returns {Object} {success: false, error, status, retryable}
+ */
+export function errorResult(error) {
+  return {
+    success: false,
+    error: error.message,
+    status: error.status ?? null,
+    retryable: !!error.retryable,
+  };
+}
+
+export default {
+  httpRequest,
+  errorResult,
+  parseRetryAfter,
+  setDryRunRecorder,
+  HttpError,
+};
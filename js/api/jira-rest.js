@@ -1,5 +1,6 @@
 import { CONFIG } from "../utils/constants.js";
 import { sanitizeUrl, isValidApiResponse } from "../utils/validation.js";
+import { httpRequest, errorResult } from "./http-client.js";
 
 /**
  * Jira REST API client for direct API access
@@ -31,44 +32,18 @@ async function makeJiraRequest(url, settings, options = {}) {
       throw new Error("Missing Jira authentication credentials");
     }
 
-    const requestOptions = {
+    console.log(`🔍 Jira API ${method} ${url}`);
+    const data = await httpRequest(url, {
       method,
+      body: method !== "GET" ? body : null,
       headers: {
         "Content-Type": "application/json",
         Accept: "application/json",
         ...authHeaders,
         ...headers,
       },
-    };
-
-    if (body && method !== "GET") {
-      requestOptions.body = JSON.stringify(body);
-    }
-
-    console.log(`🔍 Jira API ${method} ${url}`);
-    const response = await fetch(url, requestOptions);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-
-      try {
-        const errorData = JSON.parse(errorText);
-        if (errorData.errorMessages && errorData.errorMessages.length > 0) {
-          errorMessage += ` - ${errorData.errorMessages.join(", ")}`;
-        } else if (errorData.message) {
-          errorMessage += ` - ${errorData.message}`;
-        }
-      } catch (e) {
-        if (errorText) {
-          errorMessage += ` - ${errorText}`;
-        }
-      }
-
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
+      formatError: formatJiraError,
+    });
 
     if (!isValidApiResponse(data)) {
       throw new Error("Invalid API response format");
@@ -81,6 +56,32 @@ async function makeJiraRequest(url, settings, options = {}) {
   }
 }
 
+/**
+ * Build an error message from a failed Jira response
+ * @param {number} status - HTTP status
+ * @param {string} statusText - HTTP status text
+ * @param {string} errorText - Response body
+ * @returns {string} Error message
+ */
+function formatJiraError(status, statusText, errorText) {
+  let errorMessage = `HTTP ${status}: ${statusText}`;
+
+  try {
+    const errorData = JSON.parse(errorText);
+    if (errorData.errorMessages && errorData.errorMessages.length > 0) {
+      errorMessage += ` - ${errorData.errorMessages.join(", ")}`;
+    } else if (errorData.message) {
+      errorMessage += ` - ${errorData.message}`;
+    }
+  } catch (e) {
+    if (errorText) {
+      errorMessage += ` - ${errorText}`;
+    }
+  }
+
+  return errorMessage;
+}
+
 /**
  * Test Jira connection
  * @param {Object} settings - Jira settings
@@ -99,10 +100,7 @@ export async function testConnection(settings) {
       user: userData,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -123,10 +121,7 @@ export async function getCurrentUser(settings) {
       user: userData,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -153,10 +148,7 @@ export async function getIssue(issueKey, settings, expand = []) {
       issue: issueData,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -195,10 +187,7 @@ export async function getIssues(issueKeys, settings, expand = []) {
       total: searchResult.total || 0,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -211,7 +200,13 @@ export async function getIssues(issueKeys, settings, expand = []) {
  */
 export async function searchIssues(jql, settings, options = {}) {
   try {
-    const { startAt = 0, maxResults = 50, expand = [], fields = [] } = options;
+    const {
+      startAt = 0,
+      maxResults = 50,
+      expand = [],
+      fields = [],
+      validateQuery = null,
+    } = options;
 
     const baseUrl = sanitizeUrl(settings.url);
     let url = `${baseUrl}/rest/api/3/search?jql=${encodeURIComponent(jql)}`;
@@ -226,6 +221,10 @@ export async function searchIssues(jql, settings, options = {}) {
       url += `&fields=${fields.join(",")}`;
     }
 
+    if (validateQuery) {
+      url += `&validateQuery=${validateQuery}`;
+    }
+
     const searchResult = await makeJiraRequest(url, settings);
 
     return {
@@ -236,10 +235,7 @@ export async function searchIssues(jql, settings, options = {}) {
       maxResults: searchResult.maxResults || maxResults,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -256,6 +252,7 @@ export async function searchAllIssues(jql, settings, options = {}) {
       maxResults = 100,
       expand = [],
       fields = [],
+      validateQuery = null,
       maxTotal = CONFIG.JIRA.MAX_SEARCH_RESULTS || 1000,
     } = options;
 
@@ -271,6 +268,7 @@ export async function searchAllIssues(jql, settings, options = {}) {
         maxResults,
         expand,
         fields,
+        validateQuery,
       });
 
       if (!result.success) {
@@ -307,10 +305,7 @@ export async function searchAllIssues(jql, settings, options = {}) {
     };
   } catch (error) {
     console.error("❌ Error searching Jira issues:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -353,10 +348,7 @@ export async function getProjects(settings, options = {}) {
       total: projectsData.total || 0,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -378,10 +370,7 @@ export async function getIssueTypes(projectKey, settings) {
       issueTypes: issueTypes || [],
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -402,10 +391,28 @@ export async function getStatuses(settings) {
       statuses: statuses || [],
     };
   } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Get issue priorities
+ * @param {Object} settings - Jira settings
+ * @returns {Promise<Object>} Promise that resolves with priorities
+ */
+export async function getPriorities(settings) {
+  try {
+    const baseUrl = sanitizeUrl(settings.url);
+    const url = `${baseUrl}/rest/api/3/priority`;
+
+    const priorities = await makeJiraRequest(url, settings);
+
     return {
-      success: false,
-      error: error.message,
+      success: true,
+      priorities: priorities || [],
     };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
@@ -493,10 +500,7 @@ export async function findLinkedRedmineIssues(
     };
   } catch (error) {
     console.error("❌ Error finding linked Redmine issues:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -544,6 +548,7 @@ export default {
   getProjects,
   getIssueTypes,
   getStatuses,
+  getPriorities,
   findLinkedRedmineIssues,
   normalizeJiraIssue,
 };
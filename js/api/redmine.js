@@ -1,5 +1,6 @@
 import { CONFIG } from "../utils/constants.js";
 import { sanitizeUrl, isValidApiResponse } from "../utils/validation.js";
+import { httpRequest, errorResult } from "./http-client.js";
 
 /**
  * Base Redmine API request
@@ -11,36 +12,18 @@ import { sanitizeUrl, isValidApiResponse } from "../utils/validation.js";
 async function makeRedmineRequest(url, settings, options = {}) {
   const { method = "GET", body = null, headers = {} } = options;
 
-  const requestHeaders = {
-    "Content-Type": "application/json",
-    "X-Redmine-API-Key": settings.apiKey,
-    ...headers,
-  };
-
-  const requestOptions = {
-    method,
-    headers: requestHeaders,
-  };
-
-  if (body) {
-    requestOptions.body =
-      typeof body === "string" ? body : JSON.stringify(body);
-  }
-
   try {
-    const response = await fetch(url, requestOptions);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-
-    const contentType = response.headers.get("content-type");
-    if (contentType && contentType.includes("application/json")) {
-      return await response.json();
-    } else {
-      return await response.text();
-    }
+    return await httpRequest(url, {
+      method,
+      body,
+      dryRun: !!settings.dryRun,
+      service: "Redmine",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Redmine-API-Key": settings.apiKey,
+        ...headers,
+      },
+    });
   } catch (error) {
     console.error("Redmine API request failed:", error);
     throw error;
@@ -70,10 +53,7 @@ export async function testConnection(settings) {
       user: userData.user,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -113,10 +93,7 @@ export async function fetchProjects(settings) {
       total: allProjects.length,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -170,20 +147,33 @@ export async function searchIssues(searchQuery, settings) {
       searchType: "none",
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
+/**
+ * Resolve a Jira value to a Redmine ID using the stored mapping or the fallback map
+ * @param {string} jiraValue - Jira status or priority name
+ * @param {Object|null} storedMap - Stored mapping {jiraName: redmineId}
+ * @param {Object} fallbackMap - Fallback mapping from CONFIG
+ * @param {number} defaultId - Default Redmine ID
+ * @returns {number} Redmine ID
+ */
+function resolveMappedId(jiraValue, storedMap, fallbackMap, defaultId) {
+  if (!jiraValue) return defaultId;
+
+  const map = storedMap || fallbackMap;
+  return parseInt(map[jiraValue]) || defaultId;
+}
+
 /**
  * Create new issue in Redmine
  * @param {Object} issueData - Issue data
  * @param {Object} settings - Redmine settings
+ * @param {Object|null} mapping - Stored Jira→Redmine mapping {statusMap, priorityMap}; CONFIG maps are used when absent
  * @returns {Promise<Object>} Promise that resolves with created issue
  */
-export async function createIssue(issueData, settings) {
+export async function createIssue(issueData, settings, mapping = null) {
   try {
     // Get current user info to assign the task
     const userData = await getCurrentUser(settings);
@@ -198,18 +188,20 @@ export async function createIssue(issueData, settings) {
     } = issueData;
 
     // Map Jira priority to Redmine priority
-    let priorityId = CONFIG.REDMINE.DEFAULT_PRIORITY_ID;
-    if (jiraPriority) {
-      priorityId =
-        CONFIG.PRIORITY_MAP[jiraPriority] || CONFIG.REDMINE.DEFAULT_PRIORITY_ID;
-    }
+    const priorityId = resolveMappedId(
+      jiraPriority,
+      mapping?.priorityMap,
+      CONFIG.PRIORITY_MAP,
+      CONFIG.REDMINE.DEFAULT_PRIORITY_ID
+    );
 
     // Map Jira status to Redmine status
-    let statusId = CONFIG.REDMINE.DEFAULT_STATUS_ID;
-    if (jiraStatus) {
-      statusId =
-        CONFIG.STATUS_MAP[jiraStatus] || CONFIG.REDMINE.DEFAULT_STATUS_ID;
-    }
+    const statusId = resolveMappedId(
+      jiraStatus,
+      mapping?.statusMap,
+      CONFIG.STATUS_MAP,
+      CONFIG.REDMINE.DEFAULT_STATUS_ID
+    );
 
     console.log("🎫 Redmine: Issue data:", issueData);
     console.log(
@@ -240,39 +232,55 @@ export async function createIssue(issueData, settings) {
       body: payload,
     });
 
+    // Dry-run mode: nothing was sent, return the planned request instead
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
     return {
       success: true,
       issue: result.issue,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
 /**
- * Create time entry in Redmine
+ * Resolve the activity for a time entry
+ * An explicit activityId wins over the isResearch flag and the settings defaults
  * @param {Object} timeEntryData - Time entry data
  * @param {Object} settings - Redmine settings
+ * @returns {number} Activity ID
+ */
+function resolveActivityId(timeEntryData, settings) {
+  if (timeEntryData.activityId) {
+    return parseInt(timeEntryData.activityId);
+  }
+
+  const activityId = timeEntryData.isResearch
+    ? settings.researchActivityId || CONFIG.REDMINE.DEFAULT_RESEARCH_ACTIVITY_ID
+    : settings.activityId || CONFIG.REDMINE.DEFAULT_ACTIVITY_ID;
+
+  return parseInt(activityId);
+}
+
+/**
+ * Create time entry in Redmine
+ * @param {Object} timeEntryData - Time entry data (date, time, comment, task or projectId, activityId or isResearch)
+ * @param {Object} settings - Redmine settings
  * @returns {Promise<Object>} Promise that resolves with created time entry
  */
 export async function createTimeEntry(timeEntryData, settings) {
   try {
     const url = `${sanitizeUrl(settings.url)}/time_entries.json`;
 
-    const activityId = timeEntryData.isResearch
-      ? settings.researchActivityId ||
-        CONFIG.REDMINE.DEFAULT_RESEARCH_ACTIVITY_ID
-      : settings.activityId || CONFIG.REDMINE.DEFAULT_ACTIVITY_ID;
-
     const payload = {
       time_entry: {
         spent_on: timeEntryData.date,
         hours: timeEntryData.time,
         comments: timeEntryData.comment || "",
-        activity_id: parseInt(activityId),
+        activity_id: resolveActivityId(timeEntryData, settings),
       },
     };
 
@@ -300,15 +308,117 @@ export async function createTimeEntry(timeEntryData, settings) {
       body: payload,
     });
 
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
     return {
       success: true,
       result,
     };
   } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Get time entry details by ID
+ * @param {number} timeEntryId - Time entry ID
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with time entry details
+ */
+export async function getTimeEntry(timeEntryId, settings) {
+  try {
+    const url = `${sanitizeUrl(settings.url)}/time_entries/${timeEntryId}.json`;
+    const data = await makeRedmineRequest(url, settings);
+
     return {
-      success: false,
-      error: error.message,
+      success: true,
+      timeEntry: data.time_entry,
     };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Update an existing time entry in Redmine
+ * Only the fields present in timeEntryData are sent
+ * @param {number} timeEntryId - Time entry ID
+ * @param {Object} timeEntryData - Updated time entry data (date, time, comment, task, activityId or isResearch)
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with update result
+ */
+export async function updateTimeEntry(timeEntryId, timeEntryData, settings) {
+  try {
+    const url = `${sanitizeUrl(settings.url)}/time_entries/${timeEntryId}.json`;
+
+    const payload = { time_entry: {} };
+
+    if (timeEntryData.date !== undefined) {
+      payload.time_entry.spent_on = timeEntryData.date;
+    }
+    if (timeEntryData.time !== undefined) {
+      payload.time_entry.hours = timeEntryData.time;
+    }
+    if (timeEntryData.comment !== undefined) {
+      payload.time_entry.comments = timeEntryData.comment || "";
+    }
+    if (timeEntryData.task) {
+      payload.time_entry.issue_id = parseInt(timeEntryData.task);
+    }
+    if (
+      timeEntryData.activityId !== undefined ||
+      timeEntryData.isResearch !== undefined
+    ) {
+      payload.time_entry.activity_id = resolveActivityId(
+        timeEntryData,
+        settings
+      );
+    }
+
+    const result = await makeRedmineRequest(url, settings, {
+      method: "PUT",
+      body: payload,
+    });
+
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
+    return {
+      success: true,
+      id: timeEntryId,
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Delete a time entry from Redmine
+ * @param {number} timeEntryId - Time entry ID
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with deletion result
+ */
+export async function deleteTimeEntry(timeEntryId, settings) {
+  try {
+    const url = `${sanitizeUrl(settings.url)}/time_entries/${timeEntryId}.json`;
+
+    const result = await makeRedmineRequest(url, settings, {
+      method: "DELETE",
+    });
+
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
+    return {
+      success: true,
+      id: timeEntryId,
+    };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
@@ -317,19 +427,24 @@ export async function createTimeEntry(timeEntryData, settings) {
  * @param {string} startDate - Start date (YYYY-MM-DD)
  * @param {string} endDate - End date (YYYY-MM-DD)
  * @param {Object} settings - Redmine settings
+ * @param {number} userId - Optional Redmine user ID, defaults to the current user
  * @returns {Promise<Object>} Promise that resolves with time entries
  */
-export async function fetchTimeEntries(startDate, endDate, settings) {
+export async function fetchTimeEntries(
+  startDate,
+  endDate,
+  settings,
+  userId = null
+) {
   try {
-    // Get current user info first
-    const userData = await getCurrentUser(settings);
-    const currentUserId = userData.user.id;
+    // Get current user info first unless another user is requested
+    const currentUserId = userId || (await getCurrentUser(settings)).user.id;
 
     console.log(
       `🔍 Fetching Redmine time entries from ${startDate} to ${endDate} for user ${currentUserId}...`
     );
 
-    // Fetch time entries for the current user within the date range
+    // Fetch time entries for the user within the date range
     let allTimeEntries = [];
     let offset = 0;
     const limit = CONFIG.REDMINE.PAGINATION_LIMIT;
@@ -473,10 +588,7 @@ export async function fetchTimeEntries(startDate, endDate, settings) {
     };
   } catch (error) {
     console.error("❌ Error fetching Redmine time entries:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -485,7 +597,7 @@ export async function fetchTimeEntries(startDate, endDate, settings) {
  * @param {string} text - Text to search for Jira keys
  * @returns {Array<string>} Array of found Jira keys
  */
-function extractJiraKeysFromText(text) {
+export function extractJiraKeysFromText(text) {
   if (!text || typeof text !== "string") {
     return [];
   }
@@ -513,10 +625,146 @@ export async function getIssue(issueId, settings) {
       issue: data.issue,
     };
   } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Update issue in Redmine
+ * @param {number} issueId - Issue ID
+ * @param {Object} issueData - Redmine issue fields to change, e.g. {status_id, notes}
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with update result
+ */
+export async function updateIssue(issueId, issueData, settings) {
+  try {
+    const url = `${sanitizeUrl(settings.url)}/issues/${issueId}.json`;
+
+    const result = await makeRedmineRequest(url, settings, {
+      method: "PUT",
+      body: { issue: issueData },
+    });
+
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
     return {
-      success: false,
-      error: error.message,
+      success: true,
     };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Delete issue from Redmine (its time entries are deleted with it)
+ * @param {number} issueId - Issue ID
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with deletion result
+ */
+export async function deleteIssue(issueId, settings) {
+  try {
+    const url = `${sanitizeUrl(settings.url)}/issues/${issueId}.json`;
+
+    const result = await makeRedmineRequest(url, settings, {
+      method: "DELETE",
+    });
+
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
+    return {
+      success: true,
+      id: issueId,
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Fetch the IDs of all time entries logged on an issue, by any user
+ * @param {number} issueId - Issue ID
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with {success, timeEntryIds}
+ */
+export async function fetchIssueTimeEntryIds(issueId, settings) {
+  try {
+    const limit = CONFIG.REDMINE.PAGINATION_LIMIT;
+    const timeEntryIds = [];
+    let offset = 0;
+
+    while (offset <= CONFIG.REDMINE.MAX_RECORDS) {
+      const url = `${sanitizeUrl(
+        settings.url
+      )}/time_entries.json?issue_id=${issueId}&limit=${limit}&offset=${offset}`;
+      const data = await makeRedmineRequest(url, settings);
+      const page = data.time_entries || [];
+
+      timeEntryIds.push(...page.map((entry) => entry.id));
+      if (page.length < limit) break;
+      offset += limit;
+    }
+
+    return {
+      success: true,
+      timeEntryIds,
+    };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Fetch issues of a project with pagination, most recently updated first
+ * @param {number|string} projectId - Project ID
+ * @param {Object} settings - Redmine settings
+ * @param {Object} options - Options
+ * @param {string} options.statusId - Redmine status filter: "open", "closed", "*" or an ID
+ * @returns {Promise<Object>} Promise that resolves with issues list
+ */
+export async function fetchProjectIssues(
+  projectId,
+  settings,
+  { statusId = "open" } = {}
+) {
+  try {
+    let allIssues = [];
+    let offset = 0;
+    const limit = CONFIG.REDMINE.PAGINATION_LIMIT;
+    let hasMore = true;
+
+    while (hasMore) {
+      const url = `${sanitizeUrl(
+        settings.url
+      )}/issues.json?project_id=${projectId}&status_id=${encodeURIComponent(
+        statusId
+      )}&sort=updated_on:desc&limit=${limit}&offset=${offset}`;
+      const data = await makeRedmineRequest(url, settings);
+
+      if (data.issues && data.issues.length > 0) {
+        allIssues = allIssues.concat(data.issues);
+        offset += limit;
+        hasMore = data.issues.length === limit;
+      } else {
+        hasMore = false;
+      }
+
+      // Safety check to prevent infinite loops
+      if (offset > CONFIG.REDMINE.MAX_RECORDS) {
+        break;
+      }
+    }
+
+    return {
+      success: true,
+      issues: allIssues,
+      total: allIssues.length,
+    };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
@@ -536,10 +784,7 @@ export async function getProject(projectId, settings) {
       project: data.project,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -558,10 +803,7 @@ export async function fetchTrackers(settings) {
       trackers: data.trackers || [],
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -582,10 +824,47 @@ export async function fetchActivities(settings) {
       activities: data.time_entry_activities || [],
     };
   } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Fetch issue statuses
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with statuses list
+ */
+export async function fetchIssueStatuses(settings) {
+  try {
+    const url = `${sanitizeUrl(settings.url)}/issue_statuses.json`;
+    const data = await makeRedmineRequest(url, settings);
+
     return {
-      success: false,
-      error: error.message,
+      success: true,
+      statuses: data.issue_statuses || [],
     };
+  } catch (error) {
+    return errorResult(error);
+  }
+}
+
+/**
+ * Fetch issue priorities
+ * @param {Object} settings - Redmine settings
+ * @returns {Promise<Object>} Promise that resolves with priorities list
+ */
+export async function fetchIssuePriorities(settings) {
+  try {
+    const url = `${sanitizeUrl(
+      settings.url
+    )}/enumerations/issue_priorities.json`;
+    const data = await makeRedmineRequest(url, settings);
+
+    return {
+      success: true,
+      priorities: data.issue_priorities || [],
+    };
+  } catch (error) {
+    return errorResult(error);
   }
 }
 
@@ -593,15 +872,21 @@ export async function fetchActivities(settings) {
  * Sync week data with Redmine
  * @param {Object} weekData - Week data to sync
  * @param {Object} settings - Redmine settings
+ * @param {Object} options - Sync options
+ * @param {boolean} options.dryRun - Only report what would be created
  * @returns {Promise<Object>} Promise that resolves with sync results
  */
-export async function syncWeekData(weekData, settings) {
+export async function syncWeekData(weekData, settings, options = {}) {
+  const { dryRun = false } = options;
+
   try {
     const results = {
       processed: 0,
       created: 0,
       skipped: 0,
       errors: [],
+      rows: [],
+      dryRun,
     };
 
     // Get existing time entries from Redmine for the week
@@ -624,6 +909,16 @@ export async function syncWeekData(weekData, settings) {
       for (const entry of dayData.entries) {
         results.processed++;
 
+        const row = {
+          date: dayData.date,
+          taskNumber: entry.taskNumber || "",
+          hours: entry.hours,
+          comment: entry.comment || "",
+          redmineIssueId: entry.redmineIssueId || null,
+          redmineProjectId: entry.redmineProjectId || null,
+        };
+        results.rows.push(row);
+
         // Check if this entry already exists in Redmine
         const existingEntry = existingEntries.find((redmineEntry) => {
           const redmineDate = redmineEntry.spent_on;
@@ -652,6 +947,29 @@ export async function syncWeekData(weekData, settings) {
 
         if (existingEntry) {
           results.skipped++;
+          row.status = "skipped";
+          row.redmineTimeEntryId = existingEntry.id;
+          continue;
+        }
+
+        // Without an issue or project createTimeEntry falls back to the default project
+        if (
+          !entry.redmineIssueId &&
+          !entry.redmineProjectId &&
+          !settings.projectId
+        ) {
+          const error = CONFIG.ERRORS.TASK_OR_PROJECT_REQUIRED;
+          results.errors.push(
+            `${dayData.date} - ${entry.taskNumber}: ${error}`
+          );
+          row.status = "error";
+          row.error = error;
+          continue;
+        }
+
+        if (dryRun) {
+          results.created++;
+          row.status = "create";
           continue;
         }
 
@@ -660,7 +978,9 @@ export async function syncWeekData(weekData, settings) {
           const timeEntryData = {
             date: dayData.date,
             time: entry.hours,
-            comment: `${entry.taskNumber}: ${entry.comment}`,
+            comment: entry.taskNumber
+              ? `${entry.taskNumber}: ${entry.comment}`
+              : entry.comment,
             isResearch: false,
           };
 
@@ -672,17 +992,28 @@ export async function syncWeekData(weekData, settings) {
 
           const createResult = await createTimeEntry(timeEntryData, settings);
 
-          if (createResult.success) {
+          if (createResult.dryRun) {
+            // Global dry-run mode turns the run into a preview
+            results.created++;
+            results.dryRun = true;
+            row.status = "create";
+          } else if (createResult.success) {
             results.created++;
+            row.status = "created";
+            row.redmineTimeEntryId = createResult.result?.time_entry?.id;
           } else {
             results.errors.push(
               `${dayData.date} - ${entry.taskNumber}: ${createResult.error}`
             );
+            row.status = "error";
+            row.error = createResult.error;
           }
         } catch (error) {
           results.errors.push(
             `${dayData.date} - ${entry.taskNumber}: ${error.message}`
           );
+          row.status = "error";
+          row.error = error.message;
         }
       }
     }
@@ -692,10 +1023,7 @@ export async function syncWeekData(weekData, settings) {
       result: results,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -715,6 +1043,7 @@ export async function batchCreateTimeEntries(
     total: timeEntries.length,
     successful: 0,
     failed: 0,
+    created: [],
     errors: [],
   };
 
@@ -726,6 +1055,10 @@ export async function batchCreateTimeEntries(
 
       if (result.success) {
         results.successful++;
+        results.created.push({
+          index: i,
+          timeEntryId: result.result?.time_entry?.id,
+        });
       } else {
         results.failed++;
         results.errors.push(`Entry ${i + 1}: ${result.error}`);
@@ -739,9 +1072,106 @@ export async function batchCreateTimeEntries(
     if (progressCallback) {
       progressCallback(i + 1, timeEntries.length, results);
     }
+  }
+
+  return {
+    success: true,
+    result: results,
+  };
+}
+
+/**
+ * Batch update multiple time entries
+ * @param {Array} updates - Array of {id, data} objects, data as in updateTimeEntry
+ * @param {Object} settings - Redmine settings
+ * @param {Function} progressCallback - Optional progress callback
+ * @returns {Promise<Object>} Promise that resolves with batch operation results
+ */
+export async function batchUpdateTimeEntries(
+  updates,
+  settings,
+  progressCallback = null
+) {
+  const results = {
+    total: updates.length,
+    successful: 0,
+    failed: 0,
+    updatedIds: [],
+    errors: [],
+  };
+
+  for (let i = 0; i < updates.length; i++) {
+    const { id, data } = updates[i];
+
+    try {
+      const result = await updateTimeEntry(id, data, settings);
+
+      if (result.success) {
+        results.successful++;
+        results.updatedIds.push(id);
+      } else {
+        results.failed++;
+        results.errors.push(`Entry #${id}: ${result.error}`);
+      }
+    } catch (error) {
+      results.failed++;
+      results.errors.push(`Entry #${id}: ${error.message}`);
+    }
 
-    // Small delay to avoid overwhelming the server
-    await new Promise((resolve) => setTimeout(resolve, 100));
+    // Call progress callback if provided
+    if (progressCallback) {
+      progressCallback(i + 1, updates.length, results);
+    }
+  }
+
+  return {
+    success: true,
+    result: results,
+  };
+}
+
+/**
+ * Batch delete multiple time entries
+ * @param {Array<number>} timeEntryIds - Array of time entry IDs
+ * @param {Object} settings - Redmine settings
+ * @param {Function} progressCallback - Optional progress callback
+ * @returns {Promise<Object>} Promise that resolves with batch operation results
+ */
+export async function batchDeleteTimeEntries(
+  timeEntryIds,
+  settings,
+  progressCallback = null
+) {
+  const results = {
+    total: timeEntryIds.length,
+    successful: 0,
+    failed: 0,
+    deletedIds: [],
+    errors: [],
+  };
+
+  for (let i = 0; i < timeEntryIds.length; i++) {
+    const id = timeEntryIds[i];
+
+    try {
+      const result = await deleteTimeEntry(id, settings);
+
+      if (result.success) {
+        results.successful++;
+        results.deletedIds.push(id);
+      } else {
+        results.failed++;
+        results.errors.push(`Entry #${id}: ${result.error}`);
+      }
+    } catch (error) {
+      results.failed++;
+      results.errors.push(`Entry #${id}: ${error.message}`);
+    }
+
+    // Call progress callback if provided
+    if (progressCallback) {
+      progressCallback(i + 1, timeEntryIds.length, results);
+    }
   }
 
   return {
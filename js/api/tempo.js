@@ -2,6 +2,7 @@ import { CONFIG } from "../utils/constants.js";
 import JiraRestAPI from "./jira-rest.js";
 
 import { sanitizeUrl, isValidApiResponse } from "../utils/validation.js";
+import { httpRequest, errorResult } from "./http-client.js";
 
 const ANONYMOUS_ID = "__tempo-io__unknown_user";
 
@@ -15,37 +16,19 @@ const ANONYMOUS_ID = "__tempo-io__unknown_user";
 async function makeTempoRequest(url, settings, options = {}) {
   const { method = "GET", body = null, headers = {} } = options;
 
-  const requestHeaders = {
-    Accept: "application/json",
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${settings.apiToken}`,
-    ...headers,
-  };
-
-  const requestOptions = {
-    method,
-    headers: requestHeaders,
-  };
-
-  if (body) {
-    requestOptions.body =
-      typeof body === "string" ? body : JSON.stringify(body);
-  }
-
   try {
-    const response = await fetch(url, requestOptions);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
-
-    const contentType = response.headers.get("content-type");
-    if (contentType && contentType.includes("application/json")) {
-      return await response.json();
-    } else {
-      return await response.text();
-    }
+    return await httpRequest(url, {
+      method,
+      body,
+      dryRun: !!settings.dryRun,
+      service: "Tempo",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${settings.apiToken}`,
+        ...headers,
+      },
+    });
   } catch (error) {
     console.error("Tempo API request failed:", error);
     throw error;
@@ -69,10 +52,7 @@ export async function testConnection(settings) {
       totalWorklogs: data.metadata?.count || 0,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -91,7 +71,7 @@ export async function getCurrentUser(settings) {
  * @param {string} dateFrom - Start date (YYYY-MM-DD)
  * @param {string} dateTo - End date (YYYY-MM-DD)
  * @param {Object} settings - Tempo settings
- * @param {string} worker - Optional worker account ID
+ * @param {string} worker - Optional worker account ID, other users need the "View all worklogs" permission
  * @param {number} limit - Optional limit per request (default: 1000)
  * @returns {Promise<Object>} Promise that resolves with all worklogs
  */
@@ -111,11 +91,10 @@ export async function getWorklogs(
     console.log(`🔍 Fetching Tempo worklogs from ${dateFrom} to ${dateTo}...`);
 
     while (hasMore) {
-      let url = `https://api.tempo.io/4/worklogs?from=${dateFrom}&to=${dateTo}&limit=${limit}&offset=${offset}`;
-
-      if (worker) {
-        url += `&worker=${worker}`;
-      }
+      // Worklogs of a single user live under their own endpoint in API v4
+      const url = `https://api.tempo.io/4/worklogs${
+        worker ? `/user/${encodeURIComponent(worker)}` : ""
+      }?from=${dateFrom}&to=${dateTo}&limit=${limit}&offset=${offset}`;
 
       console.log(`📄 Fetching page: offset=${offset}, limit=${limit}`);
       const data = await makeTempoRequest(url, settings);
@@ -155,10 +134,7 @@ export async function getWorklogs(
     };
   } catch (error) {
     console.error("❌ Error fetching Tempo worklogs:", error);
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -176,14 +152,31 @@ export async function getWorklogsForMonth(
   settings,
   worker = null
 ) {
-  try {
-    // Calculate first and last day of month
-    const startDate = `${year}-${month.toString().padStart(2, "0")}-01`;
-    const lastDay = new Date(year, month, 0).getDate();
-    const endDate = `${year}-${month.toString().padStart(2, "0")}-${lastDay
-      .toString()
-      .padStart(2, "0")}`;
+  const { startDate, endDate } = getMonthRange(year, month);
+  const result = await getWorklogsForRange(startDate, endDate, settings, worker);
+
+  if (result.success) {
+    result.period = { year, month, startDate, endDate };
+  }
+
+  return result;
+}
 
+/**
+ * Get worklogs for a date range, grouped by date
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} settings - Tempo settings
+ * @param {string} worker - Optional worker account ID
+ * @returns {Promise<Object>} Promise that resolves with the worklogs of the range
+ */
+export async function getWorklogsForRange(
+  startDate,
+  endDate,
+  settings,
+  worker = null
+) {
+  try {
     console.log(`🕐 Tempo: Fetching worklogs for ${startDate} to ${endDate}`);
 
     const result = await getWorklogs(startDate, endDate, settings, worker);
@@ -212,8 +205,6 @@ export async function getWorklogsForMonth(
         worklogsByDate,
         totalHours: Math.round(totalHours * 100) / 100, // Round to 2 decimal places
         period: {
-          year,
-          month,
           startDate,
           endDate,
         },
@@ -223,13 +214,25 @@ export async function getWorklogsForMonth(
 
     return result;
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
+/**
+ * Get first and last day of a month
+ * @param {number} year - Year (e.g., 2024)
+ * @param {number} month - Month (1-12)
+ * @returns {Object} {startDate, endDate} as YYYY-MM-DD
+ */
+function getMonthRange(year, month) {
+  const lastDay = new Date(year, month, 0).getDate();
+  const prefix = `${year}-${month.toString().padStart(2, "0")}`;
+  return {
+    startDate: `${prefix}-01`,
+    endDate: `${prefix}-${lastDay.toString().padStart(2, "0")}`,
+  };
+}
+
 /**
  * Get worklogs for current user for a specific month
  * @param {number} year - Year (e.g., 2024)
@@ -242,10 +245,39 @@ export async function getCurrentUserWorklogsForMonth(
   month,
   settings,
   jiraSettings = null
+) {
+  const { startDate, endDate } = getMonthRange(year, month);
+  const result = await getCurrentUserWorklogs(
+    startDate,
+    endDate,
+    settings,
+    jiraSettings
+  );
+
+  if (result.success) {
+    result.period = { year, month, startDate, endDate };
+  }
+
+  return result;
+}
+
+/**
+ * Get worklogs for current user for a date range
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @param {Object} settings - Tempo settings
+ * @param {Object} jiraSettings - Optional Jira settings to embed issue keys
+ * @returns {Promise<Object>} Promise that resolves with current user's worklogs
+ */
+export async function getCurrentUserWorklogs(
+  startDate,
+  endDate,
+  settings,
+  jiraSettings = null
 ) {
   try {
-    // Get all worklogs for the month (API returns only user's own worklogs by default)
-    const result = await getWorklogsForMonth(year, month, settings);
+    // Get all worklogs for the range (API returns only user's own worklogs by default)
+    const result = await getWorklogsForRange(startDate, endDate, settings);
 
     if (!result.success || !result.worklogs) {
       return result;
@@ -338,10 +370,7 @@ export async function getCurrentUserWorklogsForMonth(
       worklogsByDate,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -374,15 +403,17 @@ export async function createWorklog(worklogData, settings) {
       body: payload,
     });
 
+    // Dry-run mode: nothing was sent, return the planned request instead
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
     return {
       success: true,
       worklog: result,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -415,15 +446,16 @@ export async function updateWorklog(worklogId, worklogData, settings) {
       body: payload,
     });
 
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
     return {
       success: true,
       worklog: result,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -437,18 +469,19 @@ export async function deleteWorklog(worklogId, settings) {
   try {
     const url = `https://api.tempo.io/4/worklogs/${worklogId}`;
 
-    await makeTempoRequest(url, settings, {
+    const result = await makeTempoRequest(url, settings, {
       method: "DELETE",
     });
 
+    if (result?.dryRun) {
+      return { success: true, ...result };
+    }
+
     return {
       success: true,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -469,10 +502,7 @@ export async function getWorklog(worklogId, settings) {
       worklog,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -492,10 +522,7 @@ export async function getWorkAttributes(settings) {
       attributes: attributes.results || attributes,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -532,10 +559,7 @@ export async function convertTimeEntriesToTempo(timeEntries, settings) {
       entries: convertedEntries,
     };
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
 
@@ -579,9 +603,6 @@ export async function batchCreateWorklogs(
     if (progressCallback) {
       progressCallback(i + 1, worklogEntries.length, results);
     }
-
-    // Small delay to avoid overwhelming the server
-    await new Promise((resolve) => setTimeout(resolve, 200));
   }
 
   return {
@@ -628,9 +649,6 @@ export async function exportWorklogs(worklogs, format = "json") {
       };
     }
   } catch (error) {
-    return {
-      success: false,
-      error: error.message,
-    };
+    return errorResult(error);
   }
 }
@@ -1,13 +1,36 @@
 import JiraAPI from "./api/jira.js";
 import { Storage } from "./utils/storage.js";
 import { CONFIG } from "./utils/constants.js";
-import { searchIssues, createTimeEntry, createIssue } from "./api/redmine.js";
+import {
+  searchIssues,
+  createTimeEntry,
+  createIssue,
+  fetchActivities,
+  fetchTimeEntries,
+} from "./api/redmine.js";
+import { createWorklog } from "./api/tempo.js";
+import {
+  getCurrentUser as getJiraUser,
+  getIssue as getJiraIssue,
+  searchAllIssues as searchJiraIssues,
+} from "./api/jira-rest.js";
+import StatusSyncUtils from "./utils/StatusSyncUtils.js";
+import IssueLinkCache from "./utils/IssueLinkCache.js";
+import JobQueue from "./utils/JobQueue.js";
+import DryRunUtils from "./utils/DryRunUtils.js";
+import TimeSyncUtils from "./utils/TimeSyncUtils.js";
+import SimpleTimeComparisonUtils from "./utils/SimpleTimeComparisonUtils.js";
+import TimerUtils from "./utils/TimerUtils.js";
+import WeekSyncUtils from "./utils/WeekSyncUtils.js";
+import GitTemplateUtils from "./utils/GitTemplateUtils.js";
 
 /**
  * Background service worker for the extension
  */
 class BackgroundService {
   constructor() {
+    // This week's Redmine hours per issue for board cards, see getBoardStatus()
+    this.weekHours = null;
     this.init();
   }
 
@@ -15,8 +38,12 @@ class BackgroundService {
    * Initialize background service
    */
   init() {
+    DryRunUtils.install();
     this.setupEventListeners();
     this.setupContextMenus();
+    this.scheduleStatusSync();
+    this.resumeJobs();
+    this.restoreTimer();
     console.log("Times Set Helper background service initialized");
   }
 
@@ -44,6 +71,27 @@ class BackgroundService {
     chrome.notifications.onClicked.addListener((notificationId) => {
       this.onNotificationClicked(notificationId);
     });
+
+    chrome.notifications.onButtonClicked.addListener(
+      (notificationId, buttonIndex) => {
+        this.onNotificationButtonClicked(notificationId, buttonIndex);
+      }
+    );
+
+    chrome.notifications.onClosed.addListener((notificationId, byUser) => {
+      this.onNotificationClosed(notificationId, byUser);
+    });
+
+    // Inactivity while a timer runs
+    chrome.idle.setDetectionInterval(CONFIG.TIMER.IDLE_THRESHOLD_MINUTES * 60);
+    chrome.idle.onStateChanged.addListener((state) => {
+      this.onIdleStateChanged(state);
+    });
+
+    // Periodic jobs
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.onAlarm(alarm);
+    });
   }
 
   /**
@@ -150,16 +198,170 @@ class BackgroundService {
           sendResponse(searchResult);
           break;
 
+        case "resolveRedmineLink":
+          const linkResult = await this.resolveRedmineLink(
+            request.jiraKey,
+            request.jiraUrl
+          );
+          sendResponse(linkResult);
+          break;
+
+        case "getRedmineLinkCandidates":
+          const candidatesResult = await this.getRedmineLinkCandidates(
+            request.jiraKey,
+            request.jiraUrl
+          );
+          sendResponse(candidatesResult);
+          break;
+
+        case "pinRedmineLink":
+          const pinResult = await this.pinRedmineLink(
+            request.jiraKey,
+            request.redmineIssueId
+          );
+          sendResponse(pinResult);
+          break;
+
+        case "resetRedmineLink":
+          await IssueLinkCache.invalidate(request.jiraKey);
+          sendResponse({ success: true });
+          break;
+
         case "createTimeEntry":
           const createResult = await this.createTimeEntry(request.data);
           sendResponse(createResult);
           break;
 
+        case "getTimeActivities":
+          const activitiesResult = await this.getTimeActivities();
+          sendResponse(activitiesResult);
+          break;
+
+        case "logTime":
+          const logTimeResult = await this.logTime(request.data);
+          sendResponse(logTimeResult);
+          break;
+
+        case "getTimer":
+          const timerState = await TimerUtils.getState();
+          sendResponse({ success: true, ...timerState });
+          break;
+
+        case "startTimer":
+          const startResult = await TimerUtils.start(request.issue);
+          sendResponse({ success: true, ...startResult });
+          break;
+
+        case "pauseTimer":
+          const pausedTimer = await TimerUtils.pause();
+          sendResponse({ success: true, timer: pausedTimer });
+          break;
+
+        case "resumeTimer":
+          const resumedTimer = await TimerUtils.resume();
+          sendResponse({ success: true, timer: resumedTimer });
+          break;
+
+        case "stopTimer":
+          const timerEntry = await TimerUtils.stop();
+          sendResponse({ success: true, entry: timerEntry });
+          break;
+
+        case "resolveIdle":
+          const splitEntry = await TimerUtils.resolveIdle(
+            request.timerId,
+            request.choice
+          );
+          chrome.notifications.clear(`timer-idle:${request.timerId}`);
+          sendResponse({ success: true, splitEntry });
+          break;
+
+        case "discardTimerEntry":
+          await TimerUtils.removeEntry(request.entryId);
+          sendResponse({ success: true });
+          break;
+
         case "createRedmineIssue":
           const issueResult = await this.createRedmineIssue(request.data);
           sendResponse(issueResult);
           break;
 
+        case "getBoardStatus":
+          const boardStatus = await this.getBoardStatus(request.jiraKeys);
+          sendResponse(boardStatus);
+          break;
+
+        case "createRedmineIssues":
+          const issuesResult = await this.createRedmineIssues(
+            request.issues,
+            request.jiraUrl
+          );
+          sendResponse(issuesResult);
+          break;
+
+        case "renderGitTemplates":
+          const templatesResult = await this.renderGitTemplates(request);
+          sendResponse(templatesResult);
+          break;
+
+        case "scheduleStatusSync":
+          await this.scheduleStatusSync();
+          sendResponse({ success: true });
+          break;
+
+        case "runStatusSync":
+          const statusSyncResult = await this.runStatusSync();
+          sendResponse(statusSyncResult);
+          break;
+
+        case "enqueueJob":
+          const job = await JobQueue.enqueue(request.job);
+          sendResponse({ success: true, job });
+          break;
+
+        case "getJobs":
+          const jobs = await JobQueue.list();
+          sendResponse({ success: true, jobs });
+          break;
+
+        case "pauseJob":
+          await JobQueue.pause(request.jobId);
+          sendResponse({ success: true });
+          break;
+
+        case "resumeJob":
+          await JobQueue.resume(request.jobId);
+          sendResponse({ success: true });
+          break;
+
+        case "cancelJob":
+          await JobQueue.cancel(request.jobId);
+          sendResponse({ success: true });
+          break;
+
+        case "retryJob":
+          await JobQueue.retryFailed(request.jobId);
+          sendResponse({ success: true });
+          break;
+
+        case "clearFinishedJobs":
+          await JobQueue.clearFinished();
+          sendResponse({ success: true });
+          break;
+
+        case "upsertBulkTransaction":
+          await JobQueue.upsertTransaction(request.transaction);
+          sendResponse({ success: true });
+          break;
+
+        case "addBulkTransactionRecords":
+          await JobQueue.addTransactionRecords(
+            request.transactionId,
+            request.records
+          );
+          sendResponse({ success: true });
+          break;
+
         case "openOptions":
           chrome.runtime.openOptionsPage();
           sendResponse({ success: true });
@@ -210,6 +412,87 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Handle buttons of timer notifications
+   */
+  async onNotificationButtonClicked(notificationId, buttonIndex) {
+    const [type, timerId] = notificationId.split(/:(.*)/);
+
+    try {
+      if (type === "timer-idle") {
+        await TimerUtils.resolveIdle(
+          timerId,
+          buttonIndex === 0 ? "discard" : "split"
+        );
+      } else if (type === "timer-reminder" && buttonIndex === 0) {
+        await TimerUtils.stop();
+      }
+      chrome.notifications.clear(notificationId);
+    } catch (error) {
+      console.error("Error handling notification button:", error);
+    }
+  }
+
+  /**
+   * Closing the idle prompt keeps the idle time
+   */
+  async onNotificationClosed(notificationId, byUser) {
+    if (!byUser || !notificationId.startsWith("timer-idle:")) return;
+
+    try {
+      await TimerUtils.resolveIdle(notificationId.split(/:(.*)/)[1], "keep");
+    } catch (error) {
+      console.error("Error keeping idle time:", error);
+    }
+  }
+
+  /**
+   * Track inactivity of a running timer and ask about it when the user is back
+   * @param {string} state - "active", "idle" or "locked"
+   */
+  async onIdleStateChanged(state) {
+    try {
+      if (state !== "active") {
+        await TimerUtils.markIdle(state);
+        return;
+      }
+
+      const timer = await TimerUtils.endIdle();
+      if (!timer) return;
+
+      const minutes = Math.round(timer.pendingIdle.ms / 60000);
+      chrome.notifications.create(`timer-idle:${TimerUtils.getId(timer)}`, {
+        type: "basic",
+        iconUrl: "images/icon48.png",
+        title: "Idle Time",
+        message: `You were idle ${minutes} min on ${timer.jiraKey} — keep, discard or split? Close to keep it.`,
+        buttons: [{ title: "Discard" }, { title: "Split into its own entry" }],
+        requireInteraction: true,
+      });
+    } catch (error) {
+      console.error("Error handling idle state:", error);
+    }
+  }
+
+  /**
+   * Remind about a timer that has been running for long
+   */
+  async remindLongRunningTimer() {
+    const timer = await TimerUtils.checkReminder();
+    if (!timer) return;
+
+    chrome.notifications.create(`timer-reminder:${TimerUtils.getId(timer)}`, {
+      type: "basic",
+      iconUrl: "images/icon48.png",
+      title: "Timer Still Running",
+      message: `The timer on ${timer.jiraKey} has been running for ${TimerUtils.formatBadge(
+        TimerUtils.getElapsedMs(timer)
+      )}. Forgot to stop it?`,
+      buttons: [{ title: "Stop timer" }, { title: "Keep running" }],
+      requireInteraction: true,
+    });
+  }
+
   /**
    * Auto-detect Redmine links in current Jira page
    */
@@ -220,10 +503,9 @@ class BackgroundService {
         return; // Can't search without Redmine settings
       }
 
-      const linkData = await JiraAPI.findLinkedRedmineTasks(
+      const linkData = await this.findLinkedRedmineTasks(
         tabId,
-        redmineSettings,
-        searchIssues
+        redmineSettings
       );
 
       if (linkData.success && linkData.hasLinkedTasks) {
@@ -260,6 +542,19 @@ class BackgroundService {
       throw new Error("Redmine settings not configured");
     }
 
+    const linkData = await this.findLinkedRedmineTasks(tabId, redmineSettings);
+
+    if (linkData.success) {
+      await JiraAPI.showLinkNotification(linkData);
+    }
+
+    return linkData;
+  }
+
+  /**
+   * Find Redmine tasks linked to the Jira task in a tab, honouring a pinned link
+   */
+  async findLinkedRedmineTasks(tabId, redmineSettings) {
     const linkData = await JiraAPI.findLinkedRedmineTasks(
       tabId,
       redmineSettings,
@@ -267,7 +562,11 @@ class BackgroundService {
     );
 
     if (linkData.success) {
-      await JiraAPI.showLinkNotification(linkData);
+      linkData.redmineTasks = await IssueLinkCache.applyPin(
+        linkData.jiraTask.taskId,
+        linkData.redmineTasks
+      );
+      linkData.hasLinkedTasks = linkData.redmineTasks.length > 0;
     }
 
     return linkData;
@@ -329,6 +628,10 @@ class BackgroundService {
       // Use the statically imported create function
       const result = await createTimeEntry(data, redmineSettings);
 
+      if (result.dryRun) {
+        return DryRunUtils.notSent(result, "Time entry");
+      }
+
       if (result.success) {
         // Update local storage
         const timeEntries = await Storage.getTimeEntries();
@@ -351,6 +654,211 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Load Redmine time entry activities together with the configured default
+   */
+  async getTimeActivities() {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const result = await fetchActivities(redmineSettings);
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        activities: result.activities.filter(
+          (activity) => activity.active !== false
+        ),
+        defaultActivityId: parseInt(redmineSettings.activityId) || null,
+      };
+    } catch (error) {
+      console.error("Error loading time entry activities:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Log the same time to Tempo and to the linked Redmine issue.
+   * Each target reports its own result, a failure on one side does not undo the other
+   * @param {Object} data - {jiraKey, jiraUrl, hours, date, comment, activityId,
+   *   targets: {tempo, redmine}, timerEntryId}; both targets are used by default
+   * @returns {Promise<Object>} {success, tempo, redmine}, a skipped target is null
+   */
+  async logTime(data) {
+    try {
+      const hours = parseFloat(data?.hours);
+      if (!data?.jiraKey || !data.date || !(hours > 0)) {
+        throw new Error("Jira issue, date and hours are required");
+      }
+
+      const targets = { tempo: true, redmine: true, ...data.targets };
+      if (!targets.tempo && !targets.redmine) {
+        throw new Error("Choose Tempo, Redmine or both");
+      }
+
+      const entry = { ...data, hours, comment: (data.comment || "").trim() };
+      const [tempo, redmine] = await Promise.all([
+        targets.tempo ? this.logTimeToTempo(entry) : null,
+        targets.redmine ? this.logTimeToRedmine(entry) : null,
+      ]);
+
+      if (tempo?.entry && redmine?.entry) {
+        await TimeSyncUtils.recordLink(tempo.entry, redmine.entry);
+      }
+
+      const success = [tempo, redmine].every((result) => !result || result.success);
+      // A stopped timer entry is kept until every chosen target has it
+      if (success && data.timerEntryId) {
+        await TimerUtils.removeEntry(data.timerEntryId);
+      }
+
+      if (tempo?.success || redmine?.success) {
+        chrome.notifications.create({
+          type: "basic",
+          iconUrl: "images/icon48.png",
+          title: "Time Logged",
+          message: `Logged ${hours}h on ${entry.jiraKey} for ${entry.date}`,
+        });
+      }
+
+      return {
+        success,
+        tempo: tempo && this.withoutEntry(tempo),
+        redmine: redmine && this.withoutEntry(redmine),
+      };
+    } catch (error) {
+      console.error("Error logging time:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create the Tempo worklog of logTime
+   * @param {Object} entry - Validated logTime data
+   * @returns {Promise<Object>} {success, error, worklogId, entry}
+   */
+  async logTimeToTempo(entry) {
+    try {
+      const tempoSettings = await Storage.getTempoSettings();
+      if (!tempoSettings.apiToken) {
+        throw new Error("Tempo settings not configured");
+      }
+
+      // Tempo needs the author explicitly, the token alone does not identify the user
+      const jiraSettings = await Storage.getJiraSettings();
+      if (!jiraSettings.url || !jiraSettings.email || !jiraSettings.apiToken) {
+        throw new Error("Jira settings are needed to find the worklog author");
+      }
+      const user = await getJiraUser(jiraSettings);
+      if (!user.success) {
+        return user;
+      }
+      const authorAccountId = user.user.accountId;
+
+      const result = await createWorklog(
+        {
+          issueKey: entry.jiraKey,
+          timeSpentSeconds: Math.round(entry.hours * 3600),
+          startDate: entry.date,
+          description: entry.comment,
+          authorAccountId,
+        },
+        tempoSettings
+      );
+
+      if (result.dryRun) {
+        return DryRunUtils.notSent(result, "Tempo worklog");
+      }
+      if (!result.success) {
+        return result;
+      }
+
+      const worklogId = result.worklog.tempoWorklogId;
+      return {
+        success: true,
+        worklogId,
+        entry: {
+          tempoId: worklogId,
+          date: entry.date,
+          hours: entry.hours,
+          description: entry.comment,
+          jiraTask: entry.jiraKey,
+        },
+      };
+    } catch (error) {
+      console.error("Error logging time to Tempo:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create the Redmine time entry of logTime on the issue linked to the Jira issue
+   * @param {Object} entry - Validated logTime data
+   * @returns {Promise<Object>} {success, error, timeEntryId, issueId, entry}
+   */
+  async logTimeToRedmine(entry) {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const issues = await IssueLinkCache.resolve(
+        [entry.jiraKey],
+        redmineSettings,
+        () => [entry.jiraUrl, entry.jiraKey].filter(Boolean)
+      );
+      const issue = issues[entry.jiraKey];
+      if (!issue) {
+        throw new Error(`No Redmine task linked to ${entry.jiraKey}`);
+      }
+
+      const result = await createTimeEntry(
+        {
+          date: entry.date,
+          time: entry.hours,
+          comment: entry.comment,
+          task: String(issue.id),
+          activityId: entry.activityId,
+        },
+        redmineSettings
+      );
+
+      if (result.dryRun) {
+        return DryRunUtils.notSent(result, "Time entry");
+      }
+      if (!result.success) {
+        return result;
+      }
+
+      const created = result.result.time_entry;
+      return {
+        success: true,
+        timeEntryId: created.id,
+        issueId: issue.id,
+        entry: SimpleTimeComparisonUtils.normalizeRedmineEntries([created])[0],
+      };
+    } catch (error) {
+      console.error("Error logging time to Redmine:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Drop the normalized entry from a logTime target result before sending it
+   * @param {Object} result - Target result
+   * @returns {Object} Result without the entry
+   */
+  withoutEntry({ entry, ...result }) {
+    return result;
+  }
+
   /**
    * Create Redmine issue
    */
@@ -362,8 +870,7 @@ class BackgroundService {
         throw new Error("Redmine settings not configured");
       }
 
-      // Use the statically imported create function
-      const result = await createIssue(data, redmineSettings);
+      const result = await this.createLinkedIssue(data, redmineSettings);
 
       if (result.success) {
         // Show success notification
@@ -381,6 +888,451 @@ class BackgroundService {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Create a Redmine issue with the stored field mapping and remember its Jira link
+   * @param {Object} data - Issue data with jiraKey and projectId
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} {success, issue, error}
+   */
+  async createLinkedIssue(data, redmineSettings) {
+    const mapping = await Storage.getIssueMapping(data.projectId);
+    const result = await createIssue(data, redmineSettings, mapping);
+
+    if (result.dryRun) {
+      return DryRunUtils.notSent(result, "Redmine task");
+    }
+
+    if (result.success) {
+      await IssueLinkCache.record(data.jiraKey, result.issue);
+    }
+
+    return result;
+  }
+
+  /**
+   * Create Redmine issues for several Jira board cards, one after another
+   * @param {Array} issues - [{jiraKey, title}]
+   * @param {string} jiraUrl - Board URL, selects the Redmine project by the Jira project mappings
+   * @returns {Promise<Object>} {success, results: [{jiraKey, success, issue, error}]}
+   */
+  async createRedmineIssues(issues, jiraUrl) {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const origin = new URL(jiraUrl).origin;
+      const projectId = await this.resolveRedmineProject(origin);
+      const jiraFields = await this.fetchJiraStatusAndPriority(
+        issues.map((issue) => issue.jiraKey)
+      );
+      const results = [];
+
+      for (const issue of issues) {
+        const result = await this.createLinkedIssue(
+          {
+            jiraKey: issue.jiraKey,
+            subject: `${issue.jiraKey}: ${issue.title || issue.jiraKey}`,
+            description: `${origin}/browse/${issue.jiraKey}`,
+            projectId,
+            // Picked up by the project's status and priority mapping
+            jiraPriority: jiraFields[issue.jiraKey]?.priority || "",
+            jiraStatus: jiraFields[issue.jiraKey]?.status || "",
+          },
+          redmineSettings
+        );
+        results.push({
+          jiraKey: issue.jiraKey,
+          success: result.success,
+          issue: result.issue || null,
+          error: result.error || null,
+        });
+      }
+
+      const created = results.filter((result) => result.success).length;
+      if (created > 0) {
+        chrome.notifications.create({
+          type: "basic",
+          iconUrl: "images/icon48.png",
+          title: "Redmine Tasks Created",
+          message: `Created ${created} of ${issues.length} tasks from the board`,
+        });
+      }
+
+      return { success: true, results };
+    } catch (error) {
+      console.error("Error creating Redmine issues:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Status and priority of Jira issues, searched in batches of keys.
+   * Without Jira settings or on errors the issues are created with the Redmine defaults.
+   * @param {Array<string>} jiraKeys - Jira keys
+   * @returns {Promise<Object>} Map of Jira key to {status, priority}
+   */
+  async fetchJiraStatusAndPriority(jiraKeys) {
+    const fields = {};
+    const jiraSettings = await Storage.getJiraSettings();
+    if (!jiraSettings.url || !jiraSettings.email || !jiraSettings.apiToken) {
+      return fields;
+    }
+
+    const batchSize = CONFIG.JIRA.KEY_BATCH_SIZE;
+    for (let i = 0; i < jiraKeys.length; i += batchSize) {
+      const batch = jiraKeys.slice(i, i + batchSize);
+
+      // validateQuery=warn keeps the query working when some keys no longer exist
+      const result = await searchJiraIssues(
+        `key in (${batch.join(",")})`,
+        jiraSettings,
+        { fields: ["status", "priority"], validateQuery: "warn" }
+      );
+
+      if (!result.success) {
+        console.warn("Jira fields not loaded for board tasks:", result.error);
+        continue;
+      }
+
+      result.issues.forEach((issue) => {
+        fields[issue.key] = {
+          status: issue.fields?.status?.name || "",
+          priority: issue.fields?.priority?.name || "",
+        };
+      });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Find the Redmine project for a Jira site, like the issue badge does
+   * @param {string} jiraOrigin - Jira site origin
+   * @returns {Promise<string>} Redmine project ID
+   */
+  async resolveRedmineProject(jiraOrigin) {
+    const mappings = await Storage.getJiraProjectMappings();
+    const normalizedUrl = jiraOrigin.toLowerCase().replace(/\/$/, "");
+    const mapping = mappings.find((m) => {
+      const mappingUrl = m.jiraUrl.toLowerCase().replace(/\/$/, "");
+      return (
+        normalizedUrl.includes(mappingUrl) || mappingUrl.includes(normalizedUrl)
+      );
+    });
+
+    if (mapping) return mapping.redmineProjectId;
+
+    const jiraSettings = await Storage.getJiraSettings();
+    const redmineSettings = await Storage.getRedmineSettings();
+    return (
+      jiraSettings.defaultProject || redmineSettings.defaultProject || "1"
+    );
+  }
+
+  /**
+   * Linked Redmine issues and this week's logged hours for Jira board cards
+   * @param {Array<string>} jiraKeys - Keys of the visible cards
+   * @returns {Promise<Object>} {success, cards: {jiraKey: {issue, hours}}}
+   */
+  async getBoardStatus(jiraKeys) {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const issues = await IssueLinkCache.resolve(jiraKeys, redmineSettings);
+      const hoursByIssue = await this.getWeekHours(redmineSettings);
+
+      const cards = {};
+      jiraKeys.forEach((jiraKey) => {
+        const issue = issues[jiraKey] || null;
+        cards[jiraKey] = {
+          issue,
+          hours: issue ? hoursByIssue[issue.id] || 0 : 0,
+        };
+      });
+
+      return { success: true, cards };
+    } catch (error) {
+      console.error("Error loading board status:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Hours the current user logged in Redmine this week, per issue ID
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} Map of Redmine issue ID to hours
+   */
+  async getWeekHours(redmineSettings) {
+    const { startDate, endDate } = WeekSyncUtils.getWeekRange(
+      WeekSyncUtils.formatDate(new Date())
+    );
+
+    // Cards arrive in several batches while the board renders, and batches
+    // sent together share the request that is still running
+    if (
+      this.weekHours?.startDate === startDate &&
+      Date.now() - this.weekHours.fetchedAt < CONFIG.BOARD.HOURS_TTL_MS
+    ) {
+      return this.weekHours.hoursByIssue;
+    }
+
+    const hoursByIssue = this.fetchWeekHours(
+      startDate,
+      endDate,
+      redmineSettings
+    );
+    const cached = { startDate, fetchedAt: Date.now(), hoursByIssue };
+    this.weekHours = cached;
+
+    try {
+      return await hoursByIssue;
+    } catch (error) {
+      // A failed request is not cached so the next batch tries again
+      if (this.weekHours === cached) this.weekHours = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Sum Redmine hours of a date range per issue ID
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} Map of Redmine issue ID to hours
+   */
+  async fetchWeekHours(startDate, endDate, redmineSettings) {
+    const result = await fetchTimeEntries(startDate, endDate, redmineSettings);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const hoursByIssue = {};
+    result.timeEntries.forEach((entry) => {
+      if (!entry.issue?.id) return;
+      hoursByIssue[entry.issue.id] =
+        (hoursByIssue[entry.issue.id] || 0) + entry.hours;
+    });
+
+    return hoursByIssue;
+  }
+
+  /**
+   * Branch name and commit message for a Jira issue from the stored templates
+   * @param {Object} data - {jiraKey, summary, redmineId}
+   * @returns {Promise<Object>} {success, branchName, commitMessage}
+   */
+  async renderGitTemplates(data) {
+    try {
+      const issue = {
+        key: data.jiraKey,
+        summary: data.summary,
+        redmineId: data.redmineId,
+      };
+
+      // Type and assignee are only known to the Jira API
+      const jiraSettings = await Storage.getJiraSettings();
+      if (jiraSettings.url && jiraSettings.email && jiraSettings.apiToken) {
+        const result = await getJiraIssue(data.jiraKey, jiraSettings);
+        if (result.success) {
+          const fields = result.issue.fields || {};
+          issue.summary = issue.summary || fields.summary;
+          issue.type = fields.issuetype?.name;
+          issue.assignee = fields.assignee?.displayName;
+        } else {
+          console.warn("Jira issue not loaded for git templates:", result.error);
+        }
+      }
+
+      if (!issue.redmineId) {
+        const link = await IssueLinkCache.get(data.jiraKey);
+        issue.redmineId = link?.redmineIssueId;
+      }
+
+      const templates = await Storage.getGitTemplates();
+      return { success: true, ...GitTemplateUtils.renderAll(issue, templates) };
+    } catch (error) {
+      console.error("Error rendering git templates:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Find the Redmine issue linked to a Jira issue, using the link cache
+   * @param {string} jiraKey - Jira issue key
+   * @param {string} jiraUrl - Jira issue URL, searched before the key
+   */
+  async resolveRedmineLink(jiraKey, jiraUrl) {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const issues = await IssueLinkCache.resolve(
+        [jiraKey],
+        redmineSettings,
+        () => [jiraUrl, jiraKey]
+      );
+
+      return { success: true, issue: issues[jiraKey] || null };
+    } catch (error) {
+      console.error("Error resolving Redmine link:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Search Redmine for issues the user can link a Jira issue to
+   * @param {string} jiraKey - Jira issue key
+   * @param {string} jiraUrl - Jira issue URL
+   */
+  async getRedmineLinkCandidates(jiraKey, jiraUrl) {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const result = await IssueLinkCache.getCandidates(
+        jiraKey,
+        redmineSettings,
+        jiraUrl
+      );
+      return { success: true, ...result };
+    } catch (error) {
+      console.error("Error loading Redmine link candidates:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pin a Jira issue to a Redmine issue chosen by the user
+   * @param {string} jiraKey - Jira issue key
+   * @param {number} redmineIssueId - Redmine issue ID
+   */
+  async pinRedmineLink(jiraKey, redmineIssueId) {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+
+      const issue = await IssueLinkCache.pinVerified(
+        jiraKey,
+        redmineIssueId,
+        redmineSettings
+      );
+      return { success: true, issue };
+    } catch (error) {
+      console.error("Error pinning Redmine link:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Handle alarms
+   */
+  async onAlarm(alarm) {
+    if (alarm.name === CONFIG.STATUS_SYNC.ALARM_NAME) {
+      await this.runStatusSync();
+    } else if (alarm.name === CONFIG.JOBS.ALARM_NAME) {
+      await JobQueue.process();
+    } else if (alarm.name === CONFIG.TIMER.ALARM_NAME) {
+      await TimerUtils.refreshBadge();
+      await this.remindLongRunningTimer();
+    }
+  }
+
+  /**
+   * Show a timer left running by a previous browser session on the action badge
+   */
+  async restoreTimer() {
+    try {
+      await TimerUtils.refreshBadge();
+    } catch (error) {
+      console.error("Error restoring timer:", error);
+    }
+  }
+
+  /**
+   * Continue jobs left by a previous service worker instance
+   */
+  async resumeJobs() {
+    try {
+      await JobQueue.recover();
+      await JobQueue.process();
+    } catch (error) {
+      console.error("Error resuming jobs:", error);
+    }
+  }
+
+  /**
+   * Create or clear the status sync alarm according to settings
+   */
+  async scheduleStatusSync() {
+    try {
+      const settings = await Storage.getStatusSyncSettings();
+
+      if (settings.enabledProjects.length === 0) {
+        await chrome.alarms.clear(CONFIG.STATUS_SYNC.ALARM_NAME);
+        return;
+      }
+
+      const periodInMinutes =
+        settings.intervalMinutes || CONFIG.STATUS_SYNC.DEFAULT_INTERVAL_MINUTES;
+      const existing = await chrome.alarms.get(CONFIG.STATUS_SYNC.ALARM_NAME);
+
+      if (existing?.periodInMinutes !== periodInMinutes) {
+        await chrome.alarms.create(CONFIG.STATUS_SYNC.ALARM_NAME, {
+          delayInMinutes: 1,
+          periodInMinutes,
+        });
+      }
+    } catch (error) {
+      console.error("Error scheduling status sync:", error);
+    }
+  }
+
+  /**
+   * Sync Redmine issue statuses from Jira
+   */
+  async runStatusSync() {
+    try {
+      const redmineSettings = await Storage.getRedmineSettings();
+      const jiraSettings = await Storage.getJiraSettings();
+
+      if (!redmineSettings.url || !redmineSettings.apiKey) {
+        throw new Error("Redmine settings not configured");
+      }
+      if (!jiraSettings.url || !jiraSettings.email || !jiraSettings.apiToken) {
+        throw new Error("Jira settings not configured");
+      }
+
+      const result = await StatusSyncUtils.run(redmineSettings, jiraSettings);
+
+      if (result.success) {
+        console.log(
+          `🔄 Status sync: ${result.result.updated} of ${result.result.checked} issues updated`
+        );
+      }
+
+      return result;
+    } catch (error) {
+      console.error("Error syncing Redmine statuses:", error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Initialize background service
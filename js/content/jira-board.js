@@ -0,0 +1,315 @@
+const BOARD_SELECTORS = {
+  // Карточки задач на доске (новая и старая разметка Jira)
+  CARD: '[data-testid="platform-board-kit.ui.card.card"], .ghx-issue[data-issue-key]',
+
+  // Ключ задачи внутри карточки
+  KEY: '[data-testid="platform-card.common.ui.key.key"], .ghx-key',
+
+  // Название задачи внутри карточки
+  SUMMARY:
+    '[data-testid="platform-card.common.ui.summary.summary"], .ghx-summary',
+};
+
+const JIRA_KEY_PATTERN = /([A-Z][A-Z0-9]+-\d+)/;
+
+class JiraBoardCards {
+  constructor() {
+    this.redmineSettings = null;
+    this.statuses = new Map(); // Jira key → {issue, hours}, null если загрузить не удалось
+    this.pending = new Set(); // ключи, для которых запрос уже отправлен
+    this.selected = new Set(); // ключи, выбранные для создания задач
+    this.scanTimeout = null;
+    this.selectionBar = null;
+
+    this.init();
+  }
+
+  /**
+   * Инициализация: следим за карточками, пока открыта доска
+   */
+  async init() {
+    try {
+      const result = await chrome.storage.local.get("redmine_settings");
+      this.redmineSettings = result.redmine_settings || {};
+
+      if (!this.redmineSettings.url || !this.redmineSettings.apiKey) {
+        console.log("🎫 Jira Board: Redmine not configured");
+        return;
+      }
+
+      // Доска рисует карточки постепенно и перерисовывает их при перетаскивании
+      const observer = new MutationObserver(() => this.scheduleScan());
+      observer.observe(document.body, { childList: true, subtree: true });
+      this.scan();
+    } catch (error) {
+      console.error("🎫 Jira Board Error:", error);
+    }
+  }
+
+  /**
+   * Открыта ли сейчас доска
+   */
+  isBoardPage() {
+    const path = window.location.pathname;
+    return path.includes("jira/software") && path.includes("/boards/");
+  }
+
+  /**
+   * Отложить сканирование, чтобы собрать изменения DOM в одну пачку
+   */
+  scheduleScan() {
+    clearTimeout(this.scanTimeout);
+    this.scanTimeout = setTimeout(() => this.scan(), 300);
+  }
+
+  /**
+   * Найти видимые карточки, отрисовать известные статусы и запросить новые одним сообщением
+   */
+  scan() {
+    if (!this.isBoardPage()) {
+      this.selected.clear();
+      this.renderSelectionBar();
+      return;
+    }
+
+    const missing = [];
+
+    document.querySelectorAll(BOARD_SELECTORS.CARD).forEach((card) => {
+      const key = this.getCardKey(card);
+      if (!key) return;
+
+      if (this.statuses.has(key)) {
+        const status = this.statuses.get(key);
+        if (status) this.renderMarker(card, key, status);
+      } else if (!this.pending.has(key)) {
+        missing.push(key);
+      }
+    });
+
+    if (missing.length > 0) {
+      this.loadStatuses([...new Set(missing)]);
+    }
+  }
+
+  /**
+   * Запросить у background связи с Redmine и часы за неделю для пачки карточек
+   */
+  async loadStatuses(keys) {
+    keys.forEach((key) => this.pending.add(key));
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getBoardStatus",
+        jiraKeys: keys,
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+
+      Object.entries(response.cards).forEach(([key, status]) =>
+        this.statuses.set(key, status)
+      );
+    } catch (error) {
+      console.error("🎫 Jira Board: Error loading card statuses:", error);
+      // Не повторяем запрос на каждое изменение DOM
+      keys.forEach((key) => this.statuses.set(key, null));
+    } finally {
+      keys.forEach((key) => this.pending.delete(key));
+    }
+
+    this.scan();
+  }
+
+  /**
+   * Извлечение ключа задачи из карточки
+   */
+  getCardKey(card) {
+    if (card.dataset.issueKey) return card.dataset.issueKey;
+
+    const sources = [
+      card.id,
+      card.querySelector(BOARD_SELECTORS.KEY)?.textContent,
+      card.querySelector('a[href*="/browse/"]')?.getAttribute("href"),
+    ];
+
+    for (const source of sources) {
+      const match = source?.match(JIRA_KEY_PATTERN);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Извлечение названия задачи из карточки
+   */
+  getCardTitle(card) {
+    return (
+      card.querySelector(BOARD_SELECTORS.SUMMARY)?.textContent?.trim() || ""
+    );
+  }
+
+  /**
+   * Отрисовать маркер Redmine на карточке, если он изменился
+   */
+  renderMarker(card, key, status) {
+    const state = status.issue
+      ? `linked-${status.issue.id}-${status.hours}`
+      : `missing-${this.selected.has(key)}`;
+
+    const existing = card.querySelector(".redmine-card-marker");
+    if (existing?.dataset.state === state) return;
+    existing?.remove();
+
+    const marker = document.createElement("div");
+    marker.className = "redmine-card-marker";
+    marker.dataset.state = state;
+
+    // Карточка реагирует на клики и перетаскивание, маркер их не пропускает
+    ["click", "mousedown", "pointerdown"].forEach((type) =>
+      marker.addEventListener(type, (e) => e.stopPropagation())
+    );
+
+    if (status.issue) {
+      marker.classList.add("linked");
+      marker.textContent = status.hours
+        ? `🔗 #${status.issue.id} · ${this.formatHours(status.hours)}h`
+        : `🔗 #${status.issue.id}`;
+      marker.title = `Redmine #${status.issue.id}: ${status.issue.subject}\n${this.formatHours(
+        status.hours
+      )}h logged this week`;
+      marker.addEventListener("click", () => {
+        window.open(
+          `${this.redmineSettings.url}/issues/${status.issue.id}`,
+          "_blank"
+        );
+      });
+    } else {
+      marker.classList.add("not-linked");
+      marker.title = "No linked Redmine task, select to create it";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.selected.has(key);
+      checkbox.addEventListener("change", () => {
+        if (checkbox.checked) {
+          this.selected.add(key);
+        } else {
+          this.selected.delete(key);
+        }
+        this.renderSelectionBar();
+      });
+
+      const label = document.createElement("label");
+      label.appendChild(checkbox);
+      label.append(" No Redmine");
+      marker.appendChild(label);
+    }
+
+    card.appendChild(marker);
+  }
+
+  /**
+   * Показать панель массового создания, пока выбраны карточки
+   */
+  renderSelectionBar() {
+    if (this.selected.size === 0) {
+      this.selectionBar?.remove();
+      this.selectionBar = null;
+      return;
+    }
+
+    if (!this.selectionBar) {
+      this.selectionBar = document.createElement("div");
+      this.selectionBar.className = "redmine-board-selection";
+
+      const createButton = document.createElement("button");
+      createButton.className = "selection-create";
+      createButton.addEventListener("click", () =>
+        this.createSelectedTasks(createButton)
+      );
+
+      const clearButton = document.createElement("button");
+      clearButton.className = "selection-clear";
+      clearButton.textContent = "✖";
+      clearButton.title = "Clear selection";
+      clearButton.addEventListener("click", () => {
+        this.selected.clear();
+        this.renderSelectionBar();
+        this.scan();
+      });
+
+      this.selectionBar.appendChild(createButton);
+      this.selectionBar.appendChild(clearButton);
+      document.body.appendChild(this.selectionBar);
+    }
+
+    this.selectionBar.querySelector(".selection-create").textContent = `➕ Create ${
+      this.selected.size
+    } Redmine task${this.selected.size === 1 ? "" : "s"}`;
+  }
+
+  /**
+   * Создать задачи Redmine для всех выбранных карточек
+   */
+  async createSelectedTasks(button) {
+    const issues = [...this.selected].map((key) => {
+      const card = [...document.querySelectorAll(BOARD_SELECTORS.CARD)].find(
+        (item) => this.getCardKey(item) === key
+      );
+      return { jiraKey: key, title: card ? this.getCardTitle(card) : "" };
+    });
+
+    button.disabled = true;
+    button.textContent = `🔄 Creating ${issues.length}...`;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "createRedmineIssues",
+        issues,
+        jiraUrl: window.location.href,
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+
+      const failed = response.results.filter((result) => !result.success);
+      response.results
+        .filter((result) => result.success)
+        .forEach((result) => {
+          this.statuses.set(result.jiraKey, { issue: result.issue, hours: 0 });
+          this.selected.delete(result.jiraKey);
+        });
+
+      if (failed.length === 0) {
+        showNotification(
+          `✅ Created ${response.results.length} Redmine tasks`,
+          "success"
+        );
+      } else {
+        console.error("🎫 Jira Board: Failed to create tasks:", failed);
+        showNotification(
+          `⚠️ ${failed.length} of ${response.results.length} tasks failed: ${failed[0].error}`,
+          "warning"
+        );
+      }
+    } catch (error) {
+      console.error("🎫 Jira Board: Error creating tasks:", error);
+      showNotification(`❌ Error: ${error.message}`, "error");
+    } finally {
+      button.disabled = false;
+      this.renderSelectionBar();
+      this.scan();
+    }
+  }
+
+  /**
+   * Часы без лишних нулей
+   */
+  formatHours(hours) {
+    return Number(hours.toFixed(2)).toString();
+  }
+}
+
+new JiraBoardCards();
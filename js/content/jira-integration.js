@@ -29,6 +29,20 @@ class JiraIntegration {
     this.linkedTask = null;
     this.uiContainer = null;
     this.isBoardPage = isBoardPage;
+    this.timer = null;
+    this.timerInterval = null;
+    this.gitTemplates = null; // {branchName, commitMessage} для кнопок копирования
+    this.gitTemplatesRequest = null;
+    this.onStorageChanged = (changes, areaName) => {
+      if (areaName !== "local") return;
+      if (changes.timer) {
+        this.timer = changes.timer.newValue || null;
+        this.renderTimerControls();
+      }
+      if (changes.git_templates) {
+        this.renderGitTemplates();
+      }
+    };
 
     this.init();
   }
@@ -76,6 +90,7 @@ class JiraIntegration {
 
       await this.searchLinkedTask();
       this.createUI();
+      await this.loadTimer();
     } catch (error) {
       console.error("🎫 Jira Integration Error:", error);
     }
@@ -275,6 +290,24 @@ class JiraIntegration {
       );
     });
 
+    const linkButton = document.createElement("button");
+    linkButton.className = "action-button link-choose-button";
+    linkButton.title = "Choose Redmine task";
+    linkButton.textContent = "✏️";
+    linkButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleLinkPicker();
+    });
+
+    const logTimeButton = document.createElement("button");
+    logTimeButton.className = "action-button log-time-button";
+    logTimeButton.title = "Log time";
+    logTimeButton.textContent = "⏱️";
+    logTimeButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.toggleLogTimePanel();
+    });
+
     const actionButtons = document.createElement("div");
     actionButtons.className = "action-buttons";
 
@@ -286,6 +319,12 @@ class JiraIntegration {
 
     actionButtons.appendChild(columnButtons);
     actionButtons.appendChild(commitButton);
+    actionButtons.appendChild(linkButton);
+    actionButtons.appendChild(logTimeButton);
+
+    const timerControls = document.createElement("div");
+    timerControls.className = "timer-controls";
+    actionButtons.appendChild(timerControls);
 
     this.uiContainer.appendChild(actionButtons);
 
@@ -300,6 +339,8 @@ class JiraIntegration {
       this.uiContainer,
       targetContainer
     );
+    this.renderTimerControls();
+    this.renderGitTemplates();
     console.log("🎫 Jira Integration: Badge created and inserted");
   }
 
@@ -328,35 +369,544 @@ class JiraIntegration {
    */
   async searchLinkedTask() {
     try {
-      // Отправляем запрос в background script для поиска
+      // Background ищет сначала в кэше связей, потом по URL и по ID задачи
       const response = await chrome.runtime.sendMessage({
-        action: "searchInRedmine",
-        query: this.currentTaskUrl,
+        action: "resolveRedmineLink",
+        jiraKey: this.currentTaskId,
+        jiraUrl: this.currentTaskUrl,
       });
 
-      if (response.success && response.issues && response.issues.length > 0) {
-        this.linkedTask = response.issues[0]; // Берем первую найденную задачу
-        return;
+      this.linkedTask = response?.success ? response.issue : null;
+    } catch (error) {
+      console.error("Error searching linked task:", error);
+      this.linkedTask = null;
+    }
+  }
+
+  /**
+   * Показать/скрыть выбор Redmine задачи для текущей Jira задачи
+   */
+  async toggleLinkPicker() {
+    const existing = this.uiContainer?.querySelector(".redmine-link-picker");
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    this.uiContainer?.querySelector(".log-time-panel")?.remove();
+
+    const picker = document.createElement("div");
+    picker.className = "redmine-link-picker";
+    picker.textContent = "🔍 Searching Redmine...";
+    picker.addEventListener("click", (e) => e.stopPropagation());
+    this.uiContainer.appendChild(picker);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRedmineLinkCandidates",
+        jiraKey: this.currentTaskId,
+        jiraUrl: this.currentTaskUrl,
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
       }
 
-      // Пробуем поиск по ID задачи
-      const fallbackResponse = await chrome.runtime.sendMessage({
-        action: "searchInRedmine",
-        query: this.currentTaskId,
+      this.renderLinkPicker(picker, response.candidates, response.link);
+    } catch (error) {
+      console.error("Error loading Redmine candidates:", error);
+      picker.textContent = `❌ ${error.message}`;
+    }
+  }
+
+  /**
+   * Отрисовать кандидатов и поле для ввода ID задачи
+   */
+  renderLinkPicker(picker, candidates, link) {
+    picker.innerHTML = "";
+
+    const title = document.createElement("div");
+    title.className = "picker-title";
+    title.textContent = link?.pinned
+      ? `📌 Pinned to #${link.redmineIssueId}`
+      : "Choose the Redmine task for this issue";
+    picker.appendChild(title);
+
+    candidates.forEach((candidate) => {
+      const option = document.createElement("button");
+      option.className = "picker-option";
+      if (this.linkedTask && String(this.linkedTask.id) === String(candidate.id)) {
+        option.classList.add("current");
+      }
+      option.textContent = `#${candidate.id} ${candidate.subject}`;
+      option.title = candidate.project;
+      option.addEventListener("click", () => this.pinLink(candidate.id));
+      picker.appendChild(option);
+    });
+
+    if (candidates.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "picker-empty";
+      empty.textContent = "No candidates found";
+      picker.appendChild(empty);
+    }
+
+    const manual = document.createElement("div");
+    manual.className = "picker-manual";
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "1";
+    input.placeholder = "Redmine task ID";
+
+    const pinButton = document.createElement("button");
+    pinButton.textContent = "📌 Pin";
+    pinButton.addEventListener("click", () => {
+      const id = parseInt(input.value);
+      if (id) this.pinLink(id);
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") pinButton.click();
+    });
+
+    manual.appendChild(input);
+    manual.appendChild(pinButton);
+
+    if (link?.pinned) {
+      const resetButton = document.createElement("button");
+      resetButton.textContent = "↩️ Auto";
+      resetButton.title = "Forget the pinned task and search again";
+      resetButton.addEventListener("click", () => this.resetLink());
+      manual.appendChild(resetButton);
+    }
+
+    picker.appendChild(manual);
+  }
+
+  /**
+   * Показать/скрыть панель списания времени в Tempo и Redmine
+   */
+  async toggleLogTimePanel(timerEntry = null) {
+    const existing = this.uiContainer?.querySelector(".log-time-panel");
+    if (existing) {
+      existing.remove();
+      if (!timerEntry) return;
+    }
+
+    // Панели открываются на одном месте под бейджем
+    this.uiContainer?.querySelector(".redmine-link-picker")?.remove();
+
+    const panel = document.createElement("div");
+    panel.className = "log-time-panel";
+    panel.addEventListener("click", (e) => e.stopPropagation());
+    this.uiContainer.appendChild(panel);
+
+    this.renderLogTimePanel(panel, timerEntry);
+    await this.loadActivities(panel.querySelector(".log-time-activity"));
+  }
+
+  /**
+   * Отрисовать форму списания времени, заполненную по остановленному таймеру
+   */
+  renderLogTimePanel(panel, timerEntry) {
+    const title = document.createElement("div");
+    title.className = "picker-title";
+    title.textContent = this.linkedTask
+      ? `Log time to Tempo and Redmine #${this.linkedTask.id}`
+      : "Log time to Tempo (no linked Redmine task)";
+    panel.appendChild(title);
+
+    const fields = document.createElement("div");
+    fields.className = "log-time-fields";
+
+    const hoursInput = document.createElement("input");
+    hoursInput.type = "number";
+    hoursInput.min = "0.25";
+    hoursInput.step = "0.25";
+    hoursInput.placeholder = "Hours";
+    hoursInput.className = "log-time-hours";
+    hoursInput.value = timerEntry?.hours || "";
+
+    const dateInput = document.createElement("input");
+    dateInput.type = "date";
+    dateInput.className = "log-time-date";
+    dateInput.value = timerEntry?.date || this.formatDate(new Date());
+
+    fields.appendChild(hoursInput);
+    fields.appendChild(dateInput);
+    panel.appendChild(fields);
+
+    const commentInput = document.createElement("input");
+    commentInput.type = "text";
+    commentInput.className = "log-time-comment";
+    commentInput.placeholder = "Comment";
+    commentInput.value = timerEntry?.comment ?? (this.jiraTaskDetails?.title || "");
+    panel.appendChild(commentInput);
+
+    const activitySelect = document.createElement("select");
+    activitySelect.className = "log-time-activity";
+    activitySelect.disabled = true;
+    activitySelect.innerHTML = "<option>Loading activities...</option>";
+    panel.appendChild(activitySelect);
+
+    const targets = document.createElement("div");
+    targets.className = "log-time-targets";
+    ["tempo", "redmine"].forEach((target) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = target === "tempo" || !!this.linkedTask;
+      checkbox.dataset.target = target;
+      label.appendChild(checkbox);
+      label.append(target === "tempo" ? " Tempo" : " Redmine");
+      targets.appendChild(label);
+    });
+    panel.appendChild(targets);
+
+    if (timerEntry) {
+      panel.dataset.timerEntryId = timerEntry.id;
+    }
+
+    if (timerEntry?.pendingIdle) {
+      const idleNote = document.createElement("div");
+      idleNote.className = "log-time-idle";
+      idleNote.textContent = `💤 Includes ${Math.round(
+        timerEntry.pendingIdle.ms / 60000
+      )} min idle, answer the notification or use the popup to drop it`;
+      panel.appendChild(idleNote);
+    }
+
+    const submitButton = document.createElement("button");
+    submitButton.className = "log-time-submit";
+    submitButton.textContent = "⏱️ Log time";
+    submitButton.addEventListener("click", () =>
+      this.submitLogTime(panel, submitButton)
+    );
+    [hoursInput, commentInput].forEach((input) =>
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") submitButton.click();
+      })
+    );
+    panel.appendChild(submitButton);
+
+    const results = document.createElement("div");
+    results.className = "log-time-results";
+    panel.appendChild(results);
+
+    hoursInput.focus();
+  }
+
+  /**
+   * Загрузить виды деятельности Redmine в выпадающий список
+   */
+  async loadActivities(select) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getTimeActivities",
       });
 
-      if (
-        fallbackResponse.success &&
-        fallbackResponse.issues &&
-        fallbackResponse.issues.length > 0
-      ) {
-        this.linkedTask = fallbackResponse.issues[0]; // Берем первую найденную задачу
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+
+      select.innerHTML = "";
+      response.activities.forEach((activity) => {
+        const option = document.createElement("option");
+        option.value = activity.id;
+        option.textContent = activity.name;
+        option.selected =
+          activity.id === response.defaultActivityId ||
+          (!response.defaultActivityId && activity.is_default);
+        select.appendChild(option);
+      });
+      select.disabled = false;
+    } catch (error) {
+      console.error("Error loading Redmine activities:", error);
+      // Без списка Redmine возьмёт вид деятельности из настроек
+      select.innerHTML = "<option value=''>Default activity</option>";
+      select.title = error.message;
+    }
+  }
+
+  /**
+   * Списать время в Tempo и в связанную задачу Redmine одним действием
+   */
+  async submitLogTime(panel, submitButton) {
+    const hours = parseFloat(panel.querySelector(".log-time-hours").value);
+    const date = panel.querySelector(".log-time-date").value;
+    const results = panel.querySelector(".log-time-results");
+    const targets = {};
+    panel.querySelectorAll(".log-time-targets input").forEach((checkbox) => {
+      targets[checkbox.dataset.target] = checkbox.checked;
+    });
+
+    if (!(hours > 0) || !date) {
+      showNotification("❌ Enter hours and date", "error");
+      return;
+    }
+    if (!targets.tempo && !targets.redmine) {
+      showNotification("❌ Choose Tempo, Redmine or both", "error");
+      return;
+    }
+
+    submitButton.disabled = true;
+    submitButton.textContent = "🔄 Logging...";
+    results.innerHTML = "";
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "logTime",
+        data: {
+          jiraKey: this.currentTaskId,
+          jiraUrl: this.currentTaskUrl,
+          hours,
+          date,
+          comment: panel.querySelector(".log-time-comment").value,
+          activityId: panel.querySelector(".log-time-activity").value || null,
+          targets,
+          timerEntryId: panel.dataset.timerEntryId || null,
+        },
+      });
+
+      if (!response?.tempo && !response?.redmine) {
+        throw new Error(response?.error || "No response");
+      }
+
+      this.renderLogTimeResult(
+        results,
+        "Tempo",
+        response.tempo,
+        (result) => `worklog ${result.worklogId}`
+      );
+      this.renderLogTimeResult(
+        results,
+        "Redmine",
+        response.redmine,
+        (result) => `#${result.issueId}, entry ${result.timeEntryId}`
+      );
+
+      if (response.success) {
+        delete panel.dataset.timerEntryId;
+        showNotification(`✅ Logged ${hours}h on ${this.currentTaskId}`, "success");
+      } else if (response.tempo?.success || response.redmine?.success) {
+        // Повторная отправка должна списать время только туда, где не получилось
+        ["tempo", "redmine"]
+          .filter((target) => response[target]?.success)
+          .forEach((target) => {
+            panel.querySelector(
+              `.log-time-targets [data-target="${target}"]`
+            ).checked = false;
+          });
+        showNotification("⚠️ Time logged only partially", "warning");
       } else {
-        this.linkedTask = null; // Задача не найдена
+        showNotification("❌ Failed to log time", "error");
       }
     } catch (error) {
-      console.error("Error searching linked task:", error);
-      this.linkedTask = null;
+      console.error("Error logging time:", error);
+      showNotification(`❌ ${error.message}`, "error");
+    } finally {
+      submitButton.disabled = false;
+      submitButton.textContent = "⏱️ Log time";
+    }
+  }
+
+  /**
+   * Показать результат списания для одной системы
+   */
+  renderLogTimeResult(container, target, result, describe) {
+    if (!result) return;
+
+    const line = document.createElement("div");
+    line.className = `log-time-result ${result.success ? "success" : "error"}`;
+    line.textContent = result.success
+      ? `✅ ${target}: ${describe(result)}`
+      : `❌ ${target}: ${result.error}`;
+    container.appendChild(line);
+  }
+
+  /**
+   * Загрузить состояние таймера и следить за его изменениями
+   */
+  async loadTimer() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: "getTimer" });
+      this.timer = response?.success ? response.timer : null;
+    } catch (error) {
+      console.error("Error loading timer:", error);
+      this.timer = null;
+    }
+
+    chrome.storage.onChanged.addListener(this.onStorageChanged);
+    this.renderTimerControls();
+  }
+
+  /**
+   * Отрисовать кнопки таймера для текущей задачи
+   */
+  renderTimerControls() {
+    const controls = this.uiContainer?.querySelector(".timer-controls");
+    if (!controls) return;
+
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    controls.innerHTML = "";
+
+    const ownTimer = this.timer?.jiraKey === this.currentTaskId ? this.timer : null;
+
+    const mainButton = document.createElement("button");
+    mainButton.className = "action-button timer-button";
+    controls.appendChild(mainButton);
+
+    if (!ownTimer) {
+      mainButton.textContent = "▶️";
+      mainButton.title = this.timer
+        ? `Start timer (stops the timer of ${this.timer.jiraKey})`
+        : "Start timer";
+      mainButton.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.startTimer();
+      });
+      return;
+    }
+
+    mainButton.classList.add(ownTimer.status);
+    mainButton.title = "Stop timer and log time";
+    mainButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.stopTimer();
+    });
+
+    const updateElapsed = () => {
+      mainButton.textContent = `⏹️ ${this.formatElapsed(ownTimer)}`;
+    };
+    updateElapsed();
+    if (ownTimer.status === "running") {
+      this.timerInterval = setInterval(updateElapsed, 30000);
+    }
+
+    const pauseButton = document.createElement("button");
+    pauseButton.className = "action-button timer-pause-button";
+    const paused = ownTimer.status === "paused";
+    pauseButton.textContent = paused ? "▶️" : "⏸️";
+    pauseButton.title = paused ? "Resume timer" : "Pause timer";
+    pauseButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.sendTimerAction(paused ? "resumeTimer" : "pauseTimer");
+    });
+    controls.appendChild(pauseButton);
+  }
+
+  /**
+   * Запустить таймер для текущей задачи
+   */
+  async startTimer() {
+    const response = await this.sendTimerAction("startTimer", {
+      issue: {
+        jiraKey: this.currentTaskId,
+        jiraUrl: this.currentTaskUrl,
+        summary: this.jiraTaskDetails?.title || "",
+      },
+    });
+
+    if (response?.stoppedEntry) {
+      showNotification(
+        `⏹️ Timer of ${response.stoppedEntry.jiraKey} stopped, log it from the popup`,
+        "info"
+      );
+    }
+  }
+
+  /**
+   * Остановить таймер и открыть заполненную панель списания
+   */
+  async stopTimer() {
+    const response = await this.sendTimerAction("stopTimer");
+    if (response?.entry) {
+      await this.toggleLogTimePanel(response.entry);
+    }
+  }
+
+  /**
+   * Отправить команду таймеру в background
+   */
+  async sendTimerAction(action, payload = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, ...payload });
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+      return response;
+    } catch (error) {
+      console.error(`Error on ${action}:`, error);
+      showNotification(`❌ ${error.message}`, "error");
+      return null;
+    }
+  }
+
+  /**
+   * Время таймера в формате H:MM
+   */
+  formatElapsed(timer) {
+    const running =
+      timer.status === "running" && timer.resumedAt
+        ? Date.now() - timer.resumedAt
+        : 0;
+    const minutes = Math.floor(((timer.accumulatedMs || 0) + running) / 60000);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+  }
+
+  /**
+   * Форматирование даты в YYYY-MM-DD по локальному времени
+   */
+  formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Закрепить выбранную Redmine задачу за текущей Jira задачей
+   */
+  async pinLink(redmineIssueId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "pinRedmineLink",
+        jiraKey: this.currentTaskId,
+        redmineIssueId,
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+
+      this.linkedTask = response.issue;
+      this.createUI();
+      showNotification(
+        `📌 ${this.currentTaskId} linked to Redmine #${response.issue.id}`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error pinning Redmine task:", error);
+      showNotification(`❌ ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Сбросить закреплённую связь и найти задачу заново
+   */
+  async resetLink() {
+    try {
+      await chrome.runtime.sendMessage({
+        action: "resetRedmineLink",
+        jiraKey: this.currentTaskId,
+      });
+
+      await this.searchLinkedTask();
+      this.createUI();
+      showNotification("↩️ Redmine link reset", "info");
+    } catch (error) {
+      console.error("Error resetting Redmine link:", error);
+      showNotification(`❌ ${error.message}`, "error");
     }
   }
 
@@ -433,6 +983,7 @@ class JiraIntegration {
     const linkedProject = await this.getLinkedProject();
 
     return {
+      jiraKey: this.currentTaskId,
       subject: `${this.currentTaskId}: ${this.jiraTaskDetails.title}`,
       description: description,
       projectId: linkedProject || this.redmineSettings.defaultProject || "1", // Используем проект по умолчанию как строку
@@ -445,7 +996,7 @@ class JiraIntegration {
    * Копирование названия ветки в буфер обмена
    */
   async copyBranchName() {
-    const branchName = this.currentTaskId;
+    const branchName = this.gitTemplates?.branchName || this.currentTaskId;
     await copyToClipboard(
       branchName,
       `📋 Branch name copied: ${branchName}`,
@@ -457,7 +1008,9 @@ class JiraIntegration {
    * Копирование сообщения коммита в буфер обмена
    */
   async copyCommitMessage() {
-    const commitMessage = `${this.currentTaskId} ${this.jiraTaskDetails?.title}`;
+    const commitMessage =
+      this.gitTemplates?.commitMessage ||
+      `${this.currentTaskId} ${this.jiraTaskDetails?.title}`;
     await copyToClipboard(
       commitMessage,
       `📋 Commit message copied: ${commitMessage}`,
@@ -465,6 +1018,43 @@ class JiraIntegration {
     );
   }
 
+  /**
+   * Заранее получить название ветки и сообщение коммита по шаблонам из настроек:
+   * background обращается к Jira API, а запись в буфер обмена должна случиться
+   * сразу по клику. Пока ответа нет или при ошибке кнопки копируют текст в прежнем формате
+   */
+  async renderGitTemplates() {
+    const jiraKey = this.currentTaskId;
+    const request = (this.gitTemplatesRequest = {});
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "renderGitTemplates",
+        jiraKey,
+        summary: this.jiraTaskDetails?.title,
+        redmineId: this.linkedTask?.id,
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+
+      // Ответ на устаревший запрос (другая задача или новый рендер) не нужен
+      if (
+        request !== this.gitTemplatesRequest ||
+        jiraKey !== this.currentTaskId
+      ) {
+        return;
+      }
+      this.gitTemplates = {
+        branchName: response.branchName,
+        commitMessage: response.commitMessage,
+      };
+    } catch (error) {
+      console.error("Error rendering git templates:", error);
+    }
+  }
+
   /**
    * Очистка ресурсов и удаление UI элементов
    */
@@ -473,12 +1063,15 @@ class JiraIntegration {
 
     // Удаляем UI элементы
     this.removeExistingUI();
+    clearInterval(this.timerInterval);
+    chrome.storage.onChanged.removeListener(this.onStorageChanged);
 
     // Очищаем данные
     this.currentTaskId = null;
     this.currentTaskUrl = null;
     this.linkedTask = null;
     this.jiraTaskDetails = null;
+    this.gitTemplates = null;
     this.uiContainer = null;
 
     console.log("🎫 Jira Integration: Cleanup completed");
@@ -0,0 +1,251 @@
+import { Storage } from "../utils/storage.js";
+import { fetchActivities } from "../api/redmine.js";
+import ActivityRulesUtils from "../utils/ActivityRulesUtils.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages rules that map Jira issue type, labels and components to Redmine activities
+ */
+export class ActivityRulesManager {
+  constructor(redmineSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.rules = [];
+    this.activities = [];
+  }
+
+  /**
+   * Initialize activity rules manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.loadButton = document.getElementById(
+      "loadActivityRulesButton"
+    );
+    this.elements.addButton = document.getElementById("addActivityRuleButton");
+    this.elements.saveButton = document.getElementById(
+      "saveActivityRulesButton"
+    );
+    this.elements.editor = document.getElementById("activityRulesEditor");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.loadButton?.addEventListener("click", () =>
+      this.loadActivities()
+    );
+    this.elements.addButton?.addEventListener("click", () => this.addRule());
+    this.elements.saveButton?.addEventListener("click", () =>
+      this.saveRules()
+    );
+  }
+
+  /**
+   * Load stored rules
+   */
+  async loadSettings() {
+    try {
+      this.rules = await Storage.getActivityRules();
+      this.renderEditor();
+    } catch (error) {
+      console.error("Error loading activity rules:", error);
+      NotificationManager.error("Failed to load activity rules");
+    }
+  }
+
+  /**
+   * Fetch Redmine activities to choose from
+   */
+  async loadActivities() {
+    const button = this.elements.loadButton;
+    if (!button) return;
+
+    const originalText = button.textContent;
+    button.textContent = "🔄 Loading...";
+    button.disabled = true;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+
+      const result = await fetchActivities(redmineSettings);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.rules = this.readRules();
+      this.activities = result.activities.filter(
+        (activity) => activity.active !== false
+      );
+      this.renderEditor();
+      this.elements.addButton.disabled = false;
+    } catch (error) {
+      console.error("Error loading Redmine activities:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Render the rules table
+   */
+  renderEditor() {
+    const editor = this.elements.editor;
+    if (!editor) return;
+
+    if (this.rules.length === 0) {
+      editor.innerHTML =
+        '<div class="input-help">No rules yet. Load activities and add a rule.</div>';
+      return;
+    }
+
+    const rows = this.rules
+      .map(
+        (rule, index) => `
+        <tr data-index="${index}">
+          <td>
+            <select class="modern-select activity-rule-field">
+              ${Object.entries(ActivityRulesUtils.FIELDS)
+                .map(
+                  ([field, label]) =>
+                    `<option value="${field}" ${
+                      rule.field === field ? "selected" : ""
+                    }>${label}</option>`
+                )
+                .join("")}
+            </select>
+          </td>
+          <td>
+            <input type="text" class="modern-input activity-rule-value" value="${
+              rule.value || ""
+            }" placeholder="e.g. Bug" />
+          </td>
+          <td>
+            <select class="modern-select activity-rule-activity">
+              ${this.renderActivityOptions(rule.activityId)}
+            </select>
+          </td>
+          <td>
+            <button class="btn-small delete-btn activity-rule-remove" data-index="${index}">🗑️</button>
+          </td>
+        </tr>
+      `
+      )
+      .join("");
+
+    editor.innerHTML = `
+      <table class="missing-table activity-rules-table">
+        <thead>
+          <tr>
+            <th>Jira field</th>
+            <th>Value</th>
+            <th>Redmine activity</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    editor.querySelectorAll(".activity-rule-remove").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.removeRule(parseInt(button.dataset.index))
+      );
+    });
+
+    this.elements.saveButton.disabled = false;
+  }
+
+  /**
+   * Render activity options, keeping a stored ID that is not in the loaded list
+   * @param {number} selectedId - Selected activity ID
+   * @returns {string} Options HTML
+   */
+  renderActivityOptions(selectedId) {
+    const activities = [...this.activities];
+    if (
+      selectedId &&
+      !activities.some((activity) => String(activity.id) === String(selectedId))
+    ) {
+      activities.push({ id: selectedId, name: `Activity ${selectedId}` });
+    }
+
+    return activities
+      .map(
+        (activity) =>
+          `<option value="${activity.id}" ${
+            String(activity.id) === String(selectedId) ? "selected" : ""
+          }>${activity.name}</option>`
+      )
+      .join("");
+  }
+
+  /**
+   * Read rules from the table as currently edited
+   * @returns {Array} Rules
+   */
+  readRules() {
+    const rows = this.elements.editor?.querySelectorAll("tbody tr") || [];
+
+    return Array.from(rows).map((row) => ({
+      field: row.querySelector(".activity-rule-field").value,
+      value: row.querySelector(".activity-rule-value").value.trim(),
+      activityId: parseInt(row.querySelector(".activity-rule-activity").value),
+    }));
+  }
+
+  /**
+   * Append an empty rule
+   */
+  addRule() {
+    this.rules = this.readRules();
+    this.rules.push({
+      field: "issueType",
+      value: "",
+      activityId: this.activities[0]?.id,
+    });
+    this.renderEditor();
+  }
+
+  /**
+   * Remove a rule
+   * @param {number} index - Rule index
+   */
+  removeRule(index) {
+    this.rules = this.readRules();
+    this.rules.splice(index, 1);
+    this.renderEditor();
+  }
+
+  /**
+   * Save rules, dropping incomplete ones
+   */
+  async saveRules() {
+    try {
+      this.rules = this.readRules().filter(
+        (rule) => rule.value && rule.activityId
+      );
+      await Storage.setActivityRules(this.rules);
+      this.renderEditor();
+      NotificationManager.success(`✅ ${this.rules.length} activity rules saved`);
+    } catch (error) {
+      console.error("Error saving activity rules:", error);
+      NotificationManager.error(`❌ Error saving rules: ${error.message}`);
+    }
+  }
+}
+
+export default ActivityRulesManager;
@@ -0,0 +1,208 @@
+import { Storage } from "../utils/storage.js";
+import { CONFIG } from "../utils/constants.js";
+import BulkTransactionUtils from "../utils/BulkTransactionUtils.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Lists past bulk creation runs and undoes them
+ */
+export class BulkHistoryManager {
+  constructor(redmineSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+  }
+
+  /**
+   * Initialize bulk history manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.table = document.getElementById("bulkHistoryTable");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    // Time entries are added by the background job queue while a run is in progress
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[CONFIG.STORAGE.BULK_TRANSACTIONS]) {
+        this.renderHistory(changes[CONFIG.STORAGE.BULK_TRANSACTIONS].newValue || []);
+      }
+    });
+  }
+
+  /**
+   * Load and render the history
+   */
+  async loadHistory() {
+    this.renderHistory(await Storage.getBulkTransactions());
+  }
+
+  /**
+   * Render past runs
+   * @param {Array} transactions - Stored transactions, newest first
+   */
+  renderHistory(transactions) {
+    const container = this.elements.table;
+    if (!container) return;
+
+    if (transactions.length === 0) {
+      container.innerHTML =
+        '<div class="input-help">No bulk runs yet. "Create all missing entries" runs appear here.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="missing-table bulk-history-table">
+        <thead>
+          <tr>
+            <th>Started</th>
+            <th>Run</th>
+            <th>Time entries</th>
+            <th>Redmine tasks</th>
+            <th>Status</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${transactions
+            .map(
+              (transaction) => `
+            <tr class="${transaction.undoneAt ? "bulk-history-undone" : ""}">
+              <td>${new Date(transaction.createdAt).toLocaleString()}</td>
+              <td class="description">${transaction.label}</td>
+              <td>${this.renderCount(
+                transaction.timeEntryIds,
+                transaction.deletedTimeEntries
+              )}</td>
+              <td>${this.renderCount(
+                transaction.issueIds,
+                transaction.deletedIssues
+              )}</td>
+              <td>${this.renderStatus(transaction)}</td>
+              <td>${
+                transaction.undoneAt ||
+                (transaction.timeEntryIds.length === 0 &&
+                  transaction.issueIds.length === 0)
+                  ? ""
+                  : `<button class="btn-small delete-btn bulk-undo-btn" data-id="${transaction.id}">↩️ Undo</button>`
+              }</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll(".bulk-undo-btn").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.undoRun(button.dataset.id, button)
+      );
+    });
+  }
+
+  /**
+   * Render how many records a run still owns and how many were deleted
+   * @param {Array<number>} ids - Records still owned by the run
+   * @param {number} deleted - Records deleted by undo
+   * @returns {string} Cell HTML
+   */
+  renderCount(ids, deleted = 0) {
+    const title = ids.length ? ` title="#${ids.join(", #")}"` : "";
+    const deletedText = deleted
+      ? ` <span class="input-help">(${deleted} deleted)</span>`
+      : "";
+
+    return `<span${title}>${ids.length}</span>${deletedText}`;
+  }
+
+  /**
+   * Render run status
+   * @param {Object} transaction - Transaction
+   * @returns {string} Cell HTML
+   */
+  renderStatus(transaction) {
+    if (transaction.undoneAt) {
+      return `↩️ Undone ${new Date(transaction.undoneAt).toLocaleString()}`;
+    }
+    if (transaction.undoErrors?.length) {
+      return `<span class="bulk-history-error" title="${transaction.undoErrors
+        .join("\n")
+        .replace(/"/g, "&quot;")}">⚠️ Undo incomplete (${
+        transaction.undoErrors.length
+      } errors)</span>`;
+    }
+    return "✅ Created";
+  }
+
+  /**
+   * Undo a run after confirmation
+   * @param {string} transactionId - Transaction ID
+   * @param {HTMLButtonElement} button - Undo button
+   */
+  async undoRun(transactionId, button) {
+    const transactions = await Storage.getBulkTransactions();
+    const transaction = transactions.find((t) => t.id === transactionId);
+    if (!transaction) return;
+
+    if (
+      !confirm(
+        `Delete ${transaction.timeEntryIds.length} time entries and ${transaction.issueIds.length} Redmine tasks created by "${transaction.label}"?`
+      )
+    ) {
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = "🔄 Undoing...";
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+
+      const result = await BulkTransactionUtils.undo(
+        transactionId,
+        redmineSettings
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const { deletedEntries, deletedIssues, errors, dryRun } = result.result;
+      if (dryRun) {
+        NotificationManager.info(
+          `🧪 Dry run: ${deletedEntries} entry and ${deletedIssues} task deletions planned, see the preview`
+        );
+        button.disabled = false;
+        button.textContent = "↩️ Undo";
+      } else if (errors.length > 0) {
+        console.error("Undo errors:", errors);
+        NotificationManager.warning(
+          `⚠️ Deleted ${deletedEntries} entries and ${deletedIssues} tasks, ${errors.length} failed`
+        );
+      } else {
+        NotificationManager.success(
+          `↩️ Deleted ${deletedEntries} entries and ${deletedIssues} tasks. Re-run the comparison to refresh it`
+        );
+      }
+    } catch (error) {
+      console.error("Error undoing bulk run:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+      button.disabled = false;
+      button.textContent = "↩️ Undo";
+    }
+  }
+}
+
+export default BulkHistoryManager;
@@ -0,0 +1,400 @@
+import { getWorklogs } from "../api/tempo.js";
+import { fetchTimeEntries } from "../api/redmine.js";
+import { Storage } from "../utils/storage.js";
+import { CONFIG } from "../utils/constants.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages the weekly / monthly calendar with Tempo vs Redmine hours per day
+ */
+export class CalendarManager {
+  constructor(redmineSettingsManager, tempoSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.tempoManager = tempoSettingsManager;
+    this.settings = {
+      dailyNorm: CONFIG.CALENDAR.DEFAULT_DAILY_NORM,
+      view: "week",
+    };
+    this.currentDate = new Date();
+    this.requestId = 0;
+  }
+
+  /**
+   * Initialize calendar manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.calendar = document.getElementById("calendar");
+    this.elements.prevButton = document.getElementById("prevWeek");
+    this.elements.nextButton = document.getElementById("nextWeek");
+    this.elements.title = document.getElementById("weekDisplay");
+    this.elements.grid = document.getElementById("calendarGrid");
+    this.elements.toggleButton = document.getElementById("toggleCalendarView");
+    this.elements.dailyNormInput = document.getElementById("calendarDailyNorm");
+    this.elements.status = document.getElementById("calendarStatus");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.prevButton?.addEventListener("click", () =>
+      this.navigate(-1)
+    );
+    this.elements.nextButton?.addEventListener("click", () =>
+      this.navigate(1)
+    );
+    this.elements.toggleButton?.addEventListener("click", () =>
+      this.toggleView()
+    );
+    this.elements.dailyNormInput?.addEventListener("change", () =>
+      this.saveDailyNorm()
+    );
+  }
+
+  /**
+   * Load calendar settings and render the current period
+   */
+  async loadSettings() {
+    this.settings = await Storage.getCalendarSettings();
+
+    if (this.elements.dailyNormInput) {
+      this.elements.dailyNormInput.value = this.settings.dailyNorm;
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Persist daily norm from the input and re-highlight days
+   */
+  async saveDailyNorm() {
+    const dailyNorm = parseFloat(this.elements.dailyNormInput.value);
+
+    if (!dailyNorm || dailyNorm <= 0 || dailyNorm > 24) {
+      NotificationManager.error("❌ Daily norm must be between 0 and 24 hours");
+      this.elements.dailyNormInput.value = this.settings.dailyNorm;
+      return;
+    }
+
+    this.settings.dailyNorm = dailyNorm;
+    await Storage.setCalendarSettings(this.settings);
+
+    if (this.lastData) {
+      this.renderDays(this.lastData);
+    }
+  }
+
+  /**
+   * Switch between week and month view
+   */
+  async toggleView() {
+    this.settings.view = this.settings.view === "week" ? "month" : "week";
+    await Storage.setCalendarSettings(this.settings);
+    await this.refresh();
+  }
+
+  /**
+   * Move one week or month back / forward
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  async navigate(direction) {
+    const date = new Date(this.currentDate);
+
+    if (this.settings.view === "month") {
+      date.setDate(1);
+      date.setMonth(date.getMonth() + direction);
+    } else {
+      date.setDate(date.getDate() + direction * 7);
+    }
+
+    this.currentDate = date;
+    await this.refresh();
+  }
+
+  /**
+   * Get the list of days shown for the current view
+   * @returns {Array<Object>} Days {date, inPeriod}
+   */
+  getVisibleDays() {
+    const isMonth = this.settings.view === "month";
+    const anchor = new Date(this.currentDate);
+    const month = anchor.getMonth();
+
+    let start;
+    let end;
+    if (isMonth) {
+      start = this.getWeekStart(new Date(anchor.getFullYear(), month, 1));
+      end = this.getWeekStart(new Date(anchor.getFullYear(), month + 1, 0));
+      end.setDate(end.getDate() + 6);
+    } else {
+      start = this.getWeekStart(anchor);
+      end = new Date(start);
+      end.setDate(end.getDate() + 6);
+    }
+
+    const days = [];
+    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+      days.push({
+        date: this.formatDate(d),
+        day: d.getDate(),
+        weekday: d.getDay(),
+        inPeriod: !isMonth || d.getMonth() === month,
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Get Monday of the week containing the date
+   */
+  getWeekStart(date) {
+    const start = new Date(date);
+    const offset = (start.getDay() + 6) % 7;
+    start.setDate(start.getDate() - offset);
+    start.setHours(0, 0, 0, 0);
+    return start;
+  }
+
+  /**
+   * Format date as YYYY-MM-DD in local time
+   */
+  formatDate(date) {
+    return `${date.getFullYear()}-${(date.getMonth() + 1)
+      .toString()
+      .padStart(2, "0")}-${date.getDate().toString().padStart(2, "0")}`;
+  }
+
+  /**
+   * Update header title for the current view
+   */
+  updateTitle(days) {
+    if (!this.elements.title) return;
+
+    if (this.settings.view === "month") {
+      this.elements.title.textContent = this.currentDate.toLocaleDateString(
+        "en-US",
+        { month: "long", year: "numeric" }
+      );
+    } else {
+      const weekStart = new Date(`${days[0].date}T00:00:00`);
+      this.elements.title.textContent = `Week of ${weekStart.toLocaleDateString(
+        "en-US",
+        { month: "long", day: "numeric", year: "numeric" }
+      )}`;
+    }
+  }
+
+  /**
+   * Fetch hours for the visible days and render the calendar
+   */
+  async refresh() {
+    if (!this.elements.grid) return;
+
+    const days = this.getVisibleDays();
+    const requestId = ++this.requestId;
+
+    this.elements.calendar?.classList.toggle(
+      "compact",
+      this.settings.view === "week"
+    );
+    this.elements.toggleButton?.classList.toggle(
+      "active",
+      this.settings.view === "month"
+    );
+    this.updateTitle(days);
+
+    const data = { days, tempo: null, redmine: null };
+    this.lastData = data;
+    this.renderDays(data);
+
+    const tempoSettings = this.tempoManager.getSettings();
+    const redmineSettings = this.redmineManager.getSettings();
+    const hasTempo = !!tempoSettings?.apiToken;
+    const hasRedmine = !!(redmineSettings?.url && redmineSettings?.apiKey);
+
+    if (!hasTempo && !hasRedmine) {
+      this.setStatus("Configure Tempo and Redmine to see logged hours");
+      return;
+    }
+
+    this.setStatus("🔄 Loading hours...");
+
+    const startDate = days[0].date;
+    const endDate = days[days.length - 1].date;
+
+    const [tempoResult, redmineResult] = await Promise.all([
+      hasTempo ? getWorklogs(startDate, endDate, tempoSettings) : null,
+      hasRedmine ? fetchTimeEntries(startDate, endDate, redmineSettings) : null,
+    ]);
+
+    // A newer navigation happened while we were loading
+    if (requestId !== this.requestId) return;
+
+    const errors = [];
+    if (tempoResult?.success) {
+      data.tempo = this.sumByDate(
+        tempoResult.worklogs,
+        (worklog) => worklog.startDate,
+        (worklog) => worklog.timeSpentSeconds / 3600
+      );
+    } else if (tempoResult) {
+      errors.push(`Tempo: ${tempoResult.error}`);
+    }
+
+    if (redmineResult?.success) {
+      data.redmine = this.sumByDate(
+        redmineResult.timeEntries,
+        (entry) => entry.spent_on,
+        (entry) => entry.hours
+      );
+    } else if (redmineResult) {
+      errors.push(`Redmine: ${redmineResult.error}`);
+    }
+
+    this.renderDays(data);
+    this.setStatus(errors.length > 0 ? `❌ ${errors.join("; ")}` : "");
+  }
+
+  /**
+   * Sum hours per date
+   * @returns {Object} Map date -> {hours, count}
+   */
+  sumByDate(items, getDate, getHours) {
+    const totals = {};
+
+    items.forEach((item) => {
+      const date = getDate(item);
+      if (!totals[date]) {
+        totals[date] = { hours: 0, count: 0 };
+      }
+      totals[date].hours += getHours(item);
+      totals[date].count++;
+    });
+
+    return totals;
+  }
+
+  /**
+   * Get highlight class for a day
+   * @param {Object} day - Visible day
+   * @param {Object} tempo - Tempo totals for the day
+   * @param {Object} redmine - Redmine totals for the day
+   * @param {boolean} compareSides - Whether both sources were loaded
+   * @returns {string} CSS class or empty string
+   */
+  getDayStatus(day, tempo, redmine, compareSides) {
+    if (!day.inPeriod) return "";
+
+    const tempoHours = tempo?.hours || 0;
+    const redmineHours = redmine?.hours || 0;
+
+    if (
+      compareSides &&
+      Math.abs(tempoHours - redmineHours) > CONFIG.SYNC.HOURS_TOLERANCE
+    ) {
+      return "hours-mismatch";
+    }
+
+    const loggedHours = Math.max(tempoHours, redmineHours);
+    const isWeekend = day.weekday === 0 || day.weekday === 6;
+    const isFuture = day.date > this.formatDate(new Date());
+
+    if (loggedHours === 0 && (isWeekend || isFuture)) return "";
+
+    return loggedHours + CONFIG.SYNC.HOURS_TOLERANCE < this.settings.dailyNorm
+      ? "hours-low"
+      : "hours-normal";
+  }
+
+  /**
+   * Render calendar days
+   */
+  renderDays({ days, tempo, redmine }) {
+    const grid = this.elements.grid;
+    if (!grid) return;
+
+    const today = this.formatDate(new Date());
+    const headers = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]
+      .map((name) => `<div class="calendar-day-header">${name}</div>`)
+      .join("");
+
+    const formatHours = (total) =>
+      total ? `${Number(total.hours.toFixed(2))}h` : "0h";
+
+    const daysHtml = days
+      .map((day) => {
+        const tempoDay = tempo?.[day.date];
+        const redmineDay = redmine?.[day.date];
+        const classes = [
+          "calendar-day",
+          day.inPeriod ? "" : "other-month",
+          day.date === today ? "today" : "",
+          tempoDay || redmineDay ? "has-entries" : "",
+          tempo || redmine
+            ? this.getDayStatus(day, tempoDay, redmineDay, !!(tempo && redmine))
+            : "",
+        ]
+          .filter(Boolean)
+          .join(" ");
+
+        const title = [
+          day.date,
+          tempo
+            ? `Tempo: ${formatHours(tempoDay)} (${tempoDay?.count || 0} worklogs)`
+            : null,
+          redmine
+            ? `Redmine: ${formatHours(redmineDay)} (${
+                redmineDay?.count || 0
+              } entries)`
+            : null,
+        ]
+          .filter(Boolean)
+          .join("\n");
+
+        return `
+        <div class="${classes}" title="${title}">
+          <div class="calendar-day-number">${day.day}</div>
+          ${
+            tempo
+              ? `<div class="calendar-day-hours">T ${formatHours(
+                  tempoDay
+                )}</div>`
+              : ""
+          }
+          ${
+            redmine
+              ? `<div class="calendar-day-hours">R ${formatHours(
+                  redmineDay
+                )}</div>`
+              : ""
+          }
+        </div>
+      `;
+      })
+      .join("");
+
+    grid.innerHTML = headers + daysHtml;
+  }
+
+  /**
+   * Show loading / error status below the grid
+   */
+  setStatus(message) {
+    if (!this.elements.status) return;
+
+    this.elements.status.textContent = message;
+    this.elements.status.style.display = message ? "block" : "none";
+  }
+}
+
+export default CalendarManager;
@@ -0,0 +1,169 @@
+import { Storage } from "../utils/storage.js";
+import { CONFIG } from "../utils/constants.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Toggles the global dry-run mode and previews the write requests
+ * that were planned instead of being sent to Redmine and Tempo
+ */
+export class DryRunManager {
+  constructor(redmineSettingsManager, tempoSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.tempoManager = tempoSettingsManager;
+  }
+
+  /**
+   * Initialize dry-run manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.section = document.getElementById("dryRunSection");
+    this.elements.toggle = document.getElementById("dryRunEnabled");
+    this.elements.info = document.getElementById("dryRunInfo");
+    this.elements.clearButton = document.getElementById("clearDryRunLogButton");
+    this.elements.table = document.getElementById("dryRunTable");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.toggle?.addEventListener("change", (e) =>
+      this.setEnabled(e.target.checked)
+    );
+    this.elements.clearButton?.addEventListener("click", () => this.clearLog());
+
+    // Requests are also planned by the background service worker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[CONFIG.STORAGE.DRY_RUN_LOG]) {
+        this.renderLog(changes[CONFIG.STORAGE.DRY_RUN_LOG].newValue || []);
+      }
+    });
+  }
+
+  /**
+   * Load the mode and the planned requests
+   */
+  async loadSettings() {
+    const enabled = await Storage.isDryRun();
+    if (this.elements.toggle) {
+      this.elements.toggle.checked = enabled;
+    }
+    this.elements.section?.classList.toggle("dry-run-active", enabled);
+
+    this.renderLog(await Storage.getDryRunLog());
+  }
+
+  /**
+   * Turn dry-run mode on or off
+   * @param {boolean} enabled - Whether dry-run mode is on
+   */
+  async setEnabled(enabled) {
+    try {
+      await Storage.setDryRun(enabled);
+
+      // Managers keep their settings in memory, reload them to pick up the flag
+      await Promise.all([
+        this.redmineManager.loadSettings(),
+        this.tempoManager.loadSettings(),
+      ]);
+
+      this.elements.section?.classList.toggle("dry-run-active", enabled);
+      NotificationManager.info(
+        enabled
+          ? "🧪 Dry run on: writes to Redmine and Tempo are only previewed"
+          : "✅ Dry run off: writes are sent again"
+      );
+    } catch (error) {
+      console.error("Error toggling dry run:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear the planned requests
+   */
+  async clearLog() {
+    await Storage.clearDryRunLog();
+    this.renderLog([]);
+  }
+
+  /**
+   * Render planned requests, newest first
+   * @param {Array} requests - Planned requests
+   */
+  renderLog(requests) {
+    if (this.elements.info) {
+      this.elements.info.textContent = `${requests.length} planned requests`;
+    }
+
+    const container = this.elements.table;
+    if (!container) return;
+
+    if (requests.length === 0) {
+      container.innerHTML =
+        '<div class="input-help">No planned requests. Turn on dry run and run a sync or a bulk creation.</div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <table class="missing-table dry-run-table">
+        <thead>
+          <tr>
+            <th>Planned</th>
+            <th>Service</th>
+            <th>Request</th>
+            <th>Body</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${requests
+            .map(
+              (request) => `
+            <tr>
+              <td>${new Date(request.plannedAt).toLocaleString()}</td>
+              <td>${request.service || "—"}</td>
+              <td class="description">
+                <span class="dry-run-method dry-run-${request.method.toLowerCase()}">${
+                request.method
+              }</span>
+                ${this.escape(request.url)}
+              </td>
+              <td>${
+                request.body === undefined || request.body === null
+                  ? "—"
+                  : `<details><summary>Show</summary><pre>${this.escape(
+                      JSON.stringify(request.body, null, 2)
+                    )}</pre></details>`
+              }</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+}
+
+export default DryRunManager;
@@ -0,0 +1,230 @@
+import { Storage } from "../utils/storage.js";
+import GitTemplateUtils from "../utils/GitTemplateUtils.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Edits the branch name and commit message templates used by the copy
+ * buttons on the Jira issue badge
+ */
+export class GitTemplatesManager {
+  // Issue shown in the live preview
+  static SAMPLE_ISSUE = {
+    key: "PROJ-12",
+    summary: "Fix login redirect after session timeout",
+    type: "Bug",
+    redmineId: 4821,
+    assignee: "Jane Doe",
+  };
+
+  constructor() {
+    this.elements = {};
+    this.settings = {};
+  }
+
+  /**
+   * Initialize git templates manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.form = document.getElementById("gitTemplatesForm");
+    this.elements.saveButton = document.getElementById(
+      "saveGitTemplatesButton"
+    );
+    this.elements.resetButton = document.getElementById(
+      "resetGitTemplatesButton"
+    );
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.saveButton?.addEventListener("click", () =>
+      this.saveSettings()
+    );
+    this.elements.resetButton?.addEventListener("click", () =>
+      this.resetSettings()
+    );
+    this.elements.form?.addEventListener("input", () => this.renderPreview());
+  }
+
+  /**
+   * Load stored templates
+   */
+  async loadSettings() {
+    try {
+      this.settings = await Storage.getGitTemplates();
+      this.renderForm();
+    } catch (error) {
+      console.error("Error loading git templates:", error);
+      NotificationManager.error("Failed to load git templates");
+    }
+  }
+
+  /**
+   * Render the form with stored templates over the defaults
+   */
+  renderForm() {
+    const form = this.elements.form;
+    if (!form) return;
+
+    const placeholdersHtml = Object.entries(GitTemplateUtils.PLACEHOLDERS)
+      .map(([name, help]) => `<li><code>{${name}}</code> — ${help}</li>`)
+      .join("");
+
+    form.innerHTML = `
+      <div class="matching-settings-grid">
+        <div class="control-group">
+          <label for="gitBranchTemplate">Branch name:</label>
+          <input type="text" id="gitBranchTemplate" class="modern-input" />
+          <div class="input-help">e.g. feature/{key}-{slug}</div>
+        </div>
+        <div class="control-group">
+          <label for="gitCommitTemplate">Commit message:</label>
+          <input type="text" id="gitCommitTemplate" class="modern-input" />
+          <div class="input-help">e.g. {prefix}: {key} {summary}</div>
+        </div>
+        <div class="control-group">
+          <label for="gitTypePrefixes">Prefix by issue type:</label>
+          <textarea
+            id="gitTypePrefixes"
+            class="modern-input"
+            rows="6"
+          ></textarea>
+          <div class="input-help">
+            One "Issue type=prefix" per line, other types use "chore"
+          </div>
+        </div>
+      </div>
+      <h4>Placeholders</h4>
+      <ul class="git-template-placeholders">${placeholdersHtml}</ul>
+      <h4>Preview</h4>
+      <div id="gitTemplatesPreview" class="git-template-preview"></div>
+    `;
+
+    // Templates contain braces and quotes, so values are set after rendering
+    const settings = GitTemplateUtils.resolveSettings(this.settings);
+    form.querySelector("#gitBranchTemplate").value = settings.branch;
+    form.querySelector("#gitCommitTemplate").value = settings.commit;
+    form.querySelector("#gitTypePrefixes").value = Object.entries(
+      settings.typePrefixes
+    )
+      .map(([type, prefix]) => `${type}=${prefix}`)
+      .join("\n");
+
+    this.renderPreview();
+  }
+
+  /**
+   * Show the templates rendered for the sample issue
+   */
+  renderPreview() {
+    const preview = this.elements.form?.querySelector("#gitTemplatesPreview");
+    if (!preview) return;
+
+    const settings = this.readForm();
+    const { branchName, commitMessage } = GitTemplateUtils.renderAll(
+      GitTemplatesManager.SAMPLE_ISSUE,
+      settings
+    );
+    const unknown = [
+      ...GitTemplateUtils.findUnknownPlaceholders(settings.branch),
+      ...GitTemplateUtils.findUnknownPlaceholders(settings.commit),
+    ];
+
+    preview.innerHTML = `
+      <div><strong>Branch:</strong> <code class="preview-branch"></code></div>
+      <div><strong>Commit:</strong> <code class="preview-commit"></code></div>
+      ${
+        unknown.length > 0
+          ? `<div class="git-template-warning">⚠️ Unknown placeholders: ${[
+              ...new Set(unknown),
+            ]
+              .map((name) => `{${name}}`)
+              .join(", ")}</div>`
+          : ""
+      }
+    `;
+    preview.querySelector(".preview-branch").textContent = branchName;
+    preview.querySelector(".preview-commit").textContent = commitMessage;
+  }
+
+  /**
+   * Read templates from the form
+   * @returns {Object} {branch, commit, typePrefixes}
+   */
+  readForm() {
+    const form = this.elements.form;
+    const typePrefixes = {};
+
+    form
+      .querySelector("#gitTypePrefixes")
+      .value.split("\n")
+      .forEach((line) => {
+        const separator = line.indexOf("=");
+        if (separator === -1) return;
+        const type = line.slice(0, separator).trim();
+        const prefix = line.slice(separator + 1).trim();
+        if (type && prefix) typePrefixes[type] = prefix;
+      });
+
+    return {
+      branch: form.querySelector("#gitBranchTemplate").value.trim(),
+      commit: form.querySelector("#gitCommitTemplate").value.trim(),
+      typePrefixes,
+    };
+  }
+
+  /**
+   * Validate and save templates
+   */
+  async saveSettings() {
+    try {
+      const settings = this.readForm();
+
+      if (!settings.branch || !settings.commit) {
+        throw new Error(
+          "Branch name and commit message templates are required"
+        );
+      }
+
+      const { branchName } = GitTemplateUtils.renderAll(
+        GitTemplatesManager.SAMPLE_ISSUE,
+        settings
+      );
+      if (!branchName) {
+        throw new Error("The branch name template renders an empty name");
+      }
+
+      await Storage.setGitTemplates(settings);
+      this.settings = settings;
+      this.renderForm();
+
+      NotificationManager.success("✅ Git templates saved");
+    } catch (error) {
+      console.error("Error saving git templates:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore the defaults
+   */
+  async resetSettings() {
+    if (!confirm("Reset git templates to the defaults?")) return;
+
+    await Storage.setGitTemplates({});
+    this.settings = {};
+    this.renderForm();
+    NotificationManager.success("✅ Git templates reset");
+  }
+}
+
+export default GitTemplatesManager;
@@ -0,0 +1,307 @@
+import { Storage } from "../utils/storage.js";
+import { CONFIG } from "../utils/constants.js";
+import {
+  fetchProjects,
+  fetchIssueStatuses,
+  fetchIssuePriorities,
+} from "../api/redmine.js";
+import JiraRestAPI from "../api/jira-rest.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages the Jira → Redmine status and priority mapping editor
+ */
+export class IssueMappingManager {
+  constructor(redmineSettingsManager, jiraSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.jiraManager = jiraSettingsManager;
+    this.options = null;
+  }
+
+  /**
+   * Initialize mapping manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.projectSelect = document.getElementById(
+      "issueMappingProject"
+    );
+    this.elements.loadButton = document.getElementById(
+      "loadIssueMappingButton"
+    );
+    this.elements.saveButton = document.getElementById(
+      "saveIssueMappingButton"
+    );
+    this.elements.resetButton = document.getElementById(
+      "resetIssueMappingButton"
+    );
+    this.elements.editor = document.getElementById("issueMappingEditor");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.loadButton?.addEventListener("click", () =>
+      this.loadOptions()
+    );
+    this.elements.saveButton?.addEventListener("click", () =>
+      this.saveMapping()
+    );
+    this.elements.resetButton?.addEventListener("click", () =>
+      this.resetMapping()
+    );
+    this.elements.projectSelect?.addEventListener("change", () => {
+      if (this.options) this.renderEditor();
+    });
+  }
+
+  /**
+   * Fetch Redmine projects, statuses, priorities and Jira statuses, priorities
+   */
+  async loadOptions() {
+    const button = this.elements.loadButton;
+    if (!button) return;
+
+    const originalText = button.textContent;
+    button.textContent = "🔄 Loading...";
+    button.disabled = true;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const jiraSettings = this.jiraManager.getSettings();
+
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+      if (!jiraSettings?.url || !jiraSettings?.email || !jiraSettings?.apiToken) {
+        throw new Error("Please configure Jira settings first");
+      }
+
+      const [
+        projectsResult,
+        redmineStatusesResult,
+        redminePrioritiesResult,
+        jiraStatusesResult,
+        jiraPrioritiesResult,
+      ] = await Promise.all([
+        fetchProjects(redmineSettings),
+        fetchIssueStatuses(redmineSettings),
+        fetchIssuePriorities(redmineSettings),
+        JiraRestAPI.getStatuses(jiraSettings),
+        JiraRestAPI.getPriorities(jiraSettings),
+      ]);
+
+      const failed = [
+        ["Redmine projects", projectsResult],
+        ["Redmine statuses", redmineStatusesResult],
+        ["Redmine priorities", redminePrioritiesResult],
+        ["Jira statuses", jiraStatusesResult],
+        ["Jira priorities", jiraPrioritiesResult],
+      ].find(([, result]) => !result.success);
+
+      if (failed) {
+        throw new Error(`Failed to load ${failed[0]}: ${failed[1].error}`);
+      }
+
+      this.options = {
+        redmineStatuses: redmineStatusesResult.statuses,
+        redminePriorities: redminePrioritiesResult.priorities,
+        // Jira returns one status per workflow, keep unique names
+        jiraStatuses: [
+          ...new Set(jiraStatusesResult.statuses.map((s) => s.name)),
+        ].sort((a, b) => a.localeCompare(b)),
+        jiraPriorities: [
+          ...new Set(jiraPrioritiesResult.priorities.map((p) => p.name)),
+        ],
+      };
+
+      this.populateProjects(projectsResult.projects);
+      await this.renderEditor();
+
+      NotificationManager.success("✅ Statuses and priorities loaded");
+    } catch (error) {
+      console.error("Error loading mapping options:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Fill the Redmine project selector, keeping the current selection
+   */
+  populateProjects(projects) {
+    const select = this.elements.projectSelect;
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="default">Default (all projects)</option>';
+
+    projects.forEach((project) => {
+      const option = document.createElement("option");
+      option.value = project.id;
+      option.textContent = `${project.name} (ID: ${project.id})`;
+      select.appendChild(option);
+    });
+
+    select.value = selected || "default";
+  }
+
+  /**
+   * Render mapping tables for the selected project
+   */
+  async renderEditor() {
+    const editor = this.elements.editor;
+    if (!editor || !this.options) return;
+
+    const projectId = this.elements.projectSelect?.value || "default";
+    const mappings = await Storage.getIssueMappings();
+    const stored = mappings[projectId];
+
+    // Start from the constants so the editor shows the current behaviour
+    const statusMap = stored?.statusMap || CONFIG.STATUS_MAP;
+    const priorityMap = stored?.priorityMap || CONFIG.PRIORITY_MAP;
+
+    editor.style.display = "block";
+    editor.innerHTML = `
+      <div class="input-help">${
+        stored
+          ? `Saved mapping, updated ${new Date(
+              stored.updatedAt
+            ).toLocaleString()}`
+          : projectId === "default"
+          ? "No saved mapping – showing built-in defaults"
+          : mappings.default
+          ? "No saved mapping – the default mapping is used for this project"
+          : "No saved mapping – showing built-in defaults"
+      }</div>
+      <div class="issue-mapping-tables">
+        ${this.renderTable(
+          "Jira status",
+          "Redmine status",
+          "status",
+          this.options.jiraStatuses,
+          this.options.redmineStatuses,
+          statusMap
+        )}
+        ${this.renderTable(
+          "Jira priority",
+          "Redmine priority",
+          "priority",
+          this.options.jiraPriorities,
+          this.options.redminePriorities,
+          priorityMap
+        )}
+      </div>
+    `;
+
+    this.elements.saveButton.disabled = false;
+    this.elements.resetButton.disabled = !stored;
+  }
+
+  /**
+   * Render a single mapping table
+   */
+  renderTable(jiraLabel, redmineLabel, kind, jiraNames, redmineItems, map) {
+    const rows = jiraNames
+      .map((name) => {
+        const options = redmineItems
+          .map(
+            (item) =>
+              `<option value="${item.id}" ${
+                String(map[name]) === String(item.id) ? "selected" : ""
+              }>${item.name}</option>`
+          )
+          .join("");
+
+        return `
+        <tr>
+          <td>${name}</td>
+          <td>
+            <select class="modern-select issue-mapping-select" data-kind="${kind}" data-jira-name="${name}">
+              <option value="">— Redmine default —</option>
+              ${options}
+            </select>
+          </td>
+        </tr>
+      `;
+      })
+      .join("");
+
+    return `
+      <table class="missing-table issue-mapping-table">
+        <thead>
+          <tr>
+            <th>${jiraLabel}</th>
+            <th>${redmineLabel}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Save mapping for the selected project
+   */
+  async saveMapping() {
+    const projectId = this.elements.projectSelect?.value || "default";
+    const mapping = { statusMap: {}, priorityMap: {} };
+
+    this.elements.editor
+      ?.querySelectorAll(".issue-mapping-select")
+      .forEach((select) => {
+        if (!select.value) return;
+
+        const target =
+          select.dataset.kind === "status"
+            ? mapping.statusMap
+            : mapping.priorityMap;
+        target[select.dataset.jiraName] = parseInt(select.value);
+      });
+
+    try {
+      await Storage.setIssueMapping(projectId, mapping);
+      await this.renderEditor();
+      NotificationManager.success("✅ Mapping saved");
+    } catch (error) {
+      console.error("Error saving mapping:", error);
+      NotificationManager.error(`❌ Error saving mapping: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove saved mapping for the selected project
+   */
+  async resetMapping() {
+    const projectId = this.elements.projectSelect?.value || "default";
+
+    const confirmed = confirm(
+      projectId === "default"
+        ? "Remove the default mapping? Built-in defaults will be used again."
+        : "Remove the mapping for this project? The default mapping will be used instead."
+    );
+    if (!confirmed) return;
+
+    try {
+      await Storage.setIssueMapping(projectId, null);
+      await this.renderEditor();
+      NotificationManager.success("✅ Mapping reset");
+    } catch (error) {
+      console.error("Error resetting mapping:", error);
+      NotificationManager.error(`❌ Error resetting mapping: ${error.message}`);
+    }
+  }
+}
+
+export default IssueMappingManager;
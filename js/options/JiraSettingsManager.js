@@ -42,6 +42,10 @@ export class JiraSettingsManager {
     this.elements.enabled = document.getElementById("jiraEnabled");
     this.elements.defaultProject =
       document.getElementById("jiraDefaultProject");
+    this.elements.sprintStart = document.getElementById("jiraSprintStart");
+    this.elements.sprintLengthDays = document.getElementById(
+      "jiraSprintLengthDays"
+    );
 
     // Status elements
     this.elements.connectionStatus = document.getElementById(
@@ -106,6 +110,11 @@ export class JiraSettingsManager {
       this.elements.apiToken.value = this.settings.apiToken || "";
     if (this.elements.enabled)
       this.elements.enabled.checked = this.settings.enabled || false;
+    if (this.elements.sprintStart)
+      this.elements.sprintStart.value = this.settings.sprintStart || "";
+    if (this.elements.sprintLengthDays)
+      this.elements.sprintLengthDays.value =
+        this.settings.sprintLengthDays || "";
 
     // Load Redmine projects for default project selection
     await this.refreshRedmineProjects();
@@ -146,6 +155,8 @@ export class JiraSettingsManager {
       apiToken: this.elements.apiToken?.value.trim() || "",
       enabled: this.elements.enabled?.checked || false,
       defaultProject: this.elements.defaultProject?.value.trim() || "",
+      sprintStart: this.elements.sprintStart?.value || "",
+      sprintLengthDays: parseInt(this.elements.sprintLengthDays?.value) || null,
     };
   }
 
@@ -284,6 +295,10 @@ export class JiraSettingsManager {
         settings.url = sanitizeUrl(settings.url);
       }
 
+      if (settings.sprintLengthDays !== null && settings.sprintLengthDays < 1) {
+        throw new Error("Sprint length must be at least 1 day");
+      }
+
       await Storage.setJiraSettings(settings);
       this.settings = settings;
 
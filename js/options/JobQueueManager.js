@@ -0,0 +1,177 @@
+import { Storage } from "../utils/storage.js";
+import { CONFIG } from "../utils/constants.js";
+import JobQueue from "../utils/JobQueue.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Shows background jobs with their progress and lets the user
+ * pause, resume, cancel or retry them
+ */
+export class JobQueueManager {
+  constructor() {
+    this.elements = {};
+  }
+
+  /**
+   * Initialize job queue manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.list = document.getElementById("jobQueueList");
+    this.elements.info = document.getElementById("jobQueueInfo");
+    this.elements.clearButton = document.getElementById(
+      "clearFinishedJobsButton"
+    );
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.clearButton?.addEventListener("click", () =>
+      this.sendAction("clearFinishedJobs")
+    );
+
+    // Jobs are updated by the background service worker
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[CONFIG.STORAGE.JOBS]) {
+        this.renderJobs(changes[CONFIG.STORAGE.JOBS].newValue || []);
+      }
+    });
+  }
+
+  /**
+   * Load and render jobs
+   */
+  async loadJobs() {
+    this.renderJobs(await Storage.getJobs());
+  }
+
+  /**
+   * Render jobs, newest first
+   * @param {Array} jobs - Stored jobs
+   */
+  renderJobs(jobs) {
+    const container = this.elements.list;
+    if (!container) return;
+
+    const activeCount = jobs.filter((job) => !JobQueue.isFinished(job)).length;
+    if (this.elements.info) {
+      this.elements.info.textContent = `${activeCount} active, ${
+        jobs.length - activeCount
+      } finished`;
+    }
+
+    if (jobs.length === 0) {
+      container.innerHTML =
+        '<div class="input-help">No background jobs. Bulk creations show up here.</div>';
+      return;
+    }
+
+    container.innerHTML = [...jobs]
+      .reverse()
+      .map((job) => this.renderJob(job))
+      .join("");
+
+    container.querySelectorAll("[data-job-action]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.sendAction(button.dataset.jobAction, button.dataset.jobId)
+      );
+    });
+  }
+
+  /**
+   * Render a single job
+   * @param {Object} job - Job
+   * @returns {string} Job HTML
+   */
+  renderJob(job) {
+    const { total, done, failed, remaining } = JobQueue.getProgress(job);
+    const percent = total ? Math.round(((total - remaining) / total) * 100) : 0;
+
+    const actions = [];
+    if (JobQueue.ACTIVE_STATUSES.includes(job.status)) {
+      actions.push(["pauseJob", "⏸️ Pause"]);
+    }
+    if (job.status === "paused") {
+      actions.push(["resumeJob", "▶️ Resume"]);
+    }
+    if (!JobQueue.isFinished(job)) {
+      actions.push(["cancelJob", "✖️ Cancel"]);
+    }
+    if (failed > 0 && remaining === 0) {
+      actions.push(["retryJob", "🔁 Retry failed"]);
+    }
+
+    const errors = job.items.filter((item) => item.error);
+    const isDryRun = job.items.some((item) => item.result?.dryRun);
+
+    return `
+      <div class="job-card job-${job.status}">
+        <div class="job-header">
+          <strong>${job.label}</strong>
+          <span class="job-status">${job.status}${
+      isDryRun ? " (dry run)" : ""
+    }</span>
+        </div>
+        <div class="job-progress">
+          <div class="job-progress-bar" style="width: ${percent}%"></div>
+        </div>
+        <div class="job-footer">
+          <span>${done}/${total} done${failed ? `, ${failed} failed` : ""} · ${new Date(
+      job.createdAt
+    ).toLocaleString()}</span>
+          <span class="job-actions">
+            ${actions
+              .map(
+                ([action, label]) =>
+                  `<button class="btn-small" data-job-action="${action}" data-job-id="${job.id}">${label}</button>`
+              )
+              .join("")}
+          </span>
+        </div>
+        ${
+          errors.length > 0
+            ? `<details class="job-errors">
+                <summary>${errors.length} errors</summary>
+                <ul>${errors
+                  .map(
+                    (item) =>
+                      `<li>${item.data.date || item.data.startDate || ""} ${
+                        item.meta?.jiraTask || item.data.issueKey || ""
+                      }: ${item.error}</li>`
+                  )
+                  .join("")}</ul>
+              </details>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Send a job action to the background service worker
+   * @param {string} action - Message action
+   * @param {string} jobId - Job ID
+   */
+  async sendAction(action, jobId = null) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action, jobId });
+      if (!response?.success) {
+        throw new Error(response?.error || "Job action failed");
+      }
+    } catch (error) {
+      console.error("Error sending job action:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    }
+  }
+}
+
+export default JobQueueManager;
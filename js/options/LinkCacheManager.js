@@ -0,0 +1,188 @@
+import { Storage } from "../utils/storage.js";
+import IssueLinkCache from "../utils/IssueLinkCache.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages the Jira ↔ Redmine link cache: pinning, invalidation and clearing
+ */
+export class LinkCacheManager {
+  constructor(redmineSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+  }
+
+  /**
+   * Initialize link cache manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.jiraKeyInput = document.getElementById("linkCacheJiraKey");
+    this.elements.redmineIdInput =
+      document.getElementById("linkCacheRedmineId");
+    this.elements.pinButton = document.getElementById("linkCachePinButton");
+    this.elements.clearButton = document.getElementById("linkCacheClearButton");
+    this.elements.info = document.getElementById("linkCacheInfo");
+    this.elements.table = document.getElementById("linkCacheTable");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.pinButton?.addEventListener("click", () => this.pinFromForm());
+    this.elements.clearButton?.addEventListener("click", () =>
+      this.clearCache()
+    );
+  }
+
+  /**
+   * Render cached links
+   */
+  async loadLinks() {
+    const container = this.elements.table;
+    if (!container) return;
+
+    const cache = await Storage.getIssueLinkCache();
+    const links = Object.entries(cache).sort(
+      ([keyA, a], [keyB, b]) =>
+        Number(b.pinned) - Number(a.pinned) || keyA.localeCompare(keyB)
+    );
+
+    const pinnedCount = links.filter(([, link]) => link.pinned).length;
+    if (this.elements.info) {
+      this.elements.info.textContent = `${links.length} cached links, ${pinnedCount} pinned`;
+    }
+
+    if (links.length === 0) {
+      container.innerHTML =
+        '<div class="input-help">The cache is empty. It fills up as comparisons run.</div>';
+      return;
+    }
+
+    const redmineUrl = this.redmineManager.getSettings()?.url?.replace(
+      /\/$/,
+      ""
+    );
+
+    container.innerHTML = `
+      <table class="missing-table link-cache-table">
+        <thead>
+          <tr>
+            <th>Jira</th>
+            <th>Redmine</th>
+            <th>Subject</th>
+            <th>Cached</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${links
+            .map(
+              ([jiraKey, link]) => `
+            <tr class="${link.pinned ? "link-cache-pinned" : ""}">
+              <td>${jiraKey}</td>
+              <td>${
+                !link.redmineIssueId
+                  ? "Not found"
+                  : redmineUrl
+                  ? `<a href="${redmineUrl}/issues/${link.redmineIssueId}" target="_blank" class="redmine-link">#${link.redmineIssueId}</a>`
+                  : `#${link.redmineIssueId}`
+              }</td>
+              <td class="description">${link.subject || "—"}</td>
+              <td>${
+                link.pinned
+                  ? "📌 Pinned"
+                  : `${new Date(link.updatedAt).toLocaleString()}${
+                      IssueLinkCache.isFresh(link) ? "" : " (expired)"
+                    }`
+              }</td>
+              <td class="link-cache-actions">
+                ${
+                  link.redmineIssueId
+                    ? `<button class="btn-small link-cache-toggle-pin" data-key="${jiraKey}" data-pinned="${
+                        link.pinned ? "1" : ""
+                      }" data-redmine-id="${link.redmineIssueId}">${
+                        link.pinned ? "Unpin" : "📌 Pin"
+                      }</button>`
+                    : ""
+                }
+                <button class="btn-small delete-btn link-cache-invalidate" data-key="${jiraKey}" title="Forget this link">🗑️</button>
+              </td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+
+    container.querySelectorAll(".link-cache-toggle-pin").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const { key, pinned, redmineId } = button.dataset;
+        if (pinned) {
+          await IssueLinkCache.unpin(key);
+        } else {
+          await IssueLinkCache.pin(key, redmineId);
+        }
+        await this.loadLinks();
+      });
+    });
+
+    container.querySelectorAll(".link-cache-invalidate").forEach((button) => {
+      button.addEventListener("click", async () => {
+        await IssueLinkCache.invalidate(button.dataset.key);
+        await this.loadLinks();
+      });
+    });
+  }
+
+  /**
+   * Pin the Jira key and Redmine task entered in the form
+   */
+  async pinFromForm() {
+    const jiraKey = this.elements.jiraKeyInput?.value.trim().toUpperCase();
+    const redmineId = parseInt(this.elements.redmineIdInput?.value);
+
+    if (!/^[A-Z][A-Z0-9]+-\d+$/.test(jiraKey || "") || !redmineId) {
+      NotificationManager.error("Enter a Jira key (PROJ-123) and a Redmine task ID");
+      return;
+    }
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+
+      await IssueLinkCache.pinVerified(jiraKey, redmineId, redmineSettings);
+
+      this.elements.jiraKeyInput.value = "";
+      this.elements.redmineIdInput.value = "";
+      await this.loadLinks();
+      NotificationManager.success(`📌 ${jiraKey} pinned to #${redmineId}`);
+    } catch (error) {
+      console.error("Error pinning link:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Clear cached links, keeping pinned ones
+   */
+  async clearCache() {
+    if (!confirm("Clear cached links? Pinned links are kept.")) return;
+
+    await IssueLinkCache.clear();
+    await this.loadLinks();
+    NotificationManager.success("✅ Link cache cleared");
+  }
+}
+
+export default LinkCacheManager;
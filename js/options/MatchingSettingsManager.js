@@ -0,0 +1,280 @@
+import { Storage } from "../utils/storage.js";
+import MatchingEngine from "../utils/MatchingEngine.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Edits the tolerances, rounding, weights and thresholds used to match
+ * Tempo worklogs to Redmine time entries
+ */
+export class MatchingSettingsManager {
+  static FIELDS = [
+    {
+      key: "hoursTolerance",
+      label: "Hours tolerance (h)",
+      help: "Hours differences up to this count as equal",
+      step: 0.05,
+    },
+    {
+      key: "hoursPartialTolerance",
+      label: "Partial hours tolerance (h)",
+      help: "Differences up to this still score half",
+      step: 0.05,
+    },
+    {
+      key: "roundingMinutes",
+      label: "Round to (minutes)",
+      help: "Round both sides before comparing hours, 0 turns rounding off",
+      step: 1,
+    },
+    {
+      key: "dateWindowDays",
+      label: "Date window (days)",
+      help: "How many days apart entries may still be matched",
+      step: 1,
+    },
+    {
+      key: "matchThreshold",
+      label: "Match threshold",
+      help: "Minimum score (0–1) to pair two entries",
+      step: 0.05,
+    },
+    {
+      key: "exactThreshold",
+      label: "Exact match threshold",
+      help: "Pairs below this score are shown as partial matches",
+      step: 0.05,
+    },
+    {
+      key: "identityThreshold",
+      label: "Description threshold",
+      help: "Similarity (0–1) a description needs to pair entries without a shared Jira key or Redmine issue",
+      step: 0.05,
+    },
+  ];
+
+  constructor() {
+    this.elements = {};
+    this.settings = {};
+  }
+
+  /**
+   * Initialize matching settings manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.form = document.getElementById("matchingSettingsForm");
+    this.elements.saveButton = document.getElementById(
+      "saveMatchingSettingsButton"
+    );
+    this.elements.resetButton = document.getElementById(
+      "resetMatchingSettingsButton"
+    );
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.saveButton?.addEventListener("click", () =>
+      this.saveSettings()
+    );
+    this.elements.resetButton?.addEventListener("click", () =>
+      this.resetSettings()
+    );
+  }
+
+  /**
+   * Load stored settings
+   */
+  async loadSettings() {
+    try {
+      this.settings = await Storage.getMatchingSettings();
+      this.renderForm();
+    } catch (error) {
+      console.error("Error loading matching settings:", error);
+      NotificationManager.error("Failed to load matching settings");
+    }
+  }
+
+  /**
+   * Render the settings form with stored values over the defaults
+   */
+  renderForm() {
+    const form = this.elements.form;
+    if (!form) return;
+
+    const config = MatchingEngine.resolveConfig(this.settings);
+
+    const fieldsHtml = MatchingSettingsManager.FIELDS.map(
+      (field) => `
+        <div class="control-group">
+          <label for="matching-${field.key}">${field.label}:</label>
+          <input
+            type="number"
+            id="matching-${field.key}"
+            class="modern-input matching-field"
+            data-key="${field.key}"
+            min="0"
+            step="${field.step}"
+            value="${config[field.key]}"
+          />
+          <div class="input-help">${field.help}</div>
+        </div>
+      `
+    ).join("");
+
+    const roundingModes = { nearest: "Nearest", up: "Up", down: "Down" };
+    const roundingHtml = `
+      <div class="control-group">
+        <label for="matching-roundingMode">Rounding:</label>
+        <select id="matching-roundingMode" class="modern-select">
+          ${Object.entries(roundingModes)
+            .map(
+              ([value, label]) =>
+                `<option value="${value}" ${
+                  config.roundingMode === value ? "selected" : ""
+                }>${label}</option>`
+            )
+            .join("")}
+        </select>
+      </div>
+    `;
+
+    const weightsHtml = Object.entries(MatchingEngine.strategies)
+      .map(
+        ([name, strategy]) => `
+        <div class="control-group">
+          <label for="matching-weight-${name}">${strategy.label}:</label>
+          <input
+            type="number"
+            id="matching-weight-${name}"
+            class="modern-input matching-weight"
+            data-strategy="${name}"
+            min="0"
+            step="0.5"
+            value="${config.weights[name] ?? 0}"
+          />
+        </div>
+      `
+      )
+      .join("");
+
+    const modes = { entry: "Per entry", aggregate: "Per date and task" };
+    const modeHtml = `
+      <div class="control-group">
+        <label for="matching-mode">Compare:</label>
+        <select id="matching-mode" class="modern-select">
+          ${Object.entries(modes)
+            .map(
+              ([value, label]) =>
+                `<option value="${value}" ${
+                  config.mode === value ? "selected" : ""
+                }>${label}</option>`
+            )
+            .join("")}
+        </select>
+        <div class="input-help">
+          Per date and task sums hours on both sides and shows the difference for every Jira key or Redmine issue
+        </div>
+      </div>
+    `;
+
+    form.innerHTML = `
+      <h4>Mode</h4>
+      <div class="matching-settings-grid">${modeHtml}</div>
+      <h4>Tolerances and thresholds</h4>
+      <div class="matching-settings-grid">${fieldsHtml}${roundingHtml}</div>
+      <h4>Strategy weights</h4>
+      <p class="input-help">
+        The match score is the weighted average of the strategies that apply to a pair. 0 turns a strategy off.
+      </p>
+      <div class="matching-settings-grid">${weightsHtml}</div>
+    `;
+  }
+
+  /**
+   * Read settings from the form
+   * @returns {Object} Partial MatchingEngine configuration
+   */
+  readForm() {
+    const form = this.elements.form;
+    const settings = { weights: {} };
+
+    form.querySelectorAll(".matching-field").forEach((input) => {
+      settings[input.dataset.key] = parseFloat(input.value) || 0;
+    });
+    form.querySelectorAll(".matching-weight").forEach((input) => {
+      settings.weights[input.dataset.strategy] = parseFloat(input.value) || 0;
+    });
+    settings.roundingMode =
+      form.querySelector("#matching-roundingMode")?.value || "nearest";
+    settings.mode = form.querySelector("#matching-mode")?.value || "entry";
+
+    return settings;
+  }
+
+  /**
+   * Validate and save settings
+   */
+  async saveSettings() {
+    try {
+      const settings = this.readForm();
+
+      if (settings.hoursPartialTolerance < settings.hoursTolerance) {
+        throw new Error(
+          "Partial hours tolerance must not be below the hours tolerance"
+        );
+      }
+      if (
+        settings.matchThreshold > 1 ||
+        settings.exactThreshold > 1 ||
+        settings.identityThreshold > 1
+      ) {
+        throw new Error("Thresholds must be between 0 and 1");
+      }
+      if (settings.exactThreshold < settings.matchThreshold) {
+        throw new Error(
+          "Exact match threshold must not be below the match threshold"
+        );
+      }
+      if (Object.values(settings.weights).every((weight) => weight === 0)) {
+        throw new Error("At least one strategy needs a weight above 0");
+      }
+
+      settings.dateWindowDays = Math.round(settings.dateWindowDays);
+      settings.roundingMinutes = Math.round(settings.roundingMinutes);
+
+      await Storage.setMatchingSettings(settings);
+      this.settings = settings;
+      this.renderForm();
+
+      NotificationManager.success(
+        "✅ Matching settings saved. Run the comparison again to apply them"
+      );
+    } catch (error) {
+      console.error("Error saving matching settings:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Restore the defaults
+   */
+  async resetSettings() {
+    if (!confirm("Reset matching settings to the defaults?")) return;
+
+    await Storage.setMatchingSettings({});
+    this.settings = {};
+    this.renderForm();
+    NotificationManager.success("✅ Matching settings reset");
+  }
+}
+
+export default MatchingSettingsManager;
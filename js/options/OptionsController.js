@@ -1,9 +1,23 @@
 import RedmineSettingsManager from "./RedmineSettingsManager.js";
 import JiraSettingsManager from "./JiraSettingsManager.js";
 import TempoSettingsManager from "./TempoSettingsManager.js";
-// import TimeEntriesManager from "./TimeEntriesManager.js";
+import TimeEntriesManager from "./TimeEntriesManager.js";
 import TimeComparisonManager from "./TimeComparisonManager.js";
 import SimpleTimeComparisonManager from "./SimpleTimeComparisonManager.js";
+import TimeSyncManager from "./TimeSyncManager.js";
+import CalendarManager from "./CalendarManager.js";
+import WeekSyncManager from "./WeekSyncManager.js";
+import IssueMappingManager from "./IssueMappingManager.js";
+import StatusSyncManager from "./StatusSyncManager.js";
+import ActivityRulesManager from "./ActivityRulesManager.js";
+import LinkCacheManager from "./LinkCacheManager.js";
+import JobQueueManager from "./JobQueueManager.js";
+import BulkHistoryManager from "./BulkHistoryManager.js";
+import DryRunManager from "./DryRunManager.js";
+import MatchingSettingsManager from "./MatchingSettingsManager.js";
+import TeamComparisonManager from "./TeamComparisonManager.js";
+import GitTemplatesManager from "./GitTemplatesManager.js";
+import DryRunUtils from "../utils/DryRunUtils.js";
 import NotificationManager from "./NotificationManager.js";
 
 /**
@@ -17,14 +31,13 @@ export class OptionsController {
     this.redmineManager = new RedmineSettingsManager();
     this.jiraManager = new JiraSettingsManager(this.redmineManager);
     this.tempoManager = new TempoSettingsManager();
-    // this.timeEntriesManager = new TimeEntriesManager(this.redmineManager);
+    this.timeEntriesManager = new TimeEntriesManager(this.redmineManager);
 
-    // Комментируем старый менеджер
-    // this.comparisonManager = new TimeComparisonManager(
-    //   this.redmineManager,
-    //   this.tempoManager,
-    //   this.jiraManager
-    // );
+    this.comparisonManager = new TimeComparisonManager(
+      this.redmineManager,
+      this.tempoManager,
+      this.jiraManager
+    );
 
     // Используем новый простой менеджер
     this.simpleComparisonManager = new SimpleTimeComparisonManager(
@@ -32,12 +45,62 @@ export class OptionsController {
       this.tempoManager,
       this.jiraManager
     );
+
+    this.teamComparisonManager = new TeamComparisonManager(
+      this.redmineManager,
+      this.tempoManager,
+      this.jiraManager
+    );
+
+    this.syncManager = new TimeSyncManager(
+      this.redmineManager,
+      this.tempoManager,
+      this.jiraManager
+    );
+
+    this.weekSyncManager = new WeekSyncManager(
+      this.redmineManager,
+      this.tempoManager,
+      this.jiraManager
+    );
+
+    this.issueMappingManager = new IssueMappingManager(
+      this.redmineManager,
+      this.jiraManager
+    );
+
+    this.statusSyncManager = new StatusSyncManager(this.redmineManager);
+
+    this.activityRulesManager = new ActivityRulesManager(this.redmineManager);
+
+    this.linkCacheManager = new LinkCacheManager(this.redmineManager);
+
+    this.jobQueueManager = new JobQueueManager();
+
+    this.bulkHistoryManager = new BulkHistoryManager(this.redmineManager);
+
+    this.dryRunManager = new DryRunManager(
+      this.redmineManager,
+      this.tempoManager
+    );
+
+    this.matchingSettingsManager = new MatchingSettingsManager();
+
+    this.gitTemplatesManager = new GitTemplatesManager();
+
+    this.calendarManager = new CalendarManager(
+      this.redmineManager,
+      this.tempoManager
+    );
   }
 
   /**
    * Initialize the options page
    */
   async init() {
+    // Writes planned in dry-run mode go to the preview log
+    DryRunUtils.install();
+
     this.bindElements();
     this.attachEventListeners();
     this.setupModalHandlers();
@@ -46,9 +109,22 @@ export class OptionsController {
     this.redmineManager.init();
     this.jiraManager.init();
     this.tempoManager.init();
-    // this.timeEntriesManager.init();
-    // this.comparisonManager.init(); // Закомментировали старый
+    this.timeEntriesManager.init();
+    this.comparisonManager.init();
     this.simpleComparisonManager.init(); // Используем новый
+    this.teamComparisonManager.init();
+    this.syncManager.init();
+    this.weekSyncManager.init();
+    this.issueMappingManager.init();
+    this.statusSyncManager.init();
+    this.activityRulesManager.init();
+    this.linkCacheManager.init();
+    this.jobQueueManager.init();
+    this.bulkHistoryManager.init();
+    this.dryRunManager.init();
+    this.matchingSettingsManager.init();
+    this.gitTemplatesManager.init();
+    this.calendarManager.init();
 
     // Load all settings and data
     await this.loadAllData();
@@ -106,8 +182,24 @@ export class OptionsController {
         this.redmineManager.loadSettings(),
         this.jiraManager.loadSettings(),
         this.tempoManager.loadSettings(),
-        // this.timeEntriesManager.loadTimeEntries(),
+        this.activityRulesManager.loadSettings(),
+        this.jobQueueManager.loadJobs(),
+        this.bulkHistoryManager.loadHistory(),
+        this.dryRunManager.loadSettings(),
+        this.matchingSettingsManager.loadSettings(),
+        this.gitTemplatesManager.loadSettings(),
+        this.teamComparisonManager.loadSettings(),
+        this.timeEntriesManager.loadTimeEntries(),
       ]);
+
+      // These render links to Redmine, so they need its settings loaded
+      await Promise.all([
+        this.statusSyncManager.loadSettings(),
+        this.linkCacheManager.loadLinks(),
+      ]);
+
+      // Calendar needs API settings to fetch hours
+      await this.calendarManager.loadSettings();
     } catch (error) {
       console.error("Error loading data:", error);
       NotificationManager.error("Failed to load some data");
@@ -131,9 +223,22 @@ export class OptionsController {
       redmine: this.redmineManager,
       jira: this.jiraManager,
       tempo: this.tempoManager,
-      // timeEntries: this.timeEntriesManager,
-      // comparison: this.comparisonManager, // Старый закомментирован
+      timeEntries: this.timeEntriesManager,
+      comparison: this.comparisonManager,
       simpleComparison: this.simpleComparisonManager, // Новый простой менеджер
+      teamComparison: this.teamComparisonManager,
+      sync: this.syncManager,
+      weekSync: this.weekSyncManager,
+      issueMapping: this.issueMappingManager,
+      statusSync: this.statusSyncManager,
+      activityRules: this.activityRulesManager,
+      linkCache: this.linkCacheManager,
+      jobQueue: this.jobQueueManager,
+      bulkHistory: this.bulkHistoryManager,
+      dryRun: this.dryRunManager,
+      matchingSettings: this.matchingSettingsManager,
+      gitTemplates: this.gitTemplatesManager,
+      calendar: this.calendarManager,
     };
   }
 }
@@ -222,7 +222,7 @@ export class RedmineSettingsManager {
       }
 
       await Storage.setRedmineSettings(settings);
-      this.settings = settings;
+      this.settings = await Storage.getRedmineSettings();
 
       NotificationManager.success("✅ Redmine settings saved successfully!");
       this.closeModal();
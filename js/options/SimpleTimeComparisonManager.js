@@ -1,7 +1,21 @@
 import SimpleTimeComparisonUtils from "../utils/SimpleTimeComparisonUtils.js";
 import NotificationManager from "./NotificationManager.js";
-import { createTimeEntry, createIssue } from "../api/redmine.js";
+import {
+  createTimeEntry,
+  createIssue,
+  updateTimeEntry,
+  batchDeleteTimeEntries,
+  fetchActivities,
+} from "../api/redmine.js";
 import JiraRestAPI from "../api/jira-rest.js";
+import TimeSyncUtils from "../utils/TimeSyncUtils.js";
+import ActivityRulesUtils from "../utils/ActivityRulesUtils.js";
+import IssueLinkCache from "../utils/IssueLinkCache.js";
+import JobQueue from "../utils/JobQueue.js";
+import BulkTransactionUtils from "../utils/BulkTransactionUtils.js";
+import { Storage } from "../utils/storage.js";
+import MatchingEngine from "../utils/MatchingEngine.js";
+import DateRangeUtils from "../utils/DateRangeUtils.js";
 
 /**
  * Простой менеджер сравнения времени без лишней хуйни
@@ -16,6 +30,7 @@ export class SimpleTimeComparisonManager {
     this.tempoManager = tempoSettingsManager;
     this.jiraManager = jiraSettingsManager;
     this.lastResult = null;
+    this.activities = null;
   }
 
   /**
@@ -24,7 +39,7 @@ export class SimpleTimeComparisonManager {
   init() {
     this.bindElements();
     this.attachEventListeners();
-    this.initializeDateSelectors();
+    this.initializeDateRange();
   }
 
   /**
@@ -34,11 +49,15 @@ export class SimpleTimeComparisonManager {
     this.elements = {
       section: document.getElementById("simpleTimeComparisonSection"),
       compareButton: document.getElementById("simpleCompareButton"),
-      monthSelect: document.getElementById("simpleComparisonMonth"),
-      yearSelect: document.getElementById("simpleComparisonYear"),
+      presetSelect: document.getElementById("simpleComparisonPreset"),
+      fromInput: document.getElementById("simpleComparisonFrom"),
+      toInput: document.getElementById("simpleComparisonTo"),
       resultsContainer: document.getElementById("simpleComparisonResults"),
       summaryContainer: document.getElementById("simpleComparisonSummary"),
+      bucketsContainer: document.getElementById("simpleBucketEntries"),
       missingContainer: document.getElementById("simpleMissingEntries"),
+      missingInTempoContainer: document.getElementById("simpleMissingInTempo"),
+      redmineContainer: document.getElementById("simpleRedmineEntries"),
       createAllButton: document.getElementById("simpleCreateAllButton"),
       exportButton: document.getElementById("simpleExportButton"),
     };
@@ -60,48 +79,27 @@ export class SimpleTimeComparisonManager {
   }
 
   /**
-   * Инициализировать селекторы даты
+   * Инициализировать выбор периода: быстрые пресеты и последний использованный период
    */
-  initializeDateSelectors() {
-    const now = new Date();
-
-    // Заполняем года
-    if (this.elements.yearSelect) {
-      const currentYear = now.getFullYear();
-      for (let year = currentYear - 2; year <= currentYear + 1; year++) {
-        const option = document.createElement("option");
-        option.value = year;
-        option.textContent = year;
-        if (year === currentYear) option.selected = true;
-        this.elements.yearSelect.appendChild(option);
-      }
-    }
-
-    // Заполняем месяцы
-    if (this.elements.monthSelect) {
-      const months = [
-        "Январь",
-        "Февраль",
-        "Март",
-        "Апрель",
-        "Май",
-        "Июнь",
-        "Июль",
-        "Август",
-        "Сентябрь",
-        "Октябрь",
-        "Ноябрь",
-        "Декабрь",
-      ];
+  async initializeDateRange() {
+    await DateRangeUtils.bindControls(this.elements, "simpleComparison", {
+      thisWeek: "Эта неделя",
+      lastWeek: "Прошлая неделя",
+      thisSprint: "Текущий спринт",
+      lastSprint: "Прошлый спринт",
+      thisMonth: "Этот месяц",
+      lastMonth: "Прошлый месяц",
+      sinceReconciliation: "С последней сверки",
+      custom: "Свой период",
+    });
+  }
 
-      months.forEach((month, index) => {
-        const option = document.createElement("option");
-        option.value = index + 1;
-        option.textContent = month;
-        if (index === now.getMonth()) option.selected = true;
-        this.elements.monthSelect.appendChild(option);
-      });
-    }
+  /**
+   * Получить выбранный период
+   * @returns {Object} {preset, startDate, endDate}
+   */
+  getSelectedRange() {
+    return DateRangeUtils.readControls(this.elements);
   }
 
   /**
@@ -137,28 +135,40 @@ export class SimpleTimeComparisonManager {
       }
 
       // Получаем период
-      const year =
-        parseInt(this.elements.yearSelect?.value) || new Date().getFullYear();
-      const month =
-        parseInt(this.elements.monthSelect?.value) || new Date().getMonth() + 1;
-
-      console.log(
-        `🔍 Сравниваем время за ${year}-${month.toString().padStart(2, "0")}`
-      );
+      const range = this.getSelectedRange();
+      if (!DateRangeUtils.isValid(range)) {
+        throw new Error("Укажи период: дата начала не позже даты конца");
+      }
 
       // Выполняем сравнение
       const result = await SimpleTimeComparisonUtils.compareTimeEntries(
-        year,
-        month,
+        range.startDate,
+        range.endDate,
         tempoSettings,
         redmineSettings,
-        jiraSettings
+        jiraSettings,
+        await Storage.getMatchingSettings()
       );
 
       if (result.success) {
+        // В режиме по задачам активность нужна и для добора разницы
+        const { comparison } = result;
+        await this.resolveEntryActivities(
+          comparison.mode === "aggregate"
+            ? comparison.buckets
+                .filter((bucket) => bucket.delta > 0)
+                .flatMap((bucket) => bucket.tempo)
+            : comparison.missingInRedmine,
+          redmineSettings,
+          jiraSettings
+        );
+
         this.lastResult = result;
         this.displayResults(result);
 
+        await DateRangeUtils.saveLastRange("simpleComparison", range);
+        await DateRangeUtils.recordReconciliation(range, comparison);
+
         const stats = result.comparison.stats;
         NotificationManager.success(
           `✅ Сравнение завершено! Отсутствует ${
@@ -178,6 +188,59 @@ export class SimpleTimeComparisonManager {
     }
   }
 
+  /**
+   * Проставить активность отсутствующим записям по правилам из настроек
+   */
+  async resolveEntryActivities(missingEntries, redmineSettings, jiraSettings) {
+    try {
+      if (!this.activities) {
+        const activitiesResult = await fetchActivities(redmineSettings);
+        this.activities = activitiesResult.success
+          ? activitiesResult.activities.filter((a) => a.active !== false)
+          : [];
+      }
+
+      const rules = await Storage.getActivityRules();
+      const activities = await ActivityRulesUtils.resolveForJiraKeys(
+        missingEntries.map((entry) => entry.jiraTask),
+        rules,
+        jiraSettings
+      );
+
+      missingEntries.forEach((entry) => {
+        entry.activityId = activities[entry.jiraTask] || null;
+      });
+    } catch (error) {
+      // Без правил запись создаётся с активностью по умолчанию
+      console.warn("⚠️ Не удалось определить активности:", error);
+    }
+  }
+
+  /**
+   * Выпадающий список активности для записи
+   */
+  renderActivitySelect(entry, index) {
+    if (!this.activities?.length) {
+      return "По умолчанию";
+    }
+
+    const selectedId =
+      entry.activityId || this.redmineManager.getSettings()?.activityId;
+
+    return `
+      <select class="modern-select activity-select" data-index="${index}">
+        ${this.activities
+          .map(
+            (activity) =>
+              `<option value="${activity.id}" ${
+                String(activity.id) === String(selectedId) ? "selected" : ""
+              }>${activity.name}</option>`
+          )
+          .join("")}
+      </select>
+    `;
+  }
+
   /**
    * Отобразить результаты
    */
@@ -187,7 +250,10 @@ export class SimpleTimeComparisonManager {
     this.elements.resultsContainer.style.display = "block";
 
     this.displaySummary(result.comparison.stats);
+    this.displayBuckets(result.comparison);
     this.displayMissingEntries(result.comparison.missingInRedmine);
+    this.displayMissingInTempo(result.comparison.missingInTempo);
+    this.displayRedmineEntries(result.redmineEntries || []);
 
     // Включаем кнопки действий
     const hasMissingEntries = result.comparison.missingInRedmine.length > 0;
@@ -229,6 +295,12 @@ export class SimpleTimeComparisonManager {
               stats.missing
             } записей (${stats.missingHours.toFixed(2)}ч)</div>
           </div>
+          <div class="summary-item ${stats.extra > 0 ? "warning" : "success"}">
+            <div class="summary-label">Нет в Tempo</div>
+            <div class="summary-value">${
+              stats.extra
+            } записей (${stats.extraHours.toFixed(2)}ч)</div>
+          </div>
           <div class="summary-item success">
             <div class="summary-label">Найдено</div>
             <div class="summary-value">${stats.matched} записей</div>
@@ -283,7 +355,13 @@ export class SimpleTimeComparisonManager {
                 }</a>`
               : "Не найдена"
           }
+          ${
+            entry.jiraTask
+              ? `<button class="btn-small choose-link-btn" data-index="${index}" title="Выбрать Redmine задачу">✏️</button>`
+              : ""
+          }
         </td>
+        <td class="activity">${this.renderActivitySelect(entry, index)}</td>
         <td class="actions">
           <button class="btn-small create-btn" data-index="${index}">
             ➕ Создать
@@ -305,6 +383,7 @@ export class SimpleTimeComparisonManager {
               <th>Описание</th>
               <th>Jira задача</th>
               <th>Redmine задача</th>
+              <th>Активность</th>
               <th>Действия</th>
             </tr>
           </thead>
@@ -315,6 +394,26 @@ export class SimpleTimeComparisonManager {
       </div>
     `;
 
+    // Ручной выбор активности перекрывает правила
+    this.elements.missingContainer
+      .querySelectorAll(".activity-select")
+      .forEach((select) => {
+        select.addEventListener("change", (e) => {
+          const index = parseInt(e.target.dataset.index);
+          missingEntries[index].activityId = parseInt(e.target.value);
+        });
+      });
+
+    // Ручной выбор Redmine задачи для Jira задачи
+    this.elements.missingContainer
+      .querySelectorAll(".choose-link-btn")
+      .forEach((btn) => {
+        btn.addEventListener("click", (e) => {
+          const index = parseInt(e.currentTarget.dataset.index);
+          this.openLinkPicker(missingEntries[index], e.currentTarget.parentElement);
+        });
+      });
+
     // Привязываем события для кнопок создания
     this.elements.missingContainer
       .querySelectorAll(".create-btn")
@@ -327,54 +426,829 @@ export class SimpleTimeComparisonManager {
   }
 
   /**
-   * Создать запись в Redmine
+   * Отобразить записи Redmine, которых нет в Tempo
    */
-  async createEntry(entry) {
-    NotificationManager.info(`🔄 Создаём запись для ${entry.date}...`);
+  displayMissingInTempo(entries) {
+    const container = this.elements.missingInTempoContainer;
+    if (!container) return;
 
-    // Показываем визуальный прогресс
-    this.updateEntryVisualState(entry, "creating");
+    if (entries.length === 0) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const entriesHtml = entries
+      .map(
+        (entry, index) => `
+      <tr class="missing-entry ${
+        entry.deletedInTempo ? "deleted-in-tempo" : ""
+      }" data-index="${index}">
+        <td>${entry.date}</td>
+        <td>${entry.hours.toFixed(2)}ч</td>
+        <td class="description">${entry.description || "Без описания"}</td>
+        <td class="jira-task">
+          ${
+            entry.jiraTask
+              ? `<a href="${this.getJiraUrl(
+                  entry.jiraTask
+                )}" target="_blank" class="jira-link">${entry.jiraTask}</a>`
+              : "Не найдена"
+          }
+        </td>
+        <td class="redmine-task">
+          ${
+            entry.redmineTask
+              ? `<a href="${this.getRedmineUrl(
+                  entry.redmineTask
+                )}" target="_blank" class="redmine-link">#${
+                  entry.redmineTask
+                }</a>`
+              : "—"
+          }
+        </td>
+        <td class="actions">
+          ${
+            entry.deletedInTempo
+              ? `<div class="input-help">Ворклог удалён в Tempo</div>
+                 <button class="btn-small delete-btn" data-index="${index}">🗑️ Удалить</button>`
+              : ""
+          }
+          <button class="btn-small create-tempo-btn" data-index="${index}" ${
+          entry.jiraTask ? "" : 'disabled title="Jira задача не найдена"'
+        }>➕ В Tempo</button>
+        </td>
+      </tr>
+    `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="missing-entries">
+        <h3>➕ Нет в Tempo (${entries.length})</h3>
+        <table class="missing-table">
+          <thead>
+            <tr>
+              <th>Дата</th>
+              <th>Время</th>
+              <th>Описание</th>
+              <th>Jira задача</th>
+              <th>Redmine задача</th>
+              <th>Действия</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entriesHtml}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    container.querySelectorAll(".create-tempo-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this.createTempoWorklog(
+          entries[parseInt(e.target.dataset.index)],
+          e.target
+        )
+      );
+    });
+    container.querySelectorAll(".delete-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this.deleteRedmineEntries([entries[parseInt(e.target.dataset.index)]])
+      );
+    });
+  }
+
+  /**
+   * Создать в Tempo ворклог для записи, которая есть только в Redmine
+   */
+  async createTempoWorklog(entry, button) {
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = "⏳";
+
+    try {
+      const authorAccountId = await SimpleTimeComparisonUtils.getAuthorAccountId(
+        this.lastResult.tempoEntries,
+        this.jiraManager.getSettings()
+      );
+      const result = await TimeSyncUtils.createTempoCounterpart(
+        entry,
+        this.tempoManager.getSettings(),
+        authorAccountId
+      );
+
+      if (result.dryRun) {
+        this.notifyDryRun(`ворклог ${entry.hours.toFixed(2)}ч за ${entry.date}`);
+        button.disabled = false;
+        button.textContent = originalText;
+        return;
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await this.applyTempoCreation(entry, result.tempoEntry);
+      NotificationManager.success(
+        `✅ Ворклог ${entry.jiraTask} ${entry.hours.toFixed(2)}ч за ${
+          entry.date
+        } создан в Tempo`
+      );
+    } catch (error) {
+      console.error("❌ Ошибка создания ворклога:", error);
+      NotificationManager.error(`❌ Ошибка создания в Tempo: ${error.message}`);
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+
+  /**
+   * Учесть созданный ворклог Tempo в результатах сравнения
+   */
+  async applyTempoCreation(entry, tempoEntry) {
+    const { comparison } = this.lastResult;
+
+    comparison.missingInTempo = comparison.missingInTempo.filter(
+      (item) => item !== entry
+    );
+    comparison.stats.extra--;
+    comparison.stats.extraHours -= entry.hours;
+
+    this.lastResult.tempoEntries.push(tempoEntry);
+    comparison.stats.tempoTotal++;
+    comparison.stats.tempoHours += tempoEntry.hours;
+
+    const config = MatchingEngine.resolveConfig(
+      await Storage.getMatchingSettings()
+    );
+    comparison.matched.push(MatchingEngine.buildMatch(tempoEntry, entry, config));
+    comparison.stats.matched++;
+
+    const bucket = comparison.buckets.find((item) =>
+      item.redmine.some(
+        (redmine) => String(redmine.redmineId) === String(entry.redmineId)
+      )
+    );
+    if (bucket) {
+      Object.assign(
+        bucket,
+        MatchingEngine.summarizeBucket(
+          { ...bucket, tempo: [...bucket.tempo, tempoEntry] },
+          config
+        )
+      );
+      comparison.stats.buckets = MatchingEngine.countBuckets(comparison.buckets);
+    }
+
+    this.displayResults(this.lastResult);
+  }
+
+  /**
+   * Отобразить записи Redmine за период с действиями редактирования и удаления
+   */
+  displayRedmineEntries(redmineEntries) {
+    const container = this.elements.redmineContainer;
+    if (!container) return;
+
+    if (redmineEntries.length === 0) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const sortedEntries = [...redmineEntries].sort((a, b) =>
+      a.date.localeCompare(b.date)
+    );
+
+    // По какому правилу запись сопоставлена с Tempo
+    const matches = new Map(
+      (this.lastResult?.comparison?.matched || []).map((match) => [
+        String(match.redmine.redmineId),
+        match,
+      ])
+    );
+
+    const entriesHtml = sortedEntries
+      .map(
+        (entry) => `
+      <tr class="redmine-entry" data-redmine-id="${entry.redmineId}">
+        <td><input type="checkbox" class="redmine-entry-select" value="${
+          entry.redmineId
+        }" /></td>
+        <td>${entry.date}</td>
+        <td class="hours">${entry.hours.toFixed(2)}ч</td>
+        <td class="description">${entry.description || "Без описания"}</td>
+        <td class="jira-task">
+          ${
+            entry.jiraTask
+              ? `<a href="${this.getJiraUrl(
+                  entry.jiraTask
+                )}" target="_blank" class="jira-link">${entry.jiraTask}</a>`
+              : "Нет задачи"
+          }
+        </td>
+        <td class="redmine-task">
+          ${
+            entry.redmineTask
+              ? `<a href="${this.getRedmineUrl(
+                  entry.redmineTask
+                )}" target="_blank" class="redmine-link">#${
+                  entry.redmineTask
+                }</a>`
+              : "—"
+          }
+        </td>
+        <td class="match-rule">${this.renderMatchRule(
+          matches.get(String(entry.redmineId))
+        )}</td>
+        <td class="actions">
+          <button class="btn-small edit-btn" data-redmine-id="${
+            entry.redmineId
+          }">✏️ Изменить</button>
+          <button class="btn-small delete-btn" data-redmine-id="${
+            entry.redmineId
+          }">🗑️ Удалить</button>
+        </td>
+      </tr>
+    `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="missing-entries">
+        <h3>📋 Записи в Redmine (${redmineEntries.length})</h3>
+        <table class="missing-table redmine-entries-table">
+          <thead>
+            <tr>
+              <th><input type="checkbox" class="redmine-entry-select-all" /></th>
+              <th>Дата</th>
+              <th>Время</th>
+              <th>Описание</th>
+              <th>Jira задача</th>
+              <th>Redmine задача</th>
+              <th>Совпадение с Tempo</th>
+              <th>Действия</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entriesHtml}
+          </tbody>
+        </table>
+        <div class="comparison-actions">
+          <button class="btn-secondary delete-selected-btn" disabled>
+            🗑️ Удалить выбранные
+          </button>
+        </div>
+      </div>
+    `;
+
+    const findEntry = (id) =>
+      redmineEntries.find((entry) => String(entry.redmineId) === String(id));
+
+    const deleteSelectedButton = container.querySelector(
+      ".delete-selected-btn"
+    );
+    const checkboxes = container.querySelectorAll(".redmine-entry-select");
+    const updateSelection = () => {
+      const selectedCount = container.querySelectorAll(
+        ".redmine-entry-select:checked"
+      ).length;
+      deleteSelectedButton.disabled = selectedCount === 0;
+      deleteSelectedButton.textContent = selectedCount
+        ? `🗑️ Удалить выбранные (${selectedCount})`
+        : "🗑️ Удалить выбранные";
+    };
+
+    checkboxes.forEach((checkbox) =>
+      checkbox.addEventListener("change", updateSelection)
+    );
+    container
+      .querySelector(".redmine-entry-select-all")
+      ?.addEventListener("change", (e) => {
+        checkboxes.forEach((checkbox) => (checkbox.checked = e.target.checked));
+        updateSelection();
+      });
+
+    container.querySelectorAll(".edit-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const entry = findEntry(e.target.dataset.redmineId);
+        const row = e.target.closest("tr");
+        if (entry && row) this.startRedmineEntryEdit(row, entry);
+      });
+    });
+
+    container.querySelectorAll(".delete-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const entry = findEntry(e.target.dataset.redmineId);
+        if (entry) this.deleteRedmineEntries([entry]);
+      });
+    });
+
+    deleteSelectedButton.addEventListener("click", () => {
+      const selected = Array.from(
+        container.querySelectorAll(".redmine-entry-select:checked")
+      )
+        .map((checkbox) => findEntry(checkbox.value))
+        .filter(Boolean);
+      this.deleteRedmineEntries(selected, deleteSelectedButton);
+    });
+  }
+
+  /**
+   * Перевести строку записи Redmine в режим редактирования
+   */
+  startRedmineEntryEdit(row, entry) {
+    const hoursCell = row.querySelector(".hours");
+    const descriptionCell = row.querySelector(".description");
+    const actionsCell = row.querySelector(".actions");
+
+    const hoursInput = document.createElement("input");
+    hoursInput.type = "number";
+    hoursInput.step = "0.25";
+    hoursInput.min = "0.01";
+    hoursInput.className = "modern-input inline-edit-input";
+    hoursInput.value = entry.hours;
+
+    const descriptionInput = document.createElement("input");
+    descriptionInput.type = "text";
+    descriptionInput.className = "modern-input inline-edit-input";
+    descriptionInput.value = entry.description || "";
+
+    hoursCell.replaceChildren(hoursInput);
+    descriptionCell.replaceChildren(descriptionInput);
+    actionsCell.innerHTML = `
+      <button class="btn-small save-btn">💾 Сохранить</button>
+      <button class="btn-small cancel-btn">❌ Отмена</button>
+    `;
+
+    actionsCell.querySelector(".save-btn").addEventListener("click", (e) =>
+      this.saveRedmineEntry(entry, {
+        hours: parseFloat(hoursInput.value),
+        description: descriptionInput.value.trim(),
+        button: e.target,
+      })
+    );
+    actionsCell
+      .querySelector(".cancel-btn")
+      .addEventListener("click", () =>
+        this.displayRedmineEntries(this.lastResult?.redmineEntries || [])
+      );
+  }
+
+  /**
+   * Сохранить изменения записи Redmine
+   */
+  async saveRedmineEntry(entry, { hours, description, button }) {
+    if (!hours || hours <= 0) {
+      NotificationManager.error("❌ Время должно быть больше нуля");
+      return;
+    }
+
+    if (button) {
+      button.disabled = true;
+      button.textContent = "⏳";
+    }
 
     try {
       const redmineSettings = this.redmineManager.getSettings();
-      const jiraSettings = this.jiraManager.getSettings();
+      const result = await updateTimeEntry(
+        entry.redmineId,
+        { time: hours, comment: description },
+        redmineSettings
+      );
 
-      let redmineTaskId = entry.redmineTask;
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (result.dryRun) {
+        this.notifyDryRun(`обновление записи #${entry.redmineId}`);
+        this.displayResults(this.lastResult);
+        return;
+      }
 
-      // Если нет Redmine задачи, но есть Jira задача - создаём Redmine задачу
-      if (!redmineTaskId && entry.jiraTask) {
-        redmineTaskId = await this.createRedmineTaskForJira(
-          entry.jiraTask,
-          redmineSettings,
-          jiraSettings
-        );
+      const stats = this.lastResult?.comparison?.stats;
+      if (stats) {
+        stats.redmineHours += hours - entry.hours;
       }
 
-      // Создаём запись времени
-      const timeEntryData = {
-        date: entry.date,
-        time: entry.hours,
-        comment: entry.description, // Используем тот же комментарий что и в Tempo
-        isResearch: false,
-      };
+      entry.hours = hours;
+      entry.description = description;
 
-      if (redmineTaskId) {
-        timeEntryData.task = redmineTaskId.toString();
+      NotificationManager.success(`✅ Запись #${entry.redmineId} обновлена`);
+      this.displayResults(this.lastResult);
+    } catch (error) {
+      console.error("❌ Ошибка обновления записи:", error);
+      NotificationManager.error(
+        `❌ Ошибка обновления записи: ${error.message}`
+      );
+      if (button) {
+        button.disabled = false;
+        button.textContent = "💾 Сохранить";
+      }
+    }
+  }
+
+  /**
+   * Отобразить сравнение по дням и задачам (режим сопоставления "aggregate")
+   */
+  displayBuckets(comparison) {
+    const container = this.elements.bucketsContainer;
+    if (!container) return;
+
+    if (comparison.mode !== "aggregate") {
+      container.innerHTML = "";
+      return;
+    }
+
+    const statusLabels = {
+      matched: "✅ Совпадает",
+      under: "⬇️ Не хватает в Redmine",
+      over: "⬆️ Больше, чем в Tempo",
+      missing: "❌ Нет в Redmine",
+      extra: "➕ Нет в Tempo",
+    };
+    const bucketStats = comparison.stats.buckets;
+
+    // Совпавшие корзины не показываем, их количество есть в заголовке
+    const buckets = comparison.buckets.filter(
+      (bucket) => bucket.status !== "matched"
+    );
+
+    if (buckets.length === 0) {
+      container.innerHTML = `
+        <div class="no-missing">
+          <h3>✅ По всем дням и задачам время совпадает (${bucketStats.matched})</h3>
+        </div>
+      `;
+      return;
+    }
+
+    const formatEntries = (entries, source) =>
+      entries
+        .map(
+          (entry) =>
+            `<li>${source} ${entry.hours.toFixed(2)}ч — ${
+              entry.description || "Без описания"
+            }${entry.redmineId ? ` (#${entry.redmineId})` : ""}</li>`
+        )
+        .join("");
+
+    const rowsHtml = buckets
+      .map(
+        (bucket) => `
+        <tr class="bucket-row bucket-${bucket.status}">
+          <td>${bucket.date}</td>
+          <td>${
+            bucket.jiraTask
+              ? `<a href="${this.getJiraUrl(
+                  bucket.jiraTask
+                )}" target="_blank" class="jira-link">${bucket.jiraTask}</a>`
+              : bucket.redmineTask
+              ? `#${bucket.redmineTask}`
+              : "Нет задачи"
+          }</td>
+          <td class="hours">${bucket.tempoHours.toFixed(2)}ч</td>
+          <td class="hours">${bucket.redmineHours.toFixed(2)}ч</td>
+          <td class="hours bucket-delta">${bucket.delta > 0 ? "+" : ""}${bucket.delta.toFixed(2)}ч</td>
+          <td>
+            ${statusLabels[bucket.status]}
+            <details class="bucket-details">
+              <summary>${bucket.tempo.length} Tempo / ${
+          bucket.redmine.length
+        } Redmine</summary>
+              <ul>
+                ${formatEntries(bucket.tempo, "Tempo")}
+                ${formatEntries(bucket.redmine, "Redmine")}
+              </ul>
+            </details>
+          </td>
+          <td class="actions">${
+            bucket.delta > 0
+              ? `<button class="btn-small create-btn bucket-topup-btn" data-key="${
+                  bucket.key
+                }">➕ Добрать ${bucket.delta.toFixed(2)}ч</button>`
+              : ""
+          }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="missing-entries">
+        <h3>🧮 По дням и задачам: расхождений ${buckets.length}, совпадает ${bucketStats.matched}</h3>
+        <table class="missing-table bucket-table">
+          <thead>
+            <tr>
+              <th>Дата</th>
+              <th>Задача</th>
+              <th>Tempo</th>
+              <th>Redmine</th>
+              <th>Разница</th>
+              <th>Статус</th>
+              <th>Действия</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    container.querySelectorAll(".bucket-topup-btn").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.topUpBucket(
+          comparison.buckets.find((bucket) => bucket.key === button.dataset.key),
+          button
+        )
+      );
+    });
+  }
+
+  /**
+   * Создать в Redmine одну запись на разницу между Tempo и Redmine по дню и задаче
+   */
+  async topUpBucket(bucket, button) {
+    if (!bucket || bucket.delta <= 0) return;
+
+    const hours = Math.round(bucket.delta * 100) / 100;
+    button.disabled = true;
+    button.textContent = "⏳";
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const description = [
+        ...new Set(bucket.tempo.map((entry) => entry.description).filter(Boolean)),
+      ].join("; ");
+
+      const { timeEntryData, redmineTaskId } = await this.buildTimeEntryData(
+        {
+          date: bucket.date,
+          hours,
+          description,
+          jiraTask: bucket.jiraTask,
+          redmineTask: bucket.redmineTask,
+          activityId: bucket.tempo[0]?.activityId,
+        },
+        redmineSettings
+      );
+
+      const result = await createTimeEntry(timeEntryData, redmineSettings);
+
+      if (result.dryRun) {
+        this.notifyDryRun(`добор ${hours.toFixed(2)}ч за ${bucket.date}`);
+        this.displayResults(this.lastResult);
+        return;
+      }
+      if (!result.success) {
+        await this.invalidateLinkOnError(bucket, result.error);
+        throw new Error(result.error);
+      }
+
+      const [created] = SimpleTimeComparisonUtils.normalizeRedmineEntries([
+        result.result.time_entry,
+      ]);
+      await this.applyTopUp(bucket, { ...created, jiraTask: bucket.jiraTask });
+
+      NotificationManager.success(
+        `✅ Добавлено ${hours.toFixed(2)}ч на ${
+          redmineTaskId ? `#${redmineTaskId}` : "проект"
+        } за ${bucket.date}`
+      );
+    } catch (error) {
+      console.error("❌ Ошибка добора времени:", error);
+      NotificationManager.error(`❌ Ошибка добора: ${error.message}`);
+      button.disabled = false;
+      button.textContent = `➕ Добрать ${hours.toFixed(2)}ч`;
+    }
+  }
+
+  /**
+   * Учесть созданную запись добора в результатах сравнения
+   */
+  async applyTopUp(bucket, createdEntry) {
+    const { comparison } = this.lastResult;
+    const wasMissing = bucket.status === "missing";
+
+    Object.assign(
+      bucket,
+      MatchingEngine.summarizeBucket(
+        { ...bucket, redmine: [...bucket.redmine, createdEntry] },
+        MatchingEngine.resolveConfig(await Storage.getMatchingSettings())
+      )
+    );
+
+    this.lastResult.redmineEntries.push(createdEntry);
+    comparison.stats.redmineTotal++;
+    comparison.stats.redmineHours += createdEntry.hours;
+    comparison.stats.buckets = MatchingEngine.countBuckets(comparison.buckets);
+
+    // Записи Tempo этой корзины больше не отсутствуют
+    if (wasMissing) {
+      comparison.missingInRedmine = comparison.missingInRedmine.filter(
+        (entry) => !bucket.tempo.includes(entry)
+      );
+      comparison.stats.missing = comparison.missingInRedmine.length;
+      comparison.stats.missingHours -= bucket.tempoHours;
+    }
+
+    this.displayResults(this.lastResult);
+  }
+
+  /**
+   * Показать, по каким правилам запись Redmine сопоставлена с записью Tempo
+   */
+  renderMatchRule(match) {
+    if (!match) {
+      return '<span class="match-none">Нет в Tempo</span>';
+    }
+
+    const title = Object.entries(match.breakdown)
+      .map(
+        ([name, value]) =>
+          `${MatchingEngine.strategies[name]?.label || name}: ${Math.round(
+            value * 100
+          )}%`
+      )
+      .join("\n");
+
+    return `<span class="match-${match.matchType}" title="${title}">${
+      match.matchType === "exact" ? "✅" : "⚠️"
+    } ${MatchingEngine.describeMatch(match)}</span>`;
+  }
+
+  /**
+   * Удалить записи из Redmine
+   */
+  async deleteRedmineEntries(entries, button = null) {
+    if (entries.length === 0) return;
+
+    const totalHours = entries.reduce((sum, e) => sum + e.hours, 0);
+    const confirmed = confirm(
+      entries.length === 1
+        ? `Удалить запись #${entries[0].redmineId} (${entries[0].date}, ${entries[0].hours.toFixed(2)}ч) из Redmine?`
+        : `Удалить ${entries.length} записей (${totalHours.toFixed(
+            2
+          )}ч) из Redmine?`
+    );
+    if (!confirmed) return;
+
+    const originalText = button?.textContent;
+    if (button) button.disabled = true;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const result = await batchDeleteTimeEntries(
+        entries.map((e) => e.redmineId),
+        redmineSettings,
+        (current, total) => {
+          if (button) {
+            button.textContent = `🔄 Удаляем... (${current}/${total})`;
+          }
+        }
+      );
+
+      const { deletedIds, successful, failed, errors } = result.result;
+
+      if (redmineSettings.dryRun) {
+        this.notifyDryRun(`удаление ${successful} записей`);
+        this.displayResults(this.lastResult);
+        return;
+      }
+
+      // Удалённые записи больше не должны синхронизироваться с Tempo
+      await Storage.removeSyncLinksByRedmineIds(deletedIds);
+      this.applyRedmineDeletion(deletedIds);
+
+      if (failed > 0) {
+        console.error("❌ Ошибки удаления:", errors);
+        NotificationManager.warning(
+          `⚠️ Удалено ${successful}, ошибок: ${failed}`
+        );
       } else {
-        // Если нет задачи, создаём на связанном проекте или дефолтном
-        const linkedProject = await this.getLinkedProject();
-        timeEntryData.projectId =
-          linkedProject || redmineSettings.projectId || "1";
+        NotificationManager.success(`✅ Удалено ${successful} записей`);
+      }
+    } catch (error) {
+      console.error("❌ Ошибка удаления записей:", error);
+      NotificationManager.error(`❌ Ошибка удаления: ${error.message}`);
+      if (button) {
+        button.disabled = false;
+        button.textContent = originalText;
+      }
+    }
+  }
+
+  /**
+   * Обновить результаты сравнения после удаления записей Redmine
+   */
+  applyRedmineDeletion(deletedIds) {
+    if (!this.lastResult?.comparison || deletedIds.length === 0) return;
+
+    const deleted = new Set(deletedIds.map(String));
+    const { comparison } = this.lastResult;
+
+    this.lastResult.redmineEntries.forEach((entry) => {
+      if (deleted.has(String(entry.redmineId))) {
+        comparison.stats.redmineTotal--;
+        comparison.stats.redmineHours -= entry.hours;
       }
+    });
+    this.lastResult.redmineEntries = this.lastResult.redmineEntries.filter(
+      (entry) => !deleted.has(String(entry.redmineId))
+    );
+    comparison.missingInTempo = comparison.missingInTempo.filter(
+      (entry) => !deleted.has(String(entry.redmineId))
+    );
+    comparison.stats.extra = comparison.missingInTempo.length;
+    comparison.stats.extraHours = comparison.missingInTempo.reduce(
+      (sum, entry) => sum + entry.hours,
+      0
+    );
+
+    // Записи Tempo, совпавшие с удалёнными, снова становятся отсутствующими
+    comparison.matched = comparison.matched.filter((match) => {
+      if (!deleted.has(String(match.redmine.redmineId))) return true;
+
+      comparison.missingInRedmine.push({
+        ...match.tempo,
+        redmineTask: match.tempo.redmineTask || match.redmine.redmineTask,
+      });
+      comparison.stats.missing++;
+      comparison.stats.missingHours += match.tempo.hours;
+      comparison.stats.matched--;
+      if (match.matchType === "partial") comparison.stats.partial--;
+      return false;
+    });
+
+    comparison.missingInRedmine.sort((a, b) => a.date.localeCompare(b.date));
+    this.displayResults(this.lastResult);
+  }
+
+  /**
+   * Подготовить данные записи времени: задача Redmine (при необходимости создаётся
+   * по Jira задаче) или проект по умолчанию
+   * @returns {Promise<Object>} {timeEntryData, redmineTaskId}
+   */
+  async buildTimeEntryData(entry, redmineSettings) {
+    let redmineTaskId = entry.redmineTask;
+
+    // Если нет Redmine задачи, но есть Jira задача - создаём Redmine задачу
+    if (!redmineTaskId && entry.jiraTask) {
+      redmineTaskId = await this.createRedmineTaskForJira(
+        entry.jiraTask,
+        redmineSettings,
+        this.jiraManager.getSettings()
+      );
+    }
+
+    // Создаём запись времени
+    const timeEntryData = {
+      date: entry.date,
+      time: entry.hours,
+      comment: entry.description, // Используем тот же комментарий что и в Tempo
+      activityId: entry.activityId,
+      isResearch: false,
+    };
+
+    if (redmineTaskId) {
+      timeEntryData.task = redmineTaskId.toString();
+    } else {
+      // Если нет задачи, создаём на связанном проекте или дефолтном
+      const linkedProject = await this.getLinkedProject();
+      timeEntryData.projectId =
+        linkedProject || redmineSettings.projectId || "1";
+    }
+
+    return { timeEntryData, redmineTaskId };
+  }
+
+  /**
+   * Создать запись в Redmine
+   */
+  async createEntry(entry) {
+    NotificationManager.info(`🔄 Создаём запись для ${entry.date}...`);
+
+    // Показываем визуальный прогресс
+    this.updateEntryVisualState(entry, "creating");
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const { timeEntryData, redmineTaskId } = await this.buildTimeEntryData(
+        entry,
+        redmineSettings
+      );
 
       const createTimeResult = await createTimeEntry(
         timeEntryData,
         redmineSettings
       );
 
-      if (createTimeResult.success) {
+      if (createTimeResult.dryRun) {
+        this.notifyDryRun(`запись ${entry.hours.toFixed(2)}ч за ${entry.date}`);
+        this.displayResults(this.lastResult);
+      } else if (createTimeResult.success) {
         // Показываем что запись создана
         this.updateEntryVisualState(entry, "created");
+        await this.recordSyncLink(entry, createTimeResult);
 
         NotificationManager.success(
           `✅ Запись создана! ${entry.hours.toFixed(2)}ч на ${
@@ -393,6 +1267,7 @@ export class SimpleTimeComparisonManager {
         // Убираем запись из отсутствующих
         this.removeEntryFromDisplay(entry);
       } else {
+        await this.invalidateLinkOnError(entry, createTimeResult.error);
         throw new Error(createTimeResult.error);
       }
     } catch (error) {
@@ -401,6 +1276,38 @@ export class SimpleTimeComparisonManager {
     }
   }
 
+  /**
+   * Сообщить, что запрос только добавлен в предпросмотр пробного режима
+   */
+  notifyDryRun(subject) {
+    NotificationManager.info(
+      `🧪 Пробный режим: ${subject} не отправлено, запросы в предпросмотре`
+    );
+  }
+
+  /**
+   * Запомнить связь Tempo ворклога с созданной записью Redmine для синхронизации
+   */
+  async recordSyncLink(entry, createTimeResult) {
+    const createdEntry = createTimeResult.result?.time_entry;
+    if (!createdEntry) return;
+
+    const [redmineEntry] = SimpleTimeComparisonUtils.normalizeRedmineEntries([
+      createdEntry,
+    ]);
+    await TimeSyncUtils.recordLink(entry, redmineEntry);
+  }
+
+  /**
+   * Сбросить кэш связи, если Redmine не принял задачу (удалена или недоступна)
+   */
+  async invalidateLinkOnError(entry, error) {
+    if (entry.jiraTask && IssueLinkCache.isInvalidLinkError(error)) {
+      console.warn(`🔗 Связь ${entry.jiraTask} → Redmine сброшена: ${error}`);
+      await IssueLinkCache.invalidate(entry.jiraTask);
+    }
+  }
+
   /**
    * Создать Redmine задачу для Jira задачи
    */
@@ -439,17 +1346,28 @@ export class SimpleTimeComparisonManager {
       jiraStatus: jiraIssue.fields.status?.name,
     };
 
-    const createIssueResult = await createIssue(issueData, redmineSettings);
+    const mapping = await Storage.getIssueMapping(issueData.projectId);
+    const createIssueResult = await createIssue(
+      issueData,
+      redmineSettings,
+      mapping
+    );
 
     if (!createIssueResult.success) {
       throw new Error(
         `Не удалось создать Redmine задачу: ${createIssueResult.error}`
       );
     }
+    // В пробном режиме задача не создана, запись пойдёт на проект
+    if (createIssueResult.dryRun) {
+      return null;
+    }
 
     const redmineTaskId = createIssueResult.issue.id;
     console.log(`✅ Создана Redmine задача #${redmineTaskId}`);
 
+    await IssueLinkCache.record(jiraTaskKey, createIssueResult.issue);
+
     return redmineTaskId;
   }
 
@@ -535,6 +1453,95 @@ export class SimpleTimeComparisonManager {
     }
   }
 
+  /**
+   * Показать выбор Redmine задачи (кандидаты из поиска или ID вручную)
+   */
+  async openLinkPicker(entry, cell) {
+    if (cell.querySelector(".link-picker")) return;
+
+    const picker = document.createElement("div");
+    picker.className = "link-picker";
+    picker.textContent = "🔍 Ищем в Redmine...";
+    cell.appendChild(picker);
+
+    try {
+      const { candidates } = await IssueLinkCache.getCandidates(
+        entry.jiraTask,
+        this.redmineManager.getSettings(),
+        this.getJiraUrl(entry.jiraTask)
+      );
+
+      picker.innerHTML = `
+        <select class="modern-select link-picker-select">
+          ${candidates
+            .map(
+              (candidate) =>
+                `<option value="${candidate.id}" ${
+                  String(candidate.id) === String(entry.redmineTask)
+                    ? "selected"
+                    : ""
+                }>#${candidate.id} ${candidate.subject}</option>`
+            )
+            .join("")}
+          <option value="">Другая задача (ввести ID)...</option>
+        </select>
+        <input type="number" min="1" class="modern-input link-picker-id" placeholder="ID задачи" style="display: none" />
+        <button class="btn-small link-picker-save">📌</button>
+        <button class="btn-small btn-cancel link-picker-cancel">✖</button>
+      `;
+
+      const select = picker.querySelector(".link-picker-select");
+      const idInput = picker.querySelector(".link-picker-id");
+      const toggleInput = () => {
+        idInput.style.display = select.value ? "none" : "inline-block";
+      };
+      toggleInput();
+
+      select.addEventListener("change", toggleInput);
+      picker
+        .querySelector(".link-picker-cancel")
+        .addEventListener("click", () => picker.remove());
+      picker
+        .querySelector(".link-picker-save")
+        .addEventListener("click", () =>
+          this.pinLink(entry.jiraTask, select.value || idInput.value)
+        );
+    } catch (error) {
+      console.error("❌ Ошибка поиска кандидатов:", error);
+      picker.textContent = `❌ ${error.message}`;
+    }
+  }
+
+  /**
+   * Закрепить Jira задачу за Redmine задачей и обновить все её записи
+   */
+  async pinLink(jiraTask, redmineTaskId) {
+    if (!parseInt(redmineTaskId)) {
+      NotificationManager.error("❌ Укажи ID Redmine задачи");
+      return;
+    }
+
+    try {
+      const issue = await IssueLinkCache.pinVerified(
+        jiraTask,
+        redmineTaskId,
+        this.redmineManager.getSettings()
+      );
+
+      this.lastResult.comparison.missingInRedmine.forEach((entry) => {
+        if (entry.jiraTask === jiraTask) {
+          entry.redmineTask = issue.id;
+        }
+      });
+      this.displayMissingEntries(this.lastResult.comparison.missingInRedmine);
+
+      NotificationManager.success(`📌 ${jiraTask} → Redmine #${issue.id}`);
+    } catch (error) {
+      console.error("❌ Ошибка закрепления связи:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    }
+  }
+
   /**
    * Убрать запись из отображения после успешного создания
    */
@@ -586,17 +1593,37 @@ export class SimpleTimeComparisonManager {
         `🚀 Начинаем создание ${totalEntries} записей...`
       );
 
+      // В пробном режиме отменять нечего, поэтому запуск не попадает в историю
+      const { dryRun } = this.redmineManager.getSettings();
+
+      // Запоминаем запуск, чтобы его можно было отменить из истории
+      const transaction = dryRun
+        ? null
+        : await BulkTransactionUtils.start(this.getBulkRunLabel(totalEntries));
+
       // Шаг 1: Создаём все уникальные Redmine задачи
       const uniqueJiraTasks = await this.createUniqueRedmineTasks(
         missingEntries
       );
+      if (transaction) {
+        await BulkTransactionUtils.addRecords(transaction.id, {
+          issueIds: Object.values(uniqueJiraTasks),
+        });
+      }
 
       // Шаг 2: Создаём все записи времени
       const createdEntries = await this.createAllTimeEntries(
         missingEntries,
-        uniqueJiraTasks
+        uniqueJiraTasks,
+        transaction?.id
       );
 
+      if (dryRun) {
+        this.notifyDryRun(`создание ${createdEntries.length} записей`);
+        this.displayResults(this.lastResult);
+        return;
+      }
+
       // Шаг 3: Обновляем UI
       this.updateUIAfterBulkCreation(createdEntries);
 
@@ -717,76 +1744,112 @@ export class SimpleTimeComparisonManager {
           btn.textContent = "Создано";
           btn.disabled = true;
         }
+      } else if (state === "paused") {
+        // Запись создаст фоновая задача после продолжения, повторно создавать нельзя
+        row.classList.add("creating");
+        const btn = row.querySelector(".create-btn");
+        if (btn) {
+          btn.textContent = "На паузе";
+          btn.disabled = true;
+        }
       }
     }
   }
 
   /**
-   * Создать все записи времени
+   * Описание массового запуска для истории и очереди задач
+   */
+  getBulkRunLabel(count) {
+    const period = this.lastResult?.period;
+    return period
+      ? `Redmine: ${count} записей за ${period.startDate} — ${period.endDate}`
+      : `Redmine: ${count} записей`;
+  }
+
+  /**
+   * Создать все записи времени через фоновую очередь задач:
+   * она продолжает работу после закрытия вкладки и не создаёт записи повторно
    */
-  async createAllTimeEntries(missingEntries, taskMapping) {
+  async createAllTimeEntries(missingEntries, taskMapping, transactionId = null) {
     const redmineSettings = this.redmineManager.getSettings();
 
-    console.log(`⏰ Создаём ${missingEntries.length} записей времени...`);
+    console.log(`⏰ Ставим в очередь ${missingEntries.length} записей времени...`);
 
-    // Создаём все записи времени параллельно
-    const entryPromises = missingEntries.map(async (entry) => {
-      try {
-        // Показываем что запись создаётся
-        this.updateEntryVisualState(entry, "creating");
+    let linkedProject;
+    const items = [];
 
-        // Определяем Redmine задачу
-        let redmineTaskId = entry.redmineTask;
-        if (!redmineTaskId && entry.jiraTask && taskMapping[entry.jiraTask]) {
-          redmineTaskId = taskMapping[entry.jiraTask];
-        }
+    for (const entry of missingEntries) {
+      // Определяем Redmine задачу
+      let redmineTaskId = entry.redmineTask;
+      if (!redmineTaskId && entry.jiraTask && taskMapping[entry.jiraTask]) {
+        redmineTaskId = taskMapping[entry.jiraTask];
+      }
+
+      const timeEntryData = {
+        date: entry.date,
+        time: entry.hours,
+        comment: entry.description,
+        activityId: entry.activityId,
+        isResearch: false,
+      };
 
-        // Создаём запись времени
-        const timeEntryData = {
-          date: entry.date,
-          time: entry.hours,
-          comment: entry.description,
-          isResearch: false,
-        };
-
-        if (redmineTaskId) {
-          timeEntryData.task = redmineTaskId.toString();
-        } else {
-          // Если нет задачи, создаём на связанном проекте
-          const linkedProject = await this.getLinkedProject();
-          timeEntryData.projectId =
-            linkedProject || redmineSettings.projectId || "1";
+      if (redmineTaskId) {
+        timeEntryData.task = redmineTaskId.toString();
+      } else {
+        // Если нет задачи, создаём на связанном проекте
+        if (linkedProject === undefined) {
+          linkedProject = await this.getLinkedProject();
         }
+        timeEntryData.projectId =
+          linkedProject || redmineSettings.projectId || "1";
+      }
 
-        const createTimeResult = await createTimeEntry(
-          timeEntryData,
-          redmineSettings
-        );
+      items.push({
+        data: timeEntryData,
+        meta: { jiraTask: entry.jiraTask || null, syncEntry: entry },
+      });
+      this.updateEntryVisualState(entry, "creating");
+    }
+
+    const job = await JobQueue.submit({
+      type: "redmineTimeEntries",
+      label: this.getBulkRunLabel(items.length),
+      items,
+      transactionId,
+    });
 
-        if (createTimeResult.success) {
-          // Показываем что запись создана
-          this.updateEntryVisualState(entry, "created");
-
-          return {
-            originalEntry: entry,
-            redmineTaskId,
-            timeEntry: createTimeResult.timeEntry,
-            success: true,
-          };
-        } else {
-          throw new Error(createTimeResult.error);
+    // Показываем созданные записи по мере выполнения
+    const finishedJob = await JobQueue.waitForJob(job.id, (currentJob) => {
+      currentJob.items.forEach((item, index) => {
+        if (item.status === "done") {
+          this.updateEntryVisualState(missingEntries[index], "created");
         }
-      } catch (error) {
-        console.error(`❌ Ошибка создания записи для ${entry.date}:`, error);
-        return {
-          originalEntry: entry,
-          error: error.message,
-          success: false,
-        };
-      }
+      });
     });
 
-    const results = await Promise.all(entryPromises);
+    // Задачу поставили на паузу: оставшиеся записи создадутся после продолжения
+    if (finishedJob?.status === "paused") {
+      const { remaining } = JobQueue.getProgress(finishedJob);
+      finishedJob.items.forEach((item, index) => {
+        if (["pending", "running"].includes(item.status)) {
+          this.updateEntryVisualState(missingEntries[index], "paused");
+        }
+      });
+      NotificationManager.info(
+        `⏸️ Создание приостановлено, ${remaining} записей ждут продолжения в разделе Background Jobs`
+      );
+    }
+
+    const results = (finishedJob?.items || [])
+      .map((item, index) => ({
+        originalEntry: missingEntries[index],
+        redmineTaskId: item.data.task || null,
+        timeEntryId: item.result?.timeEntryId || null,
+        success: item.status === "done",
+        error: item.error,
+        pending: ["pending", "running"].includes(item.status),
+      }))
+      .filter((result) => !result.pending);
 
     const successfulEntries = results.filter((r) => r.success);
     const failedEntries = results.filter((r) => !r.success);
@@ -879,9 +1942,7 @@ export class SimpleTimeComparisonManager {
 
       const a = document.createElement("a");
       a.href = url;
-      a.download = `missing-entries-${period.year}-${period.month
-        .toString()
-        .padStart(2, "0")}.csv`;
+      a.download = `missing-entries-${period.startDate}_${period.endDate}.csv`;
       a.click();
 
       URL.revokeObjectURL(url);
@@ -903,11 +1964,15 @@ export class SimpleTimeComparisonManager {
       this.elements.resultsContainer.style.display = "none";
     }
 
-    [this.elements.summaryContainer, this.elements.missingContainer].forEach(
-      (container) => {
-        if (container) container.innerHTML = "";
-      }
-    );
+    [
+      this.elements.summaryContainer,
+      this.elements.bucketsContainer,
+      this.elements.missingContainer,
+      this.elements.missingInTempoContainer,
+      this.elements.redmineContainer,
+    ].forEach((container) => {
+      if (container) container.innerHTML = "";
+    });
 
     if (this.elements.createAllButton) {
       this.elements.createAllButton.disabled = true;
@@ -0,0 +1,301 @@
+import { Storage } from "../utils/storage.js";
+import { CONFIG } from "../utils/constants.js";
+import { fetchProjects } from "../api/redmine.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages the background Redmine status sync settings and change log
+ */
+export class StatusSyncManager {
+  constructor(redmineSettingsManager) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.settings = null;
+    this.projects = [];
+  }
+
+  /**
+   * Initialize status sync manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.intervalSelect = document.getElementById("statusSyncInterval");
+    this.elements.loadButton = document.getElementById(
+      "loadStatusSyncProjects"
+    );
+    this.elements.saveButton = document.getElementById("saveStatusSync");
+    this.elements.runButton = document.getElementById("runStatusSync");
+    this.elements.info = document.getElementById("statusSyncInfo");
+    this.elements.projectsContainer =
+      document.getElementById("statusSyncProjects");
+    this.elements.clearLogButton =
+      document.getElementById("clearStatusSyncLog");
+    this.elements.logContainer = document.getElementById("statusSyncLog");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.loadButton?.addEventListener("click", () =>
+      this.loadProjects()
+    );
+    this.elements.saveButton?.addEventListener("click", () =>
+      this.saveSettings()
+    );
+    this.elements.runButton?.addEventListener("click", () => this.runNow());
+    this.elements.clearLogButton?.addEventListener("click", () =>
+      this.clearLog()
+    );
+  }
+
+  /**
+   * Load settings and change log from storage
+   */
+  async loadSettings() {
+    try {
+      this.settings = await Storage.getStatusSyncSettings();
+
+      if (this.elements.intervalSelect) {
+        this.elements.intervalSelect.value = this.settings.intervalMinutes;
+      }
+
+      this.renderProjects();
+      this.renderInfo();
+      await this.renderLog();
+    } catch (error) {
+      console.error("Error loading status sync settings:", error);
+      NotificationManager.error("Failed to load status sync settings");
+    }
+  }
+
+  /**
+   * Fetch Redmine projects to choose from
+   */
+  async loadProjects() {
+    const button = this.elements.loadButton;
+    const originalText = button?.textContent;
+    if (button) {
+      button.textContent = "🔄 Loading...";
+      button.disabled = true;
+    }
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+
+      const result = await fetchProjects(redmineSettings);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.projects = result.projects;
+      this.renderProjects();
+    } catch (error) {
+      console.error("Error loading Redmine projects:", error);
+      NotificationManager.error(`❌ ${error.message}`);
+    } finally {
+      if (button) {
+        button.textContent = originalText;
+        button.disabled = false;
+      }
+    }
+  }
+
+  /**
+   * Render project opt-in checkboxes
+   */
+  renderProjects() {
+    const container = this.elements.projectsContainer;
+    if (!container || !this.settings) return;
+
+    const enabled = new Set(this.settings.enabledProjects.map(String));
+
+    // Keep opted-in projects visible before the list is loaded
+    const projects =
+      this.projects.length > 0
+        ? this.projects
+        : [...enabled].map((id) => ({ id, name: `Project ${id}` }));
+
+    if (projects.length === 0) {
+      container.innerHTML =
+        '<div class="input-help">No projects opted in. Click "Load projects" to choose.</div>';
+      return;
+    }
+
+    container.innerHTML = projects
+      .map(
+        (project) => `
+        <label class="status-sync-project">
+          <input type="checkbox" value="${project.id}" ${
+          enabled.has(String(project.id)) ? "checked" : ""
+        } />
+          ${project.name} <small>(ID: ${project.id})</small>
+        </label>
+      `
+      )
+      .join("");
+  }
+
+  /**
+   * Show last run time and number of opted-in projects
+   */
+  renderInfo() {
+    if (!this.elements.info || !this.settings) return;
+
+    const lastRun = this.settings.lastRunAt
+      ? new Date(this.settings.lastRunAt).toLocaleString()
+      : "never";
+    this.elements.info.textContent = `${this.settings.enabledProjects.length} projects · last run: ${lastRun}`;
+  }
+
+  /**
+   * Render change log
+   */
+  async renderLog() {
+    const container = this.elements.logContainer;
+    if (!container) return;
+
+    const log = await Storage.getStatusSyncLog();
+
+    if (log.length === 0) {
+      container.innerHTML =
+        '<div class="input-help">No status changes yet.</div>';
+      return;
+    }
+
+    const redmineUrl = this.redmineManager.getSettings()?.url?.replace(
+      /\/$/,
+      ""
+    );
+
+    container.innerHTML = `
+      <table class="missing-table status-sync-log">
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Redmine</th>
+            <th>Jira</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${log
+            .map(
+              (entry) => `
+            <tr>
+              <td>${new Date(entry.date).toLocaleString()}</td>
+              <td>${
+                redmineUrl
+                  ? `<a href="${redmineUrl}/issues/${entry.redmineIssueId}" target="_blank" class="redmine-link">#${entry.redmineIssueId}</a>`
+                  : `#${entry.redmineIssueId}`
+              }</td>
+              <td>${entry.jiraKey}</td>
+              <td>${entry.fromStatus || "?"} → ${entry.jiraStatus} (ID ${
+                entry.toStatusId
+              })${entry.dryRun ? " 🧪 dry run" : ""}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Save opt-in projects and interval, then reschedule the background job
+   */
+  async saveSettings() {
+    try {
+      const enabledProjects = Array.from(
+        this.elements.projectsContainer?.querySelectorAll(
+          "input[type=checkbox]:checked"
+        ) || []
+      ).map((checkbox) => checkbox.value);
+
+      this.settings = {
+        ...this.settings,
+        enabledProjects,
+        intervalMinutes:
+          parseInt(this.elements.intervalSelect?.value) ||
+          CONFIG.STATUS_SYNC.DEFAULT_INTERVAL_MINUTES,
+      };
+
+      await Storage.setStatusSyncSettings(this.settings);
+      await chrome.runtime.sendMessage({ action: "scheduleStatusSync" });
+
+      this.renderInfo();
+      NotificationManager.success(
+        enabledProjects.length > 0
+          ? `✅ Status sync enabled for ${enabledProjects.length} projects`
+          : "✅ Status sync disabled"
+      );
+    } catch (error) {
+      console.error("Error saving status sync settings:", error);
+      NotificationManager.error(`❌ Error saving settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the status sync immediately via the background service
+   */
+  async runNow() {
+    const button = this.elements.runButton;
+    if (!button) return;
+
+    const originalText = button.textContent;
+    button.textContent = "🔄 Running...";
+    button.disabled = true;
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: "runStatusSync",
+      });
+
+      if (!result?.success) {
+        throw new Error(result?.error || "No response from background");
+      }
+
+      const { checked, updated, errors } = result.result;
+      const message = `✅ ${updated} of ${checked} linked issues updated`;
+      if (errors.length > 0) {
+        console.error("Status sync errors:", errors);
+        NotificationManager.warning(`${message}, ${errors.length} errors`);
+      } else {
+        NotificationManager.success(message);
+      }
+
+      this.settings = await Storage.getStatusSyncSettings();
+      this.renderInfo();
+      await this.renderLog();
+    } catch (error) {
+      console.error("Status sync failed:", error);
+      NotificationManager.error(`❌ Status sync failed: ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Clear change log
+   */
+  async clearLog() {
+    if (!confirm("Clear the status sync change log?")) return;
+
+    await Storage.clearStatusSyncLog();
+    await this.renderLog();
+  }
+}
+
+export default StatusSyncManager;
@@ -0,0 +1,387 @@
+import { Storage } from "../utils/storage.js";
+import TeamComparisonUtils from "../utils/TeamComparisonUtils.js";
+import DateRangeUtils from "../utils/DateRangeUtils.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Team mode for leads: a roster of Jira accounts and Redmine users,
+ * compared one by one and summarized as missing hours per person and day
+ */
+export class TeamComparisonManager {
+  constructor(
+    redmineSettingsManager,
+    tempoSettingsManager,
+    jiraSettingsManager
+  ) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.tempoManager = tempoSettingsManager;
+    this.jiraManager = jiraSettingsManager;
+    this.roster = [];
+    this.lastResult = null;
+  }
+
+  /**
+   * Initialize team comparison manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+    this.initializeDateRange();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.rosterEditor = document.getElementById("teamRosterEditor");
+    this.elements.addMemberButton = document.getElementById(
+      "addTeamMemberButton"
+    );
+    this.elements.saveRosterButton = document.getElementById(
+      "saveTeamRosterButton"
+    );
+    this.elements.presetSelect = document.getElementById("teamComparisonPreset");
+    this.elements.fromInput = document.getElementById("teamComparisonFrom");
+    this.elements.toInput = document.getElementById("teamComparisonTo");
+    this.elements.compareButton = document.getElementById("teamCompareButton");
+    this.elements.matrix = document.getElementById("teamComparisonMatrix");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.addMemberButton?.addEventListener("click", () =>
+      this.addMember()
+    );
+    this.elements.saveRosterButton?.addEventListener("click", () =>
+      this.saveRoster()
+    );
+    this.elements.compareButton?.addEventListener("click", () =>
+      this.performComparison()
+    );
+  }
+
+  /**
+   * Initialize the date range: quick presets and the last used range
+   */
+  async initializeDateRange() {
+    await DateRangeUtils.bindControls(this.elements, "teamComparison", {
+      thisWeek: "This week",
+      lastWeek: "Last week",
+      thisSprint: "This sprint",
+      lastSprint: "Last sprint",
+      thisMonth: "This month",
+      lastMonth: "Last month",
+      sinceReconciliation: "Since last reconciliation",
+      custom: "Custom range",
+    });
+  }
+
+  /**
+   * Load the stored roster
+   */
+  async loadSettings() {
+    try {
+      this.roster = await Storage.getTeamRoster();
+      this.renderRoster();
+    } catch (error) {
+      console.error("Error loading team roster:", error);
+      NotificationManager.error("Failed to load team roster");
+    }
+  }
+
+  /**
+   * Render the roster table
+   */
+  renderRoster() {
+    const editor = this.elements.rosterEditor;
+    if (!editor) return;
+
+    if (this.roster.length === 0) {
+      editor.innerHTML =
+        '<div class="input-help">No team members yet. Add one per person you want to reconcile.</div>';
+      return;
+    }
+
+    const rows = this.roster
+      .map(
+        (member, index) => `
+        <tr data-index="${index}">
+          <td>
+            <input type="text" class="modern-input team-member-name" value="${this.escape(
+              member.name || ""
+            )}" placeholder="Jane Doe" />
+          </td>
+          <td>
+            <input type="text" class="modern-input team-member-jira" value="${this.escape(
+              member.jiraAccountId || ""
+            )}" placeholder="5b10ac8d82e05b22cc7d4ef5" />
+          </td>
+          <td>
+            <input type="number" class="modern-input team-member-redmine" value="${
+              member.redmineUserId || ""
+            }" placeholder="42" />
+          </td>
+          <td>
+            <button class="btn-small delete-btn team-member-remove" data-index="${index}">🗑️</button>
+          </td>
+        </tr>
+      `
+      )
+      .join("");
+
+    editor.innerHTML = `
+      <table class="missing-table team-roster-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Jira account ID</th>
+            <th>Redmine user ID</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+
+    editor.querySelectorAll(".team-member-remove").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.removeMember(parseInt(button.dataset.index))
+      );
+    });
+  }
+
+  /**
+   * Read the roster from the table as currently edited
+   * @returns {Array} Members
+   */
+  readRoster() {
+    const rows = this.elements.rosterEditor?.querySelectorAll("tbody tr") || [];
+
+    return Array.from(rows).map((row) => ({
+      name: row.querySelector(".team-member-name").value.trim(),
+      jiraAccountId: row.querySelector(".team-member-jira").value.trim(),
+      redmineUserId:
+        parseInt(row.querySelector(".team-member-redmine").value) || null,
+    }));
+  }
+
+  /**
+   * Append an empty member
+   */
+  addMember() {
+    this.roster = this.readRoster();
+    this.roster.push({ name: "", jiraAccountId: "", redmineUserId: null });
+    this.renderRoster();
+  }
+
+  /**
+   * Remove a member
+   * @param {number} index - Member index
+   */
+  removeMember(index) {
+    this.roster = this.readRoster();
+    this.roster.splice(index, 1);
+    this.renderRoster();
+  }
+
+  /**
+   * Save the roster, dropping members without both IDs
+   */
+  async saveRoster() {
+    try {
+      this.roster = this.readRoster().filter(
+        (member) => member.jiraAccountId && member.redmineUserId
+      );
+      await Storage.setTeamRoster(this.roster);
+      this.renderRoster();
+      NotificationManager.success(
+        `✅ ${this.roster.length} team members saved`
+      );
+    } catch (error) {
+      console.error("Error saving team roster:", error);
+      NotificationManager.error(`❌ Error saving roster: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare the selected range for every team member
+   */
+  async performComparison() {
+    const button = this.elements.compareButton;
+    if (!button) return;
+
+    const originalText = button.textContent;
+    button.disabled = true;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const tempoSettings = this.tempoManager.getSettings();
+
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+      if (!tempoSettings?.apiToken) {
+        throw new Error("Please configure Tempo settings first");
+      }
+      if (this.roster.length === 0) {
+        throw new Error("Add and save team members first");
+      }
+
+      const range = DateRangeUtils.readControls(this.elements);
+      if (!DateRangeUtils.isValid(range)) {
+        throw new Error("Please choose a date range that ends after it starts");
+      }
+
+      const jiraSettings = this.jiraManager?.isEnabled()
+        ? this.jiraManager.getSettings()
+        : null;
+
+      const result = await TeamComparisonUtils.compareTeam(
+        range.startDate,
+        range.endDate,
+        this.roster,
+        tempoSettings,
+        redmineSettings,
+        jiraSettings,
+        await Storage.getMatchingSettings(),
+        (done, total) => {
+          button.textContent = `🔄 Comparing... (${done}/${total})`;
+        }
+      );
+
+      this.lastResult = result;
+      this.renderMatrix(result.matrix);
+      await DateRangeUtils.saveLastRange("teamComparison", range);
+
+      const failed = result.members.filter((item) => !item.success).length;
+      if (failed > 0) {
+        NotificationManager.warning(
+          `⚠️ ${failed} of ${result.members.length} members could not be compared`
+        );
+      } else {
+        NotificationManager.success(
+          `✅ Team compared: ${result.matrix.missingHours.toFixed(
+            2
+          )}h missing in Redmine`
+        );
+      }
+    } catch (error) {
+      console.error("Team comparison failed:", error);
+      NotificationManager.error(`❌ Team comparison failed: ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Render missing hours per member (rows) and day (columns)
+   * @param {Object} matrix - Result of TeamComparisonUtils.buildMatrix
+   */
+  renderMatrix(matrix) {
+    const container = this.elements.matrix;
+    if (!container) return;
+
+    const formatHours = (hours) => (hours ? hours.toFixed(2) : "");
+    const isWeekend = (date) =>
+      [0, 6].includes(new Date(`${date}T00:00:00`).getDay());
+
+    const headerCells = matrix.dates
+      .map(
+        (date) =>
+          `<th class="${isWeekend(date) ? "weekend" : ""}" title="${date}">${date.slice(
+            5
+          )}</th>`
+      )
+      .join("");
+
+    const rows = matrix.rows
+      .map((row) => {
+        const name = this.escape(row.member.name || row.member.jiraAccountId);
+
+        if (row.error) {
+          return `
+          <tr class="team-row-error">
+            <th>${name}</th>
+            <td colspan="${matrix.dates.length + 2}">❌ ${this.escape(
+            row.error
+          )}</td>
+          </tr>
+        `;
+        }
+
+        const cells = matrix.dates
+          .map((date) => {
+            const hours = row.days[date] || 0;
+            return `<td class="hours ${hours > 0 ? "team-missing" : ""} ${
+              isWeekend(date) ? "weekend" : ""
+            }">${formatHours(hours)}</td>`;
+          })
+          .join("");
+
+        return `
+          <tr>
+            <th>${name}</th>
+            ${cells}
+            <td class="hours team-total">${row.missingHours.toFixed(2)}</td>
+            <td class="hours">${formatHours(row.extraHours) || "—"}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    const totalCells = matrix.dates
+      .map(
+        (date) =>
+          `<td class="hours ${isWeekend(date) ? "weekend" : ""}">${formatHours(
+            matrix.totals[date]
+          )}</td>`
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="team-matrix-wrapper">
+        <table class="missing-table team-matrix">
+          <thead>
+            <tr>
+              <th>Member</th>
+              ${headerCells}
+              <th>Missing</th>
+              <th>Extra</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+          <tfoot>
+            <tr>
+              <th>Total</th>
+              ${totalCells}
+              <td class="hours team-total">${matrix.missingHours.toFixed(2)}</td>
+              <td></td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      <div class="input-help">
+        Hours logged in Tempo but missing in Redmine, per member and day. Extra is time only found in Redmine.
+      </div>
+    `;
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
+
+export default TeamComparisonManager;
@@ -248,7 +248,7 @@ export class TempoSettingsManager {
       }
 
       await Storage.setTempoSettings(settings);
-      this.settings = settings;
+      this.settings = await Storage.getTempoSettings();
 
       NotificationManager.success("✅ Tempo settings saved successfully!");
       this.closeModal();
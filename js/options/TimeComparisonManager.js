@@ -1,5 +1,13 @@
-import TimeComparisonUtils from "../utils/TimeComparisonUtils.js";
+import SimpleTimeComparisonUtils from "../utils/SimpleTimeComparisonUtils.js";
 import NotificationManager from "./NotificationManager.js";
+import {
+  batchUpdateTimeEntries,
+  batchDeleteTimeEntries,
+} from "../api/redmine.js";
+import { Storage } from "../utils/storage.js";
+import MatchingEngine from "../utils/MatchingEngine.js";
+import TimeSyncUtils from "../utils/TimeSyncUtils.js";
+import DateRangeUtils from "../utils/DateRangeUtils.js";
 
 /**
  * Manages time comparison functionality in the options page
@@ -34,8 +42,9 @@ export class TimeComparisonManager {
       "timeComparisonSection"
     );
     this.elements.compareButton = document.getElementById("compareTimeEntries");
-    this.elements.monthSelect = document.getElementById("comparisonMonth");
-    this.elements.yearSelect = document.getElementById("comparisonYear");
+    this.elements.presetSelect = document.getElementById("comparisonPreset");
+    this.elements.fromInput = document.getElementById("comparisonFrom");
+    this.elements.toInput = document.getElementById("comparisonTo");
     this.elements.enhancedComparison = document.getElementById(
       "enableEnhancedComparison"
     );
@@ -46,6 +55,9 @@ export class TimeComparisonManager {
     this.elements.summaryContainer =
       document.getElementById("comparisonSummary");
     this.elements.missingContainer = document.getElementById("missingEntries");
+    this.elements.missingInTempoContainer = document.getElementById(
+      "missingInTempoEntries"
+    );
     this.elements.discrepanciesContainer =
       document.getElementById("discrepancies");
     this.elements.dateComparisonContainer =
@@ -55,9 +67,6 @@ export class TimeComparisonManager {
     this.elements.exportMissingButton = document.getElementById(
       "exportMissingEntries"
     );
-    this.elements.createRedmineEntriesButton = document.getElementById(
-      "createRedmineEntries"
-    );
   }
 
   /**
@@ -70,57 +79,33 @@ export class TimeComparisonManager {
     this.elements.exportMissingButton?.addEventListener("click", () =>
       this.exportMissingEntries()
     );
-    this.elements.createRedmineEntriesButton?.addEventListener("click", () =>
-      this.createMissingEntries()
-    );
 
-    // Initialize month/year selectors
-    this.initializeDateSelectors();
+    // Initialize date range selector
+    this.initializeDateRange();
   }
 
   /**
-   * Initialize month and year selectors
+   * Initialize the date range: quick presets and the last used range
    */
-  initializeDateSelectors() {
-    const now = new Date();
-
-    // Populate year selector
-    if (this.elements.yearSelect) {
-      const currentYear = now.getFullYear();
-      for (let year = currentYear - 2; year <= currentYear + 1; year++) {
-        const option = document.createElement("option");
-        option.value = year;
-        option.textContent = year;
-        if (year === currentYear) option.selected = true;
-        this.elements.yearSelect.appendChild(option);
-      }
-    }
-
-    // Populate month selector
-    if (this.elements.monthSelect) {
-      const months = [
-        "January",
-        "February",
-        "March",
-        "April",
-        "May",
-        "June",
-        "July",
-        "August",
-        "September",
-        "October",
-        "November",
-        "December",
-      ];
+  async initializeDateRange() {
+    await DateRangeUtils.bindControls(this.elements, "timeComparison", {
+      thisWeek: "This week",
+      lastWeek: "Last week",
+      thisSprint: "This sprint",
+      lastSprint: "Last sprint",
+      thisMonth: "This month",
+      lastMonth: "Last month",
+      sinceReconciliation: "Since last reconciliation",
+      custom: "Custom range",
+    });
+  }
 
-      months.forEach((month, index) => {
-        const option = document.createElement("option");
-        option.value = index + 1;
-        option.textContent = month;
-        if (index === now.getMonth()) option.selected = true;
-        this.elements.monthSelect.appendChild(option);
-      });
-    }
+  /**
+   * Get the selected date range
+   * @returns {Object} {preset, startDate, endDate}
+   */
+  getSelectedRange() {
+    return DateRangeUtils.readControls(this.elements);
   }
 
   /**
@@ -148,15 +133,13 @@ export class TimeComparisonManager {
       }
 
       // Get selected period
-      const year =
-        parseInt(this.elements.yearSelect?.value) || new Date().getFullYear();
-      const month =
-        parseInt(this.elements.monthSelect?.value) || new Date().getMonth() + 1;
+      const range = this.getSelectedRange();
+      if (!DateRangeUtils.isValid(range)) {
+        throw new Error("Please choose a date range that ends after it starts");
+      }
 
       console.log(
-        `🔍 Comparing time entries for ${year}-${month
-          .toString()
-          .padStart(2, "0")}`
+        `🔍 Comparing time entries for ${range.startDate} to ${range.endDate}`
       );
 
       // Check if enhanced comparison is enabled
@@ -175,12 +158,13 @@ export class TimeComparisonManager {
         button.textContent = "🔄 Enhanced Comparing...";
       }
 
-      result = await TimeComparisonUtils.compareMonthlyEntries(
-        year,
-        month,
+      result = await SimpleTimeComparisonUtils.compareTimeEntries(
+        range.startDate,
+        range.endDate,
         tempoSettings,
         redmineSettings,
-        jiraSettingsToUse
+        jiraSettingsToUse,
+        await Storage.getMatchingSettings()
       );
 
       console.log({ result });
@@ -189,23 +173,19 @@ export class TimeComparisonManager {
         this.lastComparisonResult = result;
         this.displayResults(result);
 
-        // Always use enriched format
-        const summary = result.comparison.summary;
+        await DateRangeUtils.saveLastRange("timeComparison", range);
+        await DateRangeUtils.recordReconciliation(range, result.comparison);
 
-        let message = `✅ Comparison completed! ${
-          summary.missing.entries || 0
-        } entries missing in Redmine`;
+        const { stats } = result.comparison;
 
-        if (summary.missing.hours) {
-          message += ` (${summary.missing.hours.toFixed(2)}h)`;
+        let message = `✅ Comparison completed! ${stats.missing} entries missing in Redmine`;
+
+        if (stats.missingHours) {
+          message += ` (${stats.missingHours.toFixed(2)}h)`;
         }
 
-        // Always show mapping stats if available
-        if (result.mappingStats) {
-          const mappingRate = (result.mappingStats.mappingRate * 100).toFixed(
-            1
-          );
-          message += `\n🔗 Task mapping: ${result.mappingStats.entriesWithLinkedRedmine}/${result.mappingStats.entriesWithJiraIssues} Jira tasks mapped (${mappingRate}%)`;
+        if (stats.partial) {
+          message += `\n⚠️ ${stats.partial} entries matched with differences`;
         }
 
         NotificationManager.success(message);
@@ -231,16 +211,17 @@ export class TimeComparisonManager {
     // Show results container
     this.elements.resultsContainer.style.display = "block";
 
-    // Always use enriched display (enrichedData is always present, even if empty)
-    const formatted = TimeComparisonUtils.formatResults(result);
-    this.displaySummary(formatted);
+    this.displaySummary(result);
 
     // Display missing entries with enriched data
     const missingEntries = result.comparison.missingInRedmine || [];
     this.displayMissingEntries(missingEntries, true); // Always pass true for enriched mode
 
+    // Display Redmine entries without a Tempo worklog
+    this.displayMissingInTempo(result.comparison.missingInTempo || []);
+
     // Display discrepancies
-    this.displayDiscrepancies(result.comparison.discrepancies || []);
+    this.displayDiscrepancies(this.getDiscrepancies());
 
     // Display date comparison
     this.displayDateComparison(result.comparison.byDate);
@@ -249,13 +230,45 @@ export class TimeComparisonManager {
     this.updateActionButtons(result.comparison.missingInRedmine.length > 0);
   }
 
+  /**
+   * Get partial matches, i.e. entries found in Redmine with differences
+   */
+  getDiscrepancies() {
+    return (this.lastComparisonResult?.comparison.matched || []).filter(
+      (match) => match.matchType === "partial"
+    );
+  }
+
   /**
    * Display summary information
    */
-  displaySummary(formatted) {
+  displaySummary(result) {
     if (!this.elements.summaryContainer) return;
 
-    const summary = formatted.formatted.summary;
+    const { stats } = result.comparison;
+    const percentOfTempo = (count) =>
+      stats.tempoTotal > 0 ? ((count / stats.tempoTotal) * 100).toFixed(1) : 0;
+    const hoursDifference = stats.tempoHours - stats.redmineHours;
+
+    const summary = {
+      overview: `Tempo: ${stats.tempoTotal} entries (${stats.tempoHours.toFixed(
+        2
+      )}h) | Redmine: ${stats.redmineTotal} entries (${stats.redmineHours.toFixed(
+        2
+      )}h)`,
+      missing: `${stats.missing} entries missing in Redmine (${stats.missingHours.toFixed(
+        2
+      )}h, ${percentOfTempo(stats.missing)}%)`,
+      missingInTempo: `${stats.extra} entries missing in Tempo (${stats.extraHours.toFixed(
+        2
+      )}h)`,
+      matched: `${stats.matched} entries matched (${percentOfTempo(
+        stats.matched
+      )}%), ${stats.partial} with differences`,
+      hoursDifference: `Hours difference: ${
+        hoursDifference > 0 ? "+" : ""
+      }${hoursDifference.toFixed(2)}h`,
+    };
 
     this.elements.summaryContainer.innerHTML = `
       <div class="comparison-summary">
@@ -266,21 +279,21 @@ export class TimeComparisonManager {
             <div class="summary-value">${summary.overview}</div>
           </div>
           <div class="summary-item ${
-            formatted.comparison.summary.missing.entries > 0
-              ? "warning"
-              : "success"
+            stats.missing > 0 ? "warning" : "success"
           }">
             <div class="summary-label">Missing in Redmine</div>
             <div class="summary-value">${summary.missing}</div>
           </div>
+          <div class="summary-item ${stats.extra > 0 ? "warning" : "success"}">
+            <div class="summary-label">Missing in Tempo</div>
+            <div class="summary-value">${summary.missingInTempo}</div>
+          </div>
           <div class="summary-item success">
             <div class="summary-label">Matched Entries</div>
             <div class="summary-value">${summary.matched}</div>
           </div>
           <div class="summary-item ${
-            Math.abs(formatted.comparison.summary.hoursDifference) > 1
-              ? "warning"
-              : "info"
+            Math.abs(hoursDifference) > 1 ? "warning" : "info"
           }">
             <div class="summary-label">Hours Difference</div>
             <div class="summary-value">${summary.hoursDifference}</div>
@@ -307,22 +320,15 @@ export class TimeComparisonManager {
     }
 
     const entriesHtml = missingEntries
-      .map((item, index) => {
-        const entry = item.tempoEntry;
-        const taskInfo = item.taskMapping;
-
-        // Build suggestions HTML
-        const suggestionsHtml =
-          item.suggestions?.length > 0
-            ? `<div class="suggestions">💡 ${item.suggestions.length} similar entries found</div>`
-            : "";
+      .map((entry, index) => {
+        const taskInfo = this.getTaskInfo(entry);
 
         // Build Jira issue cell
         let issueHtml = "No issue";
         if (isEnhanced && taskInfo) {
           issueHtml = this.buildJiraIssueHtml(taskInfo);
-        } else if (entry.issueKey) {
-          issueHtml = entry.issueKey;
+        } else if (entry.jiraTask) {
+          issueHtml = entry.jiraTask;
         }
 
         // Build Redmine links HTML
@@ -333,19 +339,12 @@ export class TimeComparisonManager {
           );
         }
 
-        // Build action recommendations
-        let actionHtml = `
-          <button class="btn-small create-entry-btn" data-index="${index}">
-            ➕ Create in Redmine
-          </button>
-        `;
-
-        if (isEnhanced && taskInfo) {
-          actionHtml =
-            this.buildEnhancedActionHtml(taskInfo, index) + actionHtml;
-        }
-
         if (isEnhanced) {
+          // Entries are created from the Simple comparison, only the recommendation is shown here
+          const actionHtml = taskInfo
+            ? this.buildEnhancedActionHtml(taskInfo, index)
+            : "";
+
           return `
           <tr class="missing-entry" data-index="${index}" data-mapping-status="${
             taskInfo?.mappingStatus || "unknown"
@@ -358,7 +357,6 @@ export class TimeComparisonManager {
             <td class="issue-cell">${issueHtml}</td>
             <td class="redmine-links-cell">${redmineLinksHtml}</td>
             <td class="actions-cell">
-              ${suggestionsHtml}
               ${actionHtml}
             </td>
           </tr>
@@ -372,10 +370,6 @@ export class TimeComparisonManager {
               entry.description || "No description"
             }</td>
             <td class="issue-cell">${issueHtml}</td>
-            <td class="actions-cell">
-              ${suggestionsHtml}
-              ${actionHtml}
-            </td>
           </tr>
         `;
         }
@@ -390,7 +384,7 @@ export class TimeComparisonManager {
           <th>Description</th>
           <th>Jira Issue</th>
           <th>Linked Redmine</th>
-          <th>Actions</th>
+          <th>Recommendation</th>
         </tr>
       `
       : `
@@ -399,7 +393,6 @@ export class TimeComparisonManager {
           <th>Hours</th>
           <th>Description</th>
           <th>Issue</th>
-          <th>Actions</th>
         </tr>
       `;
 
@@ -423,16 +416,218 @@ export class TimeComparisonManager {
         </table>
       </div>
     `;
+  }
 
-    // Add event listeners for individual create buttons
-    this.elements.missingContainer
-      .querySelectorAll(".create-entry-btn")
-      .forEach((btn) => {
-        btn.addEventListener("click", (e) => {
-          const index = parseInt(e.target.dataset.index);
-          this.createSingleEntry(missingEntries[index]);
-        });
-      });
+  /**
+   * Display Redmine entries that have no Tempo worklog
+   * @param {Array} entries - Normalized Redmine entries with resolved jiraTask
+   */
+  displayMissingInTempo(entries) {
+    const container = this.elements.missingInTempoContainer;
+    if (!container) return;
+
+    if (entries.length === 0) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const entriesHtml = entries
+      .map(
+        (entry, index) => `
+        <tr class="missing-entry ${
+          entry.deletedInTempo ? "deleted-in-tempo" : ""
+        }" data-index="${index}">
+          <td>${entry.date}</td>
+          <td>${entry.hours.toFixed(2)}h</td>
+          <td class="description">${entry.description || "No description"}</td>
+          <td class="issue-cell">${entry.jiraTask || "Not found"}</td>
+          <td>${entry.redmineTask ? `#${entry.redmineTask}` : "—"}</td>
+          <td class="actions-cell">
+            ${
+              entry.deletedInTempo
+                ? `<div class="input-help">The linked worklog was deleted in Tempo</div>
+                   <button class="btn-small delete-redmine-only-btn" data-index="${index}">
+                     🗑️ Delete Redmine entry #${entry.redmineId}
+                   </button>`
+                : ""
+            }
+            <button class="btn-small create-tempo-btn" data-index="${index}" ${
+          entry.jiraTask ? "" : 'disabled title="No Jira key found"'
+        }>
+              ➕ Create in Tempo
+            </button>
+          </td>
+        </tr>
+      `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="missing-entries">
+        <h3>➕ Missing Entries in Tempo (${entries.length})</h3>
+        <table class="missing-entries-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Hours</th>
+              <th>Description</th>
+              <th>Jira Issue</th>
+              <th>Redmine Issue</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entriesHtml}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    container.querySelectorAll(".create-tempo-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this.createTempoWorklog(
+          entries[parseInt(e.currentTarget.dataset.index)],
+          e.currentTarget
+        )
+      );
+    });
+    container.querySelectorAll(".delete-redmine-only-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this.deleteMissingInTempo(
+          entries[parseInt(e.currentTarget.dataset.index)]
+        )
+      );
+    });
+  }
+
+  /**
+   * Create the Tempo worklog for a Redmine-only entry
+   * @param {Object} entry - Normalized Redmine entry
+   * @param {HTMLElement} button - Button used to show progress
+   */
+  async createTempoWorklog(entry, button) {
+    button.disabled = true;
+
+    try {
+      const authorAccountId = await SimpleTimeComparisonUtils.getAuthorAccountId(
+        this.lastComparisonResult.tempoEntries,
+        this.jiraManager?.getSettings()
+      );
+      const result = await TimeSyncUtils.createTempoCounterpart(
+        entry,
+        this.tempoManager.getSettings(),
+        authorAccountId
+      );
+
+      if (result.dryRun) {
+        NotificationManager.info(
+          "🧪 Dry run: the worklog was not sent (see the preview in the Dry Run section)"
+        );
+        button.disabled = false;
+        return;
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.removeMissingInTempo(entry);
+      const { stats } = this.lastComparisonResult.comparison;
+      this.lastComparisonResult.tempoEntries.push(result.tempoEntry);
+      stats.tempoTotal++;
+      stats.tempoHours += result.tempoEntry.hours;
+      this.displayResults(this.lastComparisonResult);
+
+      NotificationManager.success(
+        `✅ Worklog created in Tempo for ${entry.jiraTask} on ${entry.date}`
+      );
+    } catch (error) {
+      console.error("Error creating Tempo worklog:", error);
+      NotificationManager.error(`❌ Error creating worklog: ${error.message}`);
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Delete a Redmine-only entry whose Tempo worklog was removed on purpose
+   * @param {Object} entry - Normalized Redmine entry
+   */
+  async deleteMissingInTempo(entry) {
+    const confirmed = confirm(
+      `Delete Redmine time entry #${entry.redmineId} (${entry.date}, ${entry.hours.toFixed(
+        2
+      )}h)?\n\nIts Tempo worklog was deleted.`
+    );
+    if (!confirmed) return;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const result = await batchDeleteTimeEntries(
+        [entry.redmineId],
+        redmineSettings
+      );
+
+      if (redmineSettings.dryRun) {
+        NotificationManager.info(
+          "🧪 Dry run: the deletion was not sent (see the preview in the Dry Run section)"
+        );
+        return;
+      }
+
+      if (result.result.deletedIds.length > 0) {
+        await Storage.removeSyncLinksByRedmineIds(result.result.deletedIds);
+
+        this.removeMissingInTempo(entry);
+        const { stats } = this.lastComparisonResult.comparison;
+        this.lastComparisonResult.redmineEntries =
+          this.lastComparisonResult.redmineEntries.filter(
+            (item) => String(item.redmineId) !== String(entry.redmineId)
+          );
+        stats.redmineTotal--;
+        stats.redmineHours -= entry.hours;
+        this.displayResults(this.lastComparisonResult);
+      }
+
+      this.notifyBatchResult(result.result, "deleted");
+    } catch (error) {
+      console.error("Error deleting Redmine entry:", error);
+      NotificationManager.error(`❌ Error deleting entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop a handled entry from the Redmine-only list of the last result
+   * @param {Object} entry - Normalized Redmine entry
+   */
+  removeMissingInTempo(entry) {
+    const { comparison } = this.lastComparisonResult;
+    comparison.missingInTempo = comparison.missingInTempo.filter(
+      (item) => item !== entry
+    );
+    comparison.stats.extra--;
+    comparison.stats.extraHours -= entry.hours;
+  }
+
+  /**
+   * Describe how a missing entry maps to Redmine
+   * @param {Object} entry - Normalized Tempo entry
+   * @returns {Object} {jiraCode, linkedRedmineIssues, mappingStatus}
+   */
+  getTaskInfo(entry) {
+    if (!entry.jiraTask) {
+      return {
+        jiraCode: null,
+        linkedRedmineIssues: [],
+        mappingStatus: "no_jira_task",
+      };
+    }
+
+    return {
+      jiraCode: entry.jiraTask,
+      linkedRedmineIssues: entry.redmineTask
+        ? [{ id: entry.redmineTask, subject: entry.jiraTask }]
+        : [],
+      mappingStatus: entry.redmineTask ? "single_link" : "no_redmine_link",
+    };
   }
 
   /**
@@ -607,16 +802,25 @@ export class TimeComparisonManager {
         return `
         <div class="discrepancy-item">
           <div class="discrepancy-header">
-            <strong>${
-              item.tempoEntry.date
-            }</strong> - ${item.tempoEntry.hours.toFixed(2)}h
+            <strong>${item.tempo.date}</strong> - ${item.tempo.hours.toFixed(
+          2
+        )}h
+            <span class="input-help">${MatchingEngine.describeMatch(
+              item
+            )}</span>
           </div>
-          <div class="discrepancy-description">${
-            item.tempoEntry.description
-          }</div>
+          <div class="discrepancy-description">${item.tempo.description}</div>
           <ul class="differences-list">
             ${differencesHtml}
           </ul>
+          <div class="discrepancy-actions">
+            <button class="btn-small apply-tempo-btn" data-index="${index}">
+              ✏️ Apply Tempo hours
+            </button>
+            <button class="btn-small delete-redmine-btn" data-index="${index}">
+              🗑️ Delete Redmine entry #${item.redmine.redmineId}
+            </button>
+          </div>
         </div>
       `;
       })
@@ -628,8 +832,181 @@ export class TimeComparisonManager {
         <div class="discrepancies-list">
           ${discrepanciesHtml}
         </div>
+        <div class="comparison-actions">
+          <button class="btn-secondary apply-all-tempo-btn">
+            ✏️ Apply Tempo hours to all
+          </button>
+        </div>
       </div>
     `;
+
+    const container = this.elements.discrepanciesContainer;
+    container.querySelectorAll(".apply-tempo-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this.applyTempoHours([discrepancies[parseInt(e.target.dataset.index)]])
+      );
+    });
+    container.querySelectorAll(".delete-redmine-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) =>
+        this.deleteRedmineEntries([
+          discrepancies[parseInt(e.target.dataset.index)],
+        ])
+      );
+    });
+    container
+      .querySelector(".apply-all-tempo-btn")
+      ?.addEventListener("click", (e) =>
+        this.applyTempoHours([...discrepancies], e.target)
+      );
+  }
+
+  /**
+   * Update Redmine entries of the given discrepancies with Tempo hours
+   * @param {Array} items - Discrepancy items
+   * @param {HTMLElement} button - Optional button used to show progress
+   */
+  async applyTempoHours(items, button = null) {
+    if (items.length === 0) return;
+
+    const confirmed = confirm(
+      `Update ${items.length} Redmine time entries with hours from Tempo?`
+    );
+    if (!confirmed) return;
+
+    const originalText = button?.textContent;
+    if (button) button.disabled = true;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const updates = items.map((item) => ({
+        id: item.redmine.redmineId,
+        data: { time: item.tempo.hours },
+      }));
+
+      const result = await batchUpdateTimeEntries(
+        updates,
+        redmineSettings,
+        (current, total) => {
+          if (button) {
+            button.textContent = `🔄 Updating... (${current}/${total})`;
+          }
+        }
+      );
+
+      const updatedIds = new Set(result.result.updatedIds.map(String));
+      const updatedItems = items.filter((item) =>
+        updatedIds.has(String(item.redmine.redmineId))
+      );
+
+      updatedItems.forEach((item) => {
+        item.redmine.hours = item.tempo.hours;
+      });
+      this.resolveDiscrepancies(updatedItems, "updated");
+
+      this.notifyBatchResult(result.result, "updated");
+    } catch (error) {
+      console.error("Error updating Redmine entries:", error);
+      NotificationManager.error(`❌ Error updating entries: ${error.message}`);
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.textContent = originalText;
+      }
+    }
+  }
+
+  /**
+   * Delete Redmine entries of the given discrepancies
+   * @param {Array} items - Discrepancy items
+   */
+  async deleteRedmineEntries(items) {
+    if (items.length === 0) return;
+
+    const confirmed = confirm(
+      `Delete ${items.length} time entries from Redmine?\n\nThe matching Tempo entries will show up as missing on the next comparison.`
+    );
+    if (!confirmed) return;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const result = await batchDeleteTimeEntries(
+        items.map((item) => item.redmine.redmineId),
+        redmineSettings
+      );
+
+      const deletedIds = new Set(result.result.deletedIds.map(String));
+      await Storage.removeSyncLinksByRedmineIds(result.result.deletedIds);
+
+      this.resolveDiscrepancies(
+        items.filter((item) =>
+          deletedIds.has(String(item.redmine.redmineId))
+        ),
+        "deleted"
+      );
+
+      this.notifyBatchResult(result.result, "deleted");
+    } catch (error) {
+      console.error("Error deleting Redmine entries:", error);
+      NotificationManager.error(`❌ Error deleting entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove handled discrepancies from the last result and refresh the list
+   * @param {Array} items - Handled discrepancy items
+   * @param {string} action - "updated" or "deleted"
+   */
+  resolveDiscrepancies(items, action) {
+    const result = this.lastComparisonResult;
+    if (!result?.comparison || items.length === 0) return;
+
+    const { comparison } = result;
+
+    if (action === "updated") {
+      items.forEach((item) => {
+        item.matchType = "exact";
+        item.hoursDifference = 0;
+        item.differences = item.differences.filter(
+          (diff) => diff.field !== "hours"
+        );
+        comparison.stats.partial--;
+      });
+    } else if (action === "deleted") {
+      // Tempo entries of deleted Redmine entries are missing again
+      comparison.matched = comparison.matched.filter(
+        (match) => !items.includes(match)
+      );
+      items.forEach((item) => {
+        comparison.missingInRedmine.push(item.tempo);
+        comparison.stats.matched--;
+        comparison.stats.partial--;
+        comparison.stats.missing++;
+        comparison.stats.missingHours += item.tempo.hours;
+      });
+
+      const deletedEntries = items.map((item) => item.redmine);
+      result.redmineEntries = result.redmineEntries.filter(
+        (entry) => !deletedEntries.includes(entry)
+      );
+    }
+
+    this.displayResults(result);
+  }
+
+  /**
+   * Show notification for a batch update/delete result
+   * @param {Object} result - Batch operation result
+   * @param {string} verb - Past tense verb for the message
+   */
+  notifyBatchResult(result, verb) {
+    if (result.failed > 0) {
+      console.error(`Failed Redmine entries:`, result.errors);
+      NotificationManager.warning(
+        `⚠️ ${result.successful} entries ${verb}, ${result.failed} failed`
+      );
+    } else {
+      NotificationManager.success(`✅ ${result.successful} entries ${verb}`);
+    }
   }
 
   /**
@@ -730,9 +1107,6 @@ export class TimeComparisonManager {
     if (this.elements.exportMissingButton) {
       this.elements.exportMissingButton.disabled = !hasMissingEntries;
     }
-    if (this.elements.createRedmineEntriesButton) {
-      this.elements.createRedmineEntriesButton.disabled = !hasMissingEntries;
-    }
   }
 
   /**
@@ -749,17 +1123,20 @@ export class TimeComparisonManager {
       const period = this.lastComparisonResult.period;
 
       // Create CSV content
-      const headers = ["Date", "Hours", "Description", "Issue Key", "Issue ID"];
-      const rows = missing.map((item) => {
-        const entry = item.tempoEntry;
-        return [
-          entry.date,
-          entry.hours.toFixed(2),
-          `"${(entry.description || "").replace(/"/g, '""')}"`, // Escape quotes
-          entry.issueKey || "",
-          entry.issueId || "",
-        ];
-      });
+      const headers = [
+        "Date",
+        "Hours",
+        "Description",
+        "Jira Issue",
+        "Redmine Issue",
+      ];
+      const rows = missing.map((entry) => [
+        entry.date,
+        entry.hours.toFixed(2),
+        `"${(entry.description || "").replace(/"/g, '""')}"`, // Escape quotes
+        entry.jiraTask || "",
+        entry.redmineTask || "",
+      ]);
 
       const csvContent = [headers, ...rows]
         .map((row) => row.join(","))
@@ -771,9 +1148,7 @@ export class TimeComparisonManager {
 
       const a = document.createElement("a");
       a.href = url;
-      a.download = `missing-tempo-entries-${period.year}-${period.month
-        .toString()
-        .padStart(2, "0")}.csv`;
+      a.download = `missing-tempo-entries-${period.startDate}_${period.endDate}.csv`;
       a.click();
 
       URL.revokeObjectURL(url);
@@ -787,50 +1162,6 @@ export class TimeComparisonManager {
     }
   }
 
-  /**
-   * Create missing entries in Redmine (bulk)
-   */
-  async createMissingEntries() {
-    if (!this.lastComparisonResult?.comparison.missingInRedmine) {
-      NotificationManager.error("No missing entries to create");
-      return;
-    }
-
-    const missing = this.lastComparisonResult.comparison.missingInRedmine;
-    const confirmed = confirm(
-      `Create ${missing.length} missing time entries in Redmine?\n\nThis will add all missing Tempo entries to Redmine.`
-    );
-
-    if (!confirmed) return;
-
-    NotificationManager.info(
-      `🔄 Creating ${missing.length} entries in Redmine...`
-    );
-
-    // TODO: Implement bulk creation logic
-    // This would require extending the Redmine API to support bulk time entry creation
-
-    NotificationManager.warning(
-      "⚠️ Bulk creation not yet implemented. Use individual 'Create in Redmine' buttons for now."
-    );
-  }
-
-  /**
-   * Create single entry in Redmine
-   */
-  async createSingleEntry(missingItem) {
-    const entry = missingItem.tempoEntry;
-
-    NotificationManager.info(`🔄 Creating entry for ${entry.date}...`);
-
-    // TODO: Implement single entry creation
-    // This would call the Redmine API to create a time entry
-
-    NotificationManager.warning(
-      "⚠️ Entry creation not yet implemented. This feature requires Redmine API integration."
-    );
-  }
-
   /**
    * Clear results display
    */
@@ -842,6 +1173,7 @@ export class TimeComparisonManager {
     [
       this.elements.summaryContainer,
       this.elements.missingContainer,
+      this.elements.missingInTempoContainer,
       this.elements.discrepanciesContainer,
       this.elements.dateComparisonContainer,
     ].forEach((container) => {
@@ -1,5 +1,12 @@
 import { Storage } from "../utils/storage.js";
 import JiraAPI from "../api/jira.js";
+import { searchIssues } from "../api/redmine.js";
+import {
+  extractJiraTaskIds,
+  validateTimeEntry,
+} from "../utils/validation.js";
+import IssueLinkCache from "../utils/IssueLinkCache.js";
+import JobQueue from "../utils/JobQueue.js";
 import NotificationManager from "./NotificationManager.js";
 
 /**
@@ -30,7 +37,6 @@ export class TimeEntriesManager {
     this.elements.noTasksMessage = document.getElementById("noTasksMessage");
 
     // Action buttons
-    this.elements.toggleAddEntry = document.getElementById("toggleAddEntry");
     this.elements.fillViaAPI = document.getElementById("fillViaAPI");
     this.elements.clearAll = document.getElementById("clearAll");
     this.elements.exportBtn = document.getElementById("exportBtn");
@@ -55,6 +61,11 @@ export class TimeEntriesManager {
     this.elements.importFile?.addEventListener("change", (e) =>
       this.importData(e)
     );
+    // Inline onclick handlers are blocked on extension pages
+    this.elements.timesTable?.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action='delete']");
+      if (button) this.deleteEntry(parseInt(button.dataset.index));
+    });
   }
 
   /**
@@ -89,13 +100,16 @@ export class TimeEntriesManager {
         (entry, index) => `
       <tr>
         <td>${entry.date}</td>
-        <td>${entry.task || entry.project || "N/A"}</td>
+        <td>${entry.task || entry.project || "N/A"}${
+          entry.redmineTimeEntryId
+            ? ` <span class="synced-badge" title="Logged in Redmine">🔗 #${entry.redmineTimeEntryId}</span>`
+            : ""
+        }</td>
         <td>${entry.time}h</td>
         <td>${entry.comment || "-"}</td>
         <td>${entry.isResearch ? "✅" : "❌"}</td>
         <td>
-          <button onclick="timeEntriesManager.editEntry(${index})" class="btn-small">✏️</button>
-          <button onclick="timeEntriesManager.deleteEntry(${index})" class="btn-small btn-danger">🗑️</button>
+          <button data-action="delete" data-index="${index}" class="btn-small btn-danger">🗑️</button>
         </td>
       </tr>
     `
@@ -120,27 +134,103 @@ export class TimeEntriesManager {
       }
 
       // Check if we're on a Jira page and try to find Redmine links
-      const isJiraPage = await JiraAPI.isJiraTaskPage();
-
-      if (isJiraPage) {
-        const [tab] = await chrome.tabs.query({
-          active: true,
-          currentWindow: true,
-        });
-        const linkData = await JiraAPI.findRedmineLinks(tab.id);
-
-        if (linkData.success && linkData.hasRedmineLinks) {
-          NotificationManager.success(
-            `Found ${linkData.redmineLinks.length} Redmine links in Jira task!`
-          );
-          // TODO: Process the found links
-        } else {
-          NotificationManager.warning(
-            "No Redmine links found in current Jira task"
-          );
-        }
-      } else {
+      const pageInfo = await JiraAPI.getCurrentPageInfo();
+
+      if (!pageInfo.isJiraPage || !pageInfo.taskId) {
         NotificationManager.info("Open a Jira task to find Redmine links");
+        return;
+      }
+
+      const linkData = await JiraAPI.findLinkedRedmineTasks(
+        pageInfo.tabId,
+        redmineSettings,
+        searchIssues
+      );
+
+      if (!linkData.success) {
+        throw new Error(linkData.error);
+      }
+
+      // A link pinned by the user replaces the search results
+      linkData.redmineTasks = await IssueLinkCache.applyPin(
+        pageInfo.taskId,
+        linkData.redmineTasks
+      );
+      linkData.hasLinkedTasks = linkData.redmineTasks.length > 0;
+
+      if (!linkData.hasLinkedTasks) {
+        NotificationManager.warning(
+          "No Redmine links found in current Jira task"
+        );
+        return;
+      }
+
+      const redmineIssueIds = linkData.redmineTasks.map((task) =>
+        String(task.id)
+      );
+
+      // Re-read entries so we never work on a stale copy
+      this.timeEntries = await Storage.getTimeEntries();
+
+      const pending = this.getPendingEntriesForJiraTask(
+        pageInfo.taskId,
+        redmineIssueIds
+      );
+
+      if (pending.toCreate.length === 0) {
+        NotificationManager.warning(
+          pending.skipped > 0
+            ? `No entries could be matched to a single Redmine task (${pending.skipped} skipped)`
+            : `No unsynced time entries for ${pageInfo.taskId}`
+        );
+        return;
+      }
+
+      // The background queue marks each entry as synced right after it is
+      // created, so closing the page never leads to duplicates
+      const job = await JobQueue.submit({
+        type: "redmineTimeEntries",
+        label: `Fill via API: ${pageInfo.taskId}`,
+        items: pending.toCreate.map(({ entryIndex, payload }) => ({
+          data: payload,
+          meta: {
+            jiraTask: pageInfo.taskId,
+            storedEntry: {
+              date: this.timeEntries[entryIndex].date,
+              time: this.timeEntries[entryIndex].time,
+              comment: this.timeEntries[entryIndex].comment,
+            },
+          },
+        })),
+      });
+
+      const finishedJob = await JobQueue.waitForJob(job.id, (currentJob) => {
+        const { total, remaining } = JobQueue.getProgress(currentJob);
+        button.textContent = `🔄 Logging ${total - remaining}/${total}...`;
+      });
+
+      this.timeEntries = await Storage.getTimeEntries();
+      this.renderTimeEntries();
+
+      const { done: successful, failed, remaining } = finishedJob
+        ? JobQueue.getProgress(finishedJob)
+        : { done: 0, failed: 0, remaining: 0 };
+      if (finishedJob?.status === "paused") {
+        NotificationManager.info(
+          `⏸️ Paused after ${successful} entries for ${pageInfo.taskId}, ${remaining} left. Resume it in Background Jobs`
+        );
+      } else if (failed > 0 || pending.skipped > 0) {
+        console.error(
+          "Fill via API errors:",
+          finishedJob?.items.filter((item) => item.error)
+        );
+        NotificationManager.warning(
+          `⚠️ Logged ${successful} entries for ${pageInfo.taskId}, ${failed} failed, ${pending.skipped} skipped`
+        );
+      } else {
+        NotificationManager.success(
+          `✅ Logged ${successful} entries for ${pageInfo.taskId} in Redmine`
+        );
       }
     } catch (error) {
       console.error("Error filling via API:", error);
@@ -151,6 +241,52 @@ export class TimeEntriesManager {
     }
   }
 
+  /**
+   * Collect unsynced stored entries that reference a Jira task
+   * @param {string} jiraTaskId - Jira task key, e.g. "PROJ-123"
+   * @param {Array<string>} redmineIssueIds - Redmine issue IDs linked to the task
+   * @returns {Object} {toCreate: [{entryIndex, payload}], skipped}
+   */
+  getPendingEntriesForJiraTask(jiraTaskId, redmineIssueIds) {
+    const toCreate = [];
+    let skipped = 0;
+
+    this.timeEntries.forEach((entry, entryIndex) => {
+      if (entry.redmineTimeEntryId) return;
+
+      const referencesTask =
+        entry.jiraTask === jiraTaskId ||
+        entry.task === jiraTaskId ||
+        extractJiraTaskIds(entry.comment).includes(jiraTaskId);
+      if (!referencesTask) return;
+
+      // Prefer the Redmine issue the entry already points to,
+      // otherwise only proceed when the Jira task has a single link
+      const redmineIssueId = redmineIssueIds.includes(String(entry.task))
+        ? String(entry.task)
+        : redmineIssueIds.length === 1
+        ? redmineIssueIds[0]
+        : null;
+
+      const payload = {
+        date: entry.date,
+        time: parseFloat(entry.time),
+        comment: entry.comment || "",
+        isResearch: !!entry.isResearch,
+        task: redmineIssueId,
+      };
+
+      if (!redmineIssueId || !validateTimeEntry(payload).valid) {
+        skipped++;
+        return;
+      }
+
+      toCreate.push({ entryIndex, payload });
+    });
+
+    return { toCreate, skipped };
+  }
+
   /**
    * Clear all data
    */
@@ -240,14 +376,6 @@ export class TimeEntriesManager {
     }
   }
 
-  /**
-   * Edit time entry
-   */
-  editEntry(index) {
-    // TODO: Implement edit functionality
-    console.log("Edit entry:", index);
-  }
-
   /**
    * Delete time entry
    */
@@ -0,0 +1,306 @@
+import TimeSyncUtils from "../utils/TimeSyncUtils.js";
+import { Storage } from "../utils/storage.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages two-way Tempo ↔ Redmine synchronization in the options page
+ */
+export class TimeSyncManager {
+  constructor(
+    redmineSettingsManager,
+    tempoSettingsManager,
+    jiraSettingsManager
+  ) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.tempoManager = tempoSettingsManager;
+    this.jiraManager = jiraSettingsManager;
+    this.lastResult = null;
+  }
+
+  /**
+   * Initialize sync manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+    this.initializeDateSelectors();
+    this.refreshLinksInfo();
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.section = document.getElementById("timeSyncSection");
+    this.elements.yearSelect = document.getElementById("syncYear");
+    this.elements.monthSelect = document.getElementById("syncMonth");
+    this.elements.syncButton = document.getElementById("syncButton");
+    this.elements.clearLinksButton = document.getElementById(
+      "clearSyncLinksButton"
+    );
+    this.elements.linksInfo = document.getElementById("syncLinksInfo");
+    this.elements.resultsContainer = document.getElementById("syncResults");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.syncButton?.addEventListener("click", () =>
+      this.performSync()
+    );
+    this.elements.clearLinksButton?.addEventListener("click", () =>
+      this.clearLinks()
+    );
+  }
+
+  /**
+   * Initialize month and year selectors
+   */
+  initializeDateSelectors() {
+    const now = new Date();
+
+    if (this.elements.yearSelect) {
+      const currentYear = now.getFullYear();
+      for (let year = currentYear - 2; year <= currentYear + 1; year++) {
+        const option = document.createElement("option");
+        option.value = year;
+        option.textContent = year;
+        if (year === currentYear) option.selected = true;
+        this.elements.yearSelect.appendChild(option);
+      }
+    }
+
+    if (this.elements.monthSelect) {
+      const months = [
+        "January",
+        "February",
+        "March",
+        "April",
+        "May",
+        "June",
+        "July",
+        "August",
+        "September",
+        "October",
+        "November",
+        "December",
+      ];
+
+      months.forEach((month, index) => {
+        const option = document.createElement("option");
+        option.value = index + 1;
+        option.textContent = month;
+        if (index === now.getMonth()) option.selected = true;
+        this.elements.monthSelect.appendChild(option);
+      });
+    }
+  }
+
+  /**
+   * Show how many worklogs are tracked in the link ledger
+   */
+  async refreshLinksInfo() {
+    if (!this.elements.linksInfo) return;
+
+    const links = await Storage.getSyncLinks();
+    this.elements.linksInfo.textContent = `🔗 ${links.length} linked worklogs`;
+  }
+
+  /**
+   * Run synchronization for the selected month
+   */
+  async performSync() {
+    const button = this.elements.syncButton;
+    if (!button) return;
+
+    const originalText = button.textContent;
+
+    try {
+      const redmineSettings = this.redmineManager.getSettings();
+      const tempoSettings = this.tempoManager.getSettings();
+      const jiraSettings = this.jiraManager.getSettings();
+
+      if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+        throw new Error("Please configure Redmine settings first");
+      }
+      if (!tempoSettings?.apiToken) {
+        throw new Error("Please configure Tempo settings first");
+      }
+      if (!jiraSettings?.url || !jiraSettings?.email || !jiraSettings?.apiToken) {
+        throw new Error("Please configure Jira settings first");
+      }
+
+      const year =
+        parseInt(this.elements.yearSelect?.value) || new Date().getFullYear();
+      const month =
+        parseInt(this.elements.monthSelect?.value) || new Date().getMonth() + 1;
+
+      const confirmed = confirm(
+        `Sync ${year}-${month
+          .toString()
+          .padStart(2, "0")} between Tempo and Redmine?\n\nEdits and deletions of linked entries will be propagated to the other side.`
+      );
+      if (!confirmed) return;
+
+      button.textContent = "🔄 Syncing...";
+      button.disabled = true;
+
+      const result = await TimeSyncUtils.syncMonth(
+        year,
+        month,
+        tempoSettings,
+        redmineSettings,
+        jiraSettings
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.lastResult = result;
+      this.displayResults(result.result);
+      await this.refreshLinksInfo();
+
+      const { created, updated, deleted, conflicts, errors } = result.result;
+      const message = `${
+        result.result.dryRun ? "🧪 Dry run planned" : "✅ Sync completed"
+      }: ${created} created, ${updated} updated, ${deleted} deleted`;
+
+      if (conflicts.length > 0 || errors.length > 0) {
+        NotificationManager.warning(
+          `${message}, ${conflicts.length} conflicts, ${errors.length} errors`
+        );
+      } else {
+        NotificationManager.success(message);
+      }
+    } catch (error) {
+      console.error("Sync failed:", error);
+      NotificationManager.error(`❌ Sync failed: ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Display sync results
+   */
+  displayResults(results) {
+    const container = this.elements.resultsContainer;
+    if (!container) return;
+
+    container.style.display = "block";
+
+    const actionLabels = {
+      created_in_redmine: "➕ Created in Redmine",
+      updated_in_redmine: "✏️ Updated in Redmine",
+      updated_in_tempo: "✏️ Updated in Tempo",
+      deleted_in_redmine: "🗑️ Deleted in Redmine",
+      deleted_in_tempo: "🗑️ Deleted in Tempo",
+      linked: "🔗 Linked",
+      unlinked: "⛓️ Unlinked",
+      conflict: "⚠️ Conflict",
+    };
+
+    const rowsHtml = results.actions
+      .map(
+        (action) => `
+        <tr class="sync-action sync-${action.type}">
+          <td>${action.date || "—"}</td>
+          <td>${
+            action.hours !== undefined ? Number(action.hours).toFixed(2) : "—"
+          }h</td>
+          <td>${action.jiraTask || "—"}</td>
+          <td>${action.tempoWorklogId}</td>
+          <td>#${action.redmineTimeEntryId}</td>
+          <td>${actionLabels[action.type] || action.type}${
+          action.reason ? `<div class="input-help">${action.reason}</div>` : ""
+        }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    const errorsHtml =
+      results.errors.length > 0
+        ? `<ul class="differences-list">${results.errors
+            .map((error) => `<li>${error}</li>`)
+            .join("")}</ul>`
+        : "";
+
+    container.innerHTML = `
+      <div class="simple-summary">
+        <h3>${results.dryRun ? "🧪 Dry Run Preview" : "🔄 Sync Summary"}</h3>
+        <div class="summary-grid">
+          <div class="summary-item">
+            <div class="summary-label">Processed</div>
+            <div class="summary-value">${results.processed}</div>
+          </div>
+          <div class="summary-item success">
+            <div class="summary-label">Created / Linked</div>
+            <div class="summary-value">${results.created} / ${
+      results.linked
+    }</div>
+          </div>
+          <div class="summary-item info">
+            <div class="summary-label">Updated / Deleted</div>
+            <div class="summary-value">${results.updated} / ${
+      results.deleted
+    }</div>
+          </div>
+          <div class="summary-item ${
+            results.conflicts.length > 0 || results.errors.length > 0
+              ? "warning"
+              : "success"
+          }">
+            <div class="summary-label">Conflicts / Errors</div>
+            <div class="summary-value">${results.conflicts.length} / ${
+      results.errors.length
+    }</div>
+          </div>
+        </div>
+      </div>
+      ${
+        results.actions.length > 0
+          ? `<table class="missing-table sync-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Hours</th>
+              <th>Jira</th>
+              <th>Tempo Worklog</th>
+              <th>Redmine Entry</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>`
+          : '<div class="no-missing"><h3>✅ Everything is in sync</h3></div>'
+      }
+      ${errorsHtml}
+    `;
+  }
+
+  /**
+   * Forget all recorded links
+   */
+  async clearLinks() {
+    const confirmed = confirm(
+      "Clear all Tempo ↔ Redmine links?\n\nExisting entries are kept, but they will be matched again on the next sync."
+    );
+    if (!confirmed) return;
+
+    try {
+      await Storage.setSyncLinks([]);
+      await this.refreshLinksInfo();
+      NotificationManager.success("✅ Sync links cleared");
+    } catch (error) {
+      console.error("Error clearing sync links:", error);
+      NotificationManager.error(`❌ Error clearing links: ${error.message}`);
+    }
+  }
+}
+
+export default TimeSyncManager;
@@ -0,0 +1,326 @@
+import { syncWeekData } from "../api/redmine.js";
+import WeekSyncUtils from "../utils/WeekSyncUtils.js";
+import { Storage } from "../utils/storage.js";
+import NotificationManager from "./NotificationManager.js";
+
+/**
+ * Manages the "Sync this week" workflow in the options page
+ */
+export class WeekSyncManager {
+  constructor(
+    redmineSettingsManager,
+    tempoSettingsManager,
+    jiraSettingsManager
+  ) {
+    this.elements = {};
+    this.redmineManager = redmineSettingsManager;
+    this.tempoManager = tempoSettingsManager;
+    this.jiraManager = jiraSettingsManager;
+    this.pendingWeek = null;
+  }
+
+  /**
+   * Initialize week sync manager
+   */
+  init() {
+    this.bindElements();
+    this.attachEventListeners();
+
+    if (this.elements.dateInput) {
+      this.elements.dateInput.value = WeekSyncUtils.formatDate(new Date());
+    }
+  }
+
+  /**
+   * Bind DOM elements
+   */
+  bindElements() {
+    this.elements.dateInput = document.getElementById("weekSyncDate");
+    this.elements.sourceSelect = document.getElementById("weekSyncSource");
+    this.elements.previewButton = document.getElementById(
+      "weekSyncPreviewButton"
+    );
+    this.elements.runButton = document.getElementById("weekSyncRunButton");
+    this.elements.resultsContainer = document.getElementById("weekSyncResults");
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.elements.previewButton?.addEventListener("click", () =>
+      this.preview()
+    );
+    this.elements.runButton?.addEventListener("click", () => this.run());
+
+    // Any change invalidates the previous preview
+    [this.elements.dateInput, this.elements.sourceSelect].forEach((element) =>
+      element?.addEventListener("change", () => this.resetPreview())
+    );
+  }
+
+  /**
+   * Forget the previewed week and disable the sync button
+   */
+  resetPreview() {
+    this.pendingWeek = null;
+    if (this.elements.runButton) {
+      this.elements.runButton.disabled = true;
+    }
+  }
+
+  /**
+   * Build week data from the selected source
+   * @returns {Promise<Object>} Week data
+   */
+  async buildWeekData() {
+    const redmineSettings = this.redmineManager.getSettings();
+    if (!redmineSettings?.url || !redmineSettings?.apiKey) {
+      throw new Error("Please configure Redmine settings first");
+    }
+
+    const date =
+      this.elements.dateInput?.value || WeekSyncUtils.formatDate(new Date());
+    const source = this.elements.sourceSelect?.value || "tempo";
+
+    let result;
+    if (source === "tempo") {
+      const tempoSettings = this.tempoManager.getSettings();
+      if (!tempoSettings?.apiToken) {
+        throw new Error("Please configure Tempo settings first");
+      }
+
+      result = await WeekSyncUtils.buildFromTempo(
+        date,
+        tempoSettings,
+        this.jiraManager.getSettings(),
+        redmineSettings
+      );
+    } else {
+      result = await WeekSyncUtils.buildFromLocalEntries(date, redmineSettings);
+    }
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return { weekData: result.weekData, source };
+  }
+
+  /**
+   * Run a dry-run sync and show what would happen
+   */
+  async preview() {
+    const button = this.elements.previewButton;
+    if (!button) return;
+
+    const originalText = button.textContent;
+    button.textContent = "🔄 Loading...";
+    button.disabled = true;
+    this.resetPreview();
+
+    try {
+      const { weekData, source } = await this.buildWeekData();
+      const result = await syncWeekData(
+        weekData,
+        this.redmineManager.getSettings(),
+        { dryRun: true }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.displayResults(result.result, weekData);
+
+      if (result.result.created > 0) {
+        this.pendingWeek = { weekData, source };
+        this.elements.runButton.disabled = false;
+      }
+
+      NotificationManager.info(
+        `🔍 ${result.result.created} entries to create, ${result.result.skipped} already in Redmine`
+      );
+    } catch (error) {
+      console.error("Week sync preview failed:", error);
+      NotificationManager.error(`❌ Preview failed: ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Execute the previewed week sync
+   */
+  async run() {
+    const button = this.elements.runButton;
+    if (!button || !this.pendingWeek) return;
+
+    const { weekData, source } = this.pendingWeek;
+    const confirmed = confirm(
+      `Create missing Redmine time entries for the week ${weekData.startDate} – ${weekData.endDate}?`
+    );
+    if (!confirmed) return;
+
+    const originalText = button.textContent;
+    button.textContent = "🔄 Syncing...";
+    button.disabled = true;
+
+    try {
+      const result = await syncWeekData(
+        weekData,
+        this.redmineManager.getSettings()
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (source === "local") {
+        await this.markLocalEntriesSynced(weekData, result.result.rows);
+      }
+
+      this.displayResults(result.result, weekData);
+
+      const { created, skipped, errors } = result.result;
+      if (result.result.dryRun) {
+        NotificationManager.info(
+          `🧪 Dry run: ${created} time entries planned, nothing was sent`
+        );
+        button.disabled = false;
+        return;
+      }
+
+      this.pendingWeek = null;
+      const message = `✅ Week synced: ${created} created, ${skipped} skipped`;
+      if (errors.length > 0) {
+        NotificationManager.warning(`${message}, ${errors.length} errors`);
+      } else {
+        NotificationManager.success(message);
+      }
+    } catch (error) {
+      console.error("Week sync failed:", error);
+      NotificationManager.error(`❌ Week sync failed: ${error.message}`);
+      button.disabled = false;
+    } finally {
+      button.textContent = originalText;
+    }
+  }
+
+  /**
+   * Mark local entries that now exist in Redmine so they are not pushed again
+   * @param {Object} weekData - Synced week data
+   * @param {Array} rows - Per-row results from syncWeekData
+   */
+  async markLocalEntriesSynced(weekData, rows) {
+    const entries = WeekSyncUtils.flattenEntries(weekData);
+    const timeEntries = await Storage.getTimeEntries();
+    const syncedAt = new Date().toISOString();
+
+    rows.forEach((row, i) => {
+      const { localIndex } = entries[i];
+      if (!row.redmineTimeEntryId || !timeEntries[localIndex]) return;
+
+      timeEntries[localIndex] = {
+        ...timeEntries[localIndex],
+        redmineIssueId: row.redmineIssueId,
+        redmineTimeEntryId: row.redmineTimeEntryId,
+        syncedAt,
+      };
+    });
+
+    await Storage.setTimeEntries(timeEntries);
+  }
+
+  /**
+   * Display preview or sync results
+   * @param {Object} results - Results from syncWeekData
+   * @param {Object} weekData - Week data
+   */
+  displayResults(results, weekData) {
+    const container = this.elements.resultsContainer;
+    if (!container) return;
+
+    container.style.display = "block";
+
+    const statusLabels = {
+      create: "➕ Will be created",
+      created: "✅ Created",
+      skipped: "⏭️ Already in Redmine",
+      error: "❌ Error",
+    };
+
+    const rowsHtml = results.rows
+      .map(
+        (row) => `
+        <tr class="week-sync-row week-sync-${row.status}">
+          <td>${row.date}</td>
+          <td>${Number(row.hours).toFixed(2)}h</td>
+          <td>${row.taskNumber || "—"}</td>
+          <td class="description">${row.comment || "—"}</td>
+          <td>${
+            row.redmineIssueId
+              ? `#${row.redmineIssueId}`
+              : row.redmineProjectId
+              ? `Project ${row.redmineProjectId}`
+              : "—"
+          }</td>
+          <td>${statusLabels[row.status] || row.status}${
+          row.error ? `<div class="input-help">${row.error}</div>` : ""
+        }</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    container.innerHTML = `
+      <div class="simple-summary">
+        <h3>${results.dryRun ? "🔍 Preview" : "📆 Result"}: ${
+      weekData.startDate
+    } – ${weekData.endDate}</h3>
+        <div class="summary-grid">
+          <div class="summary-item">
+            <div class="summary-label">Processed</div>
+            <div class="summary-value">${results.processed}</div>
+          </div>
+          <div class="summary-item success">
+            <div class="summary-label">${
+              results.dryRun ? "To create" : "Created"
+            }</div>
+            <div class="summary-value">${results.created}</div>
+          </div>
+          <div class="summary-item info">
+            <div class="summary-label">Skipped</div>
+            <div class="summary-value">${results.skipped}</div>
+          </div>
+          <div class="summary-item ${
+            results.errors.length > 0 ? "warning" : "success"
+          }">
+            <div class="summary-label">Errors</div>
+            <div class="summary-value">${results.errors.length}</div>
+          </div>
+        </div>
+      </div>
+      ${
+        results.rows.length > 0
+          ? `<table class="missing-table week-sync-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Hours</th>
+              <th>Jira</th>
+              <th>Comment</th>
+              <th>Redmine</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>`
+          : '<div class="no-missing"><h3>Nothing to sync for this week</h3></div>'
+      }
+    `;
+  }
+}
+
+export default WeekSyncManager;
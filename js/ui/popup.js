@@ -1,6 +1,8 @@
 import { Storage } from "../utils/storage.js";
 import JiraAPI from "../api/jira.js";
 import { CONFIG } from "../utils/constants.js";
+import JobQueue from "../utils/JobQueue.js";
+import TimerUtils from "../utils/TimerUtils.js";
 
 /**
  * Popup controller for the extension
@@ -11,6 +13,7 @@ class PopupController {
     this.currentTab = null;
     this.jiraTaskInfo = null;
     this.linkedRedmineTasks = [];
+    this.timerInterval = null;
   }
 
   /**
@@ -22,6 +25,8 @@ class PopupController {
     await this.loadCurrentTabInfo();
     await this.checkJiraPage();
     this.setupMessageListener();
+    await this.loadJobs();
+    await this.loadTimer();
   }
 
   /**
@@ -29,6 +34,8 @@ class PopupController {
    */
   bindElements() {
     this.elements.tasksContainer = document.getElementById("tasksContainer");
+    this.elements.jobsContainer = document.getElementById("jobsContainer");
+    this.elements.timerContainer = document.getElementById("timerContainer");
     this.elements.startFilling = document.getElementById("startFilling");
     this.elements.clearAll = document.getElementById("clearAll");
     this.elements.openOptions = document.getElementById("openOptions");
@@ -263,6 +270,7 @@ class PopupController {
     if (tasks.length === 0) {
       container.innerHTML =
         '<div class="no-tasks">No linked Redmine tasks found</div>';
+      this.appendLinkOverride(container);
       return;
     }
 
@@ -309,6 +317,437 @@ class PopupController {
         }
       });
     });
+
+    this.appendLinkOverride(container);
+  }
+
+  /**
+   * Add a control for choosing the linked Redmine task manually
+   */
+  appendLinkOverride(container) {
+    if (!this.jiraTaskInfo?.taskId) return;
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "link-override";
+    wrapper.innerHTML = `
+      <button class="change-link-btn">✏️ Choose Redmine task</button>
+      <div class="link-picker" style="display: none"></div>
+    `;
+    container.appendChild(wrapper);
+
+    const picker = wrapper.querySelector(".link-picker");
+    wrapper
+      .querySelector(".change-link-btn")
+      .addEventListener("click", () => this.toggleLinkPicker(picker));
+  }
+
+  /**
+   * Show candidate Redmine tasks and a manual ID field
+   */
+  async toggleLinkPicker(picker) {
+    if (picker.style.display !== "none") {
+      picker.style.display = "none";
+      return;
+    }
+
+    picker.style.display = "block";
+    picker.innerHTML = '<div class="loading">🔍 Searching Redmine...</div>';
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getRedmineLinkCandidates",
+        jiraKey: this.jiraTaskInfo.taskId,
+        jiraUrl: this.jiraTaskInfo.url || this.currentTab?.url,
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || "No response");
+      }
+
+      const { candidates, link } = response;
+
+      picker.innerHTML = `
+        ${
+          link?.pinned
+            ? `<div class="picker-pinned">📌 Pinned to #${link.redmineIssueId}</div>`
+            : ""
+        }
+        ${
+          candidates.length > 0
+            ? candidates
+                .map(
+                  (candidate) => `
+            <button class="picker-option" data-task-id="${candidate.id}" title="${candidate.project}">
+              <span class="task-id">#${candidate.id}</span>
+              <span class="task-subject">${candidate.subject}</span>
+            </button>
+          `
+                )
+                .join("")
+            : '<div class="no-tasks">No candidates found</div>'
+        }
+        <div class="picker-manual">
+          <input type="number" min="1" placeholder="Redmine task ID" />
+          <button class="picker-pin">📌 Pin</button>
+          ${
+            link?.pinned
+              ? '<button class="picker-reset" title="Forget the pinned task">↩️ Auto</button>'
+              : ""
+          }
+        </div>
+      `;
+
+      picker.querySelectorAll(".picker-option").forEach((option) => {
+        option.addEventListener("click", () =>
+          this.pinRedmineLink(option.dataset.taskId)
+        );
+      });
+
+      const input = picker.querySelector(".picker-manual input");
+      picker.querySelector(".picker-pin").addEventListener("click", () => {
+        if (parseInt(input.value)) this.pinRedmineLink(input.value);
+      });
+      picker
+        .querySelector(".picker-reset")
+        ?.addEventListener("click", () => this.resetRedmineLink());
+    } catch (error) {
+      console.error("Error loading Redmine candidates:", error);
+      picker.innerHTML = `<div class="error">${error.message}</div>`;
+    }
+  }
+
+  /**
+   * Pin the current Jira task to a Redmine task
+   */
+  async pinRedmineLink(redmineIssueId) {
+    const response = await chrome.runtime.sendMessage({
+      action: "pinRedmineLink",
+      jiraKey: this.jiraTaskInfo.taskId,
+      redmineIssueId: parseInt(redmineIssueId),
+    });
+
+    if (response?.success) {
+      this.showNotification(
+        `📌 Linked to Redmine #${response.issue.id}`,
+        "success"
+      );
+      await this.findLinkedRedmineTasks();
+    } else {
+      this.showNotification(`❌ ${response?.error}`, "error");
+    }
+  }
+
+  /**
+   * Forget the pinned Redmine task and search again
+   */
+  async resetRedmineLink() {
+    await chrome.runtime.sendMessage({
+      action: "resetRedmineLink",
+      jiraKey: this.jiraTaskInfo.taskId,
+    });
+    await this.findLinkedRedmineTasks();
+  }
+
+  /**
+   * Show unfinished background jobs and follow their progress
+   */
+  async loadJobs() {
+    this.renderJobs(await Storage.getJobs());
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "local" && changes[CONFIG.STORAGE.JOBS]) {
+        this.renderJobs(changes[CONFIG.STORAGE.JOBS].newValue || []);
+      }
+    });
+  }
+
+  /**
+   * Render unfinished background jobs with pause/resume/cancel buttons
+   * @param {Array} jobs - Stored jobs
+   */
+  renderJobs(jobs) {
+    const container = this.elements.jobsContainer;
+    if (!container) return;
+
+    const activeJobs = jobs.filter((job) => !JobQueue.isFinished(job));
+    container.innerHTML = activeJobs
+      .map((job) => {
+        const { total, done, failed, remaining } = JobQueue.getProgress(job);
+        const percent = Math.round(((total - remaining) / total) * 100);
+        const paused = job.status === "paused";
+
+        return `
+          <div class="job-item">
+            <div class="job-title">
+              <span>${job.label}</span>
+              <span>${done}/${total}${failed ? ` · ${failed} ❌` : ""}</span>
+            </div>
+            <div class="job-progress">
+              <div class="job-progress-bar" style="width: ${percent}%"></div>
+            </div>
+            <div class="job-buttons">
+              <button class="job-btn" data-job-action="${
+                paused ? "resumeJob" : "pauseJob"
+              }" data-job-id="${job.id}">${paused ? "▶️ Resume" : "⏸️ Pause"}</button>
+              <button class="job-btn" data-job-action="cancelJob" data-job-id="${
+                job.id
+              }">✖️ Cancel</button>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+
+    container.querySelectorAll("[data-job-action]").forEach((button) => {
+      button.addEventListener("click", () => {
+        button.disabled = true;
+        chrome.runtime.sendMessage({
+          action: button.dataset.jobAction,
+          jobId: button.dataset.jobId,
+        });
+      });
+    });
+  }
+
+  /**
+   * Show the timer and stopped timer entries and follow their changes
+   */
+  async loadTimer() {
+    const render = async () => {
+      const state = await chrome.runtime.sendMessage({ action: "getTimer" });
+      if (state?.success) this.renderTimer(state);
+    };
+    await render();
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (
+        areaName === "local" &&
+        (changes[CONFIG.STORAGE.TIMER] || changes[CONFIG.STORAGE.TIMER_ENTRIES])
+      ) {
+        render();
+      }
+    });
+  }
+
+  /**
+   * Render the active timer, a start button for the current Jira task
+   * and a form for every stopped timer entry
+   * @param {Object} state - {timer, entries} from the background
+   */
+  renderTimer({ timer, entries }) {
+    const container = this.elements.timerContainer;
+    if (!container) return;
+
+    clearInterval(this.timerInterval);
+    container.innerHTML = "";
+
+    if (timer) {
+      const paused = timer.status === "paused";
+      const item = document.createElement("div");
+      item.className = `timer-item ${timer.status}`;
+      item.innerHTML = `
+        <div class="job-title">
+          <span class="timer-key"></span>
+          <span class="timer-elapsed"></span>
+        </div>
+        <div class="job-buttons">
+          <button class="job-btn" data-timer-action="${
+            paused ? "resumeTimer" : "pauseTimer"
+          }">${paused ? "▶️ Resume" : "⏸️ Pause"}</button>
+          <button class="job-btn" data-timer-action="stopTimer">⏹️ Stop</button>
+        </div>
+      `;
+      item.querySelector(".timer-key").textContent = `⏱️ ${timer.jiraKey}`;
+      item.querySelector(".timer-key").title = timer.summary;
+
+      const elapsed = item.querySelector(".timer-elapsed");
+      const updateElapsed = () => {
+        elapsed.textContent = TimerUtils.formatBadge(
+          TimerUtils.getElapsedMs(timer)
+        );
+      };
+      updateElapsed();
+      if (!paused) {
+        this.timerInterval = setInterval(updateElapsed, 30000);
+      }
+
+      this.appendIdlePrompt(item, TimerUtils.getId(timer), timer.pendingIdle);
+      container.appendChild(item);
+    }
+
+    const currentKey = this.jiraTaskInfo?.taskId;
+    if (currentKey && timer?.jiraKey !== currentKey) {
+      const startButton = document.createElement("button");
+      startButton.className = "job-btn timer-start";
+      startButton.textContent = `▶️ Start timer for ${currentKey}`;
+      startButton.dataset.timerAction = "startTimer";
+      container.appendChild(startButton);
+    }
+
+    entries.forEach((entry) => container.appendChild(this.renderTimerEntry(entry)));
+
+    container.querySelectorAll("[data-timer-action]").forEach((button) => {
+      button.addEventListener("click", () => {
+        button.disabled = true;
+        chrome.runtime.sendMessage({
+          action: button.dataset.timerAction,
+          issue: {
+            jiraKey: currentKey,
+            jiraUrl: this.jiraTaskInfo?.url,
+            summary: this.jiraTaskInfo?.title || "",
+          },
+        });
+      });
+    });
+  }
+
+  /**
+   * Render the pre-filled form of a stopped timer
+   * @param {Object} entry - Stopped timer entry
+   * @returns {HTMLElement} Form element
+   */
+  renderTimerEntry(entry) {
+    const item = document.createElement("div");
+    item.className = "timer-entry";
+    item.innerHTML = `
+      <div class="job-title">
+        <input type="text" class="timer-entry-key" />
+        <span>${TimerUtils.formatBadge(entry.elapsedMs)} tracked</span>
+      </div>
+      <div class="timer-entry-fields">
+        <input type="number" class="timer-entry-hours" min="0.25" step="0.25" />
+        <input type="date" class="timer-entry-date" />
+      </div>
+      <input type="text" class="timer-entry-comment" placeholder="Comment" />
+      <div class="timer-entry-targets">
+        <label><input type="checkbox" data-target="tempo" checked /> Tempo</label>
+        <label><input type="checkbox" data-target="redmine" checked /> Redmine</label>
+      </div>
+      <div class="job-buttons">
+        <button class="job-btn timer-entry-log">📤 Log</button>
+        <button class="job-btn timer-entry-discard">🗑️ Discard</button>
+      </div>
+    `;
+    // Split idle time often belongs to another issue, so the key stays editable
+    item.querySelector(".timer-entry-key").value = entry.jiraKey;
+    item.querySelector(".timer-entry-hours").value = entry.hours;
+    item.querySelector(".timer-entry-date").value = entry.date;
+    item.querySelector(".timer-entry-comment").value = entry.comment || "";
+
+    item
+      .querySelector(".timer-entry-log")
+      .addEventListener("click", (e) => this.logTimerEntry(entry, item, e.target));
+    item
+      .querySelector(".timer-entry-discard")
+      .addEventListener("click", () =>
+        chrome.runtime.sendMessage({
+          action: "discardTimerEntry",
+          entryId: entry.id,
+        })
+      );
+
+    if (entry.pendingIdle) {
+      const logButton = item.querySelector(".timer-entry-log");
+      logButton.disabled = true;
+      logButton.title = "Keep, discard or split the idle time first";
+    }
+
+    this.appendIdlePrompt(item, entry.id, entry.pendingIdle);
+    return item;
+  }
+
+  /**
+   * Ask about idle time of a timer or a stopped entry
+   * @param {HTMLElement} item - Timer or entry element
+   * @param {string} timerId - Timer/entry ID
+   * @param {Object|null} pendingIdle - {from, to, ms}
+   */
+  appendIdlePrompt(item, timerId, pendingIdle) {
+    if (!pendingIdle) return;
+
+    const prompt = document.createElement("div");
+    prompt.className = "timer-idle";
+    prompt.innerHTML = `
+      <div>💤 Idle ${Math.round(pendingIdle.ms / 60000)} min</div>
+      <div class="job-buttons">
+        <button class="job-btn" data-idle-choice="keep">Keep</button>
+        <button class="job-btn" data-idle-choice="discard">Discard</button>
+        <button class="job-btn" data-idle-choice="split">Split</button>
+      </div>
+    `;
+
+    prompt.querySelectorAll("[data-idle-choice]").forEach((button) => {
+      button.addEventListener("click", () => {
+        button.disabled = true;
+        chrome.runtime.sendMessage({
+          action: "resolveIdle",
+          timerId,
+          choice: button.dataset.idleChoice,
+        });
+      });
+    });
+
+    item.appendChild(prompt);
+  }
+
+  /**
+   * Send a stopped timer entry to Tempo and/or Redmine
+   * @param {Object} entry - Stopped timer entry
+   * @param {HTMLElement} item - Entry form
+   * @param {HTMLElement} button - Log button
+   */
+  async logTimerEntry(entry, item, button) {
+    const targets = {};
+    item.querySelectorAll("[data-target]").forEach((checkbox) => {
+      targets[checkbox.dataset.target] = checkbox.checked;
+    });
+
+    const jiraKey = item.querySelector(".timer-entry-key").value.trim();
+
+    button.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "logTime",
+        data: {
+          jiraKey,
+          jiraUrl: jiraKey === entry.jiraKey ? entry.jiraUrl : null,
+          hours: item.querySelector(".timer-entry-hours").value,
+          date: item.querySelector(".timer-entry-date").value,
+          comment: item.querySelector(".timer-entry-comment").value,
+          targets,
+          timerEntryId: entry.id,
+        },
+      });
+
+      if (response?.success) {
+        this.showNotification(`✅ Logged time on ${jiraKey}`, "success");
+        return;
+      }
+
+      // The entry stays until every chosen target has it; uncheck the ones that worked
+      const errors = ["tempo", "redmine"]
+        .filter((target) => response?.[target])
+        .map((target) => {
+          if (response[target].success) {
+            item.querySelector(`[data-target="${target}"]`).checked = false;
+            return null;
+          }
+          return `${target === "tempo" ? "Tempo" : "Redmine"}: ${
+            response[target].error
+          }`;
+        })
+        .filter(Boolean);
+
+      this.showNotification(
+        `❌ ${errors.join("; ") || response?.error || "No response"}`,
+        "error"
+      );
+    } catch (error) {
+      console.error("Error logging timer entry:", error);
+      this.showNotification(`❌ Error: ${error.message}`, "error");
+    } finally {
+      button.disabled = false;
+    }
   }
 
   /**
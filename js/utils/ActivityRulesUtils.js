@@ -0,0 +1,98 @@
+import { searchAllIssues, normalizeJiraIssue } from "../api/jira-rest.js";
+import { CONFIG } from "./constants.js";
+
+/**
+ * Picks a Redmine activity for a Jira issue from user-defined rules.
+ *
+ * A rule is {field, value, activityId} where field is one of FIELDS.
+ * Rules are evaluated top to bottom, the first match wins.
+ */
+export class ActivityRulesUtils {
+  /**
+   * Jira issue fields a rule can match on
+   */
+  static FIELDS = {
+    issueType: "Issue type",
+    label: "Label",
+    component: "Component",
+  };
+
+  /**
+   * Find the activity for a normalized Jira issue
+   * @param {Array} rules - Activity rules
+   * @param {Object} issue - Issue from normalizeJiraIssue
+   * @returns {number|null} Activity ID or null when no rule matches
+   */
+  static matchActivity(rules, issue) {
+    const rule = rules.find((rule) => this.matchesRule(rule, issue));
+    return rule ? parseInt(rule.activityId) : null;
+  }
+
+  /**
+   * Check a single rule against a normalized Jira issue (case-insensitive)
+   * @param {Object} rule - Activity rule
+   * @param {Object} issue - Issue from normalizeJiraIssue
+   * @returns {boolean} Whether the rule matches
+   */
+  static matchesRule(rule, issue) {
+    const value = String(rule.value || "").trim().toLowerCase();
+    if (!value || !rule.activityId) return false;
+
+    const values = {
+      issueType: [issue.issueType],
+      label: issue.labels,
+      component: issue.components,
+    }[rule.field];
+
+    return (values || []).some(
+      (candidate) => String(candidate).toLowerCase() === value
+    );
+  }
+
+  /**
+   * Resolve activities for a set of Jira keys
+   * @param {Array<string>} jiraKeys - Jira issue keys
+   * @param {Array} rules - Activity rules
+   * @param {Object} jiraSettings - Jira settings
+   * @returns {Promise<Object>} Map of Jira key to activity ID (only matched keys)
+   */
+  static async resolveForJiraKeys(jiraKeys, rules, jiraSettings) {
+    const activities = {};
+    const keys = [...new Set(jiraKeys.filter(Boolean))];
+    if (keys.length === 0 || rules.length === 0) return activities;
+
+    const batchSize = CONFIG.JIRA.KEY_BATCH_SIZE;
+
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const batch = keys.slice(i, i + batchSize);
+
+      const searchResult = await searchAllIssues(
+        `key in (${batch.join(",")})`,
+        jiraSettings,
+        {
+          fields: ["issuetype", "labels", "components"],
+          validateQuery: "warn",
+        }
+      );
+
+      if (!searchResult.success) {
+        console.warn("⚠️ Could not load Jira issues for activity rules:", searchResult.error);
+        continue;
+      }
+
+      searchResult.issues.forEach((jiraIssue) => {
+        const activityId = this.matchActivity(
+          rules,
+          normalizeJiraIssue(jiraIssue)
+        );
+        if (activityId) {
+          activities[jiraIssue.key] = activityId;
+        }
+      });
+    }
+
+    return activities;
+  }
+}
+
+export default ActivityRulesUtils;
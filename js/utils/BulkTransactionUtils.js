@@ -0,0 +1,235 @@
+import {
+  deleteTimeEntry,
+  deleteIssue,
+  fetchIssueTimeEntryIds,
+} from "../api/redmine.js";
+import IssueLinkCache from "./IssueLinkCache.js";
+import JobQueue from "./JobQueue.js";
+import { Storage } from "./storage.js";
+
+/**
+ * Records every bulk creation run as a transaction so it can be undone.
+ *
+ * A transaction is {id, label, createdAt, timeEntryIds, issueIds, undoneAt, undoErrors}.
+ * Redmine issues are added by the page that creates them, time entries by the
+ * background job queue as each one is created (job.transactionId).
+ * Pages send their changes to the service worker, which applies them under the
+ * job queue lock, so records added from both sides are not lost.
+ */
+export class BulkTransactionUtils {
+  /**
+   * Start a new transaction
+   * @param {string} label - Human readable description of the run
+   * @returns {Promise<Object>} Created transaction
+   */
+  static async start(label) {
+    const transaction = {
+      id: `tx-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      label,
+      createdAt: new Date().toISOString(),
+      timeEntryIds: [],
+      issueIds: [],
+      undoneAt: null,
+      undoErrors: [],
+    };
+
+    await this.send({ action: "upsertBulkTransaction", transaction });
+    return transaction;
+  }
+
+  /**
+   * Add Redmine issues or time entries created by the page to a transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} records - {timeEntryIds, issueIds}
+   */
+  static async addRecords(transactionId, records) {
+    await this.send({
+      action: "addBulkTransactionRecords",
+      transactionId,
+      records,
+    });
+  }
+
+  /**
+   * Send a transaction change to the background service worker
+   * @param {Object} message - Runtime message
+   */
+  static async send(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.success) {
+      throw new Error(response?.error || "Could not update the bulk history");
+    }
+  }
+
+  /**
+   * Check whether a background job of the transaction is still creating records
+   * @param {string} transactionId - Transaction ID
+   * @returns {Promise<boolean>} Whether a job is still running
+   */
+  static async hasRunningJob(transactionId) {
+    const jobs = await Storage.getJobs();
+    return jobs.some(
+      (job) => job.transactionId === transactionId && !JobQueue.isFinished(job)
+    );
+  }
+
+  /**
+   * Delete exactly the records created by a transaction.
+   * Time entries go first, then issues; records already gone (404) count as deleted.
+   * Deleting an issue deletes all time logged on it, so an issue that has time
+   * entries from outside the run is kept and reported instead.
+   * Records that could not be deleted stay in the transaction so undo can be repeated.
+   * In dry-run mode the deletions are only planned and the transaction is left untouched.
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} {success, result: {deletedEntries, deletedIssues, errors, dryRun}}
+   */
+  static async undo(transactionId, redmineSettings) {
+    try {
+      const transactions = await Storage.getBulkTransactions();
+      const transaction = transactions.find((t) => t.id === transactionId);
+
+      if (!transaction) {
+        throw new Error("Transaction not found");
+      }
+      if (transaction.undoneAt) {
+        throw new Error("This run has already been undone");
+      }
+      if (await this.hasRunningJob(transactionId)) {
+        throw new Error(
+          "Entries of this run are still being created. Wait for the background job or cancel it first"
+        );
+      }
+
+      const errors = [];
+      const dryRun = !!redmineSettings.dryRun;
+
+      const deletedEntries = await this.deleteAll(
+        transaction.timeEntryIds,
+        (id) => deleteTimeEntry(id, redmineSettings),
+        (id, error) => errors.push(`Time entry #${id}: ${error}`)
+      );
+      const issueIds = await this.findIssuesSafeToDelete(
+        transaction,
+        redmineSettings,
+        (id, error) => errors.push(`Issue #${id}: ${error}`)
+      );
+      const deletedIssues = await this.deleteAll(
+        issueIds,
+        (id) => deleteIssue(id, redmineSettings),
+        (id, error) => errors.push(`Issue #${id}: ${error}`)
+      );
+
+      if (dryRun) {
+        return {
+          success: true,
+          result: {
+            deletedEntries: deletedEntries.length,
+            deletedIssues: deletedIssues.length,
+            errors,
+            dryRun,
+          },
+        };
+      }
+
+      await Storage.removeSyncLinksByRedmineIds(deletedEntries);
+      for (const issueId of deletedIssues) {
+        await IssueLinkCache.invalidateRedmineIssue(issueId);
+      }
+
+      const remaining = (ids, deleted) =>
+        ids.filter((id) => !deleted.includes(id));
+
+      await this.send({
+        action: "upsertBulkTransaction",
+        transaction: {
+          id: transactionId,
+          timeEntryIds: remaining(transaction.timeEntryIds, deletedEntries),
+          issueIds: remaining(transaction.issueIds, deletedIssues),
+          deletedTimeEntries:
+            (transaction.deletedTimeEntries || 0) + deletedEntries.length,
+          deletedIssues:
+            (transaction.deletedIssues || 0) + deletedIssues.length,
+          undoneAt: errors.length === 0 ? new Date().toISOString() : null,
+          undoErrors: errors,
+        },
+      });
+
+      return {
+        success: true,
+        result: {
+          deletedEntries: deletedEntries.length,
+          deletedIssues: deletedIssues.length,
+          errors,
+        },
+      };
+    } catch (error) {
+      console.error("❌ Error undoing bulk run:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Keep only the issues whose time entries all belong to the transaction
+   * @param {Object} transaction - Transaction
+   * @param {Object} redmineSettings - Redmine settings
+   * @param {Function} onError - Called with (id, error) for skipped issues
+   * @returns {Promise<Array<number>>} Issue IDs that may be deleted
+   */
+  static async findIssuesSafeToDelete(transaction, redmineSettings, onError) {
+    const ownEntries = new Set(transaction.timeEntryIds.map(String));
+    const safe = [];
+
+    for (const id of transaction.issueIds) {
+      const result = await fetchIssueTimeEntryIds(id, redmineSettings);
+
+      // An issue that is already gone is handled by deleteAll as deleted
+      if (!result.success && result.status !== 404) {
+        onError(id, `time entries not checked: ${result.error}`);
+        continue;
+      }
+
+      const foreign = (result.timeEntryIds || []).filter(
+        (entryId) => !ownEntries.has(String(entryId))
+      );
+      if (foreign.length > 0) {
+        onError(
+          id,
+          `kept, it has time entries not created by this run (${foreign.length})`
+        );
+        continue;
+      }
+
+      safe.push(id);
+    }
+
+    return safe;
+  }
+
+  /**
+   * Delete records one by one
+   * @param {Array<number>} ids - Record IDs
+   * @param {Function} deleteRecord - Returns an API result for an ID
+   * @param {Function} onError - Called with (id, error) for failures
+   * @returns {Promise<Array<number>>} IDs that are gone
+   */
+  static async deleteAll(ids, deleteRecord, onError) {
+    const deleted = [];
+
+    for (const id of ids) {
+      const result = await deleteRecord(id);
+      if (result.success || result.status === 404) {
+        deleted.push(id);
+      } else {
+        onError(id, result.error);
+      }
+    }
+
+    return deleted;
+  }
+}
+
+export default BulkTransactionUtils;
@@ -0,0 +1,287 @@
+import { CONFIG } from "./constants.js";
+import { Storage } from "./storage.js";
+import WeekSyncUtils from "./WeekSyncUtils.js";
+
+/**
+ * Date ranges for comparisons: quick presets, validation and the last used range
+ */
+export class DateRangeUtils {
+  static PRESETS = [
+    "thisWeek",
+    "lastWeek",
+    "thisSprint",
+    "lastSprint",
+    "thisMonth",
+    "lastMonth",
+    "sinceReconciliation",
+    "custom",
+  ];
+
+  /**
+   * Resolve a preset to a date range
+   * @param {string} preset - One of DateRangeUtils.PRESETS except "custom"
+   * @param {Object} options - {today: Date, lastReconciliation: "YYYY-MM-DD", sprint: {startDate, lengthDays}}
+   * @returns {Object} {startDate, endDate}
+   */
+  static resolvePreset(preset, options = {}) {
+    const today = options.today || new Date();
+    const todayDate = this.formatDate(today);
+
+    switch (preset) {
+      case "thisWeek":
+        return this.pick(WeekSyncUtils.getWeekRange(todayDate));
+      case "lastWeek":
+        return this.pick(
+          WeekSyncUtils.getWeekRange(this.addDays(todayDate, -7))
+        );
+      case "thisSprint":
+        return this.getSprintRange(todayDate, options.sprint);
+      case "lastSprint": {
+        const { startDate } = this.getSprintRange(todayDate, options.sprint);
+        return this.getSprintRange(this.addDays(startDate, -1), options.sprint);
+      }
+      case "lastMonth":
+        return this.getMonthRange(today.getFullYear(), today.getMonth());
+      case "sinceReconciliation": {
+        // Without a reconciliation yet, start with the current month
+        const startDate = options.lastReconciliation
+          ? this.addDays(options.lastReconciliation, 1)
+          : this.getMonthRange(today.getFullYear(), today.getMonth() + 1)
+              .startDate;
+        // Reconciled up to today: compare today only
+        return {
+          startDate: startDate > todayDate ? todayDate : startDate,
+          endDate: todayDate,
+        };
+      }
+      case "thisMonth":
+      default:
+        return this.getMonthRange(today.getFullYear(), today.getMonth() + 1);
+    }
+  }
+
+  /**
+   * Get the sprint containing a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} sprint - {startDate: first day of any sprint, lengthDays}, defaults from CONFIG.DATE_RANGES
+   * @returns {Object} {startDate, endDate}
+   */
+  static getSprintRange(date, sprint = {}) {
+    const anchor = sprint.startDate || CONFIG.DATE_RANGES.SPRINT_ANCHOR;
+    const length =
+      parseInt(sprint.lengthDays) || CONFIG.DATE_RANGES.SPRINT_LENGTH_DAYS;
+    const offset = this.daysBetween(anchor, date);
+    const sprintIndex = Math.floor(offset / length);
+    const startDate = this.addDays(anchor, sprintIndex * length);
+
+    return {
+      startDate,
+      endDate: this.addDays(startDate, length - 1),
+    };
+  }
+
+  /**
+   * Get first and last day of a month, months outside 1-12 roll over the year
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Object} {startDate, endDate}
+   */
+  static getMonthRange(year, month) {
+    return {
+      startDate: this.formatDate(new Date(year, month - 1, 1)),
+      endDate: this.formatDate(new Date(year, month, 0)),
+    };
+  }
+
+  /**
+   * Check that both dates are set and in order
+   * @param {Object} range - {startDate, endDate}
+   * @returns {boolean} True if the range can be compared
+   */
+  static isValid(range) {
+    const pattern = /^\d{4}-\d{2}-\d{2}$/;
+    return (
+      pattern.test(range?.startDate || "") &&
+      pattern.test(range?.endDate || "") &&
+      range.startDate <= range.endDate
+    );
+  }
+
+  /**
+   * Get the range a comparison used last time; presets are resolved again for today
+   * @param {string} scope - Comparison that used the range
+   * @returns {Promise<Object>} {preset, startDate, endDate}
+   */
+  static async getLastRange(scope) {
+    const saved = await Storage.getComparisonRange(scope);
+    if (saved?.preset === "custom" && this.isValid(saved)) {
+      return saved;
+    }
+
+    const preset =
+      saved && saved.preset !== "custom"
+        ? saved.preset
+        : CONFIG.DATE_RANGES.DEFAULT_PRESET;
+    return { preset, ...(await this.resolve(preset)) };
+  }
+
+  /**
+   * Resolve a preset, reading the last reconciliation or the team's sprint when needed
+   * @param {string} preset - Preset name
+   * @returns {Promise<Object>} {startDate, endDate}
+   */
+  static async resolve(preset) {
+    const jiraSettings = preset.endsWith("Sprint")
+      ? await Storage.getJiraSettings()
+      : {};
+
+    return this.resolvePreset(preset, {
+      lastReconciliation:
+        preset === "sinceReconciliation"
+          ? await Storage.getLastReconciliation()
+          : null,
+      sprint: {
+        startDate: jiraSettings.sprintStart,
+        lengthDays: jiraSettings.sprintLengthDays,
+      },
+    });
+  }
+
+  /**
+   * Remember the range of a comparison
+   * @param {string} scope - Comparison that used the range
+   * @param {Object} range - {preset, startDate, endDate}
+   */
+  static async saveLastRange(scope, range) {
+    await Storage.setComparisonRange(scope, {
+      preset: range.preset,
+      startDate: range.startDate,
+      endDate: range.endDate,
+    });
+  }
+
+  /**
+   * Fill a preset select and keep it in sync with the from/to inputs,
+   * starting with the range the comparison used last time
+   * @param {Object} controls - {presetSelect, fromInput, toInput}
+   * @param {string} scope - Comparison the controls belong to
+   * @param {Object} labels - Preset labels in the language of the page section
+   */
+  static async bindControls(controls, scope, labels) {
+    const { presetSelect, fromInput, toInput } = controls;
+    if (!presetSelect || !fromInput || !toInput) return;
+
+    presetSelect.innerHTML = this.PRESETS.map(
+      (preset) => `<option value="${preset}">${labels[preset]}</option>`
+    ).join("");
+
+    presetSelect.addEventListener("change", async () => {
+      if (presetSelect.value === "custom") return;
+      const range = await this.resolve(presetSelect.value);
+      fromInput.value = range.startDate;
+      toInput.value = range.endDate;
+    });
+    // Editing a date by hand turns the preset into a custom range
+    [fromInput, toInput].forEach((input) =>
+      input.addEventListener("change", () => {
+        presetSelect.value = "custom";
+      })
+    );
+
+    const range = await this.getLastRange(scope);
+    presetSelect.value = range.preset;
+    fromInput.value = range.startDate;
+    toInput.value = range.endDate;
+  }
+
+  /**
+   * Read the range selected with bindControls
+   * @param {Object} controls - {presetSelect, fromInput, toInput}
+   * @returns {Object} {preset, startDate, endDate}
+   */
+  static readControls(controls) {
+    return {
+      preset: controls.presetSelect?.value || "custom",
+      startDate: controls.fromInput?.value,
+      endDate: controls.toInput?.value,
+    };
+  }
+
+  /**
+   * Move the reconciliation mark forward after a comparison without differences
+   * @param {Object} range - Compared range {startDate, endDate}
+   * @param {Object} comparison - Result of MatchingEngine.match
+   * @returns {Promise<boolean>} True if the mark was moved
+   */
+  static async recordReconciliation(range, comparison) {
+    const { stats } = comparison;
+    const consistent =
+      comparison.mode === "aggregate"
+        ? stats.buckets.matched === stats.buckets.total
+        : stats.missing === 0 && stats.extra === 0 && stats.partial === 0;
+    if (!consistent) {
+      return false;
+    }
+
+    // Days after today may still get entries
+    const today = this.formatDate(new Date());
+    const reconciledUntil = range.endDate < today ? range.endDate : today;
+    const last = await Storage.getLastReconciliation();
+
+    // A later gap-free range only counts if it continues the reconciled period
+    if (
+      last &&
+      (reconciledUntil <= last || range.startDate > this.addDays(last, 1))
+    ) {
+      return false;
+    }
+
+    await Storage.setLastReconciliation(reconciledUntil);
+    return true;
+  }
+
+  /**
+   * Add days to a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} days - Days to add, may be negative
+   * @returns {string} Date (YYYY-MM-DD)
+   */
+  static addDays(date, days) {
+    const day = new Date(`${date}T00:00:00`);
+    day.setDate(day.getDate() + days);
+    return this.formatDate(day);
+  }
+
+  /**
+   * Count days from one date to another
+   * @param {string} from - Date (YYYY-MM-DD)
+   * @param {string} to - Date (YYYY-MM-DD)
+   * @returns {number} Whole days, negative if "to" is earlier
+   */
+  static daysBetween(from, to) {
+    return Math.round(
+      (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) /
+        86400000
+    );
+  }
+
+  /**
+   * Format date as YYYY-MM-DD in local time
+   * @param {Date} date - Date
+   * @returns {string} Formatted date
+   */
+  static formatDate(date) {
+    return WeekSyncUtils.formatDate(date);
+  }
+
+  /**
+   * Keep only the range bounds
+   * @param {Object} range - Range with extra fields
+   * @returns {Object} {startDate, endDate}
+   */
+  static pick({ startDate, endDate }) {
+    return { startDate, endDate };
+  }
+}
+
+export default DateRangeUtils;
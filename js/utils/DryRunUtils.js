@@ -0,0 +1,54 @@
+import { setDryRunRecorder } from "../api/http-client.js";
+import { Storage } from "./storage.js";
+
+/**
+ * Wires the global dry-run mode into the current extension context.
+ *
+ * The HTTP client returns planned write requests instead of sending them;
+ * the recorder installed here appends them to the preview log in storage.
+ * Every context that calls the Redmine or Tempo API (service worker, options page,
+ * popup) installs it once.
+ */
+export class DryRunUtils {
+  static pending = Promise.resolve();
+
+  /**
+   * Install the recorder for planned requests
+   */
+  static install() {
+    setDryRunRecorder((request) => {
+      // Storage writes are read-modify-write, so chain them to keep parallel requests
+      this.pending = this.pending
+        .then(() => Storage.addDryRunRequests([request]))
+        .catch((error) => {
+          console.error("❌ Error recording dry-run request:", error);
+        });
+    });
+  }
+
+  /**
+   * Wait until all planned requests are in the preview log
+   * @returns {Promise<void>}
+   */
+  static flush() {
+    return this.pending;
+  }
+
+  /**
+   * Turn a dry-run API result into a failure for callers that would otherwise
+   * report the record as created
+   * @param {Object} result - {dryRun, request} returned by the API module
+   * @param {string} subject - What would have been created
+   * @returns {Object} {success: false, dryRun: true, request, error}
+   */
+  static notSent(result, subject) {
+    return {
+      success: false,
+      dryRun: true,
+      request: result.request,
+      error: `Dry run: ${subject} was not sent (see the preview on the options page)`,
+    };
+  }
+}
+
+export default DryRunUtils;
@@ -0,0 +1,185 @@
+import { CONFIG } from "./constants.js";
+
+/**
+ * Branch name and commit message templates for Jira issues.
+ *
+ * A template is plain text with {placeholder} fields, e.g. "feature/{key}-{slug}"
+ * or "{prefix}: {key} {summary}". Unknown placeholders are left as they are,
+ * so a typo stays visible in the copied text.
+ */
+export class GitTemplateUtils {
+  static PLACEHOLDERS = {
+    key: "Jira key, e.g. PROJ-12",
+    summary: "Issue summary",
+    slug: "Summary in lowercase-with-dashes",
+    type: "Issue type, e.g. Bug",
+    prefix: "Conventional Commits prefix for the issue type, e.g. fix",
+    redmineId: "Linked Redmine task ID",
+    assignee: "Assignee name",
+  };
+
+  // Russian summaries are transliterated for slugs
+  static TRANSLIT = {
+    а: "a",
+    б: "b",
+    в: "v",
+    г: "g",
+    д: "d",
+    е: "e",
+    ё: "e",
+    ж: "zh",
+    з: "z",
+    и: "i",
+    й: "y",
+    к: "k",
+    л: "l",
+    м: "m",
+    н: "n",
+    о: "o",
+    п: "p",
+    р: "r",
+    с: "s",
+    т: "t",
+    у: "u",
+    ф: "f",
+    х: "h",
+    ц: "ts",
+    ч: "ch",
+    ш: "sh",
+    щ: "sch",
+    ъ: "",
+    ы: "y",
+    ь: "",
+    э: "e",
+    ю: "yu",
+    я: "ya",
+  };
+
+  /**
+   * Stored templates over the defaults
+   * @param {Object} settings - Stored settings {branch, commit, typePrefixes}
+   * @returns {Object} Complete settings
+   */
+  static resolveSettings(settings = {}) {
+    const defaults = CONFIG.GIT_TEMPLATES;
+    return {
+      branch: settings.branch || defaults.BRANCH,
+      commit: settings.commit || defaults.COMMIT,
+      typePrefixes: settings.typePrefixes || defaults.TYPE_PREFIXES,
+    };
+  }
+
+  /**
+   * Placeholder values for an issue
+   * @param {Object} issue - {key, summary, type, redmineId, assignee}
+   * @param {Object} settings - Complete settings
+   * @returns {Object} Values by placeholder name
+   */
+  static buildValues(issue, settings) {
+    const type = issue.type || "";
+    const prefixes = Object.fromEntries(
+      Object.entries(settings.typePrefixes).map(([name, prefix]) => [
+        name.toLowerCase(),
+        prefix,
+      ])
+    );
+
+    return {
+      key: issue.key || "",
+      summary: (issue.summary || "").trim(),
+      slug: this.slugify(issue.summary || ""),
+      type,
+      prefix:
+        prefixes[type.toLowerCase()] || CONFIG.GIT_TEMPLATES.DEFAULT_PREFIX,
+      redmineId: issue.redmineId ? String(issue.redmineId) : "",
+      assignee: issue.assignee || "",
+    };
+  }
+
+  /**
+   * Fill the placeholders of a template
+   * @param {string} template - Template
+   * @param {Object} values - Values by placeholder name
+   * @returns {string} Text
+   */
+  static render(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in values ? values[name] : match
+    );
+  }
+
+  /**
+   * Render the branch name and commit message for an issue
+   * @param {Object} issue - {key, summary, type, redmineId, assignee}
+   * @param {Object} settings - Stored settings
+   * @returns {Object} {branchName, commitMessage}
+   */
+  static renderAll(issue, settings = {}) {
+    const resolved = this.resolveSettings(settings);
+    const values = this.buildValues(issue, resolved);
+
+    return {
+      branchName: this.sanitizeBranchName(this.render(resolved.branch, values)),
+      commitMessage: this.render(resolved.commit, values)
+        .replace(/[ \t]{2,}/g, " ")
+        .trim(),
+    };
+  }
+
+  /**
+   * Placeholders of a template that are not known
+   * @param {string} template - Template
+   * @returns {Array<string>} Unknown placeholder names
+   */
+  static findUnknownPlaceholders(template) {
+    return [...template.matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((name) => !(name in this.PLACEHOLDERS));
+  }
+
+  /**
+   * Lowercase ASCII slug with dashes, cut at a word boundary
+   * @param {string} text - Text
+   * @returns {string} Slug
+   */
+  static slugify(text) {
+    const maxLength = CONFIG.GIT_TEMPLATES.SLUG_MAX_LENGTH;
+    const slug = text
+      .toLowerCase()
+      .split("")
+      .map((char) => this.TRANSLIT[char] ?? char)
+      .join("")
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+
+    if (slug.length <= maxLength) return slug;
+
+    const cut = slug.slice(0, maxLength + 1);
+    const lastDash = cut.lastIndexOf("-");
+    return (lastDash > 0 ? cut.slice(0, lastDash) : cut.slice(0, maxLength))
+      .replace(/-+$/, "");
+  }
+
+  /**
+   * Drop what git does not allow in branch names and the separators left
+   * by empty placeholders
+   * @param {string} name - Rendered branch name
+   * @returns {string} Branch name
+   */
+  static sanitizeBranchName(name) {
+    return name
+      .trim()
+      .replace(/\s+/g, "-")
+      .replace(/[~^:?*[\\\x00-\x1f\x7f]+/g, "")
+      .replace(/@\{/g, "")
+      .replace(/\.{2,}/g, ".")
+      // A run of separators keeps a slash if it has one, else its first character
+      .replace(/[-_/]{2,}/g, (run) => (run.includes("/") ? "/" : run[0]))
+      .replace(/^[-./]+|[-./]+$/g, "")
+      .replace(/\.lock$/, "");
+  }
+}
+
+export default GitTemplateUtils;
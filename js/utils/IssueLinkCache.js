@@ -0,0 +1,343 @@
+import { searchIssues, getIssue } from "../api/redmine.js";
+import { Storage } from "./storage.js";
+import { CONFIG } from "./constants.js";
+
+/**
+ * Persistent cache of Jira key → Redmine issue links.
+ *
+ * Links found by searching Redmine expire after CONFIG.LINK_CACHE.TTL_MS,
+ * "not found" results after MISS_TTL_MS. Pinned links are manual overrides:
+ * they never expire and are not replaced by search results.
+ *
+ * Every change re-reads the stored cache inside serialize(), so concurrent
+ * lookups and pins do not overwrite each other.
+ */
+export class IssueLinkCache {
+  // Serializes read-modify-write cycles on the stored cache
+  static lock = Promise.resolve();
+
+  /**
+   * Run a change on the stored cache one at a time
+   * @param {Function} change - Async function doing the change
+   * @returns {Promise<any>} Change result
+   */
+  static serialize(change) {
+    const run = this.lock.then(change);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Check whether a cached link can still be used
+   * @param {Object} link - Cached link
+   * @param {number} now - Current timestamp
+   * @returns {boolean} Whether the link is fresh
+   */
+  static isFresh(link, now = Date.now()) {
+    if (!link) return false;
+    if (link.pinned) return true;
+
+    const ttl = link.redmineIssueId
+      ? CONFIG.LINK_CACHE.TTL_MS
+      : CONFIG.LINK_CACHE.MISS_TTL_MS;
+    return now - new Date(link.updatedAt).getTime() < ttl;
+  }
+
+  /**
+   * Convert a cached link to the issue shape returned by resolve()
+   * @param {Object} link - Cached link
+   * @returns {Object|null} {id, subject} or null
+   */
+  static toIssue(link) {
+    return link?.redmineIssueId
+      ? { id: link.redmineIssueId, subject: link.subject || "" }
+      : null;
+  }
+
+  /**
+   * Get a fresh cached link
+   * @param {string} jiraKey - Jira key
+   * @returns {Promise<Object|null>} Cached link or null when missing or expired
+   */
+  static async get(jiraKey) {
+    const cache = await Storage.getIssueLinkCache();
+    const link = cache[jiraKey];
+    return this.isFresh(link) ? link : null;
+  }
+
+  /**
+   * Resolve Redmine issues for Jira keys, searching Redmine only on cache misses
+   * @param {Array<string>} jiraKeys - Jira keys
+   * @param {Object} redmineSettings - Redmine settings
+   * @param {Function} getQueries - Returns search queries for a key, tried in order
+   * @returns {Promise<Object>} Map of Jira key to {id, subject} or null
+   */
+  static async resolve(
+    jiraKeys,
+    redmineSettings,
+    getQueries = (jiraKey) => [jiraKey]
+  ) {
+    const keys = [...new Set(jiraKeys.filter(Boolean))];
+    const cache = await Storage.getIssueLinkCache();
+    const issues = {};
+
+    const misses = keys.filter((key) => {
+      if (!this.isFresh(cache[key])) return true;
+      issues[key] = this.toIssue(cache[key]);
+      return false;
+    });
+
+    if (misses.length === 0) return issues;
+
+    console.log(
+      `🔗 Link cache: ${keys.length - misses.length} hits, ${misses.length} to search`
+    );
+
+    const searchedAt = Date.now();
+    const found = await Promise.all(
+      misses.map((key) => this.search(getQueries(key), redmineSettings))
+    );
+
+    // The cache may have changed while searching, merge only our own misses
+    await this.serialize(async () => {
+      const latest = await Storage.getIssueLinkCache();
+      const updatedAt = new Date().toISOString();
+
+      misses.forEach((key, i) => {
+        const link = latest[key];
+        // Pins and links recorded meanwhile win over the search result
+        if (
+          link?.pinned ||
+          new Date(link?.updatedAt).getTime() >= searchedAt
+        ) {
+          issues[key] = this.toIssue(link);
+          return;
+        }
+
+        // Failed searches are not cached so they are retried next time
+        if (found[i] === undefined) return;
+
+        issues[key] = found[i];
+        latest[key] = {
+          redmineIssueId: found[i]?.id || null,
+          subject: found[i]?.subject || "",
+          pinned: false,
+          updatedAt,
+        };
+      });
+
+      await Storage.setIssueLinkCache(latest);
+    });
+
+    return issues;
+  }
+
+  /**
+   * Search Redmine with queries until one returns issues
+   * @param {Array<string>} queries - Search queries
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object|null|undefined>} First issue, null if none, undefined on error
+   */
+  static async search(queries, redmineSettings) {
+    for (const query of queries.filter(Boolean)) {
+      const result = await searchIssues(query, redmineSettings);
+      if (!result.success) return undefined;
+      if (result.issues.length > 0) {
+        const [issue] = result.issues;
+        return { id: issue.id, subject: issue.subject };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Collect candidate Redmine issues for a Jira key so the user can pick one
+   * @param {string} jiraKey - Jira key
+   * @param {Object} redmineSettings - Redmine settings
+   * @param {string} jiraUrl - Jira issue URL, searched as well when given
+   * @returns {Promise<Object>} {candidates: [{id, subject, project}], link}
+   */
+  static async getCandidates(jiraKey, redmineSettings, jiraUrl = null) {
+    const candidates = [];
+
+    for (const query of [jiraKey, jiraUrl].filter(Boolean)) {
+      const result = await searchIssues(query, redmineSettings);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      result.issues.forEach((issue) => {
+        if (candidates.some((candidate) => candidate.id === issue.id)) return;
+        candidates.push({
+          id: issue.id,
+          subject: issue.subject,
+          project: issue.project?.name || "",
+        });
+      });
+    }
+
+    const cache = await Storage.getIssueLinkCache();
+    return { candidates, link: cache[jiraKey] || null };
+  }
+
+  /**
+   * Let a pinned link replace issues found by searching
+   * @param {string} jiraKey - Jira key
+   * @param {Array} issues - Issues found by searching Redmine
+   * @returns {Promise<Array>} Only the pinned issue, or the issues unchanged
+   */
+  static async applyPin(jiraKey, issues) {
+    const cache = await Storage.getIssueLinkCache();
+    const link = cache[jiraKey];
+    if (!link?.pinned) return issues;
+
+    const found = issues.find(
+      (issue) => String(issue.id) === String(link.redmineIssueId)
+    );
+    return [found || this.toIssue(link)];
+  }
+
+  /**
+   * Map pinned Redmine issue IDs back to their Jira keys
+   * @returns {Promise<Object>} {redmineIssueId: jiraKey}
+   */
+  static async getPinnedJiraKeys() {
+    const cache = await Storage.getIssueLinkCache();
+    return Object.fromEntries(
+      Object.entries(cache)
+        .filter(([, link]) => link.pinned)
+        .map(([jiraKey, link]) => [link.redmineIssueId, jiraKey])
+    );
+  }
+
+  /**
+   * Pin a Jira key to a Redmine issue after checking that the issue exists
+   * @param {string} jiraKey - Jira key
+   * @param {number} redmineIssueId - Redmine issue ID
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} Pinned issue {id, subject}
+   */
+  static async pinVerified(jiraKey, redmineIssueId, redmineSettings) {
+    const result = await getIssue(redmineIssueId, redmineSettings);
+    if (!result.success) {
+      throw new Error(`Redmine task #${redmineIssueId} not found`);
+    }
+
+    await this.pin(jiraKey, result.issue.id, result.issue.subject);
+    return { id: result.issue.id, subject: result.issue.subject };
+  }
+
+  /**
+   * Remember a link found or created elsewhere (e.g. a newly created Redmine task)
+   * A pinned link is kept as is
+   * @param {string} jiraKey - Jira key
+   * @param {Object|null} issue - Redmine issue {id, subject} or null
+   */
+  static async record(jiraKey, issue) {
+    if (!jiraKey) return;
+
+    await this.serialize(async () => {
+      const cache = await Storage.getIssueLinkCache();
+      if (cache[jiraKey]?.pinned) return;
+
+      cache[jiraKey] = {
+        redmineIssueId: issue?.id || null,
+        subject: issue?.subject || "",
+        pinned: false,
+        updatedAt: new Date().toISOString(),
+      };
+      await Storage.setIssueLinkCache(cache);
+    });
+  }
+
+  /**
+   * Pin a Jira key to a Redmine issue, overriding search results
+   * @param {string} jiraKey - Jira key
+   * @param {number} redmineIssueId - Redmine issue ID
+   * @param {string} subject - Redmine issue subject
+   */
+  static async pin(jiraKey, redmineIssueId, subject = "") {
+    await this.serialize(async () => {
+      const cache = await Storage.getIssueLinkCache();
+      cache[jiraKey] = {
+        redmineIssueId: parseInt(redmineIssueId),
+        subject: subject || cache[jiraKey]?.subject || "",
+        pinned: true,
+        updatedAt: new Date().toISOString(),
+      };
+      await Storage.setIssueLinkCache(cache);
+    });
+  }
+
+  /**
+   * Turn a pinned link back into a regular cached link
+   * @param {string} jiraKey - Jira key
+   */
+  static async unpin(jiraKey) {
+    await this.serialize(async () => {
+      const cache = await Storage.getIssueLinkCache();
+      if (!cache[jiraKey]) return;
+
+      cache[jiraKey] = { ...cache[jiraKey], pinned: false };
+      await Storage.setIssueLinkCache(cache);
+    });
+  }
+
+  /**
+   * Drop a link that turned out to be wrong so it is searched again
+   * @param {string} jiraKey - Jira key
+   */
+  static async invalidate(jiraKey) {
+    await this.serialize(async () => {
+      const cache = await Storage.getIssueLinkCache();
+      if (!cache[jiraKey]) return;
+
+      delete cache[jiraKey];
+      await Storage.setIssueLinkCache(cache);
+    });
+  }
+
+  /**
+   * Drop all links pointing to a Redmine issue that no longer accepts time
+   * @param {number} redmineIssueId - Redmine issue ID
+   */
+  static async invalidateRedmineIssue(redmineIssueId) {
+    await this.serialize(async () => {
+      const cache = await Storage.getIssueLinkCache();
+      const keys = Object.keys(cache).filter(
+        (key) => String(cache[key].redmineIssueId) === String(redmineIssueId)
+      );
+      if (keys.length === 0) return;
+
+      keys.forEach((key) => delete cache[key]);
+      await Storage.setIssueLinkCache(cache);
+    });
+  }
+
+  /**
+   * Check whether a Redmine error means the linked issue is gone or invalid
+   * @param {string} error - Error message
+   * @returns {boolean} Whether the link should be invalidated
+   */
+  static isInvalidLinkError(error) {
+    return /HTTP 404|Issue is invalid/i.test(error || "");
+  }
+
+  /**
+   * Clear the cache
+   * @param {boolean} keepPinned - Keep manual overrides
+   */
+  static async clear(keepPinned = true) {
+    await this.serialize(async () => {
+      const cache = await Storage.getIssueLinkCache();
+      const kept = keepPinned
+        ? Object.fromEntries(
+            Object.entries(cache).filter(([, link]) => link.pinned)
+          )
+        : {};
+      await Storage.setIssueLinkCache(kept);
+    });
+  }
+}
+
+export default IssueLinkCache;
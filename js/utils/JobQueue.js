@@ -0,0 +1,577 @@
+import { createTimeEntry } from "../api/redmine.js";
+import { createWorklog } from "../api/tempo.js";
+import SimpleTimeComparisonUtils from "./SimpleTimeComparisonUtils.js";
+import TimeSyncUtils from "./TimeSyncUtils.js";
+import IssueLinkCache from "./IssueLinkCache.js";
+import { Storage } from "./storage.js";
+import { CONFIG } from "./constants.js";
+
+/**
+ * Persisted queue of bulk operations executed by the background service worker.
+ *
+ * A job is {id, type, label, status, items, transactionId, createdAt, updatedAt,
+ * finishedAt} where every item is {data, meta, status, error, result}. Items run one by one
+ * and their state is written to storage before and after each API call, so a
+ * service worker restart never re-runs an item that was already created.
+ *
+ * Job statuses: queued, running, paused, cancelled, completed.
+ * Item statuses: pending, running, done, failed, interrupted, skipped.
+ *
+ * When a job has a transactionId, created Redmine time entries are added to that
+ * bulk transaction so the run can be undone (see BulkTransactionUtils).
+ *
+ * Only the service worker changes jobs; pages send messages to it and follow
+ * progress through chrome.storage.onChanged.
+ */
+export class JobQueue {
+  /**
+   * Job types and the item they create
+   */
+  static TYPES = {
+    redmineTimeEntries: "Redmine time entries",
+    tempoWorklogs: "Tempo worklogs",
+  };
+
+  static ACTIVE_STATUSES = ["queued", "running"];
+  static FINISHED_STATUSES = ["completed", "cancelled"];
+
+  // Serializes read-modify-write cycles on the stored jobs and bulk transactions
+  static lock = Promise.resolve();
+
+  // Running processing loop, if any
+  static processing = null;
+
+  // Set when work arrives while the loop is finishing
+  static rerun = false;
+
+  /**
+   * Run a change after all previously queued changes
+   * @param {Function} change - Async function
+   * @returns {Promise<any>} Change result
+   */
+  static serialize(change) {
+    const run = this.lock.then(change);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Apply a change to the stored jobs
+   * @param {Function} mutator - Receives the jobs array, may change it in place
+   * @returns {Promise<any>} Mutator result
+   */
+  static update(mutator) {
+    return this.serialize(async () => {
+      const jobs = await Storage.getJobs();
+      const result = mutator(jobs);
+      await Storage.setJobs(jobs);
+      return result;
+    });
+  }
+
+  /**
+   * Insert or update a bulk transaction.
+   * Pages and the processing loop both change transactions, so every write
+   * goes through the service worker and shares the jobs lock.
+   * @param {Object} transaction - Transaction with an id
+   */
+  static upsertTransaction(transaction) {
+    return this.serialize(() => Storage.upsertBulkTransaction(transaction));
+  }
+
+  /**
+   * Append created record IDs to a bulk transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} records - {timeEntryIds, issueIds}
+   */
+  static addTransactionRecords(transactionId, records) {
+    return this.serialize(() =>
+      Storage.addBulkTransactionRecords(transactionId, records)
+    );
+  }
+
+  /**
+   * Update a single job
+   * @param {string} jobId - Job ID
+   * @param {Function} mutator - Receives the job, may change it in place
+   * @returns {Promise<Object|null>} Updated job or null when not found
+   */
+  static updateJob(jobId, mutator) {
+    return this.update((jobs) => {
+      const job = jobs.find((candidate) => candidate.id === jobId);
+      if (!job) return null;
+
+      mutator(job);
+      job.updatedAt = new Date().toISOString();
+      return job;
+    });
+  }
+
+  /**
+   * Add a job and start processing
+   * @param {Object} request - {type, label, items: [{data, meta}], transactionId}
+   * @returns {Promise<Object>} Created job
+   */
+  static async enqueue({ type, label, items, transactionId = null }) {
+    if (!this.TYPES[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    if (!items?.length) {
+      throw new Error("Job has no items");
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      label: label || this.TYPES[type],
+      status: "queued",
+      items: items.map(({ data, meta = {} }) => ({
+        data,
+        meta,
+        status: "pending",
+        error: null,
+        result: null,
+      })),
+      transactionId,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+    };
+
+    await this.update((jobs) => {
+      jobs.push(job);
+      this.pruneFinished(jobs);
+    });
+
+    this.process();
+    return job;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond CONFIG.JOBS.MAX_FINISHED
+   * @param {Array} jobs - Stored jobs, changed in place
+   */
+  static pruneFinished(jobs) {
+    const finished = jobs.filter((job) => this.isFinished(job));
+    const excess = finished.length - CONFIG.JOBS.MAX_FINISHED;
+    if (excess <= 0) return;
+
+    const dropped = new Set(finished.slice(0, excess).map((job) => job.id));
+    const kept = jobs.filter((job) => !dropped.has(job.id));
+    jobs.splice(0, jobs.length, ...kept);
+  }
+
+  /**
+   * Get all jobs
+   * @returns {Promise<Array>} Jobs, oldest first
+   */
+  static async list() {
+    return await Storage.getJobs();
+  }
+
+  /**
+   * Pause a job after the item in progress
+   * @param {string} jobId - Job ID
+   */
+  static async pause(jobId) {
+    await this.updateJob(jobId, (job) => {
+      if (this.ACTIVE_STATUSES.includes(job.status)) {
+        job.status = "paused";
+      }
+    });
+    await this.scheduleWakeUp();
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} jobId - Job ID
+   */
+  static async resume(jobId) {
+    await this.updateJob(jobId, (job) => {
+      if (job.status === "paused") {
+        job.status = "queued";
+      }
+    });
+    this.process();
+  }
+
+  /**
+   * Cancel a job; items not started yet are skipped
+   * @param {string} jobId - Job ID
+   */
+  static async cancel(jobId) {
+    await this.updateJob(jobId, (job) => {
+      if (this.isFinished(job)) return;
+
+      job.status = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      job.items.forEach((item) => {
+        if (item.status === "pending") item.status = "skipped";
+      });
+    });
+    await this.scheduleWakeUp();
+  }
+
+  /**
+   * Queue failed and interrupted items of a job again
+   * @param {string} jobId - Job ID
+   */
+  static async retryFailed(jobId) {
+    await this.updateJob(jobId, (job) => {
+      const retried = job.items.filter((item) =>
+        ["failed", "interrupted"].includes(item.status)
+      );
+      if (retried.length === 0) return;
+
+      retried.forEach((item) => {
+        item.status = "pending";
+        item.error = null;
+      });
+      job.status = "queued";
+      job.finishedAt = null;
+    });
+    this.process();
+  }
+
+  /**
+   * Remove finished jobs from the history
+   */
+  static async clearFinished() {
+    await this.update((jobs) => {
+      const active = jobs.filter((job) => !this.isFinished(job));
+      jobs.splice(0, jobs.length, ...active);
+    });
+  }
+
+  /**
+   * Mark items left "running" by a terminated service worker as interrupted.
+   * Their API call may or may not have gone through, so they are not re-run
+   * automatically; the user can check and retry them.
+   */
+  static async recover() {
+    await this.update((jobs) => {
+      jobs.forEach((job) => {
+        job.items.forEach((item) => {
+          if (item.status !== "running") return;
+          item.status = "interrupted";
+          item.error =
+            "Interrupted by an extension restart. Check the target system before retrying.";
+        });
+      });
+    });
+  }
+
+  /**
+   * Process queued jobs unless a processing loop is already running
+   * @returns {Promise<void>} Resolves when the queue is drained or paused
+   */
+  static process() {
+    if (this.processing) {
+      this.rerun = true;
+      return this.processing;
+    }
+
+    this.rerun = false;
+    this.processing = this.runLoop().finally(() => {
+      this.processing = null;
+      if (this.rerun) this.process();
+    });
+    return this.processing;
+  }
+
+  /**
+   * Execute pending items one by one
+   */
+  static async runLoop() {
+    await this.scheduleWakeUp();
+
+    try {
+      for (;;) {
+        const next = await this.claimNextItem();
+        if (!next) break;
+
+        const outcome = await this.runItem(next.type, next.item);
+
+        // Recorded before the item is finished, so a finished job is always undoable
+        if (next.transactionId && outcome.result?.timeEntryId) {
+          await this.addTransactionRecords(next.transactionId, {
+            timeEntryIds: [outcome.result.timeEntryId],
+          });
+        }
+
+        await this.finishItem(next.jobId, next.index, outcome);
+      }
+    } catch (error) {
+      console.error("❌ Job queue error:", error);
+    } finally {
+      await this.scheduleWakeUp();
+    }
+  }
+
+  /**
+   * Take the next pending item and mark it running before it is executed
+   * @returns {Promise<Object|null>} {jobId, type, transactionId, index, item} or null when idle
+   */
+  static claimNextItem() {
+    return this.update((jobs) => {
+      const now = new Date().toISOString();
+
+      for (const job of jobs) {
+        if (!this.ACTIVE_STATUSES.includes(job.status)) continue;
+
+        const index = job.items.findIndex((item) => item.status === "pending");
+        if (index === -1) {
+          job.status = "completed";
+          job.finishedAt = now;
+          job.updatedAt = now;
+          continue;
+        }
+
+        job.status = "running";
+        job.updatedAt = now;
+        job.items[index].status = "running";
+        return {
+          jobId: job.id,
+          type: job.type,
+          transactionId: job.transactionId,
+          index,
+          item: job.items[index],
+        };
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Store the outcome of an item
+   * @param {string} jobId - Job ID
+   * @param {number} index - Item index
+   * @param {Object} outcome - {success, error, result}
+   */
+  static async finishItem(jobId, index, outcome) {
+    await this.updateJob(jobId, (job) => {
+      const item = job.items[index];
+      item.status = outcome.success ? "done" : "failed";
+      item.error = outcome.success ? null : outcome.error;
+      item.result = outcome.result || null;
+
+      const hasPending = job.items.some((i) => i.status === "pending");
+      if (!hasPending && job.status === "running") {
+        job.status = "completed";
+        job.finishedAt = new Date().toISOString();
+      }
+    });
+  }
+
+  /**
+   * Execute one item
+   * @param {string} type - Job type
+   * @param {Object} item - Job item
+   * @returns {Promise<Object>} {success, error, result}
+   */
+  static async runItem(type, item) {
+    try {
+      switch (type) {
+        case "redmineTimeEntries":
+          return await this.createRedmineTimeEntry(item);
+        case "tempoWorklogs":
+          return await this.createTempoWorklog(item);
+        default:
+          throw new Error(`Unknown job type: ${type}`);
+      }
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a Redmine time entry and record what the caller asked for in item.meta:
+   * - syncEntry: Tempo entry to link the new time entry to (two-way sync ledger)
+   * - storedEntry: locally stored entry {date, time, comment} to mark as synced
+   * - jiraTask: Jira key whose cached link is dropped when Redmine rejects the task
+   * @param {Object} item - Job item
+   * @returns {Promise<Object>} {success, error, result: {timeEntryId, dryRun}}
+   */
+  static async createRedmineTimeEntry(item) {
+    const redmineSettings = await Storage.getRedmineSettings();
+    if (!redmineSettings.url || !redmineSettings.apiKey) {
+      throw new Error("Redmine settings not configured");
+    }
+
+    const result = await createTimeEntry(item.data, redmineSettings);
+    const { meta = {} } = item;
+
+    if (!result.success) {
+      if (meta.jiraTask && IssueLinkCache.isInvalidLinkError(result.error)) {
+        await IssueLinkCache.invalidate(meta.jiraTask);
+      }
+      return result;
+    }
+    if (result.dryRun) {
+      return { success: true, result: { timeEntryId: null, dryRun: true } };
+    }
+
+    const timeEntry = result.result?.time_entry;
+    if (timeEntry && meta.syncEntry) {
+      const [redmineEntry] = SimpleTimeComparisonUtils.normalizeRedmineEntries([
+        timeEntry,
+      ]);
+      await TimeSyncUtils.recordLink(meta.syncEntry, redmineEntry);
+    }
+    if (timeEntry && meta.storedEntry) {
+      await this.markStoredEntrySynced(meta.storedEntry, item.data, timeEntry);
+    }
+
+    return { success: true, result: { timeEntryId: timeEntry?.id || null } };
+  }
+
+  /**
+   * Mark the first matching unsynced stored entry as synced
+   * @param {Object} storedEntry - {date, time, comment} of the stored entry
+   * @param {Object} data - Time entry data sent to Redmine
+   * @param {Object} timeEntry - Created Redmine time entry
+   */
+  static async markStoredEntrySynced(storedEntry, data, timeEntry) {
+    const timeEntries = await Storage.getTimeEntries();
+    const index = timeEntries.findIndex(
+      (entry) =>
+        !entry.redmineTimeEntryId &&
+        entry.date === storedEntry.date &&
+        parseFloat(entry.time) === parseFloat(storedEntry.time) &&
+        (entry.comment || "") === (storedEntry.comment || "")
+    );
+    if (index === -1) return;
+
+    timeEntries[index] = {
+      ...timeEntries[index],
+      redmineIssueId: data.task,
+      redmineTimeEntryId: timeEntry.id,
+      syncedAt: new Date().toISOString(),
+    };
+    await Storage.setTimeEntries(timeEntries);
+  }
+
+  /**
+   * Create a Tempo worklog
+   * @param {Object} item - Job item
+   * @returns {Promise<Object>} {success, error, result: {worklogId, dryRun}}
+   */
+  static async createTempoWorklog(item) {
+    const tempoSettings = await Storage.getTempoSettings();
+    if (!tempoSettings.apiToken) {
+      throw new Error("Tempo settings not configured");
+    }
+
+    const result = await createWorklog(item.data, tempoSettings);
+    if (!result.success) return result;
+    if (result.dryRun) {
+      return { success: true, result: { worklogId: null, dryRun: true } };
+    }
+
+    return {
+      success: true,
+      result: { worklogId: result.worklog?.tempoWorklogId || null },
+    };
+  }
+
+  /**
+   * Keep an alarm while jobs are queued so a stopped service worker wakes up
+   * and continues them
+   */
+  static async scheduleWakeUp() {
+    const jobs = await Storage.getJobs();
+    const hasActive = jobs.some((job) =>
+      this.ACTIVE_STATUSES.includes(job.status)
+    );
+
+    if (hasActive) {
+      await chrome.alarms.create(CONFIG.JOBS.ALARM_NAME, {
+        periodInMinutes: 1,
+      });
+    } else {
+      await chrome.alarms.clear(CONFIG.JOBS.ALARM_NAME);
+    }
+  }
+
+  /**
+   * Check whether a job will not run any more items
+   * @param {Object} job - Job
+   * @returns {boolean} Whether the job is completed or cancelled
+   */
+  static isFinished(job) {
+    return this.FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Count items by outcome
+   * @param {Object} job - Job
+   * @returns {Object} {total, done, failed, remaining}
+   */
+  static getProgress(job) {
+    const count = (...statuses) =>
+      job.items.filter((item) => statuses.includes(item.status)).length;
+
+    return {
+      total: job.items.length,
+      done: count("done"),
+      failed: count("failed", "interrupted"),
+      remaining: count("pending", "running"),
+    };
+  }
+
+  /**
+   * Submit a job to the background service worker (for pages)
+   * @param {Object} request - {type, label, items, transactionId}
+   * @returns {Promise<Object>} Created job
+   */
+  static async submit(request) {
+    const response = await chrome.runtime.sendMessage({
+      action: "enqueueJob",
+      job: request,
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || "Could not queue the job");
+    }
+    return response.job;
+  }
+
+  /**
+   * Wait until a job finishes or is paused (for pages).
+   * A paused job may not resume while the page is open, so pages get it back
+   * and release their UI; check job.status for "paused".
+   * @param {string} jobId - Job ID
+   * @param {Function} onProgress - Called with the job on every change
+   * @returns {Promise<Object|null>} Finished or paused job, or null if it was removed
+   */
+  static waitForJob(jobId, onProgress = null) {
+    return new Promise((resolve) => {
+      let settled = false;
+
+      const handle = (jobs) => {
+        if (settled) return;
+
+        const job = (jobs || []).find((candidate) => candidate.id === jobId);
+        if (job) onProgress?.(job);
+        if (job && !this.isFinished(job) && job.status !== "paused") return;
+
+        settled = true;
+        chrome.storage.onChanged.removeListener(listener);
+        resolve(job || null);
+      };
+
+      const listener = (changes, areaName) => {
+        if (areaName === "local" && changes[CONFIG.STORAGE.JOBS]) {
+          handle(changes[CONFIG.STORAGE.JOBS].newValue);
+        }
+      };
+
+      chrome.storage.onChanged.addListener(listener);
+      // The job may have changed before the listener was attached
+      Storage.getJobs().then(handle);
+    });
+  }
+}
+
+export default JobQueue;
@@ -0,0 +1,654 @@
+import { CONFIG } from "./constants.js";
+
+/**
+ * Matches normalized Tempo entries to normalized Redmine entries.
+ *
+ * Each strategy scores a pair from 0 to 1, or returns null when it has nothing
+ * to say about the pair (e.g. one side has no Jira key). The match score is the
+ * weighted average of the applicable strategies. A pair is only a candidate
+ * when it shares an identity (Jira key, Redmine issue or a similar enough
+ * description); hours and date alone never pair two entries. Pairs are
+ * assigned greedily from the highest score down, so every Redmine entry is
+ * used at most once.
+ */
+export class MatchingEngine {
+  static strategies = {
+    jiraKey: {
+      label: "Jira key",
+      score(tempo, redmine) {
+        if (!tempo.jiraTask || !redmine.jiraTask) return null;
+        return tempo.jiraTask === redmine.jiraTask ? 1 : 0;
+      },
+    },
+
+    redmineIssue: {
+      label: "Redmine issue",
+      score(tempo, redmine) {
+        if (!tempo.redmineTask || !redmine.redmineTask) return null;
+        return String(tempo.redmineTask) === String(redmine.redmineTask)
+          ? 1
+          : 0;
+      },
+    },
+
+    hours: {
+      label: "Hours",
+      score(tempo, redmine, config) {
+        const diff = MatchingEngine.hoursDifference(tempo, redmine, config);
+        if (diff <= config.hoursTolerance) return 1;
+        if (diff <= config.hoursPartialTolerance) return 0.5;
+        return 0;
+      },
+    },
+
+    description: {
+      label: "Description",
+      score(tempo, redmine) {
+        if (!tempo.description && !redmine.description) return null;
+        return MatchingEngine.textSimilarity(
+          tempo.description,
+          redmine.description
+        );
+      },
+    },
+
+    dateWindow: {
+      label: "Date",
+      score(tempo, redmine, config) {
+        // Without a window all candidates share the date, so it tells nothing
+        if (!config.dateWindowDays) return null;
+        const days = MatchingEngine.daysBetween(tempo.date, redmine.date);
+        return 1 - days / (config.dateWindowDays + 1);
+      },
+    },
+  };
+
+  /**
+   * Add or replace a strategy
+   * @param {string} name - Strategy name, also the key of its weight
+   * @param {Object} strategy - {label, score(tempo, redmine, config) => number|null}
+   */
+  static registerStrategy(name, strategy) {
+    this.strategies[name] = strategy;
+  }
+
+  /**
+   * Get the default configuration
+   * @returns {Object} {mode, weights, hoursTolerance, hoursPartialTolerance, roundingMinutes, roundingMode, dateWindowDays, matchThreshold, exactThreshold, identityThreshold}
+   */
+  static getDefaultConfig() {
+    const { MATCHING } = CONFIG;
+    return {
+      mode: MATCHING.MODE,
+      weights: { ...MATCHING.WEIGHTS },
+      hoursTolerance: MATCHING.HOURS_TOLERANCE,
+      hoursPartialTolerance: MATCHING.HOURS_PARTIAL_TOLERANCE,
+      roundingMinutes: MATCHING.ROUNDING_MINUTES,
+      roundingMode: MATCHING.ROUNDING_MODE,
+      dateWindowDays: MATCHING.DATE_WINDOW_DAYS,
+      matchThreshold: MATCHING.MATCH_THRESHOLD,
+      exactThreshold: MATCHING.EXACT_THRESHOLD,
+      identityThreshold: MATCHING.IDENTITY_THRESHOLD,
+    };
+  }
+
+  /**
+   * Merge a partial configuration over the defaults
+   * @param {Object} overrides - Partial configuration
+   * @returns {Object} Full configuration
+   */
+  static resolveConfig(overrides = {}) {
+    const defaults = this.getDefaultConfig();
+    return {
+      ...defaults,
+      ...overrides,
+      weights: { ...defaults.weights, ...overrides.weights },
+    };
+  }
+
+  /**
+   * Score a Tempo/Redmine pair
+   * @param {Object} tempo - Normalized Tempo entry
+   * @param {Object} redmine - Normalized Redmine entry
+   * @param {Object} config - Full configuration
+   * @returns {Object} {score, breakdown: {strategy: score}, reasons: strategies that scored 1}
+   */
+  static scorePair(tempo, redmine, config) {
+    const breakdown = {};
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const [name, strategy] of Object.entries(this.strategies)) {
+      const weight = config.weights[name] ?? 0;
+      if (weight <= 0) continue;
+
+      const value = strategy.score(tempo, redmine, config);
+      if (value === null || value === undefined) continue;
+
+      breakdown[name] = value;
+      weighted += value * weight;
+      totalWeight += weight;
+    }
+
+    return {
+      score: totalWeight > 0 ? weighted / totalWeight : 0,
+      breakdown,
+      reasons: Object.keys(breakdown).filter((name) => breakdown[name] === 1),
+    };
+  }
+
+  /**
+   * Find the best Redmine entry for a single Tempo entry
+   * @param {Object} tempo - Normalized Tempo entry
+   * @param {Array} redmineEntries - Candidate Redmine entries
+   * @param {Object} overrides - Partial configuration
+   * @returns {Object|null} Match {tempo, redmine, score, matchType, ...} or null
+   */
+  static findBestMatch(tempo, redmineEntries, overrides = {}) {
+    const config = this.resolveConfig(overrides);
+    let best = null;
+
+    for (const redmine of redmineEntries) {
+      if (!this.isWithinWindow(tempo, redmine, config)) continue;
+
+      const candidate = this.buildMatch(tempo, redmine, config);
+      if (
+        this.isCandidate(candidate, config) &&
+        (!best || candidate.score > best.score)
+      ) {
+        best = candidate;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Match all entries of a period.
+   * In aggregate mode an entry only counts as missing (or extra) when nothing at all
+   * was logged for its date and task on the other side; hour differences are
+   * reported per bucket instead.
+   * @param {Array} tempoEntries - Normalized Tempo entries
+   * @param {Array} redmineEntries - Normalized Redmine entries
+   * @param {Object} overrides - Partial configuration
+   * @returns {Object} {mode, matched, missingInRedmine, missingInTempo, buckets, byDate, stats}
+   */
+  static match(tempoEntries, redmineEntries, overrides = {}) {
+    const config = this.resolveConfig(overrides);
+    const result = this.matchEntries(tempoEntries, redmineEntries, config);
+    const buckets = this.aggregate(tempoEntries, redmineEntries, config);
+
+    result.mode = config.mode;
+    result.buckets = buckets;
+    result.stats.buckets = this.countBuckets(buckets);
+
+    if (config.mode === "aggregate") {
+      const sumHours = (entries) => entries.reduce((sum, e) => sum + e.hours, 0);
+      const entriesOf = (status, side) =>
+        buckets
+          .filter((bucket) => bucket.status === status)
+          .flatMap((bucket) => bucket[side]);
+
+      result.missingInRedmine = entriesOf("missing", "tempo");
+      result.missingInTempo = entriesOf("extra", "redmine");
+      result.stats.missing = result.missingInRedmine.length;
+      result.stats.missingHours = sumHours(result.missingInRedmine);
+      result.stats.extra = result.missingInTempo.length;
+      result.stats.extraHours = sumHours(result.missingInTempo);
+    }
+
+    return result;
+  }
+
+  /**
+   * Pair single entries one-to-one
+   * @param {Array} tempoEntries - Normalized Tempo entries
+   * @param {Array} redmineEntries - Normalized Redmine entries
+   * @param {Object} config - Full configuration
+   * @returns {Object} {matched, missingInRedmine, missingInTempo, byDate, stats}
+   */
+  static matchEntries(tempoEntries, redmineEntries, config) {
+    const redmineByDate = this.groupByDate(redmineEntries);
+    const candidates = [];
+
+    tempoEntries.forEach((tempo, tempoIndex) => {
+      for (const date of this.windowDates(tempo.date, config.dateWindowDays)) {
+        for (const redmine of redmineByDate[date] || []) {
+          const candidate = this.buildMatch(tempo, redmine, config);
+          if (this.isCandidate(candidate, config)) {
+            candidates.push({ ...candidate, tempoIndex });
+          }
+        }
+      }
+    });
+
+    // Best pairs first; on equal score prefer closer hours, then earlier entries
+    candidates.sort(
+      (a, b) =>
+        b.score - a.score ||
+        Math.abs(a.hoursDifference) - Math.abs(b.hoursDifference) ||
+        a.tempoIndex - b.tempoIndex
+    );
+
+    const usedTempo = new Set();
+    const usedRedmine = new Set();
+    const matched = [];
+
+    for (const { tempoIndex, ...candidate } of candidates) {
+      if (usedTempo.has(tempoIndex) || usedRedmine.has(candidate.redmine)) {
+        continue;
+      }
+      usedTempo.add(tempoIndex);
+      usedRedmine.add(candidate.redmine);
+      matched.push(candidate);
+    }
+
+    matched.sort((a, b) => a.tempo.date.localeCompare(b.tempo.date));
+
+    const missingInRedmine = tempoEntries.filter(
+      (_, index) => !usedTempo.has(index)
+    );
+    const missingInTempo = redmineEntries.filter(
+      (entry) => !usedRedmine.has(entry)
+    );
+
+    const sumHours = (entries) => entries.reduce((sum, e) => sum + e.hours, 0);
+
+    return {
+      matched,
+      missingInRedmine,
+      missingInTempo,
+      byDate: this.compareByDate(tempoEntries, redmineEntries, config),
+      stats: {
+        tempoTotal: tempoEntries.length,
+        redmineTotal: redmineEntries.length,
+        matched: matched.length,
+        partial: matched.filter((m) => m.matchType === "partial").length,
+        missing: missingInRedmine.length,
+        extra: missingInTempo.length,
+        tempoHours: sumHours(tempoEntries),
+        redmineHours: sumHours(redmineEntries),
+        missingHours: sumHours(missingInRedmine),
+        extraHours: sumHours(missingInTempo),
+      },
+    };
+  }
+
+  /**
+   * Sum hours per (date, task) on both sides.
+   * The task is the Jira key; Redmine entries without one get it through the
+   * Redmine issue that Tempo entries of the same key resolved to.
+   * @param {Array} tempoEntries - Normalized Tempo entries
+   * @param {Array} redmineEntries - Normalized Redmine entries
+   * @param {Object} overrides - Partial configuration
+   * @returns {Array} Buckets {key, date, jiraTask, redmineTask, tempo, redmine, tempoHours, redmineHours, delta, status}
+   */
+  static aggregate(tempoEntries, redmineEntries, overrides = {}) {
+    const config = this.resolveConfig(overrides);
+
+    const jiraByRedmineTask = {};
+    tempoEntries.forEach((entry) => {
+      if (entry.jiraTask && entry.redmineTask) {
+        jiraByRedmineTask[String(entry.redmineTask)] = entry.jiraTask;
+      }
+    });
+
+    const buckets = new Map();
+    const add = (entry, side) => {
+      const jiraTask =
+        entry.jiraTask ||
+        (entry.redmineTask && jiraByRedmineTask[String(entry.redmineTask)]) ||
+        null;
+      const task =
+        jiraTask || (entry.redmineTask ? `#${entry.redmineTask}` : "—");
+      const key = `${entry.date}|${task}`;
+
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          key,
+          date: entry.date,
+          jiraTask,
+          redmineTask: null,
+          tempo: [],
+          redmine: [],
+        });
+      }
+
+      const bucket = buckets.get(key);
+      bucket[side].push(entry);
+      if (!bucket.redmineTask && entry.redmineTask) {
+        bucket.redmineTask = entry.redmineTask;
+      }
+    };
+
+    tempoEntries.forEach((entry) => add(entry, "tempo"));
+    redmineEntries.forEach((entry) => add(entry, "redmine"));
+
+    return [...buckets.values()]
+      .map((bucket) => this.summarizeBucket(bucket, config))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Add totals, delta and status to a bucket
+   * @param {Object} bucket - Bucket with tempo and redmine entries
+   * @param {Object} config - Full configuration
+   * @returns {Object} Bucket
+   */
+  static summarizeBucket(bucket, config) {
+    const sum = (entries) => entries.reduce((total, e) => total + e.hours, 0);
+    const tempoHours = sum(bucket.tempo);
+    const redmineHours = sum(bucket.redmine);
+    // Positive delta: hours missing in Redmine
+    const delta =
+      this.roundHours(tempoHours, config) -
+      this.roundHours(redmineHours, config);
+
+    let status;
+    if (bucket.redmine.length === 0) {
+      status = "missing";
+    } else if (bucket.tempo.length === 0) {
+      status = "extra";
+    } else if (Math.abs(delta) <= config.hoursTolerance) {
+      status = "matched";
+    } else {
+      status = delta > 0 ? "under" : "over";
+    }
+
+    return { ...bucket, tempoHours, redmineHours, delta, status };
+  }
+
+  /**
+   * Count buckets per status
+   * @param {Array} buckets - Buckets
+   * @returns {Object} {total, matched, under, over, missing, extra, underHours}
+   */
+  static countBuckets(buckets) {
+    const counts = {
+      total: buckets.length,
+      matched: 0,
+      under: 0,
+      over: 0,
+      missing: 0,
+      extra: 0,
+      underHours: 0,
+    };
+
+    buckets.forEach((bucket) => {
+      counts[bucket.status]++;
+      if (bucket.status === "under") {
+        counts.underHours += bucket.delta;
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Build the match record of a pair
+   * @param {Object} tempo - Normalized Tempo entry
+   * @param {Object} redmine - Normalized Redmine entry
+   * @param {Object} config - Full configuration
+   * @returns {Object} {tempo, redmine, score, matchType, breakdown, reasons, hoursDifference, differences}
+   */
+  static buildMatch(tempo, redmine, config) {
+    const { score, breakdown, reasons } = this.scorePair(tempo, redmine, config);
+    const hoursDifference = tempo.hours - redmine.hours;
+
+    const differences = [];
+    if (this.hoursDifference(tempo, redmine, config) > config.hoursTolerance) {
+      differences.push({
+        field: "hours",
+        tempo: tempo.hours,
+        redmine: redmine.hours,
+      });
+    }
+    if (breakdown.jiraKey === 0) {
+      differences.push({
+        field: "jiraKey",
+        tempo: tempo.jiraTask,
+        redmine: redmine.jiraTask,
+      });
+    }
+    if (breakdown.description !== undefined && breakdown.description < 0.7) {
+      differences.push({
+        field: "description",
+        tempo: tempo.description,
+        redmine: redmine.description,
+      });
+    }
+    if (tempo.date !== redmine.date) {
+      differences.push({ field: "date", tempo: tempo.date, redmine: redmine.date });
+    }
+
+    return {
+      tempo,
+      redmine,
+      score,
+      matchType: score >= config.exactThreshold ? "exact" : "partial",
+      breakdown,
+      reasons,
+      hoursDifference,
+      differences,
+    };
+  }
+
+  /**
+   * Check whether a scored pair may be matched: it reaches the threshold and
+   * the entries share a Jira key, a Redmine issue or a similar description
+   * @param {Object} match - Match record
+   * @param {Object} config - Full configuration
+   * @returns {boolean} Whether the pair is a candidate
+   */
+  static isCandidate(match, config) {
+    const { breakdown } = match;
+    const identified =
+      breakdown.jiraKey === 1 ||
+      breakdown.redmineIssue === 1 ||
+      (breakdown.description ?? 0) >= config.identityThreshold;
+
+    return identified && match.score >= config.matchThreshold;
+  }
+
+  /**
+   * Describe which rules matched a pair, e.g. "Jira key + Hours · 93%"
+   * @param {Object} match - Match record
+   * @returns {string} Description
+   */
+  static describeMatch(match) {
+    const labels = match.reasons.map(
+      (name) => this.strategies[name]?.label || name
+    );
+    return `${labels.join(" + ") || "Score"} · ${Math.round(
+      match.score * 100
+    )}%`;
+  }
+
+  /**
+   * Absolute hours difference of a pair after rounding
+   * @param {Object} tempo - Normalized Tempo entry
+   * @param {Object} redmine - Normalized Redmine entry
+   * @param {Object} config - Full configuration
+   * @returns {number} Hours
+   */
+  static hoursDifference(tempo, redmine, config) {
+    return Math.abs(
+      this.roundHours(tempo.hours, config) -
+        this.roundHours(redmine.hours, config)
+    );
+  }
+
+  /**
+   * Round hours to the configured step, e.g. 15 minutes
+   * @param {number} hours - Hours
+   * @param {Object} config - Full configuration
+   * @returns {number} Rounded hours
+   */
+  static roundHours(hours, config) {
+    if (!config.roundingMinutes) return hours;
+
+    const round =
+      { up: Math.ceil, down: Math.floor }[config.roundingMode] || Math.round;
+    // Drop float noise first so 0.25h stored as 0.2500001 is not rounded up a step
+    const steps =
+      Math.round(((hours * 60) / config.roundingMinutes) * 1e6) / 1e6;
+    return (round(steps) * config.roundingMinutes) / 60;
+  }
+
+  /**
+   * Compare totals per date
+   * @param {Array} tempoEntries - Normalized Tempo entries
+   * @param {Array} redmineEntries - Normalized Redmine entries
+   * @param {Object} config - Full configuration
+   * @returns {Object} {[date]: {tempo: {entries, hours}, redmine: {entries, hours}, difference: {entries, hours}, status}}
+   */
+  static compareByDate(tempoEntries, redmineEntries, config) {
+    const tempoByDate = this.groupByDate(tempoEntries);
+    const redmineByDate = this.groupByDate(redmineEntries);
+    const dates = new Set([
+      ...Object.keys(tempoByDate),
+      ...Object.keys(redmineByDate),
+    ]);
+
+    const byDate = {};
+    for (const date of dates) {
+      const tempo = tempoByDate[date] || [];
+      const redmine = redmineByDate[date] || [];
+      const tempoHours = tempo.reduce((sum, e) => sum + e.hours, 0);
+      const redmineHours = redmine.reduce((sum, e) => sum + e.hours, 0);
+      const hoursDiff = Math.abs(tempoHours - redmineHours);
+
+      let status;
+      if (redmine.length === 0) {
+        status = "missing_in_redmine";
+      } else if (tempo.length === 0) {
+        status = "extra_in_redmine";
+      } else if (hoursDiff <= config.hoursTolerance) {
+        status = "matched";
+      } else if (hoursDiff < 1) {
+        status = "minor_difference";
+      } else {
+        status = "major_difference";
+      }
+
+      byDate[date] = {
+        tempo: { entries: tempo.length, hours: tempoHours },
+        redmine: { entries: redmine.length, hours: redmineHours },
+        difference: {
+          entries: tempo.length - redmine.length,
+          hours: tempoHours - redmineHours,
+        },
+        status,
+      };
+    }
+
+    return byDate;
+  }
+
+  /**
+   * Check whether two entries are close enough in time to be compared
+   * @param {Object} tempo - Normalized Tempo entry
+   * @param {Object} redmine - Normalized Redmine entry
+   * @param {Object} config - Full configuration
+   * @returns {boolean} Whether the dates are within the window
+   */
+  static isWithinWindow(tempo, redmine, config) {
+    return this.daysBetween(tempo.date, redmine.date) <= config.dateWindowDays;
+  }
+
+  /**
+   * List the dates within the window around a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} windowDays - Days on each side
+   * @returns {Array<string>} Dates
+   */
+  static windowDates(date, windowDays) {
+    if (!windowDays) return [date];
+
+    const base = new Date(`${date}T00:00:00Z`);
+    const dates = [];
+    for (let offset = -windowDays; offset <= windowDays; offset++) {
+      const day = new Date(base);
+      day.setUTCDate(base.getUTCDate() + offset);
+      dates.push(day.toISOString().split("T")[0]);
+    }
+    return dates;
+  }
+
+  /**
+   * Whole days between two dates
+   * @param {string} date1 - Date (YYYY-MM-DD)
+   * @param {string} date2 - Date (YYYY-MM-DD)
+   * @returns {number} Days
+   */
+  static daysBetween(date1, date2) {
+    if (date1 === date2) return 0;
+    const diff = Date.parse(`${date1}T00:00:00Z`) - Date.parse(`${date2}T00:00:00Z`);
+    return Math.round(Math.abs(diff) / 86400000);
+  }
+
+  /**
+   * Group entries by date
+   * @param {Array} entries - Normalized entries
+   * @returns {Object} {[date]: entries}
+   */
+  static groupByDate(entries) {
+    const groups = {};
+    entries.forEach((entry) => {
+      if (!groups[entry.date]) {
+        groups[entry.date] = [];
+      }
+      groups[entry.date].push(entry);
+    });
+    return groups;
+  }
+
+  /**
+   * Similarity of two descriptions from 0 to 1 (Levenshtein based).
+   * One text contained in the other scores at least 0.8.
+   * @param {string} text1 - First text
+   * @param {string} text2 - Second text
+   * @returns {number} Similarity
+   */
+  static textSimilarity(text1, text2) {
+    if (!text1 && !text2) return 1;
+    if (!text1 || !text2) return 0;
+
+    const s1 = text1.toLowerCase().trim();
+    const s2 = text2.toLowerCase().trim();
+    if (s1 === s2) return 1;
+
+    const maxLength = Math.max(s1.length, s2.length);
+    const similarity =
+      (maxLength - this.levenshteinDistance(s1, s2)) / maxLength;
+
+    return s1.includes(s2) || s2.includes(s1)
+      ? Math.max(similarity, 0.8)
+      : similarity;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} str1 - First string
+   * @param {string} str2 - Second string
+   * @returns {number} Edit distance
+   */
+  static levenshteinDistance(str1, str2) {
+    let previous = Array.from({ length: str2.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= str1.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= str2.length; j++) {
+        current[j] =
+          str1[i - 1] === str2[j - 1]
+            ? previous[j - 1]
+            : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+      }
+      previous = current;
+    }
+
+    return previous[str2.length];
+  }
+}
+
+export default MatchingEngine;
@@ -1,50 +1,66 @@
-import { getCurrentUserWorklogsForMonth } from "../api/tempo.js";
-import { fetchTimeEntries, searchIssues } from "../api/redmine.js";
+import {
+  getCurrentUserWorklogs,
+  getWorklogsForRange,
+  getWorklog,
+} from "../api/tempo.js";
+import {
+  fetchTimeEntries,
+  getIssue,
+  extractJiraKeysFromText,
+} from "../api/redmine.js";
 import JiraRestAPI from "../api/jira-rest.js";
+import IssueLinkCache from "./IssueLinkCache.js";
+import MatchingEngine from "./MatchingEngine.js";
+import { Storage } from "./storage.js";
 
 /**
  * Простая утилита для сравнения времени между Tempo и Redmine
- * Без всякой хуйни - просто берём данные, нормализуем и сравниваем
+ * Без всякой хуйни - просто берём данные, нормализуем и сравниваем.
+ * Сопоставление записей делает MatchingEngine
  */
 export class SimpleTimeComparisonUtils {
   /**
-   * Сравнить время за месяц между Tempo и Redmine
-   * @param {number} year - Год
-   * @param {number} month - Месяц (1-12)
+   * Сравнить время за период между Tempo и Redmine
+   * @param {string} startDate - Начало периода (YYYY-MM-DD)
+   * @param {string} endDate - Конец периода (YYYY-MM-DD), включительно
    * @param {Object} tempoSettings - Настройки Tempo
    * @param {Object} redmineSettings - Настройки Redmine
    * @param {Object} jiraSettings - Настройки Jira
+   * @param {Object} matchingConfig - Настройки сопоставления (см. MatchingEngine)
+   * @param {Object} member - Сотрудник {jiraAccountId, redmineUserId}, по умолчанию текущий пользователь
    * @returns {Promise<Object>} Результат сравнения
    */
   static async compareTimeEntries(
-    year,
-    month,
+    startDate,
+    endDate,
     tempoSettings,
     redmineSettings,
-    jiraSettings
+    jiraSettings,
+    matchingConfig = {},
+    member = null
   ) {
     try {
-      console.log(
-        `🔍 Сравниваем время за ${year}-${month.toString().padStart(2, "0")}`
-      );
+      console.log(`🔍 Сравниваем время за ${startDate} — ${endDate}`);
 
       // Получаем данные из Tempo
-      const tempoResult = await getCurrentUserWorklogsForMonth(
-        year,
-        month,
-        tempoSettings
-      );
+      const tempoResult = member
+        ? await getWorklogsForRange(
+            startDate,
+            endDate,
+            tempoSettings,
+            member.jiraAccountId
+          )
+        : await getCurrentUserWorklogs(startDate, endDate, tempoSettings);
       if (!tempoResult.success) {
         throw new Error(`Tempo API ошибка: ${tempoResult.error}`);
       }
 
       // Получаем данные из Redmine
-      const startDate = `${year}-${month.toString().padStart(2, "0")}-01`;
-      const endDate = new Date(year, month, 0).toISOString().split("T")[0];
       const redmineResult = await fetchTimeEntries(
         startDate,
         endDate,
-        redmineSettings
+        redmineSettings,
+        member?.redmineUserId
       );
       if (!redmineResult.success) {
         throw new Error(`Redmine API ошибка: ${redmineResult.error}`);
@@ -68,12 +84,14 @@ export class SimpleTimeComparisonUtils {
       const comparison = await this.compareEntries(
         tempoEntries,
         redmineEntries,
-        redmineSettings
+        redmineSettings,
+        matchingConfig,
+        tempoSettings
       );
 
       return {
         success: true,
-        period: { year, month, startDate, endDate },
+        period: { startDate, endDate },
         tempoEntries,
         redmineEntries,
         comparison,
@@ -104,18 +122,24 @@ export class SimpleTimeComparisonUtils {
       }
     });
 
-    if (jiraIds.size > 0) {
+    // Без настроек Jira берём ключ, встроенный в ворклог
+    if (jiraIds.size > 0 && jiraSettings) {
       const promises = Array.from(jiraIds).map((id) =>
         JiraRestAPI.getIssue(id, jiraSettings)
       );
       const jiraResults = await Promise.all(promises);
       jiraResults.forEach((result) => {
-        jiraIssueKeys[result.issue.id] = result.issue.key;
+        if (result.success) {
+          jiraIssueKeys[result.issue.id] = result.issue.key;
+        }
       });
     }
 
     for (const worklog of worklogs) {
-      const jiraIssueKey = jiraIssueKeys[worklog.issue?.id];
+      const jiraIssueKey =
+        jiraIssueKeys[worklog.issue?.id] ||
+        worklog.jira?.code ||
+        worklog.issue?.key;
 
       const entry = {
         date: worklog.startDate,
@@ -124,6 +148,7 @@ export class SimpleTimeComparisonUtils {
         tempoId: worklog.tempoWorklogId,
         jiraTask: jiraIssueKey,
         redmineTask: null,
+        authorAccountId: worklog.author?.accountId || null,
         source: "tempo",
       };
 
@@ -159,154 +184,161 @@ export class SimpleTimeComparisonUtils {
    * Сравнить записи
    * @param {Array} tempoEntries - Записи из Tempo
    * @param {Array} redmineEntries - Записи из Redmine
-   * @returns {Object} Результат сравнения
+   * @param {Object} redmineSettings - Настройки Redmine
+   * @param {Object} matchingConfig - Настройки сопоставления
+   * @param {Object} tempoSettings - Настройки Tempo, нужны для проверки удалённых ворклогов
+   * @returns {Object} Результат MatchingEngine.match
    */
-  static async compareEntries(tempoEntries, redmineEntries, redmineSettings) {
-    const missingInRedmine = [];
-    const matched = [];
-
-    // Группируем Redmine записи по дате для быстрого поиска
-    const redmineByDate = {};
-    redmineEntries.forEach((entry) => {
-      if (!redmineByDate[entry.date]) {
-        redmineByDate[entry.date] = [];
-      }
-      redmineByDate[entry.date].push(entry);
-    });
-
-    // Проверяем каждую запись из Tempo
-    for (const tempoEntry of tempoEntries) {
-      const redmineEntriesForDate = redmineByDate[tempoEntry.date] || [];
-
-      // Ищем совпадение
-      const match = this.findMatch(tempoEntry, redmineEntriesForDate);
-
-      if (match) {
-        matched.push({
-          tempo: tempoEntry,
-          redmine: match,
-          matchType: "found",
-        });
-      } else {
-        missingInRedmine.push(tempoEntry);
-      }
-    }
+  static async compareEntries(
+    tempoEntries,
+    redmineEntries,
+    redmineSettings,
+    matchingConfig = {},
+    tempoSettings = null
+  ) {
+    // Задачи Redmine нужны до сопоставления: по ним работает стратегия redmineIssue
+    const tempoEntriesWithTasks = await this.addRedmineTasksToEntries(
+      tempoEntries,
+      redmineSettings
+    );
 
-    // Считаем статистику
-    const tempoTotalHours = tempoEntries.reduce((sum, e) => sum + e.hours, 0);
-    const redmineTotalHours = redmineEntries.reduce(
-      (sum, e) => sum + e.hours,
-      0
+    const result = MatchingEngine.match(
+      tempoEntriesWithTasks,
+      redmineEntries,
+      matchingConfig
     );
-    const missingHours = missingInRedmine.reduce((sum, e) => sum + e.hours, 0);
 
-    const missingInRedmineWithTasks = await this.addRedmineTasksToEntries(
-      missingInRedmine,
-      redmineSettings
+    result.missingInTempo = await this.annotateMissingInTempo(
+      result.missingInTempo,
+      tempoEntriesWithTasks,
+      redmineSettings,
+      tempoSettings
     );
 
-    return {
-      missingInRedmine: missingInRedmineWithTasks,
-      matched,
-      stats: {
-        tempoTotal: tempoEntries.length,
-        redmineTotal: redmineEntries.length,
-        missing: missingInRedmine.length,
-        matched: matched.length,
-        tempoHours: tempoTotalHours,
-        redmineHours: redmineTotalHours,
-        missingHours: missingHours,
-      },
-    };
+    return result;
   }
 
-  static async addRedmineTasksToEntries(entries, redmineSettings) {
-    const jiraKeys = new Set();
-    entries.forEach((e) => e.jiraTask && jiraKeys.add(e.jiraTask));
-
-    const redmineTasks = {};
-    const promises = Array.from(jiraKeys).map((key) =>
-      searchIssues(key, redmineSettings)
-    );
+  /**
+   * Дополнить записи, которых нет в Tempo: Jira задача для создания ворклога
+   * и признак того, что связанный ворклог был удалён в Tempo
+   * @param {Array} entries - Записи Redmine без пары в Tempo
+   * @param {Array} tempoEntries - Записи Tempo за период
+   * @param {Object} redmineSettings - Настройки Redmine
+   * @param {Object} tempoSettings - Настройки Tempo
+   * @returns {Promise<Array>} Записи с jiraTask и deletedInTempo
+   */
+  static async annotateMissingInTempo(
+    entries,
+    tempoEntries,
+    redmineSettings,
+    tempoSettings
+  ) {
+    if (entries.length === 0) return entries;
 
-    const redmineResults = await Promise.all(promises);
-    redmineResults.forEach((result, i) => {
-      const key = Array.from(jiraKeys)[i];
-      if (result.issues.length > 0) {
-        redmineTasks[key] = result.issues[0].id;
+    // Ключ из описания задачи Redmine; задачи, уже связанные с Tempo, не запрашиваем
+    const jiraByRedmineTask = {};
+    tempoEntries.forEach((entry) => {
+      if (entry.jiraTask && entry.redmineTask) {
+        jiraByRedmineTask[String(entry.redmineTask)] = entry.jiraTask;
       }
     });
 
+    const unresolvedTasks = new Set(
+      entries
+        .filter(
+          (entry) =>
+            !entry.jiraTask &&
+            entry.redmineTask &&
+            !jiraByRedmineTask[entry.redmineTask]
+        )
+        .map((entry) => entry.redmineTask)
+    );
+    await Promise.all(
+      Array.from(unresolvedTasks).map(async (taskId) => {
+        const result = await getIssue(taskId, redmineSettings);
+        const [jiraKey] = result.success
+          ? extractJiraKeysFromText(result.issue.description)
+          : [];
+        if (jiraKey) jiraByRedmineTask[taskId] = jiraKey;
+      })
+    );
+
+    const deletedInTempo = await this.findDeletedInTempo(
+      entries,
+      tempoEntries,
+      tempoSettings
+    );
+
     return entries.map((entry) => ({
       ...entry,
-      redmineTask: redmineTasks[entry.jiraTask],
+      jiraTask:
+        entry.jiraTask ||
+        jiraByRedmineTask[entry.redmineTask] ||
+        extractJiraKeysFromText(entry.description)[0] ||
+        null,
+      deletedInTempo: deletedInTempo.has(String(entry.redmineId)),
     }));
   }
 
   /**
-   * Найти совпадение для записи из Tempo
-   * @param {Object} tempoEntry - Запись из Tempo
-   * @param {Array} redmineEntries - Записи из Redmine за тот же день
-   * @returns {Object|null} Найденное совпадение или null
+   * Найти записи Redmine, связанный ворклог которых удалили в Tempo.
+   * Ворклога может не быть в периоде и потому, что его перенесли на другую дату,
+   * так что удаление подтверждаем запросом: удалённым считается только ответ 404
+   * @param {Array} entries - Записи Redmine без пары в Tempo
+   * @param {Array} tempoEntries - Записи Tempo за период
+   * @param {Object} tempoSettings - Настройки Tempo
+   * @returns {Promise<Set<string>>} ID записей Redmine
    */
-  static findMatch(tempoEntry, redmineEntries) {
-    for (const redmineEntry of redmineEntries) {
-      // Сначала проверяем по Jira задаче (самый точный способ)
-      if (tempoEntry.jiraTask && redmineEntry.jiraTask) {
-        if (tempoEntry.jiraTask === redmineEntry.jiraTask) {
-          // Проверяем время (допускаем небольшую разницу)
-          const hoursDiff = Math.abs(tempoEntry.hours - redmineEntry.hours);
-          if (hoursDiff < 0.1) {
-            return redmineEntry;
-          }
-        }
-      }
-
-      // Если нет Jira задач, проверяем по Redmine задаче и времени
-      if (tempoEntry.redmineTask && redmineEntry.redmineTask) {
-        if (tempoEntry.redmineTask === redmineEntry.redmineTask) {
-          const hoursDiff = Math.abs(tempoEntry.hours - redmineEntry.hours);
-          if (hoursDiff < 0.1) {
-            return redmineEntry;
-          }
-        }
-      }
+  static async findDeletedInTempo(entries, tempoEntries, tempoSettings) {
+    const deleted = new Set();
+    if (!tempoSettings) return deleted;
+
+    const redmineIds = new Set(entries.map((entry) => String(entry.redmineId)));
+    const tempoIds = new Set(tempoEntries.map((entry) => String(entry.tempoId)));
+    const links = (await Storage.getSyncLinks()).filter(
+      (link) =>
+        redmineIds.has(String(link.redmineTimeEntryId)) &&
+        !tempoIds.has(String(link.tempoWorklogId))
+    );
 
-      // Последний шанс - по времени и похожему описанию
-      const hoursDiff = Math.abs(tempoEntry.hours - redmineEntry.hours);
-      if (hoursDiff < 0.1) {
-        const descSimilarity = this.calculateSimilarity(
-          tempoEntry.description,
-          redmineEntry.description
-        );
-        if (descSimilarity > 0.8) {
-          return redmineEntry;
+    await Promise.all(
+      links.map(async (link) => {
+        const result = await getWorklog(link.tempoWorklogId, tempoSettings);
+        if (!result.success && result.status === 404) {
+          deleted.add(String(link.redmineTimeEntryId));
         }
-      }
-    }
+      })
+    );
 
-    return null;
+    return deleted;
   }
 
   /**
-   * Простое вычисление схожести строк
-   * @param {string} str1 - Первая строка
-   * @param {string} str2 - Вторая строка
-   * @returns {number} Схожесть от 0 до 1
+   * Определить автора для новых ворклогов Tempo
+   * @param {Array} tempoEntries - Записи Tempo за период
+   * @param {Object} jiraSettings - Настройки Jira
+   * @returns {Promise<string|null>} Jira accountId
    */
-  static calculateSimilarity(str1, str2) {
-    if (!str1 && !str2) return 1;
-    if (!str1 || !str2) return 0;
-
-    const s1 = str1.toLowerCase().trim();
-    const s2 = str2.toLowerCase().trim();
+  static async getAuthorAccountId(tempoEntries, jiraSettings) {
+    const known = tempoEntries.find((entry) => entry.authorAccountId);
+    if (known) return known.authorAccountId;
 
-    if (s1 === s2) return 1;
+    if (!jiraSettings?.url) return null;
+    const result = await JiraRestAPI.getCurrentUser(jiraSettings);
+    return result.success ? result.user.accountId : null;
+  }
 
-    // Простая проверка на включение одной строки в другую
-    if (s1.includes(s2) || s2.includes(s1)) return 0.8;
+  static async addRedmineTasksToEntries(entries, redmineSettings) {
+    // Кэш связей избавляет от поиска в Redmine по каждой Jira задаче
+    const redmineTasks = await IssueLinkCache.resolve(
+      entries.map((e) => e.jiraTask),
+      redmineSettings
+    );
 
-    return 0;
+    return entries.map((entry) => ({
+      ...entry,
+      redmineTask: redmineTasks[entry.jiraTask]?.id,
+    }));
   }
 }
 
@@ -0,0 +1,179 @@
+import { fetchProjectIssues, updateIssue } from "../api/redmine.js";
+import { searchAllIssues } from "../api/jira-rest.js";
+import { Storage } from "./storage.js";
+import IssueLinkCache from "./IssueLinkCache.js";
+import { CONFIG } from "./constants.js";
+
+/**
+ * Keeps Redmine issue statuses in line with the status of their Jira issues.
+ *
+ * Redmine issues are linked to Jira by the Jira key in their subject
+ * ("PROJ-123: Summary") or the Jira browse URL in their description,
+ * which is how tasks created from Jira are filled in. A link pinned by the
+ * user takes precedence over both.
+ */
+export class StatusSyncUtils {
+  /**
+   * Sync statuses for all opted-in Redmine projects
+   * @param {Object} redmineSettings - Redmine settings
+   * @param {Object} jiraSettings - Jira settings
+   * @returns {Promise<Object>} {success, result: {checked, updated, changes, errors}}
+   */
+  static async run(redmineSettings, jiraSettings) {
+    try {
+      const settings = await Storage.getStatusSyncSettings();
+      const results = {
+        checked: 0,
+        updated: 0,
+        changes: [],
+        errors: [],
+      };
+
+      for (const projectId of settings.enabledProjects) {
+        await this.syncProject(projectId, redmineSettings, jiraSettings, results);
+      }
+
+      await Storage.setStatusSyncSettings({
+        ...settings,
+        lastRunAt: new Date().toISOString(),
+      });
+
+      if (results.changes.length > 0) {
+        await Storage.addStatusSyncLogEntries(results.changes);
+      }
+
+      return {
+        success: true,
+        result: results,
+      };
+    } catch (error) {
+      console.error("❌ Status sync failed:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Sync statuses for one Redmine project
+   * @param {string} projectId - Redmine project ID
+   * @param {Object} redmineSettings - Redmine settings
+   * @param {Object} jiraSettings - Jira settings
+   * @param {Object} results - Accumulated results (modified in place)
+   */
+  static async syncProject(projectId, redmineSettings, jiraSettings, results) {
+    // Closed issues are included so a Jira reopen reaches issues this sync closed
+    const issuesResult = await fetchProjectIssues(projectId, redmineSettings, {
+      statusId: "*",
+    });
+    if (!issuesResult.success) {
+      results.errors.push(`Project ${projectId}: ${issuesResult.error}`);
+      return;
+    }
+
+    const pinnedKeys = await IssueLinkCache.getPinnedJiraKeys();
+    const linked = issuesResult.issues
+      .map((issue) => ({
+        issue,
+        jiraKey: pinnedKeys[issue.id] || this.getJiraKey(issue),
+      }))
+      .filter(({ jiraKey }) => jiraKey);
+
+    if (linked.length === 0) return;
+
+    const jiraStatuses = await this.fetchJiraStatuses(
+      [...new Set(linked.map(({ jiraKey }) => jiraKey))],
+      jiraSettings,
+      results
+    );
+
+    const mapping = await Storage.getIssueMapping(projectId);
+    const statusMap = mapping?.statusMap || CONFIG.STATUS_MAP;
+
+    for (const { issue, jiraKey } of linked) {
+      const jiraStatus = jiraStatuses[jiraKey];
+      if (!jiraStatus) continue;
+
+      results.checked++;
+
+      // Unmapped Jira statuses are left alone rather than reset to a default
+      const statusId = parseInt(statusMap[jiraStatus]);
+      if (!statusId || statusId === issue.status?.id) continue;
+
+      const updateResult = await updateIssue(
+        issue.id,
+        {
+          status_id: statusId,
+          notes: `Status synced from Jira ${jiraKey}: ${jiraStatus}`,
+        },
+        redmineSettings
+      );
+
+      if (updateResult.success) {
+        results.updated++;
+        results.changes.push({
+          date: new Date().toISOString(),
+          projectId,
+          redmineIssueId: issue.id,
+          jiraKey,
+          jiraStatus,
+          fromStatus: issue.status?.name || null,
+          toStatusId: statusId,
+          dryRun: !!updateResult.dryRun,
+        });
+      } else {
+        results.errors.push(`#${issue.id} (${jiraKey}): ${updateResult.error}`);
+      }
+    }
+  }
+
+  /**
+   * Find the Jira key a Redmine issue was created from
+   * @param {Object} issue - Redmine issue
+   * @returns {string|null} Jira key
+   */
+  static getJiraKey(issue) {
+    const subjectKey = issue.subject?.match(/^([A-Z][A-Z0-9]+-\d+)\b/);
+    if (subjectKey) return subjectKey[1];
+
+    const urlKey = issue.description?.match(/\/browse\/([A-Z][A-Z0-9]+-\d+)/);
+    return urlKey ? urlKey[1] : null;
+  }
+
+  /**
+   * Fetch current Jira statuses for a set of keys
+   * @param {Array<string>} keys - Jira keys
+   * @param {Object} jiraSettings - Jira settings
+   * @param {Object} results - Accumulated results for error reporting
+   * @returns {Promise<Object>} Map of Jira key to status name
+   */
+  static async fetchJiraStatuses(keys, jiraSettings, results) {
+    const statuses = {};
+    const batchSize = CONFIG.JIRA.KEY_BATCH_SIZE;
+
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const batch = keys.slice(i, i + batchSize);
+
+      // validateQuery=warn keeps the query working when some keys no longer exist
+      const searchResult = await searchAllIssues(
+        `key in (${batch.join(",")})`,
+        jiraSettings,
+        { fields: ["status"], validateQuery: "warn" }
+      );
+
+      if (!searchResult.success) {
+        results.errors.push(`Jira search failed: ${searchResult.error}`);
+        continue;
+      }
+
+      searchResult.issues.forEach((issue) => {
+        statuses[issue.key] = issue.fields?.status?.name;
+      });
+    }
+
+    return statuses;
+  }
+}
+
+export default StatusSyncUtils;
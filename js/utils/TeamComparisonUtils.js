@@ -0,0 +1,113 @@
+import SimpleTimeComparisonUtils from "./SimpleTimeComparisonUtils.js";
+import DateRangeUtils from "./DateRangeUtils.js";
+
+/**
+ * Runs the Tempo ↔ Redmine comparison for every member of a team roster
+ * and summarizes the result as missing hours per member and day
+ */
+export class TeamComparisonUtils {
+  /**
+   * Compare a date range for every roster member
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array} roster - Members {name, jiraAccountId, redmineUserId}
+   * @param {Object} tempoSettings - Tempo settings
+   * @param {Object} redmineSettings - Redmine settings
+   * @param {Object} jiraSettings - Jira settings
+   * @param {Object} matchingConfig - Partial MatchingEngine configuration
+   * @param {Function} onProgress - Optional callback (done, total, member)
+   * @returns {Promise<Object>} {success, period, members, matrix}
+   */
+  static async compareTeam(
+    startDate,
+    endDate,
+    roster,
+    tempoSettings,
+    redmineSettings,
+    jiraSettings,
+    matchingConfig = {},
+    onProgress = null
+  ) {
+    const members = [];
+
+    // One member at a time, the HTTP client throttles Tempo to a couple of requests anyway
+    for (const [index, member] of roster.entries()) {
+      const result = await SimpleTimeComparisonUtils.compareTimeEntries(
+        startDate,
+        endDate,
+        tempoSettings,
+        redmineSettings,
+        jiraSettings,
+        matchingConfig,
+        member
+      );
+
+      members.push({
+        member,
+        success: result.success,
+        error: result.error || null,
+        comparison: result.comparison || null,
+      });
+
+      if (onProgress) {
+        onProgress(index + 1, roster.length, member);
+      }
+    }
+
+    return {
+      success: true,
+      period: { startDate, endDate },
+      members,
+      matrix: this.buildMatrix(members, startDate, endDate),
+    };
+  }
+
+  /**
+   * Sum missing hours per member and day from the per (date, task) buckets,
+   * so the matrix reads the same in both matching modes
+   * @param {Array} members - Per-member results of compareTeam
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Object} {dates, rows: [{member, error, days, missingHours, extraHours}], totals, missingHours}
+   */
+  static buildMatrix(members, startDate, endDate) {
+    const dates = [];
+    for (
+      let date = startDate;
+      date <= endDate;
+      date = DateRangeUtils.addDays(date, 1)
+    ) {
+      dates.push(date);
+    }
+
+    const totals = {};
+    const rows = members.map(({ member, error, comparison }) => {
+      const days = {};
+      let missingHours = 0;
+      let extraHours = 0;
+
+      (comparison?.buckets || []).forEach((bucket) => {
+        if (bucket.status === "matched") return;
+
+        if (bucket.delta > 0) {
+          days[bucket.date] = (days[bucket.date] || 0) + bucket.delta;
+          totals[bucket.date] = (totals[bucket.date] || 0) + bucket.delta;
+          missingHours += bucket.delta;
+        } else {
+          extraHours -= bucket.delta;
+        }
+      });
+
+      return { member, error, days, missingHours, extraHours };
+    });
+
+    return {
+      dates,
+      rows,
+      totals,
+      missingHours: rows.reduce((sum, row) => sum + row.missingHours, 0),
+    };
+  }
+}
+
+export default TeamComparisonUtils;
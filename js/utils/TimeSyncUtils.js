@@ -0,0 +1,617 @@
+import {
+  getCurrentUserWorklogsForMonth,
+  getWorklog,
+  createWorklog,
+  updateWorklog,
+  deleteWorklog,
+} from "../api/tempo.js";
+import {
+  fetchTimeEntries,
+  getTimeEntry,
+  createTimeEntry,
+  updateTimeEntry,
+  deleteTimeEntry,
+} from "../api/redmine.js";
+import SimpleTimeComparisonUtils from "./SimpleTimeComparisonUtils.js";
+import MatchingEngine from "./MatchingEngine.js";
+import { Storage } from "./storage.js";
+import { CONFIG } from "./constants.js";
+
+/**
+ * Two-way synchronization between Tempo worklogs and Redmine time entries.
+ *
+ * Every synced pair is recorded in a persistent link ledger (Storage sync links)
+ * together with a snapshot of both sides as they were after the last sync.
+ * On each run the current state is compared against the snapshot to decide
+ * which side was edited or deleted, and the change is propagated to the other one.
+ */
+export class TimeSyncUtils {
+  /**
+   * Synchronize a month between Tempo and Redmine
+   * @param {number} year - Year (e.g., 2024)
+   * @param {number} month - Month (1-12)
+   * @param {Object} tempoSettings - Tempo API settings
+   * @param {Object} redmineSettings - Redmine API settings
+   * @param {Object} jiraSettings - Jira API settings
+   * @returns {Promise<Object>} Sync results
+   */
+  static async syncMonth(
+    year,
+    month,
+    tempoSettings,
+    redmineSettings,
+    jiraSettings
+  ) {
+    try {
+      // Built from local date parts: toISOString() would shift the last day in UTC+ zones
+      const lastDay = new Date(year, month, 0).getDate();
+      const prefix = `${year}-${month.toString().padStart(2, "0")}`;
+      const startDate = `${prefix}-01`;
+      const endDate = `${prefix}-${lastDay.toString().padStart(2, "0")}`;
+
+      console.log(`🔄 Syncing Tempo ↔ Redmine for ${startDate} to ${endDate}`);
+
+      const [tempoResult, redmineResult] = await Promise.all([
+        getCurrentUserWorklogsForMonth(year, month, tempoSettings),
+        fetchTimeEntries(startDate, endDate, redmineSettings),
+      ]);
+
+      if (!tempoResult.success) {
+        throw new Error(`Tempo API error: ${tempoResult.error}`);
+      }
+      if (!redmineResult.success) {
+        throw new Error(`Redmine API error: ${redmineResult.error}`);
+      }
+
+      const tempoEntries = await SimpleTimeComparisonUtils.normalizeTempoEntries(
+        tempoResult.worklogs,
+        jiraSettings
+      );
+      const redmineEntries = SimpleTimeComparisonUtils.normalizeRedmineEntries(
+        redmineResult.timeEntries
+      );
+
+      const results = {
+        processed: 0,
+        created: 0,
+        updated: 0,
+        deleted: 0,
+        linked: 0,
+        unchanged: 0,
+        conflicts: [],
+        errors: [],
+        actions: [],
+      };
+
+      // In dry-run mode writes are not sent, so the link ledger must not change either
+      const savedLinks =
+        redmineSettings.dryRun || tempoSettings.dryRun
+          ? await Storage.getSyncLinks()
+          : null;
+
+      const context = {
+        startDate,
+        endDate,
+        tempoSettings,
+        redmineSettings,
+        jiraSettings,
+        matchingConfig: await Storage.getMatchingSettings(),
+        results,
+      };
+
+      try {
+        const linkedTempoIds = await this.syncLinkedEntries(
+          tempoEntries,
+          redmineEntries,
+          context
+        );
+
+        await this.syncUnlinkedEntries(
+          tempoEntries.filter((e) => !linkedTempoIds.has(String(e.tempoId))),
+          redmineEntries,
+          context
+        );
+      } finally {
+        if (savedLinks) {
+          await Storage.setSyncLinks(savedLinks);
+          results.dryRun = true;
+        }
+      }
+
+      return {
+        success: true,
+        period: { year, month, startDate, endDate },
+        result: results,
+      };
+    } catch (error) {
+      console.error("❌ Sync failed:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Propagate edits and deletions for entries already present in the ledger
+   * @param {Array} tempoEntries - Normalized Tempo entries for the period
+   * @param {Array} redmineEntries - Normalized Redmine entries for the period
+   * @param {Object} context - Sync context
+   * @returns {Promise<Set<string>>} Tempo worklog IDs covered by the ledger
+   */
+  static async syncLinkedEntries(tempoEntries, redmineEntries, context) {
+    const { startDate, endDate, results } = context;
+
+    const tempoById = new Map(tempoEntries.map((e) => [String(e.tempoId), e]));
+    const redmineById = new Map(
+      redmineEntries.map((e) => [String(e.redmineId), e])
+    );
+
+    const inPeriod = (date) => date >= startDate && date <= endDate;
+    const links = (await Storage.getSyncLinks()).filter(
+      (link) =>
+        inPeriod(link.tempo?.date) ||
+        inPeriod(link.redmine?.date) ||
+        tempoById.has(link.tempoWorklogId)
+    );
+
+    const covered = new Set();
+
+    for (const link of links) {
+      covered.add(link.tempoWorklogId);
+      results.processed++;
+
+      try {
+        const tempo = await this.resolveTempoSide(link, tempoById, context);
+        const redmine = await this.resolveRedmineSide(
+          link,
+          redmineById,
+          context
+        );
+
+        await this.reconcileLink(link, tempo, redmine, context);
+      } catch (error) {
+        results.errors.push(
+          `Worklog ${link.tempoWorklogId} ↔ #${link.redmineTimeEntryId}: ${error.message}`
+        );
+      }
+    }
+
+    // Redmine entries that belong to a link are never candidates for new matches
+    const linkedRedmineIds = new Set(
+      (await Storage.getSyncLinks()).map((l) => String(l.redmineTimeEntryId))
+    );
+    redmineEntries.forEach((entry) => {
+      if (linkedRedmineIds.has(String(entry.redmineId))) {
+        entry.linked = true;
+      }
+    });
+
+    return covered;
+  }
+
+  /**
+   * Find the current state of the Tempo side of a link.
+   * Falls back to a direct lookup when the worklog moved out of the period.
+   * @returns {Promise<Object|null>} Snapshot or null if the worklog was deleted
+   */
+  static async resolveTempoSide(link, tempoById, context) {
+    const entry = tempoById.get(link.tempoWorklogId);
+    if (entry) {
+      return { ...this.snapshot(entry), jiraTask: entry.jiraTask };
+    }
+
+    const result = await getWorklog(link.tempoWorklogId, context.tempoSettings);
+    if (result.success) {
+      return {
+        date: result.worklog.startDate,
+        hours: result.worklog.timeSpentSeconds / 3600,
+        description: result.worklog.description || "",
+        jiraTask: link.tempo?.jiraTask || null,
+      };
+    }
+    if (this.isNotFound(result.error)) {
+      return null;
+    }
+    throw new Error(`Tempo lookup failed: ${result.error}`);
+  }
+
+  /**
+   * Find the current state of the Redmine side of a link.
+   * Falls back to a direct lookup when the entry moved out of the period.
+   * @returns {Promise<Object|null>} Snapshot or null if the entry was deleted
+   */
+  static async resolveRedmineSide(link, redmineById, context) {
+    const entry = redmineById.get(String(link.redmineTimeEntryId));
+    if (entry) {
+      return this.snapshot(entry);
+    }
+
+    const result = await getTimeEntry(
+      link.redmineTimeEntryId,
+      context.redmineSettings
+    );
+    if (result.success) {
+      return {
+        date: result.timeEntry.spent_on,
+        hours: result.timeEntry.hours,
+        description: result.timeEntry.comments || "",
+      };
+    }
+    if (this.isNotFound(result.error)) {
+      return null;
+    }
+    throw new Error(`Redmine lookup failed: ${result.error}`);
+  }
+
+  /**
+   * Decide what to do with a single link and apply it
+   * @param {Object} link - Ledger link
+   * @param {Object|null} tempo - Current Tempo snapshot
+   * @param {Object|null} redmine - Current Redmine snapshot
+   * @param {Object} context - Sync context
+   */
+  static async reconcileLink(link, tempo, redmine, context) {
+    const { results, tempoSettings, redmineSettings } = context;
+    const tempoChanged = tempo && !this.sameSnapshot(tempo, link.tempo);
+    const redmineChanged = redmine && !this.sameSnapshot(redmine, link.redmine);
+    const action = {
+      tempoWorklogId: link.tempoWorklogId,
+      redmineTimeEntryId: link.redmineTimeEntryId,
+      date: (tempo || redmine || link.tempo).date,
+      hours: (tempo || redmine || link.tempo).hours,
+      jiraTask: link.tempo?.jiraTask || null,
+    };
+
+    if (!tempo && !redmine) {
+      await Storage.removeSyncLink(link.tempoWorklogId);
+      this.addAction(results, { ...action, type: "unlinked" });
+      return;
+    }
+
+    if (!tempo) {
+      if (redmineChanged) {
+        this.addConflict(results, action, "deleted in Tempo, edited in Redmine");
+        return;
+      }
+      const deleteResult = await deleteTimeEntry(
+        link.redmineTimeEntryId,
+        redmineSettings
+      );
+      if (!deleteResult.success && !this.isNotFound(deleteResult.error)) {
+        throw new Error(deleteResult.error);
+      }
+      await Storage.removeSyncLink(link.tempoWorklogId);
+      results.deleted++;
+      this.addAction(results, { ...action, type: "deleted_in_redmine" });
+      return;
+    }
+
+    if (!redmine) {
+      if (tempoChanged) {
+        this.addConflict(results, action, "deleted in Redmine, edited in Tempo");
+        return;
+      }
+      const deleteResult = await deleteWorklog(
+        link.tempoWorklogId,
+        tempoSettings
+      );
+      if (!deleteResult.success && !this.isNotFound(deleteResult.error)) {
+        throw new Error(deleteResult.error);
+      }
+      await Storage.removeSyncLink(link.tempoWorklogId);
+      results.deleted++;
+      this.addAction(results, { ...action, type: "deleted_in_tempo" });
+      return;
+    }
+
+    if (tempoChanged && redmineChanged && !this.sameSnapshot(tempo, redmine)) {
+      this.addConflict(results, action, "edited on both sides");
+      return;
+    }
+
+    if (tempoChanged && !this.sameSnapshot(tempo, redmine)) {
+      const updateResult = await updateTimeEntry(
+        link.redmineTimeEntryId,
+        {
+          date: tempo.date,
+          time: tempo.hours,
+          comment: tempo.description,
+        },
+        redmineSettings
+      );
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+      await this.saveLink(link, tempo, tempo);
+      results.updated++;
+      this.addAction(results, { ...action, type: "updated_in_redmine" });
+      return;
+    }
+
+    if (redmineChanged && !this.sameSnapshot(tempo, redmine)) {
+      if (!tempo.jiraTask) {
+        this.addConflict(
+          results,
+          action,
+          "edited in Redmine, but the Tempo worklog has no Jira key"
+        );
+        return;
+      }
+      const updateResult = await updateWorklog(
+        link.tempoWorklogId,
+        {
+          issueKey: tempo.jiraTask,
+          timeSpentSeconds: Math.round(redmine.hours * 3600),
+          startDate: redmine.date,
+          description: redmine.description,
+        },
+        tempoSettings
+      );
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+      await this.saveLink(link, { ...redmine, jiraTask: tempo.jiraTask }, redmine);
+      results.updated++;
+      this.addAction(results, { ...action, type: "updated_in_tempo" });
+      return;
+    }
+
+    if (tempoChanged || redmineChanged) {
+      // Both sides already agree, only the snapshot is stale
+      await this.saveLink(link, tempo, redmine);
+    }
+
+    results.unchanged++;
+  }
+
+  /**
+   * Link or create counterparts for Tempo worklogs that are not in the ledger yet
+   * @param {Array} tempoEntries - Unlinked normalized Tempo entries
+   * @param {Array} redmineEntries - Normalized Redmine entries for the period
+   * @param {Object} context - Sync context
+   */
+  static async syncUnlinkedEntries(tempoEntries, redmineEntries, context) {
+    const { results, redmineSettings, jiraSettings, matchingConfig } = context;
+    const toCreate = [];
+
+    // Adopt entries that already exist in Redmine (created before the ledger existed)
+    for (const tempoEntry of tempoEntries) {
+      results.processed++;
+
+      const candidates = redmineEntries.filter(
+        (e) => !e.linked && e.date === tempoEntry.date
+      );
+      // Only exact matches are adopted, partial ones may belong to another worklog
+      const best = MatchingEngine.findBestMatch(
+        tempoEntry,
+        candidates,
+        matchingConfig
+      );
+      const match = best?.matchType === "exact" ? best.redmine : null;
+
+      if (match) {
+        match.linked = true;
+        await this.recordLink(tempoEntry, match);
+        results.linked++;
+        this.addAction(results, {
+          type: "linked",
+          tempoWorklogId: String(tempoEntry.tempoId),
+          redmineTimeEntryId: match.redmineId,
+          date: tempoEntry.date,
+          hours: tempoEntry.hours,
+          jiraTask: tempoEntry.jiraTask || null,
+        });
+      } else {
+        toCreate.push(tempoEntry);
+      }
+    }
+
+    if (toCreate.length === 0) {
+      return;
+    }
+
+    const entriesWithTasks =
+      await SimpleTimeComparisonUtils.addRedmineTasksToEntries(
+        toCreate,
+        redmineSettings
+      );
+    const fallbackProject =
+      (jiraSettings?.url &&
+        (await Storage.findRedmineProjectByJiraUrl(jiraSettings.url))) ||
+      jiraSettings?.defaultProject ||
+      redmineSettings.projectId ||
+      null;
+
+    for (const entry of entriesWithTasks) {
+      const timeEntryData = {
+        date: entry.date,
+        time: entry.hours,
+        comment: entry.description,
+        isResearch: false,
+      };
+
+      if (entry.redmineTask) {
+        timeEntryData.task = entry.redmineTask.toString();
+      } else {
+        timeEntryData.projectId = fallbackProject;
+      }
+
+      const createResult = await createTimeEntry(timeEntryData, redmineSettings);
+
+      if (!createResult.success) {
+        results.errors.push(
+          `${entry.date} - ${entry.jiraTask || "no Jira task"}: ${
+            createResult.error
+          }`
+        );
+        continue;
+      }
+
+      if (createResult.dryRun) {
+        results.created++;
+        this.addAction(results, {
+          type: "created_in_redmine",
+          tempoWorklogId: String(entry.tempoId),
+          redmineTimeEntryId: null,
+          date: entry.date,
+          hours: entry.hours,
+          jiraTask: entry.jiraTask || null,
+        });
+        continue;
+      }
+
+      const created = createResult.result.time_entry;
+      await this.recordLink(
+        entry,
+        SimpleTimeComparisonUtils.normalizeRedmineEntries([created])[0]
+      );
+      results.created++;
+      this.addAction(results, {
+        type: "created_in_redmine",
+        tempoWorklogId: String(entry.tempoId),
+        redmineTimeEntryId: created.id,
+        date: entry.date,
+        hours: entry.hours,
+        jiraTask: entry.jiraTask || null,
+      });
+    }
+  }
+
+  /**
+   * Create the Tempo worklog for a Redmine entry that has no counterpart and link them
+   * @param {Object} redmineEntry - Normalized Redmine entry with a resolved jiraTask
+   * @param {Object} tempoSettings - Tempo API settings
+   * @param {string} authorAccountId - Jira account the worklog is logged for
+   * @returns {Promise<Object>} {success, error, dryRun, tempoEntry}
+   */
+  static async createTempoCounterpart(redmineEntry, tempoSettings, authorAccountId) {
+    if (!redmineEntry.jiraTask) {
+      return { success: false, error: "No Jira task found for the entry" };
+    }
+    if (!authorAccountId) {
+      return { success: false, error: "Tempo worklog author is unknown" };
+    }
+
+    const result = await createWorklog(
+      {
+        issueKey: redmineEntry.jiraTask,
+        timeSpentSeconds: Math.round(redmineEntry.hours * 3600),
+        startDate: redmineEntry.date,
+        description: redmineEntry.description,
+        authorAccountId,
+      },
+      tempoSettings
+    );
+    if (!result.success || result.dryRun) {
+      return result;
+    }
+
+    const tempoEntry = {
+      date: redmineEntry.date,
+      hours: redmineEntry.hours,
+      description: redmineEntry.description,
+      tempoId: result.worklog.tempoWorklogId,
+      jiraTask: redmineEntry.jiraTask,
+      redmineTask: redmineEntry.redmineTask,
+      authorAccountId,
+      source: "tempo",
+    };
+    await this.recordLink(tempoEntry, redmineEntry);
+
+    return { success: true, tempoEntry };
+  }
+
+  /**
+   * Record a link between a Tempo entry and a Redmine entry
+   * @param {Object} tempoEntry - Normalized Tempo entry (tempoId, date, hours, description, jiraTask)
+   * @param {Object} redmineEntry - Normalized Redmine entry (redmineId, date, hours, description)
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async recordLink(tempoEntry, redmineEntry) {
+    if (!tempoEntry?.tempoId || !redmineEntry?.redmineId) {
+      return false;
+    }
+
+    return await Storage.upsertSyncLink({
+      tempoWorklogId: String(tempoEntry.tempoId),
+      redmineTimeEntryId: redmineEntry.redmineId,
+      tempo: {
+        ...this.snapshot(tempoEntry),
+        jiraTask: tempoEntry.jiraTask || null,
+      },
+      redmine: this.snapshot(redmineEntry),
+    });
+  }
+
+  /**
+   * Store fresh snapshots for an existing link
+   */
+  static async saveLink(link, tempo, redmine) {
+    return await Storage.upsertSyncLink({
+      tempoWorklogId: link.tempoWorklogId,
+      redmineTimeEntryId: link.redmineTimeEntryId,
+      tempo: {
+        ...this.snapshot(tempo),
+        jiraTask: tempo.jiraTask || link.tempo?.jiraTask || null,
+      },
+      redmine: this.snapshot(redmine),
+    });
+  }
+
+  /**
+   * Build the comparable part of an entry
+   * @param {Object} entry - Entry with date, hours and description
+   * @returns {Object} Snapshot
+   */
+  static snapshot(entry) {
+    return {
+      date: entry.date,
+      hours: Number(entry.hours),
+      description: (entry.description || "").trim(),
+    };
+  }
+
+  /**
+   * Check whether two snapshots describe the same time entry
+   * @param {Object} a - First snapshot
+   * @param {Object} b - Second snapshot
+   * @returns {boolean} True if date, hours and description are the same
+   */
+  static sameSnapshot(a, b) {
+    if (!a || !b) return false;
+
+    return (
+      a.date === b.date &&
+      Math.abs(Number(a.hours) - Number(b.hours)) <
+        CONFIG.SYNC.HOURS_TOLERANCE &&
+      (a.description || "").trim() === (b.description || "").trim()
+    );
+  }
+
+  /**
+   * Check whether an API error means the record does not exist
+   * @param {string} error - Error message
+   * @returns {boolean} True for HTTP 404
+   */
+  static isNotFound(error) {
+    return /HTTP 404/.test(error || "");
+  }
+
+  /**
+   * Append an action to the sync log
+   */
+  static addAction(results, action) {
+    results.actions.push(action);
+  }
+
+  /**
+   * Record a conflict that needs manual resolution
+   */
+  static addConflict(results, action, reason) {
+    results.conflicts.push({ ...action, reason });
+    results.actions.push({ ...action, type: "conflict", reason });
+  }
+}
+
+export default TimeSyncUtils;
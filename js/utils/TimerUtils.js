@@ -0,0 +1,406 @@
+import WeekSyncUtils from "./WeekSyncUtils.js";
+import { Storage } from "./storage.js";
+import { CONFIG } from "./constants.js";
+
+/**
+ * Start/stop timer for a Jira issue, owned by the background service worker.
+ *
+ * The timer is {jiraKey, jiraUrl, summary, status, startedAt, resumedAt, accumulatedMs}:
+ * accumulatedMs holds the time of finished running spans and resumedAt the start
+ * of the current one (null while paused). Only timestamps are stored, so the
+ * elapsed time stays right after the service worker or the browser restarts.
+ *
+ * Stopping a timer turns it into a pre-filled entry {id, jiraKey, jiraUrl, date,
+ * hours, comment, elapsedMs} kept until it is logged or discarded. The entry keeps
+ * the ID of its timer. Pages send messages to the service worker and follow
+ * changes through chrome.storage.onChanged.
+ *
+ * Inactivity reported by chrome.idle is tracked as idleSince while it lasts and
+ * becomes pendingIdle {from, to, ms} on the timer (or its entry, if stopped meanwhile)
+ * until the user keeps, discards or splits that time.
+ */
+export class TimerUtils {
+  // Serializes read-modify-write cycles on the stored timer
+  static lock = Promise.resolve();
+
+  /**
+   * Run a change on the stored timer and entries one at a time
+   * @param {Function} change - Async function doing the change
+   * @returns {Promise<any>} Change result
+   */
+  static serialize(change) {
+    const run = this.lock.then(change);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Start a timer, stopping the one running for another issue first
+   * @param {Object} issue - {jiraKey, jiraUrl, summary}
+   * @returns {Promise<Object>} {timer, stoppedEntry}
+   */
+  static start(issue) {
+    if (!issue?.jiraKey) {
+      throw new Error("Jira issue key is required to start a timer");
+    }
+
+    return this.serialize(async () => {
+      const current = await Storage.getTimer();
+
+      if (current?.jiraKey === issue.jiraKey) {
+        const timer = current.status === "paused" ? this.resumed(current) : current;
+        await this.save(timer);
+        return { timer, stoppedEntry: null };
+      }
+
+      const stoppedEntry = current ? await this.addEntry(current) : null;
+      const now = Date.now();
+      const timer = {
+        jiraKey: issue.jiraKey,
+        jiraUrl: issue.jiraUrl || null,
+        summary: issue.summary || "",
+        status: "running",
+        startedAt: now,
+        resumedAt: now,
+        accumulatedMs: 0,
+      };
+
+      await this.save(timer);
+      return { timer, stoppedEntry };
+    });
+  }
+
+  /**
+   * Pause the running timer
+   * @returns {Promise<Object|null>} Timer
+   */
+  static pause() {
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      if (!timer || timer.status !== "running") return timer;
+
+      const paused = {
+        ...timer,
+        status: "paused",
+        accumulatedMs: this.getElapsedMs(timer),
+        resumedAt: null,
+      };
+      await this.save(paused);
+      return paused;
+    });
+  }
+
+  /**
+   * Resume the paused timer
+   * @returns {Promise<Object|null>} Timer
+   */
+  static resume() {
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      if (!timer || timer.status !== "paused") return timer;
+
+      const running = this.resumed(timer);
+      await this.save(running);
+      return running;
+    });
+  }
+
+  /**
+   * Stop the timer and keep its time as a pre-filled entry
+   * @returns {Promise<Object|null>} Entry, null when no timer was active
+   */
+  static stop() {
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      if (!timer) return null;
+
+      const entry = await this.addEntry(timer);
+      await this.save(null);
+      return entry;
+    });
+  }
+
+  /**
+   * Forget a stopped entry, after logging it or when it is not wanted
+   * @param {string} entryId - Entry ID
+   * @returns {Promise<void>}
+   */
+  static removeEntry(entryId) {
+    return this.serialize(async () => {
+      const entries = await Storage.getTimerEntries();
+      await Storage.setTimerEntries(
+        entries.filter((entry) => entry.id !== entryId)
+      );
+    });
+  }
+
+  /**
+   * Get the timer and the stopped entries
+   * @returns {Promise<Object>} {timer, elapsedMs, entries}
+   */
+  static async getState() {
+    const timer = await Storage.getTimer();
+    return {
+      timer,
+      elapsedMs: timer ? this.getElapsedMs(timer) : 0,
+      entries: await Storage.getTimerEntries(),
+    };
+  }
+
+  /**
+   * Turn a timer into a stopped entry and store it
+   * @param {Object} timer - Timer
+   * @returns {Promise<Object>} Entry
+   */
+  static async addEntry(timer) {
+    const elapsedMs = this.getElapsedMs(timer);
+    const entry = {
+      id: this.getId(timer),
+      jiraKey: timer.jiraKey,
+      jiraUrl: timer.jiraUrl,
+      date: WeekSyncUtils.formatDate(new Date(timer.startedAt)),
+      hours: this.toHours(elapsedMs),
+      comment: timer.summary,
+      elapsedMs,
+      pendingIdle: timer.pendingIdle || null,
+    };
+
+    const entries = await Storage.getTimerEntries();
+    entries.push(entry);
+    await Storage.setTimerEntries(entries);
+    return entry;
+  }
+
+  /**
+   * Note that the user went idle or locked the screen while the timer runs
+   * @param {string} state - chrome.idle state: "idle" or "locked"
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} Timer
+   */
+  static markIdle(state, now = Date.now()) {
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      if (timer?.status !== "running" || timer.idleSince) return timer;
+
+      // "idle" is reported once the threshold has passed without input, "locked" at once
+      const thresholdMs = CONFIG.TIMER.IDLE_THRESHOLD_MINUTES * 60000;
+      const idleTimer = {
+        ...timer,
+        idleSince: state === "idle" ? now - thresholdMs : now,
+      };
+      await Storage.setTimer(idleTimer);
+      return idleTimer;
+    });
+  }
+
+  /**
+   * Close the idle interval when the user is back
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} Timer when the user has to decide about idle time, else null
+   */
+  static endIdle(now = Date.now()) {
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      if (!timer?.idleSince) return null;
+
+      const { idleSince, ...active } = timer;
+      const from = Math.max(idleSince, timer.resumedAt || idleSince);
+      const ms = timer.status === "running" ? Math.max(0, now - from) : 0;
+
+      if (ms < CONFIG.TIMER.IDLE_THRESHOLD_MINUTES * 60000) {
+        await Storage.setTimer(active);
+        return null;
+      }
+
+      // An unanswered earlier idle interval is merged into this one
+      const previous = timer.pendingIdle;
+      active.pendingIdle = {
+        from: previous ? previous.from : from,
+        to: now,
+        ms: ms + (previous?.ms || 0),
+      };
+      await Storage.setTimer(active);
+      return active;
+    });
+  }
+
+  /**
+   * Apply the decision about idle time to the timer or the entry it was stopped into
+   * @param {string} id - Timer/entry ID
+   * @param {string} choice - "keep", "discard" or "split" (discard and log separately)
+   * @returns {Promise<Object|null>} Split entry for "split", else null
+   */
+  static resolveIdle(id, choice) {
+    if (!["keep", "discard", "split"].includes(choice)) {
+      throw new Error(`Unknown idle choice: ${choice}`);
+    }
+
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      const entries = await Storage.getTimerEntries();
+      const timerMatches = timer && this.getId(timer) === id && timer.pendingIdle;
+      const entry = timerMatches
+        ? null
+        : entries.find((item) => item.id === id && item.pendingIdle);
+      const target = timerMatches ? timer : entry;
+      if (!target) return null;
+
+      const idle = target.pendingIdle;
+      target.pendingIdle = null;
+
+      if (choice !== "keep") {
+        if (timerMatches) {
+          target.accumulatedMs = (target.accumulatedMs || 0) - idle.ms;
+        } else {
+          target.elapsedMs = Math.max(0, target.elapsedMs - idle.ms);
+          target.hours = this.toHours(target.elapsedMs);
+        }
+      }
+
+      const splitEntry =
+        choice === "split"
+          ? {
+              id: `${target.jiraKey}-${idle.from}`,
+              jiraKey: target.jiraKey,
+              jiraUrl: target.jiraUrl,
+              date: WeekSyncUtils.formatDate(new Date(idle.from)),
+              hours: this.toHours(idle.ms),
+              comment: "",
+              elapsedMs: idle.ms,
+              pendingIdle: null,
+              split: true,
+            }
+          : null;
+
+      if (splitEntry) entries.push(splitEntry);
+      if (splitEntry || entry) await Storage.setTimerEntries(entries);
+      if (timerMatches) await this.save(target);
+
+      return splitEntry;
+    });
+  }
+
+  /**
+   * Check whether a running timer is due for a "still working?" reminder
+   * @returns {Promise<Object|null>} Timer to remind about, else null
+   */
+  static checkReminder() {
+    return this.serialize(async () => {
+      const timer = await Storage.getTimer();
+      if (timer?.status !== "running") return null;
+
+      const elapsedMs = this.getElapsedMs(timer);
+      const periodMs = CONFIG.TIMER.REMINDER_HOURS * 3600000;
+      if (elapsedMs - (timer.remindedAtMs || 0) < periodMs) return null;
+
+      const reminded = { ...timer, remindedAtMs: elapsedMs };
+      await Storage.setTimer(reminded);
+      return reminded;
+    });
+  }
+
+  /**
+   * ID shared by a timer and the entry it is stopped into
+   * @param {Object} timer - Timer
+   * @returns {string} ID
+   */
+  static getId(timer) {
+    return `${timer.jiraKey}-${timer.startedAt}`;
+  }
+
+  /**
+   * Store the timer and show it on the action badge
+   * @param {Object|null} timer - Timer, null to clear it
+   */
+  static async save(timer) {
+    await Storage.setTimer(timer);
+    await this.updateBadge(timer);
+  }
+
+  /**
+   * Copy of a paused timer that runs from now on
+   * @param {Object} timer - Paused timer
+   * @returns {Object} Running timer
+   */
+  static resumed(timer) {
+    return { ...timer, status: "running", resumedAt: Date.now() };
+  }
+
+  /**
+   * Time the timer has been running, without paused spans
+   * @param {Object} timer - Timer
+   * @param {number} now - Current time in ms
+   * @returns {number} Elapsed milliseconds
+   */
+  static getElapsedMs(timer, now = Date.now()) {
+    const running =
+      timer.status === "running" && timer.resumedAt
+        ? Math.max(0, now - timer.resumedAt)
+        : 0;
+    return Math.max(0, (timer.accumulatedMs || 0) + running);
+  }
+
+  /**
+   * Round elapsed time to hours in CONFIG.TIMER.ROUND_MINUTES steps, at least one step
+   * @param {number} elapsedMs - Elapsed milliseconds
+   * @returns {number} Hours
+   */
+  static toHours(elapsedMs) {
+    const step = CONFIG.TIMER.ROUND_MINUTES;
+    const steps = Math.max(1, Math.round(elapsedMs / 60000 / step));
+    return (steps * step) / 60;
+  }
+
+  /**
+   * Format elapsed time for the 4-character action badge: "25m" or "1:25"
+   * @param {number} elapsedMs - Elapsed milliseconds
+   * @returns {string} Badge text
+   */
+  static formatBadge(elapsedMs) {
+    const minutes = Math.floor(elapsedMs / 60000);
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours > 9) return `${hours}h`;
+    return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+  }
+
+  /**
+   * Show the elapsed time on the action badge and keep it refreshed while running
+   * @param {Object|null} timer - Timer, null clears the badge
+   */
+  static async updateBadge(timer) {
+    const { ALARM_NAME, BADGE_COLOR, PAUSED_BADGE_COLOR } = CONFIG.TIMER;
+
+    if (!timer) {
+      await chrome.action.setBadgeText({ text: "" });
+      await chrome.alarms.clear(ALARM_NAME);
+      return;
+    }
+
+    await chrome.action.setBadgeBackgroundColor({
+      color: timer.status === "running" ? BADGE_COLOR : PAUSED_BADGE_COLOR,
+    });
+    await chrome.action.setBadgeText({
+      text: this.formatBadge(this.getElapsedMs(timer)),
+    });
+
+    if (timer.status === "running") {
+      const existing = await chrome.alarms.get(ALARM_NAME);
+      if (!existing) {
+        await chrome.alarms.create(ALARM_NAME, { periodInMinutes: 1 });
+      }
+    } else {
+      await chrome.alarms.clear(ALARM_NAME);
+    }
+  }
+
+  /**
+   * Refresh the badge from storage, e.g. on an alarm or after a restart
+   */
+  static async refreshBadge() {
+    await this.updateBadge(await Storage.getTimer());
+  }
+}
+
+export default TimerUtils;
@@ -0,0 +1,204 @@
+import { getCurrentUserWorklogsForMonth } from "../api/tempo.js";
+import { Storage } from "./storage.js";
+import IssueLinkCache from "./IssueLinkCache.js";
+import { extractJiraTaskIds } from "./validation.js";
+
+/**
+ * Builds week data for syncWeekData from Tempo worklogs or local time entries
+ */
+export class WeekSyncUtils {
+  /**
+   * Get the Monday-to-Sunday range containing a date
+   * @param {string} date - Any date of the week (YYYY-MM-DD)
+   * @returns {Object} {startDate, endDate, dates}
+   */
+  static getWeekRange(date) {
+    const day = new Date(`${date}T00:00:00`);
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+
+    const dates = [];
+    for (let i = 0; i < 7; i++) {
+      dates.push(this.formatDate(day));
+      day.setDate(day.getDate() + 1);
+    }
+
+    return { startDate: dates[0], endDate: dates[6], dates };
+  }
+
+  /**
+   * Format date as YYYY-MM-DD in local time
+   * @param {Date} date - Date
+   * @returns {string} Formatted date
+   */
+  static formatDate(date) {
+    return `${date.getFullYear()}-${(date.getMonth() + 1)
+      .toString()
+      .padStart(2, "0")}-${date.getDate().toString().padStart(2, "0")}`;
+  }
+
+  /**
+   * Build week data from Tempo worklogs of the current user
+   * @param {string} date - Any date of the week
+   * @param {Object} tempoSettings - Tempo settings
+   * @param {Object} jiraSettings - Jira settings
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} {success, weekData} or {success: false, error}
+   */
+  static async buildFromTempo(
+    date,
+    tempoSettings,
+    jiraSettings,
+    redmineSettings
+  ) {
+    try {
+      const range = this.getWeekRange(date);
+
+      // A week can span two months
+      const months = [
+        ...new Set(range.dates.map((d) => d.substring(0, 7))),
+      ].map((ym) => ym.split("-").map(Number));
+
+      let worklogs = [];
+      for (const [year, month] of months) {
+        const result = await getCurrentUserWorklogsForMonth(
+          year,
+          month,
+          tempoSettings,
+          jiraSettings
+        );
+        if (!result.success) {
+          throw new Error(`Tempo API error: ${result.error}`);
+        }
+        worklogs = worklogs.concat(result.worklogs);
+      }
+
+      const entries = worklogs
+        .filter(
+          (worklog) =>
+            worklog.startDate >= range.startDate &&
+            worklog.startDate <= range.endDate
+        )
+        .map((worklog) => ({
+          date: worklog.startDate,
+          hours: worklog.timeSpentSeconds / 3600,
+          taskNumber:
+            worklog.jira?.code ||
+            extractJiraTaskIds(worklog.description)[0] ||
+            "",
+          comment: worklog.description || "",
+          tempoWorklogId: worklog.tempoWorklogId,
+        }));
+
+      await this.resolveRedmineIssues(entries, redmineSettings);
+
+      return {
+        success: true,
+        weekData: this.groupByDay(range, entries),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Build week data from locally stored time entries that were not synced yet
+   * @param {string} date - Any date of the week
+   * @param {Object} redmineSettings - Redmine settings
+   * @returns {Promise<Object>} {success, weekData} or {success: false, error}
+   */
+  static async buildFromLocalEntries(date, redmineSettings) {
+    try {
+      const range = this.getWeekRange(date);
+      const timeEntries = await Storage.getTimeEntries();
+
+      const entries = [];
+      timeEntries.forEach((entry, localIndex) => {
+        if (entry.redmineTimeEntryId) return;
+        if (entry.date < range.startDate || entry.date > range.endDate) return;
+
+        const task = entry.task ? String(entry.task).trim() : "";
+        const isRedmineId = /^\d+$/.test(task);
+
+        entries.push({
+          date: entry.date,
+          hours: parseFloat(entry.time),
+          taskNumber: isRedmineId
+            ? extractJiraTaskIds(entry.comment)[0] || ""
+            : extractJiraTaskIds(task)[0] || "",
+          comment: entry.comment || "",
+          redmineIssueId: isRedmineId ? parseInt(task) : null,
+          redmineProjectId: entry.projectId ? parseInt(entry.projectId) : null,
+          localIndex,
+        });
+      });
+
+      await this.resolveRedmineIssues(entries, redmineSettings);
+
+      return {
+        success: true,
+        weekData: this.groupByDay(range, entries),
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Fill redmineIssueId from Jira keys, falling back to the default project
+   * @param {Array} entries - Week entries (modified in place)
+   * @param {Object} redmineSettings - Redmine settings
+   */
+  static async resolveRedmineIssues(entries, redmineSettings) {
+    const redmineIssues = await IssueLinkCache.resolve(
+      entries.filter((e) => !e.redmineIssueId).map((e) => e.taskNumber),
+      redmineSettings
+    );
+
+    const defaultProjectId = redmineSettings.projectId
+      ? parseInt(redmineSettings.projectId)
+      : null;
+
+    entries.forEach((entry) => {
+      if (!entry.redmineIssueId && entry.taskNumber) {
+        entry.redmineIssueId = redmineIssues[entry.taskNumber]?.id || null;
+      }
+      if (!entry.redmineIssueId && !entry.redmineProjectId) {
+        entry.redmineProjectId = defaultProjectId;
+      }
+    });
+  }
+
+  /**
+   * Group entries into the weekData structure expected by syncWeekData
+   * @param {Object} range - Week range from getWeekRange
+   * @param {Array} entries - Week entries
+   * @returns {Object} {startDate, endDate, days: [{date, entries}]}
+   */
+  static groupByDay(range, entries) {
+    return {
+      startDate: range.startDate,
+      endDate: range.endDate,
+      days: range.dates.map((date) => ({
+        date,
+        entries: entries.filter((entry) => entry.date === date),
+      })),
+    };
+  }
+
+  /**
+   * Flatten week data entries in the same order syncWeekData processes them
+   * @param {Object} weekData - Week data
+   * @returns {Array} Entries
+   */
+  static flattenEntries(weekData) {
+    return weekData.days.flatMap((day) => day.entries);
+  }
+}
+
+export default WeekSyncUtils;
@@ -16,22 +16,141 @@ export const CONFIG = {
     PAGINATION_LIMIT: 100,
     MAX_SEARCH_RESULTS: 1000,
     MAX_RECORDS: 10000,
+    KEY_BATCH_SIZE: 50, // Jira keys per "key in (...)" query
   },
 
   TEMPO: {
     API_VERSION: "4",
     DEFAULT_START_TIME: "09:00:00",
-    BATCH_DELAY: 200, // ms between batch requests
     PAGINATION_LIMIT: 1000, // max records per request
     MAX_RECORDS: 10000, // safety limit to prevent infinite loops
   },
 
+  HTTP: {
+    TIMEOUT_MS: 30000, // per attempt
+    MAX_RETRIES: 3,
+    BASE_DELAY_MS: 500, // first backoff delay, doubled on every retry
+    MAX_DELAY_MS: 30000,
+    MAX_RETRY_AFTER_MS: 60000, // cap for server-provided Retry-After
+    MAX_CONCURRENT_PER_HOST: 4,
+    HOST_CONCURRENCY: {
+      "api.tempo.io": 2,
+    },
+    RETRY_STATUSES: [408, 429, 500, 502, 503, 504],
+  },
+
   STORAGE: {
     REDMINE_SETTINGS: "redmine_settings",
     JIRA_SETTINGS: "jira_settings",
     TEMPO_SETTINGS: "tempo_settings",
     TIME_ENTRIES: "time_entries",
     JIRA_PROJECT_MAPPINGS: "jira_project_mappings",
+    SYNC_LINKS: "sync_links",
+    CALENDAR_SETTINGS: "calendar_settings",
+    ISSUE_MAPPINGS: "issue_mappings",
+    STATUS_SYNC_SETTINGS: "status_sync_settings",
+    STATUS_SYNC_LOG: "status_sync_log",
+    ACTIVITY_RULES: "activity_rules",
+    ISSUE_LINK_CACHE: "issue_link_cache",
+    JOBS: "jobs",
+    BULK_TRANSACTIONS: "bulk_transactions",
+    DRY_RUN_SETTINGS: "dry_run_settings",
+    DRY_RUN_LOG: "dry_run_log",
+    MATCHING_SETTINGS: "matching_settings",
+    COMPARISON_RANGES: "comparison_ranges",
+    LAST_RECONCILIATION: "last_reconciliation",
+    TEAM_ROSTER: "team_roster",
+    TIMER: "timer",
+    TIMER_ENTRIES: "timer_entries",
+    GIT_TEMPLATES: "git_templates",
+  },
+
+  SYNC: {
+    HOURS_TOLERANCE: 0.01, // hours difference treated as "unchanged"
+  },
+
+  STATUS_SYNC: {
+    ALARM_NAME: "redmine-status-sync",
+    DEFAULT_INTERVAL_MINUTES: 60,
+    MAX_LOG_ENTRIES: 200,
+  },
+
+  LINK_CACHE: {
+    TTL_MS: 7 * 24 * 60 * 60 * 1000, // found links are rechecked after a week
+    MISS_TTL_MS: 60 * 60 * 1000, // "no Redmine issue" is rechecked after an hour
+  },
+
+  JOBS: {
+    ALARM_NAME: "job-queue", // wakes the service worker while jobs are pending
+    MAX_FINISHED: 20, // finished jobs kept for the history
+  },
+
+  TRANSACTIONS: {
+    MAX_ENTRIES: 50, // bulk runs kept in the undo history
+  },
+
+  DRY_RUN: {
+    MAX_LOG_ENTRIES: 500, // planned requests kept for the preview
+  },
+
+  MATCHING: {
+    MODE: "entry", // entry: pair single entries, aggregate: compare hours per date and task
+    // Relative weight of each strategy in the match score, 0 disables it
+    WEIGHTS: {
+      jiraKey: 3,
+      redmineIssue: 3,
+      hours: 2,
+      description: 1,
+      dateWindow: 1,
+    },
+    HOURS_TOLERANCE: 0.1, // hours difference still counted as equal
+    HOURS_PARTIAL_TOLERANCE: 0.5, // hours difference that still scores half
+    ROUNDING_MINUTES: 0, // round both sides to this step before comparing hours, 0 = off
+    ROUNDING_MODE: "nearest", // nearest, up or down
+    DATE_WINDOW_DAYS: 0, // how many days apart entries may be matched
+    MATCH_THRESHOLD: 0.6, // minimum score to pair two entries
+    EXACT_THRESHOLD: 0.9, // minimum score for an exact match
+    IDENTITY_THRESHOLD: 0.8, // description similarity that pairs entries without a shared Jira key or Redmine issue
+  },
+
+  DATE_RANGES: {
+    DEFAULT_PRESET: "thisMonth",
+    // Sprint defaults until the team's sprint is set in the Jira settings
+    SPRINT_LENGTH_DAYS: 14,
+    SPRINT_ANCHOR: "2024-01-01", // first day of any sprint, later sprints follow back to back
+  },
+
+  TIMER: {
+    ALARM_NAME: "timer-badge", // refreshes the running time on the action badge
+    ROUND_MINUTES: 15, // stopped time is rounded to this step, at least one step
+    BADGE_COLOR: "#169f39",
+    PAUSED_BADGE_COLOR: "#888888",
+    IDLE_THRESHOLD_MINUTES: 10, // inactivity shorter than this is counted as work
+    REMINDER_HOURS: 4, // remind about a timer running this long, again after every further period
+  },
+
+  BOARD: {
+    HOURS_TTL_MS: 60 * 1000, // this week's Redmine hours are reused for card batches within a minute
+  },
+
+  GIT_TEMPLATES: {
+    BRANCH: "{key}",
+    COMMIT: "{key} {summary}",
+    SLUG_MAX_LENGTH: 40, // slugs are cut at a word boundary before this length
+    DEFAULT_PREFIX: "chore", // prefix for issue types missing in TYPE_PREFIXES
+    // Jira issue type → Conventional Commits prefix
+    TYPE_PREFIXES: {
+      Bug: "fix",
+      Story: "feat",
+      Task: "feat",
+      "Sub-task": "feat",
+      Improvement: "feat",
+      Epic: "feat",
+    },
+  },
+
+  CALENDAR: {
+    DEFAULT_DAILY_NORM: 8, // hours expected per working day
   },
 
   ERRORS: {
@@ -70,13 +70,14 @@ export class Storage {
    * @returns {Promise<Object>} - Redmine settings object
    */
   static async getRedmineSettings() {
-    return await this.get(CONFIG.STORAGE.REDMINE_SETTINGS, {
+    const settings = await this.get(CONFIG.STORAGE.REDMINE_SETTINGS, {
       url: "",
       apiKey: "",
       projectId: "",
       activityId: CONFIG.REDMINE.DEFAULT_ACTIVITY_ID,
       researchActivityId: CONFIG.REDMINE.DEFAULT_RESEARCH_ACTIVITY_ID,
     });
+    return { ...settings, dryRun: await this.isDryRun() };
   }
 
   /**
@@ -85,7 +86,9 @@ export class Storage {
    * @returns {Promise<boolean>} - Success status
    */
   static async setRedmineSettings(settings) {
-    return await this.set(CONFIG.STORAGE.REDMINE_SETTINGS, settings);
+    // dryRun is a global setting added on read, never stored per service
+    const { dryRun, ...stored } = settings;
+    return await this.set(CONFIG.STORAGE.REDMINE_SETTINGS, stored);
   }
 
   /**
@@ -116,12 +119,13 @@ export class Storage {
    * @returns {Promise<Object>} - Tempo settings object
    */
   static async getTempoSettings() {
-    return await this.get(CONFIG.STORAGE.TEMPO_SETTINGS, {
+    const settings = await this.get(CONFIG.STORAGE.TEMPO_SETTINGS, {
       apiToken: "",
       autoExport: false,
       exportFormat: "json",
       enabled: false,
     });
+    return { ...settings, dryRun: await this.isDryRun() };
   }
 
   /**
@@ -130,7 +134,181 @@ export class Storage {
    * @returns {Promise<boolean>} - Success status
    */
   static async setTempoSettings(settings) {
-    return await this.set(CONFIG.STORAGE.TEMPO_SETTINGS, settings);
+    const { dryRun, ...stored } = settings;
+    return await this.set(CONFIG.STORAGE.TEMPO_SETTINGS, stored);
+  }
+
+  /**
+   * Check whether dry-run mode is on (writes to Redmine and Tempo are not sent)
+   * @returns {Promise<boolean>} - Whether dry-run mode is on
+   */
+  static async isDryRun() {
+    const settings = await this.get(CONFIG.STORAGE.DRY_RUN_SETTINGS, {
+      enabled: false,
+    });
+    return !!settings.enabled;
+  }
+
+  /**
+   * Turn dry-run mode on or off
+   * @param {boolean} enabled - Whether dry-run mode is on
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setDryRun(enabled) {
+    return await this.set(CONFIG.STORAGE.DRY_RUN_SETTINGS, { enabled });
+  }
+
+  /**
+   * Get requests planned in dry-run mode
+   * @returns {Promise<Array>} - Planned requests, newest first
+   */
+  static async getDryRunLog() {
+    return await this.get(CONFIG.STORAGE.DRY_RUN_LOG, []);
+  }
+
+  /**
+   * Prepend planned requests to the dry-run log, keeping it bounded
+   * @param {Array} requests - Planned requests
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async addDryRunRequests(requests) {
+    const log = await this.getDryRunLog();
+    return await this.set(
+      CONFIG.STORAGE.DRY_RUN_LOG,
+      [...requests, ...log].slice(0, CONFIG.DRY_RUN.MAX_LOG_ENTRIES)
+    );
+  }
+
+  /**
+   * Clear the dry-run log
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async clearDryRunLog() {
+    return await this.set(CONFIG.STORAGE.DRY_RUN_LOG, []);
+  }
+
+  /**
+   * Get matching settings saved on the options page
+   * @returns {Promise<Object>} - Partial MatchingEngine configuration, empty for defaults
+   */
+  static async getMatchingSettings() {
+    return await this.get(CONFIG.STORAGE.MATCHING_SETTINGS, {});
+  }
+
+  /**
+   * Set matching settings
+   * @param {Object} settings - Partial MatchingEngine configuration
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setMatchingSettings(settings) {
+    return await this.set(CONFIG.STORAGE.MATCHING_SETTINGS, settings);
+  }
+
+  /**
+   * Get branch name and commit message templates
+   * @returns {Promise<Object>} - Stored templates {branch, commit, typePrefixes}, empty for the defaults
+   */
+  static async getGitTemplates() {
+    return await this.get(CONFIG.STORAGE.GIT_TEMPLATES, {});
+  }
+
+  /**
+   * Set branch name and commit message templates
+   * @param {Object} templates - {branch, commit, typePrefixes}
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setGitTemplates(templates) {
+    return await this.set(CONFIG.STORAGE.GIT_TEMPLATES, templates);
+  }
+
+  /**
+   * Get the last date range used by a comparison
+   * @param {string} scope - Comparison that used the range
+   * @returns {Promise<Object|null>} - {preset, startDate, endDate} or null
+   */
+  static async getComparisonRange(scope) {
+    const ranges = await this.get(CONFIG.STORAGE.COMPARISON_RANGES, {});
+    return ranges[scope] || null;
+  }
+
+  /**
+   * Remember the date range used by a comparison
+   * @param {string} scope - Comparison that used the range
+   * @param {Object} range - {preset, startDate, endDate}
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setComparisonRange(scope, range) {
+    const ranges = await this.get(CONFIG.STORAGE.COMPARISON_RANGES, {});
+    ranges[scope] = range;
+    return await this.set(CONFIG.STORAGE.COMPARISON_RANGES, ranges);
+  }
+
+  /**
+   * Get the last day up to which Tempo and Redmine were found consistent
+   * @returns {Promise<string|null>} - Date (YYYY-MM-DD) or null
+   */
+  static async getLastReconciliation() {
+    return await this.get(CONFIG.STORAGE.LAST_RECONCILIATION, null);
+  }
+
+  /**
+   * Set the last reconciled day
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setLastReconciliation(date) {
+    return await this.set(CONFIG.STORAGE.LAST_RECONCILIATION, date);
+  }
+
+  /**
+   * Get the team roster used by the team comparison
+   * @returns {Promise<Array>} - Members {name, jiraAccountId, redmineUserId}
+   */
+  static async getTeamRoster() {
+    return await this.get(CONFIG.STORAGE.TEAM_ROSTER, []);
+  }
+
+  /**
+   * Set the team roster
+   * @param {Array} roster - Members {name, jiraAccountId, redmineUserId}
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setTeamRoster(roster) {
+    return await this.set(CONFIG.STORAGE.TEAM_ROSTER, roster);
+  }
+
+  /**
+   * Get the running or paused timer
+   * @returns {Promise<Object|null>} - Timer or null when no timer is active
+   */
+  static async getTimer() {
+    return await this.get(CONFIG.STORAGE.TIMER, null);
+  }
+
+  /**
+   * Set the running or paused timer
+   * @param {Object|null} timer - Timer, null to clear it
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setTimer(timer) {
+    return await this.set(CONFIG.STORAGE.TIMER, timer);
+  }
+
+  /**
+   * Get entries of stopped timers that were not logged yet
+   * @returns {Promise<Array>} - Entries, oldest first
+   */
+  static async getTimerEntries() {
+    return await this.get(CONFIG.STORAGE.TIMER_ENTRIES, []);
+  }
+
+  /**
+   * Set entries of stopped timers
+   * @param {Array} entries - Entries
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setTimerEntries(entries) {
+    return await this.set(CONFIG.STORAGE.TIMER_ENTRIES, entries);
   }
 
   /**
@@ -233,6 +411,270 @@ export class Storage {
 
     return mapping ? mapping.redmineProjectId : null;
   }
+
+  /**
+   * Get Jira→Redmine status/priority mappings for all projects
+   * @returns {Promise<Object>} - Map of Redmine project ID (or "default") to {statusMap, priorityMap}
+   */
+  static async getIssueMappings() {
+    return await this.get(CONFIG.STORAGE.ISSUE_MAPPINGS, {});
+  }
+
+  /**
+   * Get the Jira→Redmine mapping for a Redmine project
+   * @param {string} projectId - Redmine project ID
+   * @returns {Promise<Object|null>} - {statusMap, priorityMap}, the "default" mapping, or null
+   */
+  static async getIssueMapping(projectId) {
+    const mappings = await this.getIssueMappings();
+    return mappings[projectId] || mappings.default || null;
+  }
+
+  /**
+   * Set the Jira→Redmine mapping for a Redmine project
+   * @param {string} projectId - Redmine project ID or "default"
+   * @param {Object|null} mapping - {statusMap, priorityMap}, null removes it
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setIssueMapping(projectId, mapping) {
+    const mappings = await this.getIssueMappings();
+    if (mapping) {
+      mappings[projectId] = {
+        ...mapping,
+        updatedAt: new Date().toISOString(),
+      };
+    } else {
+      delete mappings[projectId];
+    }
+    return await this.set(CONFIG.STORAGE.ISSUE_MAPPINGS, mappings);
+  }
+
+  /**
+   * Get Jira→Redmine issue link cache
+   * @returns {Promise<Object>} - {jiraKey: {redmineIssueId, subject, pinned, updatedAt}}
+   */
+  static async getIssueLinkCache() {
+    return await this.get(CONFIG.STORAGE.ISSUE_LINK_CACHE, {});
+  }
+
+  /**
+   * Set Jira→Redmine issue link cache
+   * @param {Object} cache - Link cache keyed by Jira key
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setIssueLinkCache(cache) {
+    return await this.set(CONFIG.STORAGE.ISSUE_LINK_CACHE, cache);
+  }
+
+  /**
+   * Get Redmine activity rules
+   * @returns {Promise<Array>} - [{field, value, activityId}] in evaluation order
+   */
+  static async getActivityRules() {
+    return await this.get(CONFIG.STORAGE.ACTIVITY_RULES, []);
+  }
+
+  /**
+   * Set Redmine activity rules
+   * @param {Array} rules - [{field, value, activityId}] in evaluation order
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setActivityRules(rules) {
+    return await this.set(CONFIG.STORAGE.ACTIVITY_RULES, rules);
+  }
+
+  /**
+   * Get Redmine status sync settings
+   * @returns {Promise<Object>} - {enabledProjects, intervalMinutes, lastRunAt}
+   */
+  static async getStatusSyncSettings() {
+    return await this.get(CONFIG.STORAGE.STATUS_SYNC_SETTINGS, {
+      enabledProjects: [],
+      intervalMinutes: CONFIG.STATUS_SYNC.DEFAULT_INTERVAL_MINUTES,
+      lastRunAt: null,
+    });
+  }
+
+  /**
+   * Set Redmine status sync settings
+   * @param {Object} settings - Status sync settings
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setStatusSyncSettings(settings) {
+    return await this.set(CONFIG.STORAGE.STATUS_SYNC_SETTINGS, settings);
+  }
+
+  /**
+   * Get Redmine status sync change log (newest first)
+   * @returns {Promise<Array>} - Log entries
+   */
+  static async getStatusSyncLog() {
+    return await this.get(CONFIG.STORAGE.STATUS_SYNC_LOG, []);
+  }
+
+  /**
+   * Prepend entries to the status sync log, keeping it bounded
+   * @param {Array} entries - Log entries
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async addStatusSyncLogEntries(entries) {
+    const log = await this.getStatusSyncLog();
+    return await this.set(
+      CONFIG.STORAGE.STATUS_SYNC_LOG,
+      [...entries, ...log].slice(0, CONFIG.STATUS_SYNC.MAX_LOG_ENTRIES)
+    );
+  }
+
+  /**
+   * Clear the status sync log
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async clearStatusSyncLog() {
+    return await this.set(CONFIG.STORAGE.STATUS_SYNC_LOG, []);
+  }
+
+  /**
+   * Get calendar settings
+   * @returns {Promise<Object>} - Calendar settings {dailyNorm, view}
+   */
+  static async getCalendarSettings() {
+    return await this.get(CONFIG.STORAGE.CALENDAR_SETTINGS, {
+      dailyNorm: CONFIG.CALENDAR.DEFAULT_DAILY_NORM,
+      view: "week",
+    });
+  }
+
+  /**
+   * Set calendar settings
+   * @param {Object} settings - Calendar settings object
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setCalendarSettings(settings) {
+    return await this.set(CONFIG.STORAGE.CALENDAR_SETTINGS, settings);
+  }
+
+  /**
+   * Get Tempo ↔ Redmine sync links
+   * @returns {Promise<Array>} - Array of links {tempoWorklogId, redmineTimeEntryId, tempo, redmine, syncedAt}
+   */
+  static async getSyncLinks() {
+    return await this.get(CONFIG.STORAGE.SYNC_LINKS, []);
+  }
+
+  /**
+   * Set Tempo ↔ Redmine sync links
+   * @param {Array} links - Array of sync links
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setSyncLinks(links) {
+    return await this.set(CONFIG.STORAGE.SYNC_LINKS, links);
+  }
+
+  /**
+   * Add or replace the sync link for a Tempo worklog
+   * @param {Object} link - Link object {tempoWorklogId, redmineTimeEntryId, tempo, redmine}
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async upsertSyncLink(link) {
+    const links = await this.getSyncLinks();
+    const tempoWorklogId = String(link.tempoWorklogId);
+    const filtered = links.filter((l) => l.tempoWorklogId !== tempoWorklogId);
+    filtered.push({
+      ...link,
+      tempoWorklogId,
+      syncedAt: new Date().toISOString(),
+    });
+    return await this.setSyncLinks(filtered);
+  }
+
+  /**
+   * Remove the sync link for a Tempo worklog
+   * @param {string} tempoWorklogId - Tempo worklog ID
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async removeSyncLink(tempoWorklogId) {
+    const links = await this.getSyncLinks();
+    const filtered = links.filter(
+      (l) => l.tempoWorklogId !== String(tempoWorklogId)
+    );
+    return await this.setSyncLinks(filtered);
+  }
+
+  /**
+   * Remove sync links that point to the given Redmine time entries
+   * @param {Array<number>} redmineTimeEntryIds - Redmine time entry IDs
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async removeSyncLinksByRedmineIds(redmineTimeEntryIds) {
+    const ids = new Set(redmineTimeEntryIds.map(String));
+    const links = await this.getSyncLinks();
+    const filtered = links.filter(
+      (l) => !ids.has(String(l.redmineTimeEntryId))
+    );
+    return await this.setSyncLinks(filtered);
+  }
+
+  /**
+   * Get background jobs
+   * @returns {Promise<Array>} - Jobs, oldest first
+   */
+  static async getJobs() {
+    return await this.get(CONFIG.STORAGE.JOBS, []);
+  }
+
+  /**
+   * Set background jobs
+   * @param {Array} jobs - Jobs
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async setJobs(jobs) {
+    return await this.set(CONFIG.STORAGE.JOBS, jobs);
+  }
+
+  /**
+   * Get bulk creation transactions
+   * @returns {Promise<Array>} - Transactions, newest first
+   */
+  static async getBulkTransactions() {
+    return await this.get(CONFIG.STORAGE.BULK_TRANSACTIONS, []);
+  }
+
+  /**
+   * Insert or update a bulk creation transaction, keeping the history bounded
+   * @param {Object} transaction - Transaction with an id
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async upsertBulkTransaction(transaction) {
+    const transactions = await this.getBulkTransactions();
+    const index = transactions.findIndex((t) => t.id === transaction.id);
+
+    if (index === -1) {
+      transactions.unshift(transaction);
+    } else {
+      transactions[index] = { ...transactions[index], ...transaction };
+    }
+
+    return await this.set(
+      CONFIG.STORAGE.BULK_TRANSACTIONS,
+      transactions.slice(0, CONFIG.TRANSACTIONS.MAX_ENTRIES)
+    );
+  }
+
+  /**
+   * Append created record IDs to a bulk creation transaction
+   * @param {string} id - Transaction ID
+   * @param {Object} records - {timeEntryIds, issueIds}
+   * @returns {Promise<boolean>} - Success status
+   */
+  static async addBulkTransactionRecords(id, { timeEntryIds = [], issueIds = [] }) {
+    const transactions = await this.getBulkTransactions();
+    const transaction = transactions.find((t) => t.id === id);
+    if (!transaction) return false;
+
+    transaction.timeEntryIds = [...transaction.timeEntryIds, ...timeEntryIds];
+    transaction.issueIds = [...transaction.issueIds, ...issueIds];
+    return await this.set(CONFIG.STORAGE.BULK_TRANSACTIONS, transactions);
+  }
 }
 
 export default Storage;